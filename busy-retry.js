@@ -0,0 +1,55 @@
+/**
+ * JobSprint Busy Retry - Resends requests the Apps Script endpoint answered "busy"
+ * The script writes one request at a time under a script lock; when another request held the
+ * lock for too long it answers { success: false, busy: true, retryAfterMs } without writing.
+ * Loaded by the service worker via importScripts(); exported for Jest in Node.
+ */
+
+// How often a request the Apps Script answers "busy" is resent, and the longest wait between sends
+const BUSY_RETRY_LIMIT = 3;
+const BUSY_RETRY_MAX_WAIT_MS = 10000;
+const BUSY_RETRY_DEFAULT_WAIT_MS = 1000; // When the script suggests no (or an unusable) wait
+
+/**
+ * Get the wait before resending a busy request
+ * @param {Object} responseData - Parsed busy response
+ * @returns {number} retryAfterMs in milliseconds, capped at BUSY_RETRY_MAX_WAIT_MS
+ */
+function getBusyRetryDelay(responseData) {
+  const suggested = Number(responseData.retryAfterMs);
+  return Math.min(suggested > 0 ? suggested : BUSY_RETRY_DEFAULT_WAIT_MS, BUSY_RETRY_MAX_WAIT_MS);
+}
+
+/**
+ * Send a request, resending it after the suggested wait while the endpoint is busy
+ * sendOnce() is called for every send, so it must build (and sign) the request afresh:
+ * a signature's timestamp would go stale over several waits
+ * @param {Function} sendOnce - Sends the request once; resolves with a fetch Response
+ * @param {Function} wait - Resolves after the given milliseconds (injectable for tests)
+ * @returns {Promise<Response>} First response that isn't busy (including non-JSON ones), or the
+ *   last busy one after BUSY_RETRY_LIMIT resends
+ */
+async function sendWithBusyRetry(sendOnce, wait = ms => new Promise(resolve => setTimeout(resolve, ms))) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await sendOnce();
+
+    const responseData = await response.clone().json().catch(() => null);
+    if (!responseData || !responseData.busy || attempt === BUSY_RETRY_LIMIT) {
+      return response;
+    }
+
+    const delayMs = getBusyRetryDelay(responseData);
+    console.log(`Apps Script busy on attempt ${attempt + 1}/${BUSY_RETRY_LIMIT + 1}. Retrying in ${delayMs}ms...`);
+    await wait(delayMs);
+  }
+}
+
+// Export for use in Node.js testing environment (Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUSY_RETRY_LIMIT,
+    BUSY_RETRY_MAX_WAIT_MS,
+    getBusyRetryDelay,
+    sendWithBusyRetry
+  };
+}
@@ -3,9 +3,11 @@
  * This file contains core extraction logic that can be tested without Chrome extension dependencies
  */
 
+const { detectJobBoard } = require('./job-boards');
+
 /**
  * Extract job posting data from the current page
- * @returns {Object} Extracted job data with title, company, location, url, timestamp, and source
+ * @returns {Object} Extracted job data with title, company, location, url, timestamp, source and ats
  */
 function extractJobData() {
   try {
@@ -15,7 +17,8 @@ function extractJobData() {
       location: '',
       url: window.location.href,
       timestamp: new Date().toISOString(),
-      source: extractSource(window.location.href)
+      source: extractSource(window.location.href),
+      ats: extractAts(window.location.href)
     };
 
     // CSS selectors for job boards (LinkedIn, Indeed, Glassdoor, Greenhouse, Lever, Workday)
@@ -132,23 +135,21 @@ function cleanText(text) {
 }
 
 /**
- * Extract source/job board name from URL
+ * Extract source/job board name from URL (detectJobBoard() from job-boards.js)
  * @param {string} url - Current page URL
- * @returns {string} Source name (e.g., 'LinkedIn', 'Indeed') or hostname
+ * @returns {string} Board name (e.g., 'LinkedIn', 'Indeed'), 'Website' for company careers pages or 'Other'
  */
 function extractSource(url) {
-  try {
-    const hostname = new URL(url).hostname;
-    if (hostname.includes('linkedin.com')) return 'LinkedIn';
-    if (hostname.includes('indeed.com')) return 'Indeed';
-    if (hostname.includes('glassdoor.com')) return 'Glassdoor';
-    if (hostname.includes('greenhouse.io')) return 'Greenhouse';
-    if (hostname.includes('lever.co')) return 'Lever';
-    if (hostname.includes('myworkdayjobs.com')) return 'Workday';
-    return hostname;
-  } catch {
-    return 'Unknown';
-  }
+  return detectJobBoard(url).board;
+}
+
+/**
+ * Extract the applicant tracking system hosting the page from its URL
+ * @param {string} url - Current page URL
+ * @returns {string} ATS name (e.g., 'Greenhouse', 'Workday') or '' if not on a known ATS
+ */
+function extractAts(url) {
+  return detectJobBoard(url).ats;
 }
 
 // Export for testing
@@ -157,6 +158,7 @@ if (typeof module !== 'undefined' && module.exports) {
     extractJobData,
     extractField,
     cleanText,
-    extractSource
+    extractSource,
+    extractAts
   };
 }
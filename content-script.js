@@ -121,7 +121,7 @@ function pasteTextToActiveField(text) {
 /**
  * Extract job posting data from the current page
  * Uses intelligent field-aware extractors (same logic as interactive mouse tracking)
- * @returns {Object} Extracted job data with title, company, location, compensation, pay, description, url, timestamp, and source
+ * @returns {Object} Extracted job data with title, company, location, compensation, pay, description, url, timestamp, source and ats
  */
 function extractJobData() {
   try {
@@ -134,7 +134,8 @@ function extractJobData() {
       description: '',
       url: window.location.href,
       timestamp: new Date().toISOString(),
-      source: extractSource(window.location.href)
+      source: extractSource(window.location.href),
+      ats: extractAts(window.location.href)
     };
 
     // Use intelligent extractors (same as mouse tracking feature)
@@ -228,23 +229,21 @@ function cleanText(text) {
 }
 
 /**
- * Extract source/job board name from URL
+ * Extract source/job board name from URL (detectJobBoard() from job-boards.js)
  * @param {string} url - Current page URL
- * @returns {string} Source name (e.g., 'LinkedIn', 'Indeed') or hostname
+ * @returns {string} Board name (e.g., 'LinkedIn', 'Indeed'), 'Website' for company careers pages or 'Other'
  */
 function extractSource(url) {
-  try {
-    const hostname = new URL(url).hostname;
-    if (hostname.includes('linkedin.com')) return 'LinkedIn';
-    if (hostname.includes('indeed.com')) return 'Indeed';
-    if (hostname.includes('glassdoor.com')) return 'Glassdoor';
-    if (hostname.includes('greenhouse.io')) return 'Greenhouse';
-    if (hostname.includes('lever.co')) return 'Lever';
-    if (hostname.includes('myworkdayjobs.com')) return 'Workday';
-    return hostname;
-  } catch {
-    return 'Unknown';
-  }
+  return detectJobBoard(url).board;
+}
+
+/**
+ * Extract the applicant tracking system hosting the page from its URL
+ * @param {string} url - Current page URL
+ * @returns {string} ATS name (e.g., 'Greenhouse', 'Workday') or '' if not on a known ATS
+ */
+function extractAts(url) {
+  return detectJobBoard(url).ats;
 }
 
 // ============ PAGE-WIDE INTELLIGENT EXTRACTORS ============
@@ -847,6 +846,39 @@ function injectJobSprintStyles() {
       background: rgb(189, 33, 48);
       transform: scale(0.95);
     }
+
+    /* Already-applied banner */
+    #jobsprint-history-banner {
+      position: fixed;
+      top: 12px;
+      right: 12px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      max-width: 360px;
+      padding: 6px 8px 6px 12px;
+      background: #e8f5e9;
+      color: #1b5e20;
+      border-left: 3px solid #4CAF50;
+      border-radius: 6px;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      font-size: 13px;
+      font-weight: 600;
+      line-height: 1.4;
+      z-index: 999997;
+      animation: slideInFromRight 0.3s ease-out;
+    }
+
+    .jobsprint-history-close {
+      background: none;
+      border: none;
+      color: #2e7d32;
+      font-size: 16px;
+      line-height: 1;
+      padding: 0 4px;
+      cursor: pointer;
+    }
   `;
 
   try {
@@ -3382,6 +3414,144 @@ function notifyPopupModeChange(mode) {
   }
 }
 
+// ============ ALREADY-APPLIED INDICATOR ============
+
+let lastHistoryCheckUrl = null;
+let historyCheckTimer = null;
+
+// Single-page job boards swap postings without a reload; give the new one time to render
+const HISTORY_CHECK_DELAY_MS = 1000;
+
+/**
+ * Check whether the current page is a job that was already logged and show a banner if so
+ * Only pages that look like a job posting are checked. The URL is checked first (cheap); the
+ * page is only scraped for title/company when there is history to compare against
+ */
+function checkJobHistory() {
+  // Extension was reloaded - this content script is orphaned and must stop listening
+  if (!chrome.runtime?.id) {
+    stopJobHistoryWatch();
+    return;
+  }
+
+  const url = window.location.href;
+  if (url === lastHistoryCheckUrl) return;
+  lastHistoryCheckUrl = url;
+  removeHistoryBanner();
+
+  if (!looksLikeJobPosting()) return;
+
+  try {
+    chrome.runtime.sendMessage({ action: 'checkJobHistory', job: { url } }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) return;
+
+      if (response.match) {
+        showHistoryBanner(response.match);
+      } else if (response.historySize > 0) {
+        const jobData = extractJobData();
+        chrome.runtime.sendMessage(
+          { action: 'checkJobHistory', job: { url, title: jobData.title, company: jobData.company } },
+          (titleResponse) => {
+            if (chrome.runtime.lastError || !titleResponse?.match) return;
+            // The user may have navigated on while the page was scraped
+            if (window.location.href === url) {
+              showHistoryBanner(titleResponse.match);
+            }
+          }
+        );
+      }
+    });
+  } catch (error) {
+    // Extension was reloaded - this content script is orphaned
+    console.debug('[History] Could not check job history:', error);
+  }
+}
+
+/**
+ * Heuristic: does this page look like a single job posting?
+ * @returns {boolean} True for known job boards, JobPosting structured data or job-like paths
+ */
+function looksLikeJobPosting() {
+  const { board, ats } = detectJobBoard(window.location.href);
+  if (ats || (board !== 'Website' && board !== 'Other')) return true;
+
+  const structuredData = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
+  if (structuredData.some(script => script.textContent.includes('JobPosting'))) return true;
+
+  return /job|career|position|opening|posting|vacanc/i.test(window.location.pathname);
+}
+
+/**
+ * Show the "already applied" banner
+ * @param {Object} match - { entry, matchedBy } from the service worker
+ */
+function showHistoryBanner(match) {
+  injectJobSprintStyles();
+  removeHistoryBanner();
+
+  const { entry, matchedBy } = match;
+  const banner = document.createElement('div');
+  banner.id = 'jobsprint-history-banner';
+  banner.setAttribute('role', 'status');
+
+  const text = document.createElement('span');
+  const applied = new Date(entry.appliedAt);
+  const appliedText = isNaN(applied.getTime()) ? 'earlier' : applied.toLocaleDateString();
+  text.textContent = `✓ Already applied ${appliedText} • ${entry.status || 'No response'}`;
+  banner.title = matchedBy === 'title'
+    ? `Matched by title and company: ${entry.title} at ${entry.company}`
+    : `Logged as: ${entry.title || '(No title)'} at ${entry.company || '(No company)'}`;
+  banner.appendChild(text);
+
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'jobsprint-history-close';
+  closeBtn.setAttribute('aria-label', 'Dismiss');
+  closeBtn.textContent = '×';
+  closeBtn.addEventListener('click', removeHistoryBanner);
+  banner.appendChild(closeBtn);
+
+  document.body.appendChild(banner);
+}
+
+/**
+ * Remove the "already applied" banner if present
+ */
+function removeHistoryBanner() {
+  const banner = document.getElementById('jobsprint-history-banner');
+  if (banner) banner.remove();
+}
+
+/**
+ * Check the page again shortly after an in-page navigation (pushState, back/forward, hash)
+ */
+function scheduleJobHistoryCheck() {
+  clearTimeout(historyCheckTimer);
+  historyCheckTimer = setTimeout(checkJobHistory, HISTORY_CHECK_DELAY_MS);
+}
+
+/**
+ * Stop reacting to navigations (the extension context is gone)
+ */
+function stopJobHistoryWatch() {
+  clearTimeout(historyCheckTimer);
+  if (window.navigation) {
+    window.navigation.removeEventListener('currententrychange', scheduleJobHistoryCheck);
+  }
+  window.removeEventListener('popstate', scheduleJobHistoryCheck);
+  window.removeEventListener('hashchange', scheduleJobHistoryCheck);
+}
+
+// Check on load, and again when single-page job boards swap postings without a reload.
+// The Navigation API also reports the page's own pushState/replaceState calls, which the
+// content script can't see otherwise; popstate and hashchange cover browsers without it.
+checkJobHistory();
+if (window.navigation) {
+  window.navigation.addEventListener('currententrychange', scheduleJobHistoryCheck);
+}
+window.addEventListener('popstate', scheduleJobHistoryCheck);
+window.addEventListener('hashchange', scheduleJobHistoryCheck);
+
 // ============ POPUP CONNECTION & CLEANUP ============
 
 /**
@@ -0,0 +1,112 @@
+/**
+ * JobSprint Endpoint Capabilities - Checks a deployed Apps Script endpoint against this extension
+ * GET <endpoint>?action=capabilities answers with the script's version and what it supports:
+ *   { success, version, operations, schemaValidation, roleRules, jobBoards, requestSigning: { supported, required },
+ *     statusStages, ... }
+ * Scripts deployed before the handshake existed answer with a job list (or an error page)
+ * instead, which is reported as an outdated deployment.
+ * Loaded by the service worker via importScripts(); exported for Jest in Node.
+ */
+
+// Oldest google-apps-script-endpoint.js version with everything this extension sends
+const MIN_ENDPOINT_VERSION = '1.9.0';
+
+// Operations the extension relies on, with what stops working without them
+const REQUIRED_ENDPOINT_OPERATIONS = {
+  logJob: 'logging jobs',
+  logBatch: 'sending queued jobs in one request',
+  updateStatus: 'status updates from the popup',
+  listJobs: 'checking whether a job was already logged',
+  syncSchema: 'keeping sheet columns in step with your schema',
+  summary: 'sprint statistics in the popup',
+  followUps: 'follow-up reminders in the popup'
+};
+
+// How to bring a deployment up to date (appended to every upgrade warning)
+const ENDPOINT_UPGRADE_STEPS = 'To upgrade, paste the latest google-apps-script-endpoint.js, job-schema-validator.js, ' +
+  'role-rules.js and job-boards.js into your Apps Script project, then Deploy > Manage deployments > Edit > Version: New version > Deploy ' +
+  '(the endpoint URL stays the same).';
+
+/**
+ * Compare two dotted version strings numerically
+ * @param {string} a - Version (e.g. "1.2.0")
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Check an endpoint's capabilities response against what this extension needs
+ * @param {Object|null} capabilities - Parsed ?action=capabilities response (null if it wasn't JSON)
+ * @param {Object} context - { usesSchema, hasSharedSecret } from the extension settings
+ * @returns {Object} { upToDate, version, warnings } - each warning says what breaks and how to fix it
+ */
+function checkEndpointCapabilities(capabilities, context = {}) {
+  if (!capabilities || capabilities.success !== true || typeof capabilities.version !== 'string') {
+    return {
+      upToDate: false,
+      version: null,
+      warnings: [`Your Apps Script deployment does not report its version, so it is older than this extension expects (${MIN_ENDPOINT_VERSION} or later). ${ENDPOINT_UPGRADE_STEPS}`]
+    };
+  }
+
+  const warnings = [];
+  let upToDate = true;
+
+  const operations = Array.isArray(capabilities.operations) ? capabilities.operations : [];
+  const missing = Object.keys(REQUIRED_ENDPOINT_OPERATIONS).filter(operation => !operations.includes(operation));
+  if (compareVersions(capabilities.version, MIN_ENDPOINT_VERSION) < 0 || missing.length > 0) {
+    upToDate = false;
+    const unsupported = missing.length > 0
+      ? ` It does not support ${missing.map(operation => REQUIRED_ENDPOINT_OPERATIONS[operation]).join(', ')}.`
+      : '';
+    warnings.push(`Your Apps Script deployment is version ${capabilities.version}; this extension expects ${MIN_ENDPOINT_VERSION} or later.${unsupported} ${ENDPOINT_UPGRADE_STEPS}`);
+  }
+
+  if (context.usesSchema && capabilities.schemaValidation !== true) {
+    upToDate = false;
+    warnings.push('job-schema-validator.js is missing from your Apps Script project, so jobs logged with your schema will be refused. ' +
+      'Add it as a second script file (File > New > Script) and deploy a new version.');
+  }
+
+  if (capabilities.roleRules !== true) {
+    upToDate = false;
+    warnings.push('role-rules.js is missing from your Apps Script project, so the Role column is left empty. ' +
+      'Add it as another script file (File > New > Script) and deploy a new version.');
+  }
+
+  if (capabilities.jobBoards !== true) {
+    upToDate = false;
+    warnings.push('job-boards.js is missing from your Apps Script project, so the Board column says Other and the ATS column stays empty. ' +
+      'Add it as another script file (File > New > Script) and deploy a new version.');
+  }
+
+  const signing = capabilities.requestSigning || {};
+  if (context.hasSharedSecret && signing.supported !== true) {
+    upToDate = false;
+    warnings.push(`Your Apps Script deployment cannot check request signatures, so the shared secret does not protect it. ${ENDPOINT_UPGRADE_STEPS}`);
+  } else if (context.hasSharedSecret && signing.required !== true) {
+    warnings.push('A shared secret is set here but not in Apps Script, so unsigned requests are still accepted. ' +
+      'Save the same value as sharedSecret in setupConfiguration() and run it once.');
+  }
+
+  return { upToDate, version: capabilities.version, warnings };
+}
+
+// Export for use in Node.js testing environment (Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MIN_ENDPOINT_VERSION,
+    REQUIRED_ENDPOINT_OPERATIONS,
+    compareVersions,
+    checkEndpointCapabilities
+  };
+}
@@ -0,0 +1,747 @@
+/**
+ * Apps Script Emulator - Runs google-apps-script-endpoint.js in Node
+ *
+ * Loads the real script, after its project files job-schema-validator.js, role-rules.js and
+ * job-boards.js, into a vm context with in-memory stand-ins for the Apps Script services it uses (SpreadsheetApp,
+ * PropertiesService, CacheService, LockService, ScriptApp, Utilities, Session, ContentService), so doPost/doGet and helpers like getOrCreateHeaders, createRowData,
+ * inferRole and runDiagnostics can be tested end-to-end without a deployment. Installed triggers
+ * are only recorded; tests call their handler functions themselves.
+ *
+ * Sheets live in a local sheet store (local-sheet-store.js), so an emulator created with a
+ * file-backed store reads and writes the same CSV files as local-gas-endpoint.js.
+ * Like Sheets, cells written as M/d/yyyy text read back as Date objects, =HYPERLINK() cells
+ * read back as their label (getFormulas() returns the formula) and other values read back
+ * as text. Cells longer than 50,000 characters are refused, as Sheets does.
+ *
+ * Only the parts of each service the script calls are implemented - add to them when the
+ * script starts using more.
+ *
+ * Usage:
+ *   const gas = createGasEmulator();
+ *   const { status, body } = gas.post({ title: 'Engineer', company: 'Acme' });
+ *   gas.script.inferRole('Data Scientist'); // any function defined by the script
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createSheetStore } = require('./local-sheet-store');
+
+// Script files of the Apps Script project, run in order in one global scope like Apps Script does
+const SCRIPT_FILES = [
+  path.join(__dirname, 'job-schema-validator.js'),
+  path.join(__dirname, 'role-rules.js'),
+  path.join(__dirname, 'job-boards.js'),
+  path.join(__dirname, 'google-apps-script-endpoint.js')
+];
+
+const DEFAULT_PROPERTIES = {
+  SPREADSHEET_ID: 'test-spreadsheet-id',
+  PROJECT_ID: 'test-project-id'
+};
+
+// Script log entries kept in emulator.logs (older ones are dropped)
+const MAX_LOG_ENTRIES = 500;
+
+const APPLIED_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+// ============ DATES ============
+
+/**
+ * Get the calendar fields of a date in a time zone
+ * @param {Date} date - Date to read
+ * @param {string} timeZone - IANA time zone (e.g. "America/New_York")
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+/**
+ * Format a date like Utilities.formatDate (yyyy, MM, M, dd, d, HH, mm and ss patterns)
+ * @param {Date} date - Date to format (an invalid date throws, like Apps Script)
+ * @param {string} timeZone - IANA time zone
+ * @param {string} pattern - e.g. "M/d/yyyy" or "yyyy-MM-dd"
+ * @returns {string} Formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  const tokens = {
+    yyyy: String(parts.year),
+    MM: pad(parts.month),
+    M: String(parts.month),
+    dd: pad(parts.day),
+    d: String(parts.day),
+    HH: pad(parts.hour),
+    mm: pad(parts.minute),
+    ss: pad(parts.second)
+  };
+  return pattern.replace(/yyyy|MM|M|dd|d|HH|mm|ss/g, token => tokens[token]);
+}
+
+/**
+ * Get the time of midnight on a calendar day in a time zone
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Milliseconds since the epoch
+ */
+function getZonedMidnight(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const parts = getZonedParts(new Date(guess), timeZone);
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - guess;
+  return guess - offset;
+}
+
+// Longest text Sheets accepts in one cell
+const CELL_CHARACTER_LIMIT = 50000;
+
+// =HYPERLINK("url") or =HYPERLINK("url", "label") - the only formula the emulator evaluates
+const HYPERLINK_PATTERN = /^=HYPERLINK\(\s*"((?:[^"]|"")*)"\s*(?:[,;]\s*"((?:[^"]|"")*)"\s*)?\)$/i;
+
+// ============ SERVICES ============
+
+/**
+ * Create the SpreadsheetApp stand-in for one spreadsheet backed by a sheet store
+ * @param {Object} options - { spreadsheetId, store, timeZone, toScriptDate }
+ * @returns {Object} { SpreadsheetApp, spreadsheet }
+ */
+function createSpreadsheetService({ spreadsheetId, store, timeZone, toScriptDate }) {
+  const owner = { getEmail: () => 'owner@example.com' };
+  const sheetObjects = new Map();
+
+  // Store text → cell value (dates come back as Date objects and links as their label, like Sheets)
+  const readCell = (text) => {
+    const link = String(text).match(HYPERLINK_PATTERN);
+    if (link) return (link[2] === undefined ? link[1] : link[2]).replace(/""/g, '"');
+    const match = String(text).match(APPLIED_DATE_PATTERN);
+    if (!match) return text;
+    return toScriptDate(getZonedMidnight(Number(match[3]), Number(match[1]), Number(match[2]), timeZone));
+  };
+
+  // Cell value → store text
+  const writeCell = (value) => {
+    if (Object.prototype.toString.call(value) === '[object Date]') {
+      return formatDate(value, timeZone, 'M/d/yyyy');
+    }
+    const text = value === undefined || value === null ? '' : String(value);
+    if (text.length > CELL_CHARACTER_LIMIT) {
+      throw new Error(`Exception: Your input contains more than the maximum of ${CELL_CHARACTER_LIMIT} characters in a single cell.`);
+    }
+    return text;
+  };
+
+  const createSheet = (name) => {
+    const formats = new Map(); // "row,column" → { fontWeight, background, fontColor, numberFormat, dataValidation }
+    let conditionalFormatRules = [];
+    let frozenRows = 0;
+
+    const getGrid = () => store.getSheetValues(name) || [];
+
+    const writeCells = (row, column, values) => {
+      const texts = values.map(rowValues => rowValues.map(writeCell));
+      const grid = getGrid();
+      texts.forEach((rowValues, i) => {
+        while (grid.length < row + i) grid.push([]);
+        const target = grid[row + i - 1];
+        rowValues.forEach((text, j) => {
+          while (target.length < column + j - 1) target.push('');
+          target[column + j - 1] = text;
+        });
+      });
+      store.setSheetValues(name, grid);
+    };
+
+    // Sheets start with 1,000 rows and grow when written past the end
+    let maxRows = 1000;
+
+    const createRange = (row, column, numRows, numColumns) => {
+      if (row < 1 || column < 1) {
+        throw new Error('Exception: The starting row or column of the range is too small.');
+      }
+      if (numRows < 1 || numColumns < 1) {
+        throw new Error('Exception: The number of rows and columns in the range must be at least 1.');
+      }
+
+      const eachCell = (callback) => {
+        for (let i = 0; i < numRows; i++) {
+          for (let j = 0; j < numColumns; j++) callback(row + i, column + j);
+        }
+      };
+      const setFormat = (key, value) => {
+        eachCell((r, c) => formats.set(`${r},${c}`, { ...formats.get(`${r},${c}`), [key]: value }));
+        return range;
+      };
+      const getFormat = (key, fallback) => {
+        const format = formats.get(`${row},${column}`);
+        return format && format[key] !== undefined ? format[key] : fallback;
+      };
+
+      const range = {
+        getRow: () => row,
+        getColumn: () => column,
+        getNumRows: () => numRows,
+        getNumColumns: () => numColumns,
+        getValues() {
+          const grid = getGrid();
+          return Array.from({ length: numRows }, (_, i) => Array.from({ length: numColumns }, (_, j) => {
+            const cells = grid[row + i - 1] || [];
+            const text = cells[column + j - 1];
+            return text === undefined ? '' : readCell(text);
+          }));
+        },
+        getValue: () => range.getValues()[0][0],
+        getFormulas() {
+          const grid = getGrid();
+          return Array.from({ length: numRows }, (_, i) => Array.from({ length: numColumns }, (_, j) => {
+            const text = (grid[row + i - 1] || [])[column + j - 1];
+            return typeof text === 'string' && text.startsWith('=') ? text : '';
+          }));
+        },
+        setValues(values) {
+          if (values.length !== numRows) {
+            throw new Error(`Exception: The number of rows in the data does not match the number of rows in the range. The data has ${values.length} but the range has ${numRows}.`);
+          }
+          values.forEach(rowValues => {
+            if (rowValues.length !== numColumns) {
+              throw new Error(`Exception: The number of columns in the data does not match the number of columns in the range. The data has ${rowValues.length} but the range has ${numColumns}.`);
+            }
+          });
+          writeCells(row, column, values);
+          return range;
+        },
+        setValue(value) {
+          writeCells(row, column, Array.from({ length: numRows }, () => Array(numColumns).fill(value)));
+          return range;
+        },
+        setFontWeight: (fontWeight) => setFormat('fontWeight', fontWeight),
+        setBackground: (color) => setFormat('background', color),
+        setFontColor: (color) => setFormat('fontColor', color),
+        getFontWeight: () => getFormat('fontWeight', 'normal'),
+        getBackground: () => getFormat('background', '#ffffff'),
+        getFontColor: () => getFormat('fontColor', '#000000'),
+        setNumberFormat: (format) => setFormat('numberFormat', format),
+        getNumberFormat: () => getFormat('numberFormat', 'General'),
+        setDataValidation: (rule) => setFormat('dataValidation', rule || undefined),
+        getDataValidation: () => getFormat('dataValidation', null)
+      };
+      return range;
+    };
+
+    const sheet = {
+      getName: () => name,
+      getLastRow() {
+        const grid = getGrid();
+        for (let i = grid.length - 1; i >= 0; i--) {
+          if (grid[i].some(cell => cell !== '')) return i + 1;
+        }
+        return 0;
+      },
+      getLastColumn() {
+        return getGrid().reduce((last, cells) => {
+          for (let j = cells.length - 1; j >= last; j--) {
+            if (cells[j] !== '') return j + 1;
+          }
+          return last;
+        }, 0);
+      },
+      getRange: (row, column, numRows = 1, numColumns = 1) => createRange(row, column, numRows, numColumns),
+      getDataRange: () => createRange(1, 1, Math.max(sheet.getLastRow(), 1), Math.max(sheet.getLastColumn(), 1)),
+      getMaxRows() {
+        maxRows = Math.max(maxRows, getGrid().length);
+        return maxRows;
+      },
+      getConditionalFormatRules: () => conditionalFormatRules.slice(),
+      setConditionalFormatRules(rules) {
+        conditionalFormatRules = rules.slice();
+      },
+      clear() {
+        // Contents and formatting, like Sheet.clear()
+        store.setSheetValues(name, []);
+        formats.clear();
+        return sheet;
+      },
+      appendRow(values) {
+        writeCells(sheet.getLastRow() + 1, 1, [values]);
+        return sheet;
+      },
+      moveColumns(columnSpec, destinationIndex) {
+        // destinationIndex counts columns before the move, like Apps Script
+        const from = columnSpec.getColumn();
+        const count = columnSpec.getNumColumns();
+        const grid = getGrid();
+        const width = Math.max(sheet.getLastColumn(), from + count - 1, destinationIndex - 1);
+
+        const order = Array.from({ length: width }, (_, i) => i + 1);
+        const moved = order.splice(from - 1, count);
+        order.splice(destinationIndex > from ? destinationIndex - 1 - count : destinationIndex - 1, 0, ...moved);
+
+        store.setSheetValues(name, grid.map(cells => order.map(column => (cells[column - 1] === undefined ? '' : cells[column - 1]))));
+        const moves = new Map();
+        formats.forEach((format, key) => {
+          const [r, c] = key.split(',').map(Number);
+          moves.set(`${r},${order.indexOf(c) === -1 ? c : order.indexOf(c) + 1}`, format);
+        });
+        formats.clear();
+        moves.forEach((format, key) => formats.set(key, format));
+      },
+      setFrozenRows(rows) {
+        frozenRows = rows;
+      },
+      getFrozenRows: () => frozenRows,
+      autoResizeColumns: () => sheet
+    };
+    return sheet;
+  };
+
+  const getSheet = (name) => {
+    if (!store.listSheets().includes(name)) {
+      // Deleted from the store (e.g. DELETE /jobs) - forget its formatting too
+      sheetObjects.delete(name);
+      return null;
+    }
+    if (!sheetObjects.has(name)) sheetObjects.set(name, createSheet(name));
+    return sheetObjects.get(name);
+  };
+
+  const spreadsheet = {
+    getId: () => spreadsheetId,
+    getName: () => 'JobSprint (emulated)',
+    getUrl: () => `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
+    getOwner: () => owner,
+    getEditors: () => [owner],
+    getViewers: () => [],
+    getSheets: () => store.listSheets().map(getSheet),
+    getSheetByName: (name) => getSheet(String(name)),
+    insertSheet(name) {
+      if (getSheet(name)) {
+        throw new Error(`Exception: A sheet with the name "${name}" already exists. Please enter another name.`);
+      }
+      store.setSheetValues(name, []);
+      return getSheet(name);
+    }
+  };
+
+  const SpreadsheetApp = {
+    DataValidationCriteria: { VALUE_IN_LIST: 'VALUE_IN_LIST' },
+    BooleanCriteria: { CUSTOM_FORMULA: 'CUSTOM_FORMULA' },
+    newDataValidation() {
+      let criteria = null;
+      let allowInvalid = true;
+      const builder = {
+        requireValueInList(values, showDropdown = true) {
+          criteria = [SpreadsheetApp.DataValidationCriteria.VALUE_IN_LIST, [values.slice(), showDropdown]];
+          return builder;
+        },
+        setAllowInvalid(allow) {
+          allowInvalid = allow;
+          return builder;
+        },
+        build: () => ({
+          getCriteriaType: () => criteria[0],
+          getCriteriaValues: () => criteria[1].slice(),
+          getAllowInvalid: () => allowInvalid
+        })
+      };
+      return builder;
+    },
+    newConditionalFormatRule() {
+      let formula = null;
+      let background = null;
+      let ranges = [];
+      const builder = {
+        whenFormulaSatisfied(text) {
+          formula = text;
+          return builder;
+        },
+        setBackground(color) {
+          background = color;
+          return builder;
+        },
+        setRanges(list) {
+          ranges = list.slice();
+          return builder;
+        },
+        build: () => ({
+          getBooleanCondition: () => ({
+            getCriteriaType: () => SpreadsheetApp.BooleanCriteria.CUSTOM_FORMULA,
+            getCriteriaValues: () => [formula],
+            getBackground: () => background
+          }),
+          getRanges: () => ranges.slice()
+        })
+      };
+      return builder;
+    },
+    openById(id) {
+      if (id !== spreadsheetId) {
+        throw new Error('Exception: Unexpected error while getting the method or property openById on object SpreadsheetApp.');
+      }
+      return spreadsheet;
+    }
+  };
+
+  return { SpreadsheetApp, spreadsheet };
+}
+
+/**
+ * Create the PropertiesService stand-in
+ * @param {Object} initial - Initial script properties
+ * @returns {Object} { PropertiesService, scriptProperties }
+ */
+function createPropertiesService(initial) {
+  let values = { ...initial };
+
+  const scriptProperties = {
+    getProperty: (key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+    getProperties: () => ({ ...values }),
+    getKeys: () => Object.keys(values),
+    setProperty(key, value) {
+      values[key] = String(value);
+      return scriptProperties;
+    },
+    setProperties(properties, deleteAllOthers) {
+      if (deleteAllOthers) values = {};
+      Object.keys(properties).forEach(key => {
+        values[key] = String(properties[key]);
+      });
+      return scriptProperties;
+    },
+    deleteProperty(key) {
+      delete values[key];
+      return scriptProperties;
+    },
+    deleteAllProperties() {
+      values = {};
+      return scriptProperties;
+    }
+  };
+
+  return {
+    PropertiesService: { getScriptProperties: () => scriptProperties },
+    scriptProperties
+  };
+}
+
+/**
+ * Create the CacheService stand-in (entries expire after their TTL, default 10 minutes)
+ * @returns {Object} { CacheService, clear }
+ */
+function createCacheService() {
+  const entries = new Map(); // key → { value, expiresAt }
+
+  const cache = {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry.value;
+    },
+    put(key, value, expirationInSeconds = 600) {
+      entries.set(key, { value: String(value), expiresAt: Date.now() + expirationInSeconds * 1000 });
+    },
+    remove(key) {
+      entries.delete(key);
+    }
+  };
+
+  return {
+    CacheService: { getScriptCache: () => cache },
+    clear: () => entries.clear()
+  };
+}
+
+/**
+ * Create the LockService stand-in
+ * Scripts run one call at a time here, so the script lock is only ever taken by another
+ * execution when a test says so with hold(); tryLock() then gives up without waiting
+ * @returns {Object} { LockService, scriptLock } - scriptLock: { hold(), release(), isHeld(), attempts }
+ */
+function createLockService() {
+  let heldElsewhere = false;
+  let held = false;
+  const scriptLock = {
+    attempts: [], // timeoutInMillis of every tryLock() call
+    hold: () => { heldElsewhere = true; },
+    release: () => { heldElsewhere = false; },
+    isHeld: () => held || heldElsewhere
+  };
+
+  const lock = {
+    tryLock(timeoutInMillis) {
+      scriptLock.attempts.push(timeoutInMillis);
+      if (heldElsewhere) return false;
+      held = true;
+      return true;
+    },
+    waitLock(timeoutInMillis) {
+      if (!lock.tryLock(timeoutInMillis)) {
+        throw new Error('Lock timeout: another process was holding the lock for too long.');
+      }
+    },
+    hasLock: () => held,
+    releaseLock() {
+      held = false;
+    }
+  };
+
+  return {
+    LockService: { getScriptLock: () => lock },
+    scriptLock
+  };
+}
+
+/**
+ * Create the ScriptApp stand-in (installable triggers)
+ * Triggers are recorded with their schedule but never fire
+ * @returns {Object} { ScriptApp, triggers } - triggers: the installed triggers ({ handler, everyDays, atHour })
+ */
+function createScriptApp() {
+  const triggers = [];
+
+  const ScriptApp = {
+    getProjectTriggers: () => triggers.map(trigger => trigger.handle),
+    deleteTrigger(handle) {
+      const index = triggers.findIndex(trigger => trigger.handle === handle);
+      if (index !== -1) triggers.splice(index, 1);
+    },
+    newTrigger(handler) {
+      const trigger = { handler, everyDays: null, atHour: null };
+      trigger.handle = {
+        getHandlerFunction: () => handler,
+        getUniqueId: () => `trigger-${triggers.indexOf(trigger)}`
+      };
+      const clock = {
+        everyDays(days) {
+          trigger.everyDays = days;
+          return clock;
+        },
+        atHour(hour) {
+          trigger.atHour = hour;
+          return clock;
+        },
+        create() {
+          triggers.push(trigger);
+          return trigger.handle;
+        }
+      };
+      return { timeBased: () => clock };
+    }
+  };
+
+  return { ScriptApp, triggers };
+}
+
+/**
+ * Create the ContentService stand-in
+ * @returns {Object} ContentService
+ */
+function createContentService() {
+  return {
+    MimeType: { CSV: 'CSV', JAVASCRIPT: 'JAVASCRIPT', JSON: 'JSON', TEXT: 'TEXT' },
+    createTextOutput(content = '') {
+      let text = String(content);
+      let mimeType = 'TEXT';
+      const output = {
+        getContent: () => text,
+        setContent(value) {
+          text = String(value);
+          return output;
+        },
+        getMimeType: () => mimeType,
+        setMimeType(value) {
+          mimeType = value;
+          return output;
+        }
+      };
+      return output;
+    }
+  };
+}
+
+/**
+ * Create a console that keeps the script's log calls instead of printing them
+ * @param {Array<Object>} logs - Array that receives { level, args } entries
+ * @returns {Object} Console with log/info/warn/error
+ */
+function createRecordingConsole(logs) {
+  const record = (level) => (...args) => {
+    logs.push({ level, args });
+    if (logs.length > MAX_LOG_ENTRIES) logs.shift();
+  };
+  return { log: record('log'), info: record('info'), warn: record('warn'), error: record('error') };
+}
+
+// ============ EMULATOR ============
+
+/**
+ * Build a doPost/doGet event object
+ * @param {Object} parameter - Query parameters (repeated parameters use their first value)
+ * @param {string} contents - Raw request body (omit for GET)
+ * @returns {Object} Event like the one Apps Script passes to doPost/doGet
+ */
+function createEvent(parameter, contents) {
+  const parameters = {};
+  const single = {};
+  Object.keys(parameter).forEach(key => {
+    const values = [].concat(parameter[key]).map(String);
+    parameters[key] = values;
+    single[key] = values[0];
+  });
+
+  const event = {
+    parameter: single,
+    parameters,
+    queryString: new URLSearchParams(single).toString(),
+    contextPath: '',
+    contentLength: -1
+  };
+  if (contents !== undefined) {
+    event.contentLength = Buffer.byteLength(contents);
+    event.postData = { contents, length: event.contentLength, type: 'application/json', name: 'postData' };
+  }
+  return event;
+}
+
+/**
+ * Create an emulator running a fresh copy of google-apps-script-endpoint.js
+ * @param {Object} options - Optional settings:
+ *   properties: script properties (default SPREADSHEET_ID/PROJECT_ID test values, i.e.
+ *     setupConfiguration() has run; pass {} for a script that was never configured)
+ *   spreadsheetId: ID SpreadsheetApp.openById() accepts (default: the SPREADSHEET_ID property)
+ *   store: sheet store holding the sheets (default: a new in-memory store)
+ *   timeZone: script time zone (default: this machine's time zone)
+ *   console: console for the script's logs (default: kept in emulator.logs)
+ *   files: script files to run (default: job-schema-validator.js, role-rules.js, job-boards.js, then the endpoint)
+ * @returns {Object} { script, spreadsheet, store, properties, lock, triggers, logs, post, get, clearCache }
+ */
+function createGasEmulator(options = {}) {
+  const properties = options.properties || DEFAULT_PROPERTIES;
+  const spreadsheetId = options.spreadsheetId || properties.SPREADSHEET_ID || DEFAULT_PROPERTIES.SPREADSHEET_ID;
+  const store = options.store || createSheetStore();
+  const timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const logs = [];
+
+  // Dates must come from the script's own realm so `value instanceof Date` holds there
+  let ScriptDate = Date;
+  const { SpreadsheetApp, spreadsheet } = createSpreadsheetService({
+    spreadsheetId,
+    store,
+    timeZone,
+    toScriptDate: (time) => new ScriptDate(time)
+  });
+  const { PropertiesService, scriptProperties } = createPropertiesService(properties);
+  const { CacheService, clear: clearCache } = createCacheService();
+  const { LockService, scriptLock } = createLockService();
+  const { ScriptApp, triggers } = createScriptApp();
+  const user = (email) => ({ getEmail: () => email });
+
+  const script = vm.createContext({
+    console: options.console || createRecordingConsole(logs),
+    SpreadsheetApp,
+    PropertiesService,
+    CacheService,
+    LockService,
+    ScriptApp,
+    ContentService: createContentService(),
+    Session: {
+      getScriptTimeZone: () => timeZone,
+      getEffectiveUser: () => user('owner@example.com'),
+      // Web apps running as "Me" with "Anyone" access don't see who is calling
+      getActiveUser: () => user('')
+    },
+    Utilities: {
+      Charset: { US_ASCII: 'US_ASCII', UTF_8: 'UTF_8' },
+      getUuid: () => crypto.randomUUID(),
+      formatDate,
+      computeHmacSha256Signature(value, key) {
+        const bytes = crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+        // Apps Script returns Java bytes (-128 to 127)
+        return Array.from(bytes, byte => (byte > 127 ? byte - 256 : byte));
+      },
+      sleep: () => {}
+    }
+  });
+
+  (options.files || SCRIPT_FILES).forEach(file => {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), script, { filename: file });
+  });
+  ScriptDate = vm.runInContext('Date', script);
+
+  // The script passes a status code to createJsonResponse for documentation only (web apps
+  // always answer 200); remember it so callers can serve it like local-gas-endpoint.js does
+  const statusCodes = new WeakMap();
+  const createJsonResponse = script.createJsonResponse;
+  script.createJsonResponse = (data, statusCode) => {
+    const output = createJsonResponse(data, statusCode);
+    statusCodes.set(output, statusCode);
+    return output;
+  };
+
+  const toResponse = (output) => {
+    const text = output.getContent();
+    return { status: statusCodes.get(output) || 200, body: JSON.parse(text), text };
+  };
+
+  return {
+    script,
+    spreadsheet,
+    store,
+    properties: scriptProperties,
+    logs,
+
+    /**
+     * The script lock: lock.hold() makes it look taken by another execution until lock.release()
+     */
+    lock: scriptLock,
+
+    /**
+     * Installed triggers ({ handler, everyDays, atHour }), e.g. from setupFollowUpReminders()
+     */
+    triggers,
+
+    /**
+     * Call doPost
+     * @param {Object|Array|string} body - Request body (objects are sent as JSON)
+     * @param {Object} parameter - Query parameters (e.g. { ts, sig })
+     * @returns {Object} { status, body, text } - status is the code the script passed to createJsonResponse
+     */
+    post(body, parameter = {}) {
+      const contents = typeof body === 'string' ? body : JSON.stringify(body);
+      return toResponse(script.doPost(createEvent(parameter, contents)));
+    },
+
+    /**
+     * Call doGet
+     * @param {Object} parameter - Query parameters (e.g. { status, sheet })
+     * @returns {Object} { status, body, text }
+     */
+    get(parameter = {}) {
+      return toResponse(script.doGet(createEvent(parameter)));
+    },
+
+    /**
+     * Forget every CacheService entry (the clientRequestId ledger)
+     */
+    clearCache
+  };
+}
+
+module.exports = {
+  createGasEmulator,
+  formatDate
+};
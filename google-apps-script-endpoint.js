@@ -10,7 +10,9 @@
  * Only the Apps Script endpoint URL needs to be known by the extension.
  *
  * DEPLOYMENT INSTRUCTIONS:
- * 1. Copy this entire file into your Google Apps Script editor
+ * 1. Copy this entire file into your Google Apps Script editor, and add job-schema-validator.js,
+ *    role-rules.js and job-boards.js from the extension as three more script files
+ *    (File > New > Script, named job-schema-validator, role-rules and job-boards)
  * 2. Run setupConfiguration() function ONCE to store your spreadsheet and project IDs
  * 3. Deploy as Web App:
  *    - Execute as: Me
@@ -49,6 +51,7 @@
  * - location → Location column
  * - url → Portal Link column
  * - source → Board column
+ * - ats → ATS column
  * - role → Role column
  * - tailor → Tailor column
  * - description → Notes column
@@ -57,13 +60,225 @@
  * + any custom fields you add (e.g., "remote", "team_size", "tech_stack")
  *
  * The script automatically adds these system columns:
- * - Status (always "No response")
+ * - Status ("No response" for new rows)
  * - Applied (auto-filled with current date)
  * - Decision (empty for user to fill later)
  *
+ * RENAMED COLUMNS:
+ * Headers are matched ignoring case and extra whitespace, so "job  title" still receives
+ * the title. A column renamed to something else keeps working once its new name is an alias:
+ * a few are built in (DEFAULT_HEADER_ALIASES, e.g. "Company" for Employer) and your own are
+ * saved with setupHeaderAliases(). Fields that match no column still get a new column, and
+ * the response lists them in unmatchedFields so a rename without an alias doesn't go unnoticed.
+ *
+ * SCHEMA-DRIVEN COLUMNS:
+ * When a job carries the extension's schema, the sheet is laid out by it: one column per schema
+ * column, named with its label and in schema order, followed by Status/Applied/Decision and any
+ * other columns the sheet already has. Existing columns are found by field ID, previous label or
+ * alias, renamed and moved into place (moveColumns keeps their values). { operation: 'syncSchema',
+ * targetSheetName, schema } does the same without logging a job, right after the schema is
+ * saved in Settings. The schema is remembered per sheet (Script Property SHEET_SCHEMAS), so reads,
+ * status updates and jobs sent without a schema use its labels too. FIELD_LABEL_MAP only names
+ * the columns of sheets that never received a schema.
+ *
+ * SHEET FORMATTING:
+ * Status and Decision cells get dropdowns, and each row is colored by its Status. The stages,
+ * their colors and the decisions are configurable with setupStatusStages(); the stage names are
+ * reported by GET ?action=capabilities, so the extension's popup and tracker offer the same ones.
+ * Other values are
+ * still accepted and only flagged, so statuses sent by older extension versions keep working.
+ * The Portal Link is written as =HYPERLINK(url, job title). Reads, lookups and updates
+ * use the URL inside the formula. Values longer than the 50,000 character cell limit are
+ * cut short and end with a marker, so a very long Notes field can't fail the whole write.
+ *
+ * STATUS UPDATES:
+ * Send { operation: 'updateStatus', url | rowId, updates: { status, decision, ... } } to move
+ * an existing row through your pipeline. The row is found by its Portal Link (the most recent
+ * match wins) or by its sheet row number. Update keys are field IDs or system column names.
+ *
+ * READING JOBS BACK:
+ * doGet() lists rows as JSON keyed by the same field IDs, with status/company/date filters
+ * and limit/offset pagination (see doGet for the query parameters).
+ *
+ * BATCH LOGGING:
+ * POST an array of job objects (up to 100) to log them all with one setValues call.
+ * The response has one result per job, in request order: { index, success, row } or
+ * { index, success: false, error }. Each job is validated and de-duplicated on its own.
+ *
+ * SIGNED REQUESTS:
+ * Once a shared secret is stored (setupConfiguration()), doPost only accepts requests
+ * signed with it: ?ts=<milliseconds>&sig=<hex HMAC-SHA256 of "ts.body">. Unsigned,
+ * stale (more than 5 minutes off) and invalid signatures are rejected before the body
+ * is read. doGet checks the same signature over an empty body, so job lists, the summary
+ * and follow-ups can't be read by whoever learns the URL; only ?action=capabilities stays
+ * open. Without a secret, requests are accepted unsigned as before.
+ *
+ * SCHEMA VALIDATION:
+ * The extension sends its active schema with each job as `schema: { columns }` (the Schema
+ * Editor's columns or the logging target's). The job is then checked with the shared
+ * validateJobAgainstSchema() from job-schema-validator.js - required columns, url columns and
+ * select options - and rejected with { success: false, error, fieldErrors: { fieldId: message } }.
+ * Jobs without a schema are accepted as before.
+ *
+ * IDEMPOTENT REQUESTS:
+ * The extension attaches a stable clientRequestId to every job. Successful results are
+ * remembered in CacheService for 6 hours, so a retried request (e.g. after a slow first
+ * attempt timed out) returns the original result instead of appending a duplicate row.
+ *
+ * ROLE RULES:
+ * Empty Role (and Tailor) cells are filled from the job title with inferRoleFromRules() from
+ * role-rules.js. The Schema Editor's rules arrive with the schema as `schema.roleRules` and are
+ * saved in Script Properties (ROLE_RULES), so jobs sent without them use the same rules; until
+ * rules are sent, the DEFAULT_ROLE_RULES keywords apply.
+ *
+ * BOARD AND ATS:
+ * Empty Board and ATS cells are filled from the Portal Link with detectJobBoard() from
+ * job-boards.js: the Board is where the job was found (LinkedIn, Handshake, ... or "Website"
+ * for a company's careers page), the ATS is the system hosting the application (Greenhouse,
+ * Lever, Workday, Ashby, ...). The extension fills both before sending, with the user's own
+ * domain → board mappings applied.
+ *
+ * SUMMARY TAB:
+ * After every append and status update, a "Summary" tab is rebuilt from the job sheets
+ * (every tab with a Status column): applications per week, counts by Board and Role
+ * (inferred like empty Board/Role cells), the status funnel and the response rate.
+ * GET ?action=summary returns the same numbers as JSON (see summarizeSprint) for the popup.
+ * Edits made in the Summary tab are overwritten; build your own charts on another tab.
+ *
+ * FOLLOW-UP REMINDERS:
+ * Run setupFollowUpReminders() once to install a daily trigger for checkFollowUps(). It gives
+ * every job still at "No response" FOLLOW_UP_DAYS days (default 7) after its Applied date a
+ * "Follow up" column holding that due date, highlighted until the Status changes; the date is
+ * cleared again when a status update moves the job on. GET ?action=followUps lists the jobs
+ * that are due (see findFollowUps) so the popup can show them.
+ *
+ * CONCURRENCY:
+ * Two jobs logged quickly from different tabs arrive as separate executions. doPost holds the
+ * script lock (LockService) while it writes, so one can't create a sheet or extend its header
+ * row while another does the same. A request that can't get the lock within LOCK_WAIT_MS is
+ * answered { success: false, busy: true, retryAfterMs } without touching the spreadsheet; the
+ * extension waits that long and sends it again.
+ *
+ * VERSION HANDSHAKE:
+ * GET ?action=capabilities returns this script's version, the operations it supports and
+ * whether schema validation and request signing are available, plus the status stages to offer
+ * (see getEndpointCapabilities).
+ * The extension's Test Connection and Settings page use it to spot outdated deployments.
+ *
  * See GOOGLE_APPS_SCRIPT_SETUP.md for detailed instructions.
  */
 
+/**
+ * Version of this script, reported by GET ?action=capabilities
+ * Bump it whenever the request or response contract changes
+ */
+var ENDPOINT_VERSION = '1.9.0';
+
+/**
+ * Request fields that control how a job is logged - they never become sheet columns
+ */
+var RESERVED_REQUEST_FIELDS = ['timestamp', 'targetSheetName', 'clientRequestId', 'operation', 'schema'];
+
+/**
+ * Standard column mapping (field ID → display label), used until a sheet receives a schema
+ */
+var FIELD_LABEL_MAP = {
+  'company': 'Employer',
+  'title': 'Job Title',
+  'location': 'Location',
+  'url': 'Portal Link',
+  'source': 'Board',
+  'ats': 'ATS',
+  'role': 'Role',
+  'tailor': 'Tailor',
+  'description': 'Notes',
+  'compensation': 'Compensation',
+  'pay': 'Pay'
+};
+
+/**
+ * System columns added to every new sheet
+ */
+var SYSTEM_COLUMNS = ['Status', 'Applied', 'Decision'];
+
+/**
+ * Other header labels accepted for a field (field ID → labels), on top of the aliases
+ * saved with setupHeaderAliases(). Matching ignores case and whitespace.
+ */
+var DEFAULT_HEADER_ALIASES = {
+  'company': ['Company'],
+  'title': ['Title'],
+  'url': ['URL', 'Job Link'],
+  'source': ['Source'],
+  'description': ['Description'],
+  'applied': ['Date Applied']
+};
+
+/**
+ * Pipeline stages offered in the Status dropdown, with the row color for each
+ * (same stages as JOB_STATUS_OPTIONS in the extension; change them with setupStatusStages())
+ */
+var DEFAULT_STATUS_STAGES = [
+  { name: 'No response', color: '#f1f3f4' },
+  { name: 'Applied', color: '#e8f0fe' },
+  { name: 'Interviewing', color: '#fef7e0' },
+  { name: 'Offer', color: '#e6f4ea' },
+  { name: 'Rejected', color: '#fce8e6' },
+  { name: 'Withdrawn', color: '#efefef' }
+];
+
+/**
+ * Choices offered in the Decision dropdown
+ */
+var DEFAULT_DECISION_OPTIONS = ['Pending', 'Accepted', 'Declined'];
+
+/**
+ * Most characters Sheets accepts in one cell, and the marker that ends a cut-off value
+ */
+var CELL_CHARACTER_LIMIT = 50000;
+var TRUNCATION_MARKER = '… [truncated]';
+
+/**
+ * Tab rebuilt with the sprint statistics (never counted as a job sheet)
+ */
+var SUMMARY_SHEET_NAME = 'Summary';
+
+/**
+ * Statuses that mean the company hasn't answered - every other status counts as a response
+ */
+var NO_RESPONSE_STATUSES = ['No response', 'Applied', 'Withdrawn'];
+
+/**
+ * How long a clientRequestId is remembered for replay detection (CacheService maximum: 6 hours)
+ */
+var REQUEST_LEDGER_TTL_SECONDS = 21600;
+
+/**
+ * How far a signed request's timestamp may be from the server clock (5 minutes)
+ */
+var SIGNATURE_MAX_AGE_MS = 300000;
+
+/**
+ * Most jobs accepted in one batch request
+ */
+var BATCH_MAX_JOBS = 100;
+
+/**
+ * Follow-up reminders: days a job may stay at the status new rows start with before it is due,
+ * the hour (script time zone) the daily check runs and the color of a due date
+ */
+var DEFAULT_FOLLOW_UP_DAYS = 7;
+var FOLLOW_UP_STATUS = 'No response';
+var FOLLOW_UP_TRIGGER_HOUR = 9;
+var FOLLOW_UP_COLOR = '#fbbc04';
+
+/**
+ * Longest a request waits for another one to finish writing (10 seconds), and how long the
+ * extension is asked to wait before resending a request that gave up
+ */
+var LOCK_WAIT_MS = 10000;
+var BUSY_RETRY_AFTER_MS = 2000;
+
 /**
  * Setup function - run this FIRST to configure your spreadsheet and project IDs
  * This stores the configuration in Script Properties so you don't need to hardcode values
@@ -73,6 +288,7 @@
 function setupConfiguration() {
   var spreadsheetId = 'YOUR_SPREADSHEET_ID_HERE';  // ← REPLACE THIS
   var projectId = 'YOUR_PROJECT_ID_HERE';  // ← REPLACE THIS (your GCP project ID)
+  var sharedSecret = '';  // ← OPTIONAL: same value as "Shared Secret" in the extension settings
 
   // Validate inputs
   if (spreadsheetId === 'YOUR_SPREADSHEET_ID_HERE' || projectId === 'YOUR_PROJECT_ID_HERE') {
@@ -84,16 +300,23 @@ function setupConfiguration() {
   try {
     // Store in Script Properties
     var scriptProperties = PropertiesService.getScriptProperties();
-    scriptProperties.setProperties({
+    var properties = {
       'SPREADSHEET_ID': spreadsheetId,
       'PROJECT_ID': projectId
-    });
+    };
+    // An empty value keeps any secret saved earlier (delete SHARED_SECRET in
+    // Project Settings > Script Properties to stop requiring signatures)
+    if (sharedSecret) {
+      properties.SHARED_SECRET = sharedSecret;
+    }
+    scriptProperties.setProperties(properties);
 
     console.info('✅ Configuration saved successfully!');
     console.info({
       message: 'JobSprint: Configuration saved',
       spreadsheetId: spreadsheetId,
-      projectId: projectId
+      projectId: projectId,
+      requestSigning: !!scriptProperties.getProperty('SHARED_SECRET')
     });
 
     return {
@@ -108,6 +331,238 @@ function setupConfiguration() {
   }
 }
 
+/**
+ * Save your own header aliases - run this after renaming a column in the sheet
+ * Each entry maps a field ID (company, title, url, ..., status, applied, or a custom field
+ * like team_size) to the header names it may have. Running it again replaces the saved list;
+ * run it with no entries to remove them.
+ */
+function setupHeaderAliases() {
+  var aliases = {
+    // 'company': ['Company Name', 'Org'],  ← EXAMPLES: uncomment and edit
+    // 'url': ['Posting']
+  };
+
+  var error = getHeaderAliasesError(aliases);
+  if (error) {
+    console.error('❌ ERROR: ' + error);
+    return { success: false, error: error };
+  }
+
+  PropertiesService.getScriptProperties().setProperty('HEADER_ALIASES', JSON.stringify(aliases));
+  console.info({
+    message: 'JobSprint: Header aliases saved',
+    aliases: aliases
+  });
+
+  return { success: true, message: 'Header aliases saved.', aliases: aliases };
+}
+
+/**
+ * Check a header alias list before it is saved
+ * @param {Object} aliases - { fieldId: [labels] }
+ * @returns {string|null} Error message, or null if the list is valid
+ */
+function getHeaderAliasesError(aliases) {
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    return 'Header aliases must be an object of field ID → list of header names';
+  }
+
+  var claimed = buildHeaderAliasIndex({});
+  for (var fieldId in aliases) {
+    if (!aliases.hasOwnProperty(fieldId)) continue;
+    var labels = aliases[fieldId];
+    if (!Array.isArray(labels)) {
+      return 'Header aliases for ' + fieldId + ' must be a list of header names';
+    }
+    for (var i = 0; i < labels.length; i++) {
+      var key = normalizeHeaderLabel(labels[i]);
+      if (typeof labels[i] !== 'string' || key === '') {
+        return 'Header aliases for ' + fieldId + ' must be non-empty strings';
+      }
+      // A built-in column name can't be handed to another field
+      if (claimed.hasOwnProperty(key) && claimed[key] !== fieldId) {
+        return '"' + labels[i] + '" already names the ' + claimed[key] + ' column';
+      }
+      claimed[key] = fieldId;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Save your own pipeline stages and decisions - run this after editing the lists below
+ * Stages are offered in the Status dropdown and color the whole row; decisions are offered
+ * in the Decision dropdown. Every sheet with a Status or Decision column is updated right
+ * away. New rows still start as "No response", so keep a stage with that name.
+ */
+function setupStatusStages() {
+  var stages = DEFAULT_STATUS_STAGES;
+  // var stages = [  ← EXAMPLE: uncomment and edit (colors are #rrggbb)
+  //   { name: 'No response', color: '#f1f3f4' },
+  //   { name: 'Phone screen', color: '#fff4e5' },
+  //   { name: 'Onsite', color: '#fef7e0' },
+  //   { name: 'Offer', color: '#e6f4ea' },
+  //   { name: 'Rejected', color: '#fce8e6' }
+  // ];
+  var decisions = DEFAULT_DECISION_OPTIONS;
+
+  var error = getStatusStagesError(stages, decisions);
+  if (error) {
+    console.error('❌ ERROR: ' + error);
+    return { success: false, error: error };
+  }
+
+  PropertiesService.getScriptProperties().setProperty('STATUS_STAGES', JSON.stringify({
+    stages: stages,
+    decisions: decisions
+  }));
+
+  // Existing sheets get the new dropdowns and colors too
+  var formatted = [];
+  var config = getConfiguration();
+  if (config) {
+    SpreadsheetApp.openById(config.spreadsheetId).getSheets().forEach(function(sheet) {
+      if (sheet.getLastColumn() === 0) return;
+      var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      var aliasIndex = getSheetLayout(sheet.getName(), null).aliasIndex;
+      var hasDropdowns = formatJobRows(sheet, headers, aliasIndex, 2, sheet.getLastRow() - 1);
+      var hasColors = applyStatusColors(sheet, headers, aliasIndex);
+      if (hasDropdowns || hasColors) {
+        formatted.push(sheet.getName());
+      }
+    });
+  }
+
+  console.info({
+    message: 'JobSprint: Status stages saved',
+    stages: stages,
+    decisions: decisions,
+    formattedSheets: formatted
+  });
+
+  return { success: true, message: 'Status stages saved.', stages: stages, decisions: decisions, formattedSheets: formatted };
+}
+
+/**
+ * Turn on follow-up reminders - run this once, and again after changing `days` below
+ * Saves the number of days under Script Properties (FOLLOW_UP_DAYS), replaces any daily
+ * checkFollowUps() trigger installed earlier and flags the jobs that are already due.
+ * Run removeFollowUpReminders() to turn the daily check off.
+ */
+function setupFollowUpReminders() {
+  var days = DEFAULT_FOLLOW_UP_DAYS;  // ← EDIT: days without an answer before a job is due for a follow-up
+
+  if (typeof days !== 'number' || days < 1 || Math.floor(days) !== days) {
+    console.error('❌ ERROR: days must be a whole number of at least 1');
+    return { success: false, error: 'days must be a whole number of at least 1' };
+  }
+
+  PropertiesService.getScriptProperties().setProperty('FOLLOW_UP_DAYS', String(days));
+  removeFollowUpReminders();
+  ScriptApp.newTrigger('checkFollowUps')
+    .timeBased()
+    .everyDays(1)
+    .atHour(FOLLOW_UP_TRIGGER_HOUR)
+    .create();
+
+  var result = checkFollowUps();
+  console.info({
+    message: 'JobSprint: Follow-up reminders installed',
+    days: days,
+    flagged: result.flagged
+  });
+
+  return {
+    success: result.success,
+    message: 'Follow-up reminders on: jobs at "' + FOLLOW_UP_STATUS + '" for ' + days + ' days are flagged every day.',
+    days: days,
+    flagged: result.flagged,
+    error: result.error
+  };
+}
+
+/**
+ * Turn off follow-up reminders: delete the daily checkFollowUps() trigger
+ * Due dates already in the sheet stay; delete the Follow up column to remove them
+ * @returns {number} Number of triggers deleted
+ */
+function removeFollowUpReminders() {
+  var removed = 0;
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === 'checkFollowUps') {
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Get the number of days saved by setupFollowUpReminders(), or the default
+ * @returns {number} Days a job may wait for an answer before it is due for a follow-up
+ */
+function getFollowUpDays() {
+  var saved = Number(PropertiesService.getScriptProperties().getProperty('FOLLOW_UP_DAYS'));
+  return saved >= 1 ? Math.floor(saved) : DEFAULT_FOLLOW_UP_DAYS;
+}
+
+/**
+ * Check stage and decision lists before they are saved
+ * @param {Array<Object>} stages - [{ name, color }]
+ * @param {Array<string>} decisions - Decision choices
+ * @returns {string|null} Error message, or null if the lists are valid
+ */
+function getStatusStagesError(stages, decisions) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return 'Status stages must be a non-empty list of { name, color }';
+  }
+
+  var names = [];
+  for (var i = 0; i < stages.length; i++) {
+    var stage = stages[i];
+    if (!stage || typeof stage.name !== 'string' || stage.name.trim() === '') {
+      return 'Every status stage needs a name';
+    }
+    if (names.indexOf(stage.name) !== -1) {
+      return 'Status stage "' + stage.name + '" is listed twice';
+    }
+    if (stage.color !== undefined && !/^#[0-9a-f]{6}$/i.test(stage.color)) {
+      return 'Status stage "' + stage.name + '" needs a color like #e6f4ea';
+    }
+    names.push(stage.name);
+  }
+
+  if (!Array.isArray(decisions) || decisions.some(function(decision) {
+    return typeof decision !== 'string' || decision.trim() === '';
+  })) {
+    return 'Decisions must be a list of non-empty names';
+  }
+
+  return null;
+}
+
+/**
+ * Get the stages and decisions saved by setupStatusStages(), or the defaults
+ * @returns {Object} { stages: [{ name, color }], decisions: [string] }
+ */
+function getStatusStages() {
+  var saved = PropertiesService.getScriptProperties().getProperty('STATUS_STAGES');
+  if (saved) {
+    try {
+      var parsed = JSON.parse(saved);
+      if (!getStatusStagesError(parsed.stages, parsed.decisions)) {
+        return parsed;
+      }
+    } catch (error) {
+      // Fall through to the defaults below
+    }
+    console.warn('⚠️ STATUS_STAGES in Script Properties is not valid - run setupStatusStages() again.');
+  }
+  return { stages: DEFAULT_STATUS_STAGES, decisions: DEFAULT_DECISION_OPTIONS };
+}
+
 /**
  * Get configuration from Script Properties
  * Returns stored spreadsheet and project IDs
@@ -128,6 +583,15 @@ function getConfiguration() {
   };
 }
 
+/**
+ * Get the shared secret used to verify request signatures
+ * Kept out of getConfiguration() so it never ends up in logged configuration
+ * @returns {string} Secret, or '' if requests don't need to be signed
+ */
+function getSharedSecret() {
+  return PropertiesService.getScriptProperties().getProperty('SHARED_SECRET') || '';
+}
+
 /**
  * Main entry point for HTTP POST requests from the extension
  * @param {Object} e - Event object containing request parameters
@@ -136,6 +600,7 @@ function getConfiguration() {
 function doPost(e) {
   var requestId = Utilities.getUuid();
   var startTime = new Date();
+  var lock = null;
 
   try {
     // Log incoming request
@@ -145,12 +610,28 @@ function doPost(e) {
       timestamp: startTime.toISOString()
     });
 
+    // Reject unsigned or forged requests before the body is even parsed
+    var signature = verifyRequestSignature(e, getSharedSecret(), startTime.getTime());
+    if (!signature.valid) {
+      console.warn({
+        message: 'JobSprint: Request signature rejected',
+        requestId: requestId,
+        error: signature.error
+      });
+
+      return createJsonResponse({
+        success: false,
+        error: signature.error
+      }, 401);
+    }
+
     // Parse the JSON request body
     var requestData = JSON.parse(e.postData.contents);
 
     console.log({
       message: 'JobSprint: Request parsed',
       requestId: requestId,
+      batchSize: Array.isArray(requestData) ? requestData.length : null,
       hasTitle: !!requestData.title,
       hasCompany: !!requestData.company,
       hasLocation: !!requestData.location
@@ -171,6 +652,41 @@ function doPost(e) {
       }, 500);
     }
 
+    // Writes happen one request at a time (see CONCURRENCY above)
+    lock = LockService.getScriptLock();
+    if (!lock.tryLock(LOCK_WAIT_MS)) {
+      lock = null;
+      console.warn({
+        message: 'JobSprint: Spreadsheet busy, asking the extension to retry',
+        requestId: requestId,
+        waitedMs: new Date() - startTime
+      });
+
+      return createJsonResponse({
+        success: false,
+        busy: true,
+        retryAfterMs: BUSY_RETRY_AFTER_MS,
+        error: 'The spreadsheet is busy with another request. Please try again in a moment.'
+      }, 503);
+    }
+
+    // An array of jobs is a batch: one setValues call, one result per job
+    if (Array.isArray(requestData)) {
+      return handleBatchLog(requestData, config, requestId);
+    }
+
+    // Status updates edit an existing row instead of appending one
+    if (requestData && requestData.operation === 'updateStatus') {
+      return handleStatusUpdate(requestData, config, requestId);
+    } else if (requestData && requestData.operation === 'syncSchema') {
+      return handleSchemaSync(requestData, config, requestId);
+    } else if (requestData && requestData.operation) {
+      return createJsonResponse({
+        success: false,
+        error: 'Unknown operation: ' + requestData.operation
+      }, 400);
+    }
+
     // Validate the incoming data (just checks it's a valid object with job fields)
     var validation = validateJobData(requestData);
     if (!validation.valid) {
@@ -181,10 +697,25 @@ function doPost(e) {
         receivedFields: Object.keys(requestData)
       });
 
-      return createJsonResponse({
-        success: false,
-        error: validation.error
-      }, 400);
+      var failure = { success: false, error: validation.error };
+      if (validation.fieldErrors) {
+        failure.fieldErrors = validation.fieldErrors;
+      }
+      return createJsonResponse(failure, 400);
+    }
+
+    // A replayed clientRequestId (extension retry after a slow first attempt) gets the
+    // original result back instead of appending a duplicate row
+    var previousResult = getLedgerResult(requestData.clientRequestId);
+    if (previousResult) {
+      console.info({
+        message: 'JobSprint: Replayed request, returning original result',
+        requestId: requestId,
+        clientRequestId: requestData.clientRequestId
+      });
+
+      previousResult.replayed = true;
+      return createJsonResponse(previousResult, 200);
     }
 
     // Log the job data to the spreadsheet using server-side configuration
@@ -200,10 +731,16 @@ function doPost(e) {
         durationMs: duration
       });
 
-      return createJsonResponse({
+      var responseData = {
         success: true,
         timestamp: requestData.timestamp
-      }, 200);
+      };
+      if (result.unmatchedFields.length > 0) {
+        responseData.unmatchedFields = result.unmatchedFields;
+      }
+      recordLedgerResult(requestData.clientRequestId, responseData);
+
+      return createJsonResponse(responseData, 200);
     } else {
       console.error({
         message: 'JobSprint: Failed to log job',
@@ -231,376 +768,1974 @@ function doPost(e) {
       success: false,
       error: 'Internal server error: ' + error.toString()
     }, 500);
+  } finally {
+    if (lock) {
+      lock.releaseLock();
+    }
   }
 }
 
 /**
- * Validates job data according to the API contract
- * For MVP: Accept any valid object with job fields (all optional)
- * Configuration fields are NOT accepted in requests - they're stored server-side
- * @param {Object} data - Job data to validate
- * @returns {Object} { valid: boolean, error?: string }
+ * Main entry point for HTTP GET requests - lists logged jobs as JSON
+ * Rows are keyed by the same field IDs the extension sends (company, title, url, ...),
+ * plus status/applied/decision and the sheet row number
+ *
+ * Query parameters (all optional):
+ * - sheet: sheet name (default "Job Applications")
+ * - status: exact Status match (case-insensitive)
+ * - company: Employer contains this text (case-insensitive)
+ * - from, to: Applied date range, inclusive (YYYY-MM-DD or any date string)
+ * - limit: page size (default 100, max 500)
+ * - offset: number of matching rows to skip (default 0)
+ *
+ * With action=capabilities, returns getEndpointCapabilities() instead of jobs; with
+ * action=summary the sprint statistics and with action=followUps the jobs due for a follow-up.
+ * Everything but capabilities needs ts/sig once a shared secret is set (see SIGNED REQUESTS).
+ *
+ * @param {Object} e - Event object containing query parameters
+ * @returns {ContentService.TextOutput} JSON response { success, count, total, offset, limit, jobs }
  */
-function validateJobData(data) {
-  // Check if data is an object
-  if (!data || typeof data !== 'object') {
-    return { valid: false, error: 'Invalid job data: data must be an object' };
-  }
+function doGet(e) {
+  var requestId = Utilities.getUuid();
+  var params = (e && e.parameter) || {};
 
-  // For security: Reject requests that try to send configuration fields
-  // Configuration should only be set server-side via setupConfiguration()
-  if ('spreadsheetId' in data || 'projectId' in data) {
-    return {
-      valid: false,
-      error: 'Invalid request: configuration fields should not be sent in requests. Use setupConfiguration() to configure the server.'
-    };
-  }
+  try {
+    // Answered before the configuration check so setup problems can be reported alongside it
+    if (params.action === 'capabilities') {
+      return createJsonResponse(getEndpointCapabilities(), 200);
+    } else if (params.action && params.action !== 'summary' && params.action !== 'followUps') {
+      return createJsonResponse({ success: false, error: 'Unknown action: ' + params.action }, 400);
+    }
 
-  // For MVP: All job data fields are optional - we'll log whatever we have
-  // This allows us to capture partial data from pages with incomplete extraction
+    // The sheet's contents are as private as the jobs written to it
+    var signature = verifyRequestSignature(e, getSharedSecret(), new Date().getTime());
+    if (!signature.valid) {
+      console.warn({
+        message: 'JobSprint: Request signature rejected',
+        requestId: requestId,
+        error: signature.error
+      });
 
-  return { valid: true };
-}
+      return createJsonResponse({
+        success: false,
+        error: signature.error
+      }, 401);
+    }
 
-/**
- * Get or create headers dynamically based on job data
- * Handles flexible schema - preserves existing headers and adds new ones as needed
- * @param {Sheet} sheet - Google Sheet object
- * @param {Object} jobData - Job data being logged
- * @param {boolean} isNewSheet - Whether this is a newly created sheet
- * @returns {Array<string>} Array of header names
- */
-function getOrCreateHeaders(sheet, jobData, isNewSheet) {
-  // Define standard column mapping (field ID → display label)
-  var fieldLabelMap = {
-    'company': 'Employer',
-    'title': 'Job Title',
-    'location': 'Location',
-    'url': 'Portal Link',
-    'source': 'Board',
-    'role': 'Role',
-    'tailor': 'Tailor',
-    'description': 'Notes',
-    'compensation': 'Compensation',
-    'pay': 'Pay'
-  };
+    var config = getConfiguration();
+    if (!config) {
+      return createJsonResponse({
+        success: false,
+        error: 'Server configuration not set up. Please run setupConfiguration() in the Apps Script editor.'
+      }, 500);
+    }
+
+    if (params.action === 'summary') {
+      return createJsonResponse({
+        success: true,
+        summary: summarizeSprint(readAllJobs(SpreadsheetApp.openById(config.spreadsheetId)))
+      }, 200);
+    } else if (params.action === 'followUps') {
+      var days = getFollowUpDays();
+      var today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+      var followUps = findFollowUps(SpreadsheetApp.openById(config.spreadsheetId), days, today);
+      return createJsonResponse({
+        success: true,
+        days: days,
+        count: followUps.length,
+        followUps: followUps
+      }, 200);
+    }
 
-  // System columns that are always added
-  var systemColumns = ['Status', 'Applied', 'Decision'];
+    var query = parseListQuery(params);
+    if (query.error) {
+      return createJsonResponse({ success: false, error: query.error }, 400);
+    }
 
-  if (isNewSheet) {
-    // New sheet: create default headers based on standard fields + any custom fields
-    var headers = [];
+    var sheetName = params.sheet || 'Job Applications';
+    var sheet = SpreadsheetApp.openById(config.spreadsheetId).getSheetByName(sheetName);
+    var jobs = sheet ? readJobsFromSheet(sheet) : [];
+    var matching = filterJobs(jobs, query, 'applied');
+    var page = matching.slice(query.offset, query.offset + query.limit);
 
-    // Add standard columns that exist in jobData
-    for (var fieldId in fieldLabelMap) {
-      if (jobData.hasOwnProperty(fieldId) || fieldId === 'company' || fieldId === 'title') {
-        // Always include company and title, even if empty
-        headers.push(fieldLabelMap[fieldId]);
-      }
+    console.info({
+      message: 'JobSprint: Listed jobs',
+      requestId: requestId,
+      sheetName: sheetName,
+      total: matching.length,
+      returned: page.length
+    });
+
+    return createJsonResponse({
+      success: true,
+      count: page.length,
+      total: matching.length,
+      offset: query.offset,
+      limit: query.limit,
+      jobs: page
+    }, 200);
+
+  } catch (error) {
+    console.error({
+      message: 'JobSprint: Uncaught error in doGet',
+      requestId: requestId,
+      error: error.toString()
+    });
+
+    return createJsonResponse({
+      success: false,
+      error: 'Internal server error: ' + error.toString()
+    }, 500);
+  }
+}
+
+/**
+ * Describe this deployment for the extension's version handshake
+ * Nothing secret is returned: only whether a shared secret is set, not its value
+ * @returns {Object} { success, version, operations, schemaValidation, roleRules, jobBoards, requestSigning,
+ *   idempotentRequests, maxBatchSize, configured }
+ */
+function getEndpointCapabilities() {
+  return {
+    success: true,
+    version: ENDPOINT_VERSION,
+    operations: ['logJob', 'logBatch', 'updateStatus', 'listJobs', 'syncSchema', 'summary', 'followUps'],
+    // job-schema-validator.js is a separate script file that may not have been added
+    schemaValidation: typeof validateJobAgainstSchema === 'function',
+    // So is role-rules.js - without it Role cells are left empty
+    roleRules: typeof inferRoleFromRules === 'function',
+    // And job-boards.js - without it Board cells say Other and ATS cells stay empty
+    jobBoards: typeof detectJobBoard === 'function',
+    requestSigning: { supported: true, required: !!getSharedSecret() },
+    // Stage names saved with setupStatusStages(), for the extension's status dropdowns
+    statusStages: getStatusStages().stages.map(function(stage) {
+      return stage.name;
+    }),
+    idempotentRequests: true,
+    maxBatchSize: BATCH_MAX_JOBS,
+    configured: !!getConfiguration()
+  };
+}
+
+/**
+ * Parse and validate list query parameters
+ * @param {Object} params - Raw query parameters
+ * @returns {Object} { status, company, from, to, limit, offset } or { error }
+ */
+function parseListQuery(params) {
+  var query = {
+    status: params.status ? String(params.status).toLowerCase() : null,
+    company: params.company ? String(params.company).toLowerCase() : null,
+    from: null,
+    to: null,
+    limit: 100,
+    offset: 0
+  };
+
+  if (params.limit !== undefined && params.limit !== '') {
+    query.limit = Number(params.limit);
+    if (!(query.limit >= 1 && query.limit <= 500 && query.limit % 1 === 0)) {
+      return { error: 'Invalid query: limit must be an integer between 1 and 500' };
+    }
+  }
+
+  if (params.offset !== undefined && params.offset !== '') {
+    query.offset = Number(params.offset);
+    if (!(query.offset >= 0 && query.offset % 1 === 0)) {
+      return { error: 'Invalid query: offset must be a non-negative integer' };
+    }
+  }
+
+  if (params.from) {
+    query.from = parseDateBound(params.from, false);
+    if (query.from === null) return { error: 'Invalid query: from must be a date' };
+  }
+
+  if (params.to) {
+    query.to = parseDateBound(params.to, true);
+    if (query.to === null) return { error: 'Invalid query: to must be a date' };
+  }
+
+  return query;
+}
+
+/**
+ * Parse a date range bound; a bare date (YYYY-MM-DD) covers that whole day
+ * @param {string} value - Date string
+ * @param {boolean} endOfDay - Whether this is the upper bound
+ * @returns {number|null} Timestamp in milliseconds, or null if unparseable
+ */
+function parseDateBound(value, endOfDay) {
+  var isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  // Date-only strings are read as local dates so they line up with the Applied column
+  var date = isDateOnly ? new Date(value + 'T00:00:00') : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  if (isDateOnly && endOfDay) {
+    date.setDate(date.getDate() + 1);
+    return date.getTime() - 1;
+  }
+  return date.getTime();
+}
+
+/**
+ * Apply status/company/date filters to jobs
+ * @param {Array<Object>} jobs - Jobs keyed by field ID
+ * @param {Object} query - Parsed query from parseListQuery()
+ * @param {string} dateField - Field holding the job's date ('applied' in the sheet)
+ * @returns {Array<Object>} Matching jobs, in their original order
+ */
+function filterJobs(jobs, query, dateField) {
+  return jobs.filter(function(job) {
+    if (query.status && String(job.status || '').toLowerCase() !== query.status) {
+      return false;
+    }
+    if (query.company && String(job.company || '').toLowerCase().indexOf(query.company) === -1) {
+      return false;
+    }
+    if (query.from !== null || query.to !== null) {
+      var time = job[dateField] ? parseDateBound(String(job[dateField]), false) : null;
+      if (time === null) return false;
+      if (query.from !== null && time < query.from) return false;
+      if (query.to !== null && time > query.to) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Normalize a header label for matching: case-insensitive, whitespace and underscores collapsed
+ * @param {*} label - Header label
+ * @returns {string} Normalized label (e.g. " Job  Title" → "job title")
+ */
+function normalizeHeaderLabel(label) {
+  return String(label).replace(/[\s_]+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Build the lookup of every header label known to belong to a field
+ * Schema labels come first, then the standard labels, the given aliases and DEFAULT_HEADER_ALIASES
+ * @param {Object} aliases - Extra aliases ({ fieldId: [labels] }, e.g. from setupHeaderAliases())
+ * @param {Array<Object>} schemas - Schemas whose labels name their columns, most recent first
+ *   (e.g. the schema sent with a request, then the one saved for the sheet); null entries are skipped
+ * @returns {Object} Normalized label → field ID
+ */
+function buildHeaderAliasIndex(aliases, schemas) {
+  var index = {};
+  var add = function(label, fieldId) {
+    var key = normalizeHeaderLabel(label);
+    if (!index.hasOwnProperty(key)) {
+      index[key] = fieldId;
+    }
+  };
+
+  (schemas || []).forEach(function(schema) {
+    if (schema) {
+      schema.columns.forEach(function(column) {
+        add(column.label, column.id);
+      });
+    }
+  });
+  for (var fieldId in FIELD_LABEL_MAP) {
+    add(FIELD_LABEL_MAP[fieldId], fieldId);
+  }
+  SYSTEM_COLUMNS.forEach(function(label) {
+    add(label, label.toLowerCase());
+  });
+
+  [aliases || {}, DEFAULT_HEADER_ALIASES].forEach(function(list) {
+    for (var id in list) {
+      if (list.hasOwnProperty(id) && Array.isArray(list[id])) {
+        list[id].forEach(function(label) {
+          add(label, id);
+        });
+      }
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Build the header lookup with the aliases saved by setupHeaderAliases()
+ * @param {Array<Object>} schemas - Schemas whose labels name their columns, most recent first (optional)
+ * @returns {Object} Normalized label → field ID
+ */
+function getHeaderAliasIndex(schemas) {
+  var saved = PropertiesService.getScriptProperties().getProperty('HEADER_ALIASES');
+  var aliases = {};
+  if (saved) {
+    try {
+      aliases = JSON.parse(saved);
+    } catch (error) {
+      console.warn('⚠️ HEADER_ALIASES in Script Properties is not valid JSON - run setupHeaderAliases() again.');
+    }
+  }
+  return buildHeaderAliasIndex(aliases, schemas);
+}
+
+/**
+ * Read the schemas saved per sheet (see SCHEMA-DRIVEN COLUMNS above)
+ * @returns {Object} Sheet name → { columns: [{ id, label }] }
+ */
+function getSheetSchemas() {
+  var saved = PropertiesService.getScriptProperties().getProperty('SHEET_SCHEMAS');
+  if (!saved) {
+    return {};
+  }
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    console.warn('⚠️ SHEET_SCHEMAS in Script Properties is not valid JSON - it is replaced the next time a schema is sent.');
+    return {};
+  }
+}
+
+/**
+ * Work out how a sheet is laid out: by the schema sent with the request (saved for the sheet
+ * when it changed), else by the schema saved earlier, else by FIELD_LABEL_MAP (schema null)
+ * @param {string} sheetName - Sheet name
+ * @param {Object} sentSchema - Schema from the request (already validated), or null
+ * @returns {Object} { schema: { columns: [{ id, label }] }|null, aliasIndex } - the alias index also
+ *   knows the previously saved labels, so columns named after them are found and renamed
+ */
+function getSheetLayout(sheetName, sentSchema) {
+  var schemas = getSheetSchemas();
+  var saved = schemas.hasOwnProperty(sheetName) ? schemas[sheetName] : null;
+  var schema = saved;
+
+  if (sentSchema) {
+    schema = {
+      columns: normalizeJobSchema(sentSchema).columns.map(function(column) {
+        return { id: column.id, label: column.label };
+      })
+    };
+    if (JSON.stringify(schema) !== JSON.stringify(saved)) {
+      schemas[sheetName] = schema;
+      PropertiesService.getScriptProperties().setProperty('SHEET_SCHEMAS', JSON.stringify(schemas));
+    }
+  }
+
+  return { schema: schema, aliasIndex: getHeaderAliasIndex([schema, saved]) };
+}
+
+/**
+ * Get the role rules for filling Role cells: the rules sent with the schema (saved when they
+ * changed), else the rules saved earlier, else DEFAULT_ROLE_RULES (see ROLE RULES above)
+ * Invalid rules are ignored here - handleSchemaSync() reports them
+ * @param {Object} sentSchema - Schema from the request, or null
+ * @returns {Array<Object>|null} Normalized rules, or null if role-rules.js is missing
+ */
+function getRoleRules(sentSchema) {
+  // role-rules.js is a separate script file that may not have been added
+  if (typeof normalizeRoleRules !== 'function') {
+    return null;
+  }
+
+  var properties = PropertiesService.getScriptProperties();
+  var saved = properties.getProperty('ROLE_RULES');
+  var sent = sentSchema && sentSchema.roleRules !== undefined ? normalizeRoleRules(sentSchema.roleRules) : null;
+  if (sent) {
+    if (JSON.stringify(sent) !== saved) {
+      properties.setProperty('ROLE_RULES', JSON.stringify(sent));
+    }
+    return sent;
+  }
+
+  if (saved) {
+    try {
+      var rules = normalizeRoleRules(JSON.parse(saved));
+      if (rules) {
+        return rules;
+      }
+    } catch (error) {
+      // Fall through to the defaults below
+    }
+    console.warn('⚠️ ROLE_RULES in Script Properties is not valid - it is replaced the next time role rules are sent.');
+  }
+  return DEFAULT_ROLE_RULES;
+}
+
+/**
+ * Get the field ID for a sheet column label (inverse of getColumnLabel)
+ * @param {string} label - Column label (e.g. "Portal Link", "job title", "Team size")
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex() (read from Script Properties if omitted)
+ * @returns {string} Field ID (e.g. "url", "title", "team_size")
+ */
+function getFieldId(label, aliasIndex) {
+  var index = aliasIndex || getHeaderAliasIndex();
+  var key = normalizeHeaderLabel(label);
+  if (index.hasOwnProperty(key)) {
+    return index[key];
+  }
+  return key.replace(/ /g, '_');
+}
+
+/**
+ * Find the column holding a field, tolerating renamed headers (see RENAMED COLUMNS above)
+ * @param {Array<string>} headers - Sheet headers
+ * @param {string} fieldId - Field ID
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex()
+ * @returns {number} Zero-based column index, or -1 if no header matches
+ */
+function findHeaderColumn(headers, fieldId, aliasIndex) {
+  var label = normalizeHeaderLabel(getColumnLabel(fieldId));
+  for (var i = 0; i < headers.length; i++) {
+    var key = normalizeHeaderLabel(headers[i]);
+    if (aliasIndex.hasOwnProperty(key) ? aliasIndex[key] === fieldId : key === label) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read every job row from a sheet, keyed by field ID
+ * @param {Sheet} sheet - Google Sheet object
+ * @returns {Array<Object>} Jobs with a `row` property holding the sheet row number
+ */
+function readJobsFromSheet(sheet) {
+  var lastRow = sheet.getLastRow();
+  var lastCol = sheet.getLastColumn();
+  if (lastRow < 2 || lastCol === 0) {
+    return [];
+  }
+
+  var values = sheet.getRange(1, 1, lastRow, lastCol).getValues();
+  var aliasIndex = getSheetLayout(sheet.getName(), null).aliasIndex;
+  var fieldIds = values[0].map(function(label) {
+    return getFieldId(label, aliasIndex);
+  });
+  var urlColumn = fieldIds.indexOf('url');
+  var urlFormulas = urlColumn === -1 ? [] : sheet.getRange(1, urlColumn + 1, lastRow, 1).getFormulas();
+  var timeZone = Session.getScriptTimeZone();
+  var jobs = [];
+
+  for (var i = 1; i < values.length; i++) {
+    var job = { row: i + 1 };
+    for (var j = 0; j < fieldIds.length; j++) {
+      var value = values[i][j];
+      // Sheets turns the Applied column into Date objects - return them as plain dates
+      job[fieldIds[j]] = value instanceof Date ? Utilities.formatDate(value, timeZone, 'yyyy-MM-dd') : value;
+    }
+    if (urlColumn !== -1) {
+      job.url = readPortalLink(job.url, urlFormulas[i][0]);
+    }
+    jobs.push(job);
+  }
+
+  return jobs;
+}
+
+/**
+ * Validates job data according to the API contract
+ * Job fields are optional unless the request carries the extension's schema, which is
+ * enforced with validateJobAgainstSchema() (job-schema-validator.js)
+ * Configuration fields are NOT accepted in requests - they're stored server-side
+ * @param {Object} data - Job data to validate
+ * @returns {Object} { valid: boolean, error?: string, fieldErrors?: Object }
+ */
+function validateJobData(data) {
+  // Check if data is an object
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid job data: data must be an object' };
+  }
+
+  // For security: Reject requests that try to send configuration fields
+  // Configuration should only be set server-side via setupConfiguration()
+  if ('spreadsheetId' in data || 'projectId' in data) {
+    return {
+      valid: false,
+      error: 'Invalid request: configuration fields should not be sent in requests. Use setupConfiguration() to configure the server.'
+    };
+  }
+
+  // clientRequestId is optional, but when present it is used as a cache key
+  if ('clientRequestId' in data &&
+      (typeof data.clientRequestId !== 'string' || data.clientRequestId === '' || data.clientRequestId.length > 128)) {
+    return {
+      valid: false,
+      error: 'Invalid request: clientRequestId must be a non-empty string of at most 128 characters'
+    };
+  }
+
+  // Without a schema all job data fields are optional - we'll log whatever we have
+  // This allows us to capture partial data from pages with incomplete extraction
+  if (!('schema' in data)) {
+    return { valid: true };
+  }
+
+  if (typeof validateJobAgainstSchema !== 'function') {
+    return {
+      valid: false,
+      error: 'Schema validation is not installed. Add job-schema-validator.js to the Apps Script project as a second script file and redeploy.'
+    };
+  }
+
+  return validateJobAgainstSchema(data, data.schema);
+}
+
+/**
+ * Check whether a request field is reserved (controls logging, never becomes a column)
+ * @param {string} key - Request field name
+ * @returns {boolean} True if the field is reserved
+ */
+function isReservedRequestField(key) {
+  return RESERVED_REQUEST_FIELDS.indexOf(key) !== -1;
+}
+
+/**
+ * Verify a request's HMAC signature (see SIGNED REQUESTS above)
+ * @param {Object} e - doPost or doGet event (query parameters ts and sig, raw body in postData;
+ *   a GET is signed over an empty body)
+ * @param {string} secret - Shared secret, or '' to accept unsigned requests
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function verifyRequestSignature(e, secret, now) {
+  if (!secret) {
+    return { valid: true };
+  }
+
+  var params = (e && e.parameter) || {};
+  if (!params.ts || !params.sig) {
+    return {
+      valid: false,
+      error: 'Request is not signed. Enter the shared secret in the extension settings.'
+    };
+  }
+
+  var timestamp = Number(params.ts);
+  if (!isFinite(timestamp) || Math.abs(now - timestamp) > SIGNATURE_MAX_AGE_MS) {
+    return {
+      valid: false,
+      error: 'Request signature expired. Check that your computer\'s clock is correct.'
+    };
+  }
+
+  var body = (e.postData && e.postData.contents) || '';
+  var expected = computeRequestSignature(secret, params.ts, body);
+  if (!constantTimeEquals(expected, String(params.sig).toLowerCase())) {
+    return {
+      valid: false,
+      error: 'Invalid request signature. The shared secret in the extension settings must match the one saved with setupConfiguration().'
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Compute the hex HMAC-SHA256 signature of "timestamp.body"
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Timestamp exactly as sent in the ts parameter
+ * @param {string} body - Raw request body
+ * @returns {string} Lowercase hex signature
+ */
+function computeRequestSignature(secret, timestamp, body) {
+  var bytes = Utilities.computeHmacSha256Signature(timestamp + '.' + body, secret, Utilities.Charset.UTF_8);
+  return bytes.map(function(b) {
+    return ('0' + (b & 0xff).toString(16)).slice(-2);
+  }).join('');
+}
+
+/**
+ * Compare two strings without exiting early on the first difference
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  var diff = 0;
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Look up the result of a previously processed request
+ * @param {string} clientRequestId - Stable ID attached by the extension (optional)
+ * @returns {Object|null} Original response data, or null if this ID hasn't been seen
+ */
+function getLedgerResult(clientRequestId) {
+  if (!clientRequestId) return null;
+
+  var cached = CacheService.getScriptCache().get('jobsprint:request:' + clientRequestId);
+  return cached ? JSON.parse(cached) : null;
+}
+
+/**
+ * Remember the result of a successfully processed request so replays can return it
+ * @param {string} clientRequestId - Stable ID attached by the extension (optional)
+ * @param {Object} responseData - Response returned to the extension
+ */
+function recordLedgerResult(clientRequestId, responseData) {
+  if (!clientRequestId) return;
+
+  try {
+    CacheService.getScriptCache().put(
+      'jobsprint:request:' + clientRequestId,
+      JSON.stringify(responseData),
+      REQUEST_LEDGER_TTL_SECONDS
+    );
+  } catch (error) {
+    // The row is already written - a ledger failure only weakens duplicate protection
+    console.warn({
+      message: 'JobSprint: Could not record request in ledger',
+      clientRequestId: clientRequestId,
+      error: error.toString()
+    });
+  }
+}
+
+/**
+ * Get the sheet column label for a field ID
+ * The sheet's schema names its columns; other standard fields use FIELD_LABEL_MAP, and anything
+ * else (custom fields, system columns like "status") is capitalized with underscores turned into spaces
+ * @param {string} fieldId - Field ID (e.g. "url", "team_size", "status")
+ * @param {Object} schema - Sheet schema from getSheetLayout() (optional)
+ * @returns {string} Column label (e.g. "Portal Link", "Team size", "Status")
+ */
+function getColumnLabel(fieldId, schema) {
+  var columns = schema ? schema.columns : [];
+  for (var i = 0; i < columns.length; i++) {
+    if (columns[i].id === fieldId) {
+      return columns[i].label;
+    }
+  }
+  if (FIELD_LABEL_MAP.hasOwnProperty(fieldId)) {
+    return FIELD_LABEL_MAP[fieldId];
+  }
+  return fieldId.charAt(0).toUpperCase() + fieldId.slice(1).replace(/_/g, ' ');
+}
+
+/**
+ * Get or create headers dynamically based on job data
+ * Handles flexible schema - preserves existing headers and adds new ones as needed.
+ * Existing headers match a field ignoring case, whitespace and known aliases.
+ * With a schema, its columns come first, in order and with its labels (see SCHEMA-DRIVEN COLUMNS).
+ * @param {Sheet} sheet - Google Sheet object
+ * @param {Object} jobData - Job data being logged
+ * @param {boolean} isNewSheet - Whether this is a newly created sheet
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex() (read if omitted)
+ * @param {Object} schema - Sheet schema from getSheetLayout() (optional)
+ * @returns {Array<string>} Array of header names
+ */
+function getOrCreateHeaders(sheet, jobData, isNewSheet, aliasIndex, schema) {
+  aliasIndex = aliasIndex || getHeaderAliasIndex([schema]);
+
+  if (isNewSheet) {
+    var headers = [];
+
+    if (schema) {
+      // Schema columns in the order of the Schema Editor
+      headers = schema.columns.map(function(column) {
+        return column.label;
+      });
+    } else {
+      // Standard columns that exist in jobData (company and title always, even if empty)
+      for (var fieldId in FIELD_LABEL_MAP) {
+        if (jobData.hasOwnProperty(fieldId) || fieldId === 'company' || fieldId === 'title') {
+          headers.push(FIELD_LABEL_MAP[fieldId]);
+        }
+      }
+    }
+
+    // System columns, unless the schema already placed them
+    SYSTEM_COLUMNS.forEach(function(label) {
+      if (findHeaderColumn(headers, label.toLowerCase(), aliasIndex) === -1) {
+        headers.push(label);
+      }
+    });
+
+    // Any other fields the job carries
+    headers = headers.concat(getMissingColumns(headers, jobData, aliasIndex, schema));
+
+    // Write headers to sheet
+    sheet.appendRow(headers);
+    styleHeaderCells(sheet.getRange(1, 1, 1, headers.length));
+    sheet.setFrozenRows(1);
+
+    return headers;
+  } else {
+    // Existing sheet: get current headers
+    var lastCol = sheet.getLastColumn();
+    if (lastCol === 0) {
+      // Sheet exists but no headers - treat as new
+      return getOrCreateHeaders(sheet, jobData, true, aliasIndex, schema);
+    }
+
+    var headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+    if (schema) {
+      headers = applySchemaLayout(sheet, headers, schema, aliasIndex);
+    }
+
+    // Add new columns if needed
+    var newColumns = getMissingColumns(headers, jobData, aliasIndex, schema);
+    if (newColumns.length > 0) {
+      var newHeaderRange = sheet.getRange(1, headers.length + 1, 1, newColumns.length);
+      newHeaderRange.setValues([newColumns]);
+      styleHeaderCells(newHeaderRange);
+      headers = headers.concat(newColumns);
+    }
+
+    return headers;
+  }
+}
+
+/**
+ * Labels of the columns a job needs but the headers don't have yet
+ * Standard fields come first (in FIELD_LABEL_MAP order), then custom fields in job order
+ * @param {Array<string>} headers - Current headers
+ * @param {Object} jobData - Job data (or update fields)
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex()
+ * @param {Object} schema - Sheet schema from getSheetLayout() (optional, names the new columns)
+ * @returns {Array<string>} New column labels
+ */
+function getMissingColumns(headers, jobData, aliasIndex, schema) {
+  var newColumns = [];
+  var addIfMissing = function(fieldId) {
+    if (findHeaderColumn(headers.concat(newColumns), fieldId, aliasIndex) === -1) {
+      newColumns.push(getColumnLabel(fieldId, schema));
+    }
+  };
+
+  for (var fieldId in FIELD_LABEL_MAP) {
+    if (jobData.hasOwnProperty(fieldId)) {
+      addIfMissing(fieldId);
+    }
+  }
+  for (var key in jobData) {
+    if (jobData.hasOwnProperty(key) && !FIELD_LABEL_MAP.hasOwnProperty(key) && !isReservedRequestField(key)) {
+      addIfMissing(key);
+    }
+  }
+
+  return newColumns;
+}
+
+/**
+ * Rename, move and create columns so the schema's columns lead the sheet in schema order
+ * Columns not in the schema keep their order after them. moveColumns carries each column's
+ * values along, so rows stay intact.
+ * @param {Sheet} sheet - Google Sheet object with a header row
+ * @param {Array<string>} headers - Current headers
+ * @param {Object} schema - Sheet schema from getSheetLayout()
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex()
+ * @returns {Array<string>} Headers after the changes
+ */
+function applySchemaLayout(sheet, headers, schema, aliasIndex) {
+  headers = headers.slice();
+
+  schema.columns.forEach(function(column, position) {
+    // Columns before this position already belong to earlier schema columns
+    var index = findHeaderColumn(headers.slice(position), column.id, aliasIndex);
+    index = index === -1 ? -1 : index + position;
+
+    if (index === -1) {
+      // New column: add it after the last one, then move it into place below
+      index = headers.length;
+      styleHeaderCells(sheet.getRange(1, index + 1).setValue(column.label));
+      headers.push(column.label);
+    }
+
+    if (index !== position) {
+      sheet.moveColumns(sheet.getRange(1, index + 1), position + 1);
+      headers.splice(position, 0, headers.splice(index, 1)[0]);
+    }
+
+    if (headers[position] !== column.label) {
+      sheet.getRange(1, position + 1).setValue(column.label);
+      headers[position] = column.label;
+    }
+  });
+
+  return headers;
+}
+
+/**
+ * Format header cells (bold white text on blue)
+ * @param {Range} range - Header cells
+ * @returns {Range} The same range
+ */
+function styleHeaderCells(range) {
+  range.setFontWeight('bold');
+  range.setBackground('#4285f4');
+  range.setFontColor('#ffffff');
+  return range;
+}
+
+/**
+ * Add the Status and Decision dropdowns to job rows
+ * Values outside the lists are allowed (Sheets flags them), so custom statuses still save
+ * @param {Sheet} sheet - Google Sheet object
+ * @param {Array<string>} headers - Sheet headers
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex()
+ * @param {number} firstRow - First sheet row to format
+ * @param {number} numRows - Number of rows (nothing is formatted when 0)
+ * @returns {boolean} True if the sheet has a Status or Decision column
+ */
+function formatJobRows(sheet, headers, aliasIndex, firstRow, numRows) {
+  var statusStages = getStatusStages();
+  var lists = {
+    status: statusStages.stages.map(function(stage) {
+      return stage.name;
+    }),
+    decision: statusStages.decisions
+  };
+
+  var found = false;
+  for (var fieldId in lists) {
+    var column = findHeaderColumn(headers, fieldId, aliasIndex);
+    if (column === -1) continue;
+    found = true;
+
+    if (numRows > 0 && lists[fieldId].length > 0) {
+      var rule = SpreadsheetApp.newDataValidation()
+        .requireValueInList(lists[fieldId], true)
+        .setAllowInvalid(true)
+        .build();
+      sheet.getRange(firstRow, column + 1, numRows, 1).setDataValidation(rule);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Color job rows by their Status, with one conditional format rule per stage
+ * Rules added by earlier calls are replaced (the Status column may have moved); other rules stay
+ * @param {Sheet} sheet - Google Sheet object
+ * @param {Array<string>} headers - Sheet headers
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex()
+ * @returns {boolean} True if the sheet has a Status column
+ */
+function applyStatusColors(sheet, headers, aliasIndex) {
+  var column = findHeaderColumn(headers, 'status', aliasIndex);
+  var rules = sheet.getConditionalFormatRules().filter(function(rule) {
+    return !isStatusColorRule(rule);
+  });
+
+  if (column !== -1) {
+    var statusCell = '$' + getColumnLetter(column + 1) + '2';
+    var rows = sheet.getRange(2, 1, Math.max(sheet.getMaxRows() - 1, 1), headers.length);
+    getStatusStages().stages.forEach(function(stage) {
+      if (stage.color) {
+        rules.push(SpreadsheetApp.newConditionalFormatRule()
+          .whenFormulaSatisfied('=' + statusCell + '="' + stage.name.replace(/"/g, '""') + '"')
+          .setBackground(stage.color)
+          .setRanges([rows])
+          .build());
+      }
+    });
+  }
+
+  sheet.setConditionalFormatRules(rules);
+  return column !== -1;
+}
+
+/**
+ * Check whether a conditional format rule was added by applyStatusColors()
+ * @param {ConditionalFormatRule} rule - Rule from the sheet
+ * @returns {boolean} True for =$<column>2="<stage>" formula rules
+ */
+function isStatusColorRule(rule) {
+  var condition = rule.getBooleanCondition();
+  return !!condition &&
+    condition.getCriteriaType() === SpreadsheetApp.BooleanCriteria.CUSTOM_FORMULA &&
+    /^=\$[A-Z]+2="(?:[^"]|"")*"$/.test(String(condition.getCriteriaValues()[0]));
+}
+
+/**
+ * Get the A1 letter(s) of a column
+ * @param {number} column - Column number (1 = A)
+ * @returns {string} Column letters (e.g. "A", "Z", "AA")
+ */
+function getColumnLetter(column) {
+  var letters = '';
+  while (column > 0) {
+    var remainder = (column - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Write a job link as its clickable title: =HYPERLINK("url", "title")
+ * @param {string} url - Job posting URL
+ * @param {string} title - Job title
+ * @returns {string} Formula, or the URL unchanged when there is no title or it isn't an http(s) link
+ */
+function buildPortalLink(url, title) {
+  if (!title || !/^https?:\/\//i.test(url)) {
+    return url;
+  }
+  var quote = function(text) {
+    return '"' + String(text).replace(/"/g, '""') + '"';
+  };
+  var formula = '=HYPERLINK(' + quote(url) + ', ' + quote(title) + ')';
+  return formula.length <= CELL_CHARACTER_LIMIT ? formula : url;
+}
+
+/**
+ * Get the URL back from a Portal Link cell
+ * @param {*} value - Cell value (Sheets returns the title for HYPERLINK cells)
+ * @param {string} formula - Cell formula ('' for plain values)
+ * @returns {*} The link inside a HYPERLINK formula, else the value unchanged
+ */
+function readPortalLink(value, formula) {
+  var match = /^=HYPERLINK\(\s*"((?:[^"]|"")*)"/i.exec(formula || '');
+  return match ? match[1].replace(/""/g, '"') : value;
+}
+
+/**
+ * Cut a text value down to the cell limit, ending it with TRUNCATION_MARKER
+ * @param {*} value - Cell value
+ * @returns {*} The value, shortened if it is text longer than CELL_CHARACTER_LIMIT
+ */
+function truncateCellValue(value) {
+  if (typeof value !== 'string' || value.length <= CELL_CHARACTER_LIMIT) {
+    return value;
+  }
+  var end = CELL_CHARACTER_LIMIT - TRUNCATION_MARKER.length;
+  // Don't split an emoji (or any other surrogate pair) in half
+  var code = value.charCodeAt(end - 1);
+  if (code >= 0xD800 && code <= 0xDBFF) {
+    end--;
+  }
+  return value.slice(0, end) + TRUNCATION_MARKER;
+}
+
+/**
+ * Create row data array matching header order
+ * Each header is resolved to its field with getFieldId(), so renamed columns are filled too
+ * @param {Array<string>} headers - Sheet headers
+ * @param {Object} jobData - Job data
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex() (read if omitted)
+ * @param {Array<Object>} roleRules - Rules from getRoleRules() (read if omitted)
+ * @returns {Array} Row data in correct column order
+ */
+function createRowData(headers, jobData, aliasIndex, roleRules) {
+  var rowData = [];
+  var appliedDate = formatAppliedDate(jobData.timestamp);
+  aliasIndex = aliasIndex || getHeaderAliasIndex();
+  roleRules = roleRules || getRoleRules(null);
+
+  for (var i = 0; i < headers.length; i++) {
+    var header = headers[i];
+    var fieldId = getFieldId(header, aliasIndex);
+
+    // Handle system columns
+    if (fieldId === 'status') {
+      rowData.push('No response');
+    } else if (fieldId === 'applied') {
+      rowData.push(appliedDate);
+    } else if (fieldId === 'decision') {
+      rowData.push('');
+    }
+    // Handle standard fields
+    else if (FIELD_LABEL_MAP.hasOwnProperty(fieldId)) {
+      var value = jobData[fieldId] || '';
+
+      // Special handling for inferred values
+      if (fieldId === 'source' && !value) {
+        value = inferBoard(jobData.url, jobData.source);
+      } else if (fieldId === 'ats' && !value) {
+        value = inferAts(jobData.url);
+      } else if (fieldId === 'role' && !value) {
+        value = inferRole(jobData.title, roleRules);
+      } else if (fieldId === 'tailor' && !value) {
+        value = jobData.role || inferRole(jobData.title, roleRules);
+      } else if (fieldId === 'url') {
+        value = buildPortalLink(value, jobData.title);
+      }
+
+      rowData.push(truncateCellValue(value));
+    }
+    // Handle custom fields
+    else {
+      rowData.push(truncateCellValue(jobData[fieldId] || jobData[header] || ''));
+    }
+  }
+
+  return rowData;
+}
+
+/**
+ * Logs job data to the Google Sheet
+ * @param {Object} jobData - Validated job data (title, company, location, url, etc.)
+ * @param {Object} config - Server-side configuration from Script Properties
+ * @param {string} requestId - Request ID for logging correlation
+ * @returns {Object} { success: boolean, firstRow?: number, unmatchedFields?: Array<Object>, error?: string,
+ *   errorDetails?: Object }
+ */
+function logJobToSheet(jobData, config, requestId) {
+  return logJobsToSheet([jobData], config, requestId);
+}
+
+/**
+ * Logs one or more jobs to the same sheet with a single setValues call
+ * Headers are created or extended for the fields of every job before rows are written
+ * @param {Array<Object>} jobs - Validated jobs sharing one targetSheetName
+ * @param {Object} config - Server-side configuration from Script Properties
+ * @param {string} requestId - Request ID for logging correlation
+ * @returns {Object} { success: boolean, firstRow?: number, unmatchedFields?: Array<Object>, error?: string,
+ *   errorDetails?: Object } - unmatchedFields lists the fields that got a new column in an existing sheet
+ */
+function logJobsToSheet(jobs, config, requestId) {
+  var spreadsheet = null;
+  var sheet = null;
+
+  try {
+    console.log({
+      message: 'JobSprint: Attempting to open spreadsheet',
+      requestId: requestId,
+      hasSpreadsheetId: !!config.spreadsheetId
+    });
+
+    // Open the spreadsheet by ID using server-side configuration
+    spreadsheet = SpreadsheetApp.openById(config.spreadsheetId);
+
+    console.log({
+      message: 'JobSprint: Spreadsheet opened successfully',
+      requestId: requestId,
+      spreadsheetName: spreadsheet.getName()
+    });
+
+    // Get sheet name from config, default to "Job Applications"
+    var sheetName = jobs[0].targetSheetName || 'Job Applications';
+
+    // Get or create the target sheet
+    sheet = spreadsheet.getSheetByName(sheetName);
+    var isNewSheet = false;
+    if (!sheet) {
+      console.info({
+        message: 'JobSprint: Creating new sheet',
+        requestId: requestId,
+        sheetName: sheetName
+      });
+
+      sheet = spreadsheet.insertSheet(sheetName);
+      isNewSheet = true;
+    }
+
+    // Get or create headers dynamically based on the fields of every job, laid out by the
+    // schema they were sent with (jobs for one sheet share their logging target's schema)
+    var sentSchema = null;
+    jobs.forEach(function(jobData) {
+      sentSchema = sentSchema || jobData.schema || null;
+    });
+    var layout = getSheetLayout(sheetName, sentSchema);
+    var aliasIndex = layout.aliasIndex;
+    var roleRules = getRoleRules(sentSchema);
+    var existingHeaders = isNewSheet || sheet.getLastColumn() === 0
+      ? []
+      : sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var headers = getOrCreateHeaders(sheet, mergeJobFields(jobs), isNewSheet, aliasIndex, layout.schema);
+    var unmatchedFields = existingHeaders.length === 0 ? [] : getAddedColumns(existingHeaders, headers, aliasIndex, sheetName);
+
+    if (unmatchedFields.length > 0) {
+      console.warn({
+        message: 'JobSprint: Fields without a matching column, new columns added',
+        requestId: requestId,
+        sheetName: sheetName,
+        unmatchedFields: unmatchedFields,
+        hint: 'If a column was renamed, use its new name as the label in the Schema Editor or add it with setupHeaderAliases()'
+      });
+    }
+
+    console.log({
+      message: 'JobSprint: Headers determined',
+      requestId: requestId,
+      headerCount: headers.length,
+      headers: headers
+    });
+
+    // Create row data dynamically based on headers
+    var rows = jobs.map(function(jobData) {
+      return createRowData(headers, jobData, aliasIndex, roleRules);
+    });
+    var firstRow = sheet.getLastRow() + 1;
+    var maxRows = sheet.getMaxRows();
+
+    console.log({
+      message: 'JobSprint: Writing rows to sheet',
+      requestId: requestId,
+      sheetName: sheet.getName(),
+      currentRowCount: firstRow - 1,
+      rowCount: rows.length,
+      columnCount: headers.length
+    });
+
+    // Write every row at once (one call instead of an appendRow per job)
+    sheet.getRange(firstRow, 1, rows.length, headers.length).setValues(rows);
+
+    // Status/Decision dropdowns on the new rows; the row colors cover the whole sheet, so they
+    // are only redone when columns changed or the sheet grew past the rows they cover
+    formatJobRows(sheet, headers, aliasIndex, firstRow, rows.length);
+    if (existingHeaders.join('\n') !== headers.join('\n') || sheet.getMaxRows() > maxRows) {
+      applyStatusColors(sheet, headers, aliasIndex);
+    }
+
+    // Auto-resize columns for better readability (all columns)
+    if (headers.length > 0) {
+      sheet.autoResizeColumns(1, headers.length);
+    }
+
+    console.info({
+      message: 'JobSprint: Jobs logged to sheet successfully',
+      requestId: requestId,
+      jobCount: jobs.length,
+      jobTitle: jobs[0].title || '(No title)',
+      company: jobs[0].company || '(No company)',
+      firstRowNumber: firstRow
+    });
+
+    refreshSummarySheet(spreadsheet, requestId);
+
+    return { success: true, firstRow: firstRow, unmatchedFields: unmatchedFields };
+
+  } catch (error) {
+    // Detailed error logging for Cloud Logging
+    var errorDetails = {
+      errorMessage: error.toString(),
+      errorName: error.name,
+      hasSpreadsheet: !!spreadsheet,
+      hasSheet: !!sheet
+    };
+
+    console.error({
+      message: 'JobSprint: Error writing to spreadsheet',
+      requestId: requestId,
+      error: error.toString(),
+      errorType: error.name,
+      errorDetails: errorDetails
+    });
+
+    // Provide user-friendly error message
+    var userError = 'Failed to write to spreadsheet';
+    if (error.toString().indexOf('Authorization') !== -1 || error.toString().indexOf('Permission') !== -1) {
+      userError = 'Authorization error: Please ensure the spreadsheet ID is correct and the script owner has access to the spreadsheet';
+    } else if (error.toString().indexOf('not found') !== -1) {
+      userError = 'Spreadsheet not found: Please verify the spreadsheet ID in your config';
+    }
+
+    return {
+      success: false,
+      error: userError + ': ' + error.toString(),
+      errorDetails: errorDetails
+    };
+  }
+}
+
+/**
+ * List the columns that were added to a header row, with the field each one holds
+ * @param {Array<string>} before - Headers before the change
+ * @param {Array<string>} after - Headers after the change (columns may have been renamed or moved)
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex()
+ * @param {string} sheetName - Sheet name, included in each entry
+ * @returns {Array<Object>} [{ field, column, sheet }] for every field that had no column before
+ */
+function getAddedColumns(before, after, aliasIndex, sheetName) {
+  var existingFields = before.map(function(label) {
+    return getFieldId(label, aliasIndex);
+  });
+  return after.filter(function(label) {
+    return existingFields.indexOf(getFieldId(label, aliasIndex)) === -1;
+  }).map(function(label) {
+    return { field: getFieldId(label, aliasIndex), column: label, sheet: sheetName };
+  });
+}
+
+/**
+ * Combine the fields of several jobs so headers cover every one of them
+ * @param {Array<Object>} jobs - Job data objects
+ * @returns {Object} Object with every field that appears in any job
+ */
+function mergeJobFields(jobs) {
+  var merged = {};
+  for (var i = 0; i < jobs.length; i++) {
+    for (var key in jobs[i]) {
+      if (jobs[i].hasOwnProperty(key) && !merged.hasOwnProperty(key)) {
+        merged[key] = jobs[i][key];
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Handle a batch of jobs: validate and de-duplicate each one, write the new ones with one
+ * setValues call per target sheet, and report a result per job in request order
+ * @param {Array<Object>} jobs - Job data objects from the request body
+ * @param {Object} config - Server-side configuration from Script Properties
+ * @param {string} requestId - Request ID for logging correlation
+ * @returns {ContentService.TextOutput} JSON response { success, count, logged, failed, results }
+ */
+function handleBatchLog(jobs, config, requestId) {
+  if (jobs.length === 0 || jobs.length > BATCH_MAX_JOBS) {
+    return createJsonResponse({
+      success: false,
+      error: 'Invalid batch: send between 1 and ' + BATCH_MAX_JOBS + ' jobs'
+    }, 400);
+  }
+
+  var results = [];
+  var unmatchedFields = [];
+  var duplicates = [];   // { index, of } - same clientRequestId earlier in this batch
+  var firstIndexById = {};
+  var groups = {};       // targetSheetName → [{ index, job }]
+  var sheetOrder = [];
+
+  for (var i = 0; i < jobs.length; i++) {
+    var job = jobs[i];
+    var validation = Array.isArray(job)
+      ? { valid: false, error: 'Invalid job data: data must be an object' }
+      : validateJobData(job);
+    if (validation.valid && job.operation) {
+      validation = { valid: false, error: 'Invalid batch: operations cannot be batched (' + job.operation + ')' };
+    }
+    if (!validation.valid) {
+      results[i] = { index: i, success: false, error: validation.error };
+      if (validation.fieldErrors) {
+        results[i].fieldErrors = validation.fieldErrors;
+      }
+      continue;
+    }
+
+    var previousResult = getLedgerResult(job.clientRequestId);
+    if (previousResult) {
+      previousResult.index = i;
+      previousResult.replayed = true;
+      results[i] = previousResult;
+      continue;
+    }
+
+    if (job.clientRequestId && firstIndexById.hasOwnProperty(job.clientRequestId)) {
+      duplicates.push({ index: i, of: firstIndexById[job.clientRequestId] });
+      continue;
+    }
+    if (job.clientRequestId) {
+      firstIndexById[job.clientRequestId] = i;
+    }
+
+    var sheetName = job.targetSheetName || 'Job Applications';
+    if (!groups.hasOwnProperty(sheetName)) {
+      groups[sheetName] = [];
+      sheetOrder.push(sheetName);
+    }
+    groups[sheetName].push({ index: i, job: job });
+  }
+
+  sheetOrder.forEach(function(sheetName) {
+    var group = groups[sheetName];
+    var written = logJobsToSheet(group.map(function(item) { return item.job; }), config, requestId);
+    if (written.success) {
+      unmatchedFields = unmatchedFields.concat(written.unmatchedFields);
+    }
+
+    group.forEach(function(item, offset) {
+      if (written.success) {
+        recordLedgerResult(item.job.clientRequestId, { success: true, timestamp: item.job.timestamp });
+        results[item.index] = {
+          index: item.index,
+          success: true,
+          timestamp: item.job.timestamp,
+          row: written.firstRow + offset
+        };
+      } else {
+        results[item.index] = { index: item.index, success: false, error: written.error };
+      }
+    });
+  });
+
+  duplicates.forEach(function(duplicate) {
+    var original = results[duplicate.of];
+    results[duplicate.index] = original.success
+      ? { index: duplicate.index, success: true, timestamp: original.timestamp, replayed: true }
+      : { index: duplicate.index, success: false, error: original.error };
+  });
+
+  var logged = results.filter(function(result) { return result.success; }).length;
+
+  console.info({
+    message: 'JobSprint: Batch processed',
+    requestId: requestId,
+    count: jobs.length,
+    logged: logged,
+    sheets: sheetOrder
+  });
+
+  var response = {
+    success: logged === jobs.length,
+    count: jobs.length,
+    logged: logged,
+    failed: jobs.length - logged,
+    results: results
+  };
+  if (unmatchedFields.length > 0) {
+    response.unmatchedFields = unmatchedFields;
+  }
+  return createJsonResponse(response, 200);
+}
+
+/**
+ * Handle an updateStatus request: validate it, apply it to the sheet and build the response
+ * @param {Object} requestData - { operation, url?, rowId?, updates, targetSheetName? }
+ * @param {Object} config - Server-side configuration from Script Properties
+ * @param {string} requestId - Request ID for logging correlation
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleStatusUpdate(requestData, config, requestId) {
+  var validation = validateStatusUpdate(requestData);
+  if (!validation.valid) {
+    console.warn({
+      message: 'JobSprint: Status update validation failed',
+      requestId: requestId,
+      error: validation.error
+    });
+
+    return createJsonResponse({
+      success: false,
+      error: validation.error
+    }, 400);
+  }
+
+  var result = updateJobInSheet(requestData, config, requestId);
+  if (!result.success) {
+    return createJsonResponse({
+      success: false,
+      error: result.error
+    }, result.notFound ? 404 : 500);
+  }
+
+  return createJsonResponse({
+    success: true,
+    row: result.row,
+    updated: result.updated
+  }, 200);
+}
+
+/**
+ * Validates an updateStatus request
+ * @param {Object} data - Request data
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function validateStatusUpdate(data) {
+  if ('spreadsheetId' in data || 'projectId' in data) {
+    return {
+      valid: false,
+      error: 'Invalid request: configuration fields should not be sent in requests. Use setupConfiguration() to configure the server.'
+    };
+  }
+
+  var hasUrl = typeof data.url === 'string' && data.url.trim() !== '';
+  var hasRowId = data.rowId !== undefined && data.rowId !== null && data.rowId !== '';
+  if (!hasUrl && !hasRowId) {
+    return { valid: false, error: 'Invalid status update: provide the job url or rowId to update' };
+  }
+
+  if (hasRowId && !(Number(data.rowId) >= 2 && Number(data.rowId) % 1 === 0)) {
+    return { valid: false, error: 'Invalid status update: rowId must be a sheet row number (2 or greater)' };
+  }
+
+  if (!data.updates || typeof data.updates !== 'object' || Object.keys(data.updates).length === 0) {
+    return { valid: false, error: 'Invalid status update: updates must be an object with at least one field' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Find the sheet row for a job
+ * @param {Sheet} sheet - Google Sheet object
+ * @param {Array<string>} headers - Sheet headers
+ * @param {Object} requestData - { url?, rowId? }
+ * @param {Object} aliasIndex - Lookup from getHeaderAliasIndex() (read if omitted)
+ * @returns {number} Row number (2-based, row 1 is the header), or -1 if not found
+ */
+function findJobRow(sheet, headers, requestData, aliasIndex) {
+  var lastRow = sheet.getLastRow();
+
+  if (requestData.rowId) {
+    var rowId = Number(requestData.rowId);
+    return rowId <= lastRow ? rowId : -1;
+  }
+
+  var urlColumn = findHeaderColumn(headers, 'url', aliasIndex || getHeaderAliasIndex());
+  if (urlColumn === -1 || lastRow < 2) {
+    return -1;
+  }
+
+  // Search bottom-up so the most recently logged copy of a job wins
+  var target = requestData.url.trim();
+  var urlRange = sheet.getRange(2, urlColumn + 1, lastRow - 1, 1);
+  var urls = urlRange.getValues();
+  var formulas = urlRange.getFormulas();
+  for (var i = urls.length - 1; i >= 0; i--) {
+    if (String(readPortalLink(urls[i][0], formulas[i][0])).trim() === target) {
+      return i + 2;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Update an existing job row in the Google Sheet
+ * Columns named in the update that don't exist yet are added to the header row
+ * @param {Object} requestData - Validated updateStatus request
+ * @param {Object} config - Server-side configuration from Script Properties
+ * @param {string} requestId - Request ID for logging correlation
+ * @returns {Object} { success: boolean, row?: number, updated?: Array<string>, error?: string, notFound?: boolean }
+ */
+function updateJobInSheet(requestData, config, requestId) {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(config.spreadsheetId);
+    var sheetName = requestData.targetSheetName || 'Job Applications';
+    var sheet = spreadsheet.getSheetByName(sheetName);
+
+    if (!sheet || sheet.getLastColumn() === 0) {
+      return { success: false, notFound: true, error: 'Sheet "' + sheetName + '" not found or has no jobs yet' };
+    }
+
+    var layout = getSheetLayout(sheetName, null);
+    var aliasIndex = layout.aliasIndex;
+    var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var rowNumber = findJobRow(sheet, headers, requestData, aliasIndex);
+
+    if (rowNumber === -1) {
+      console.warn({
+        message: 'JobSprint: No row found for status update',
+        requestId: requestId,
+        url: requestData.url,
+        rowId: requestData.rowId
+      });
+
+      return {
+        success: false,
+        notFound: true,
+        error: requestData.rowId
+          ? 'No job found at row ' + requestData.rowId
+          : 'No job found with link ' + requestData.url
+      };
     }
 
-    // Add system columns
-    headers = headers.concat(systemColumns);
+    // Add any columns the update needs (same labeling rules as logged jobs)
+    headers = getOrCreateHeaders(sheet, requestData.updates, false, aliasIndex, layout.schema);
 
-    // Add any custom fields not in the standard mapping
-    for (var key in jobData) {
-      if (jobData.hasOwnProperty(key) &&
-          !fieldLabelMap.hasOwnProperty(key) &&
-          key !== 'timestamp' && key !== 'targetSheetName') {
-        // Custom field - use field ID as label (capitalize first letter)
-        var customLabel = key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' ');
-        if (headers.indexOf(customLabel) === -1) {
-          headers.push(customLabel);
+    // Formulas (e.g. the Portal Link) are written back as formulas, not as the text they show
+    var rowRange = sheet.getRange(rowNumber, 1, 1, headers.length);
+    var formulas = rowRange.getFormulas()[0];
+    var rowData = rowRange.getValues()[0].map(function(value, i) {
+      return formulas[i] || value;
+    });
+    var updated = [];
+
+    for (var key in requestData.updates) {
+      if (requestData.updates.hasOwnProperty(key)) {
+        var column = findHeaderColumn(headers, key, aliasIndex);
+
+        // Reserved fields (e.g. timestamp) never get a column, so they can't be updated
+        if (column !== -1 && !isReservedRequestField(key)) {
+          rowData[column] = truncateCellValue(requestData.updates[key]);
+          updated.push(headers[column]);
         }
       }
     }
 
-    // Write headers to sheet
-    sheet.appendRow(headers);
-
-    // Format header row
-    var headerRange = sheet.getRange(1, 1, 1, headers.length);
-    headerRange.setFontWeight('bold');
-    headerRange.setBackground('#4285f4');
-    headerRange.setFontColor('#ffffff');
-    sheet.setFrozenRows(1);
-
-    return headers;
-  } else {
-    // Existing sheet: get current headers
-    var lastCol = sheet.getLastColumn();
-    if (lastCol === 0) {
-      // Sheet exists but no headers - treat as new
-      return getOrCreateHeaders(sheet, jobData, true);
+    // A job that moved on from "No response" is no longer due for a follow-up
+    var followUpColumn = findHeaderColumn(headers, 'follow_up', aliasIndex);
+    if (requestData.updates.hasOwnProperty('status') && followUpColumn !== -1 &&
+        String(requestData.updates.status || '').trim() !== FOLLOW_UP_STATUS) {
+      rowData[followUpColumn] = '';
     }
 
-    var headerRange = sheet.getRange(1, 1, 1, lastCol);
-    var headers = headerRange.getValues()[0];
+    rowRange.setValues([rowData]);
 
-    // Check if any new columns need to be added
-    var newColumns = [];
+    console.info({
+      message: 'JobSprint: Job row updated',
+      requestId: requestId,
+      row: rowNumber,
+      updated: updated
+    });
 
-    // Check standard fields
-    for (var fieldId in fieldLabelMap) {
-      if (jobData.hasOwnProperty(fieldId)) {
-        var label = fieldLabelMap[fieldId];
-        if (headers.indexOf(label) === -1) {
-          newColumns.push(label);
-        }
-      }
-    }
+    refreshSummarySheet(spreadsheet, requestId);
 
-    // Check custom fields
-    for (var key in jobData) {
-      if (jobData.hasOwnProperty(key) &&
-          !fieldLabelMap.hasOwnProperty(key) &&
-          key !== 'timestamp' && key !== 'targetSheetName') {
-        var customLabel = key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' ');
-        if (headers.indexOf(customLabel) === -1 && newColumns.indexOf(customLabel) === -1) {
-          newColumns.push(customLabel);
-        }
-      }
-    }
+    return { success: true, row: rowNumber, updated: updated };
 
-    // Add new columns if needed
-    if (newColumns.length > 0) {
-      var newHeaderRange = sheet.getRange(1, headers.length + 1, 1, newColumns.length);
-      newHeaderRange.setValues([newColumns]);
-      newHeaderRange.setFontWeight('bold');
-      newHeaderRange.setBackground('#4285f4');
-      newHeaderRange.setFontColor('#ffffff');
-      headers = headers.concat(newColumns);
-    }
+  } catch (error) {
+    console.error({
+      message: 'JobSprint: Error updating job row',
+      requestId: requestId,
+      error: error.toString()
+    });
 
-    return headers;
+    return { success: false, error: 'Failed to update spreadsheet: ' + error.toString() };
   }
 }
 
 /**
- * Create row data array matching header order
- * @param {Array<string>} headers - Sheet headers
- * @param {Object} jobData - Job data
- * @param {Object} fieldLabelMap - Mapping of field IDs to labels
- * @returns {Array} Row data in correct column order
+ * Handle a syncSchema request: lay out the target sheet by the schema without logging a job
+ * @param {Object} requestData - { operation, schema, targetSheetName? }
+ * @param {Object} config - Server-side configuration from Script Properties
+ * @param {string} requestId - Request ID for logging correlation
+ * @returns {ContentService.TextOutput} JSON response { success, sheet, columns, added }
  */
-function createRowData(headers, jobData, fieldLabelMap) {
-  var rowData = [];
-  var appliedDate = formatAppliedDate(jobData.timestamp);
-
-  // Reverse lookup map (label → field ID)
-  var labelFieldMap = {};
-  for (var fieldId in fieldLabelMap) {
-    labelFieldMap[fieldLabelMap[fieldId]] = fieldId;
+function handleSchemaSync(requestData, config, requestId) {
+  if (typeof normalizeJobSchema !== 'function') {
+    return createJsonResponse({
+      success: false,
+      error: 'Schema validation is not installed. Add job-schema-validator.js to the Apps Script project as a second script file and redeploy.'
+    }, 500);
   }
 
-  for (var i = 0; i < headers.length; i++) {
-    var header = headers[i];
+  if (!normalizeJobSchema(requestData.schema)) {
+    return createJsonResponse({
+      success: false,
+      error: 'Invalid schema: expected { columns: [...] } where every column has an id'
+    }, 400);
+  }
 
-    // Handle system columns
-    if (header === 'Status') {
-      rowData.push('No response');
-    } else if (header === 'Applied') {
-      rowData.push(appliedDate);
-    } else if (header === 'Decision') {
-      rowData.push('');
+  if (requestData.schema.roleRules !== undefined && typeof getRoleRuleErrors === 'function') {
+    var ruleErrors = getRoleRuleErrors(requestData.schema.roleRules);
+    if (ruleErrors.length > 0) {
+      return createJsonResponse({
+        success: false,
+        error: 'Invalid role rules: ' + ruleErrors.join('; ')
+      }, 400);
     }
-    // Handle standard fields
-    else if (labelFieldMap.hasOwnProperty(header)) {
-      var fieldId = labelFieldMap[header];
-      var value = jobData[fieldId] || '';
-
-      // Special handling for inferred values
-      if (fieldId === 'source' && !value) {
-        value = inferBoard(jobData.url, jobData.source);
-      } else if (fieldId === 'role' && !value) {
-        value = inferRole(jobData.title);
-      } else if (fieldId === 'tailor' && !value) {
-        value = jobData.role || inferRole(jobData.title);
-      }
+  }
 
-      rowData.push(value);
-    }
-    // Handle custom fields
-    else {
-      // Convert label back to field ID (lowercase, replace spaces with underscores)
-      var customFieldId = header.toLowerCase().replace(/ /g, '_');
-      rowData.push(jobData[customFieldId] || jobData[header] || '');
-    }
+  var result = syncSheetColumns(requestData.targetSheetName || 'Job Applications', requestData.schema, config, requestId);
+  if (!result.success) {
+    return createJsonResponse({
+      success: false,
+      error: result.error
+    }, 500);
   }
 
-  return rowData;
+  return createJsonResponse({
+    success: true,
+    sheet: result.sheet,
+    columns: result.columns,
+    added: result.added
+  }, 200);
 }
 
 /**
- * Logs job data to the Google Sheet
- * @param {Object} jobData - Validated job data (title, company, location, url, etc.)
+ * Create, rename and reorder a sheet's columns to match a schema (the sheet is created if missing)
+ * @param {string} sheetName - Target sheet name
+ * @param {Object} schema - Validated schema from the request
  * @param {Object} config - Server-side configuration from Script Properties
  * @param {string} requestId - Request ID for logging correlation
- * @returns {Object} { success: boolean, error?: string, errorDetails?: Object }
+ * @returns {Object} { success: boolean, sheet?: string, columns?: Array<string>, added?: Array<string>, error?: string }
  */
-function logJobToSheet(jobData, config, requestId) {
-  var spreadsheet = null;
-  var sheet = null;
-
+function syncSheetColumns(sheetName, schema, config, requestId) {
   try {
-    console.log({
-      message: 'JobSprint: Attempting to open spreadsheet',
+    var spreadsheet = SpreadsheetApp.openById(config.spreadsheetId);
+    var sheet = spreadsheet.getSheetByName(sheetName);
+    var isNewSheet = !sheet;
+    if (isNewSheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+    }
+
+    var layout = getSheetLayout(sheetName, schema);
+    getRoleRules(schema);
+    var existingHeaders = isNewSheet || sheet.getLastColumn() === 0
+      ? []
+      : sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var headers = getOrCreateHeaders(sheet, {}, isNewSheet, layout.aliasIndex, layout.schema);
+    var added = getAddedColumns(existingHeaders, headers, layout.aliasIndex, sheetName).map(function(column) {
+      return column.column;
+    });
+
+    // Columns may have moved, so dropdowns and row colors are redone for the whole sheet
+    formatJobRows(sheet, headers, layout.aliasIndex, 2, sheet.getLastRow() - 1);
+    applyStatusColors(sheet, headers, layout.aliasIndex);
+
+    console.info({
+      message: 'JobSprint: Sheet columns synced with schema',
       requestId: requestId,
-      hasSpreadsheetId: !!config.spreadsheetId
+      sheetName: sheetName,
+      columns: headers,
+      added: added
     });
 
-    // Open the spreadsheet by ID using server-side configuration
-    spreadsheet = SpreadsheetApp.openById(config.spreadsheetId);
+    return { success: true, sheet: sheetName, columns: headers, added: added };
 
-    console.log({
-      message: 'JobSprint: Spreadsheet opened successfully',
+  } catch (error) {
+    console.error({
+      message: 'JobSprint: Error syncing sheet columns',
       requestId: requestId,
-      spreadsheetName: spreadsheet.getName()
+      error: error.toString()
     });
 
-    // Get sheet name from config, default to "Job Applications"
-    var sheetName = jobData.targetSheetName || 'Job Applications';
+    return { success: false, error: 'Failed to update spreadsheet: ' + error.toString() };
+  }
+}
 
-    // Get or create the target sheet
-    sheet = spreadsheet.getSheetByName(sheetName);
-    var isNewSheet = false;
-    if (!sheet) {
-      console.info({
-        message: 'JobSprint: Creating new sheet',
-        requestId: requestId,
-        sheetName: sheetName
-      });
+/**
+ * Read the jobs of every job sheet (tabs with a Status column, except the Summary tab)
+ * @param {Spreadsheet} spreadsheet - Spreadsheet object
+ * @returns {Array<Object>} Jobs keyed by field ID, from readJobsFromSheet()
+ */
+function readAllJobs(spreadsheet) {
+  var jobs = [];
+  spreadsheet.getSheets().forEach(function(sheet) {
+    if (sheet.getName() === SUMMARY_SHEET_NAME) return;
+    var sheetJobs = readJobsFromSheet(sheet);
+    if (sheetJobs.length > 0 && sheetJobs[0].hasOwnProperty('status')) {
+      jobs = jobs.concat(sheetJobs);
+    }
+  });
+  return jobs;
+}
 
-      sheet = spreadsheet.insertSheet(sheetName);
-      isNewSheet = true;
+/**
+ * Compute the sprint statistics shown in the Summary tab and the popup
+ * Empty Board and Role cells are inferred the way createRowData() fills them
+ * @param {Array<Object>} jobs - Jobs keyed by field ID (applied as yyyy-MM-dd)
+ * @returns {Object} { total, responded, responseRate, byWeek: [{ week, count }], byBoard: [{ name, count }],
+ *   byRole: [{ name, count }], funnel: [{ status, count }] } - responseRate is a fraction (0.25 = 25%),
+ *   byWeek starts on Mondays (oldest first), byBoard/byRole are most jobs first and funnel lists
+ *   every status stage in order, then any other status used
+ */
+function summarizeSprint(jobs) {
+  var weeks = {};
+  var boards = {};
+  var roles = {};
+  var statuses = {};
+  var responded = 0;
+  var roleRules = getRoleRules(null);
+  var add = function(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+  };
+
+  jobs.forEach(function(job) {
+    var week = getWeekStart(job.applied);
+    if (week) {
+      add(weeks, week);
     }
+    add(boards, job.source || inferBoard(job.url, ''));
+    add(roles, job.role || inferRole(job.title, roleRules) || 'Unknown');
 
-    // Get or create headers dynamically based on job data
-    var headers = getOrCreateHeaders(sheet, jobData, isNewSheet);
+    var status = String(job.status || '').trim() || 'No response';
+    add(statuses, status);
+    if (NO_RESPONSE_STATUSES.indexOf(status) === -1) {
+      responded++;
+    }
+  });
 
-    console.log({
-      message: 'JobSprint: Headers determined',
-      requestId: requestId,
-      headerCount: headers.length,
-      headers: headers
+  var toList = function(counts) {
+    return Object.keys(counts).map(function(name) {
+      return { name: name, count: counts[name] };
+    }).sort(function(a, b) {
+      return b.count - a.count || a.name.localeCompare(b.name);
     });
+  };
 
-    // Create row data dynamically based on headers
-    var fieldLabelMap = {
-      'company': 'Employer',
-      'title': 'Job Title',
-      'location': 'Location',
-      'url': 'Portal Link',
-      'source': 'Board',
-      'role': 'Role',
-      'tailor': 'Tailor',
-      'description': 'Notes',
-      'compensation': 'Compensation',
-      'pay': 'Pay'
+  var stageNames = getStatusStages().stages.map(function(stage) {
+    return stage.name;
+  });
+  var funnel = stageNames.map(function(name) {
+    return { status: name, count: statuses[name] || 0 };
+  });
+  toList(statuses).forEach(function(entry) {
+    if (stageNames.indexOf(entry.name) === -1) {
+      funnel.push({ status: entry.name, count: entry.count });
+    }
+  });
+
+  return {
+    total: jobs.length,
+    responded: responded,
+    responseRate: jobs.length > 0 ? Math.round(responded / jobs.length * 1000) / 1000 : 0,
+    byWeek: Object.keys(weeks).sort().map(function(week) {
+      return { week: week, count: weeks[week] };
+    }),
+    byBoard: toList(boards),
+    byRole: toList(roles),
+    funnel: funnel
+  };
+}
+
+/**
+ * Get the Monday starting the week of a date
+ * @param {string} date - yyyy-MM-dd (as listed by readJobsFromSheet())
+ * @returns {string|null} yyyy-MM-dd of that week's Monday, or null if the value isn't a date
+ */
+function getWeekStart(date) {
+  var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+  if (!match) {
+    return null;
+  }
+  var day = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Rebuild the Summary tab from every job sheet
+ * A failure is only logged: the jobs were already written and must still be reported as logged
+ * @param {Spreadsheet} spreadsheet - Spreadsheet object
+ * @param {string} requestId - Request ID for logging correlation
+ * @returns {Object|null} Summary from summarizeSprint(), or null if the tab couldn't be updated
+ */
+function refreshSummarySheet(spreadsheet, requestId) {
+  try {
+    var summary = summarizeSprint(readAllJobs(spreadsheet));
+    var sheet = spreadsheet.getSheetByName(SUMMARY_SHEET_NAME) || spreadsheet.insertSheet(SUMMARY_SHEET_NAME);
+    var updated = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+
+    var rows = [
+      ['JobSprint Summary', 'Updated ' + updated],
+      ['Applications', summary.total],
+      ['Responses', summary.responded],
+      ['Response rate', summary.responseRate]
+    ];
+    var sectionRows = [1];
+    var addSection = function(title, countLabel, entries) {
+      rows.push(['', '']);
+      rows.push([title, countLabel]);
+      sectionRows.push(rows.length);
+      entries.forEach(function(entry) {
+        rows.push(entry);
+      });
     };
+    addSection('Status', 'Jobs', summary.funnel.map(function(entry) {
+      return [entry.status, entry.count];
+    }));
+    addSection('Week of', 'Applications', summary.byWeek.map(function(entry) {
+      return [entry.week, entry.count];
+    }));
+    addSection('Board', 'Jobs', summary.byBoard.map(function(entry) {
+      return [entry.name, entry.count];
+    }));
+    addSection('Role', 'Jobs', summary.byRole.map(function(entry) {
+      return [entry.name, entry.count];
+    }));
+
+    sheet.clear();
+    sheet.getRange(1, 1, rows.length, 2).setValues(rows);
+    sheet.getRange(4, 2).setNumberFormat('0%');
+    sectionRows.forEach(function(row) {
+      sheet.getRange(row, 1, 1, 2).setFontWeight('bold');
+    });
 
-    var rowData = createRowData(headers, jobData, fieldLabelMap);
+    return summary;
 
-    console.log({
-      message: 'JobSprint: Appending row to sheet',
+  } catch (error) {
+    console.warn({
+      message: 'JobSprint: Could not refresh the Summary tab',
       requestId: requestId,
-      sheetName: sheet.getName(),
-      currentRowCount: sheet.getLastRow(),
-      columnCount: rowData.length
+      error: error.toString()
+    });
+    return null;
+  }
+}
+
+/**
+ * Get the date a job is due for a follow-up
+ * @param {Object} job - Job keyed by field ID (applied as yyyy-MM-dd)
+ * @param {number} days - Days a job may wait for an answer
+ * @returns {string} Due date as yyyy-MM-dd, or '' if the job's status moved on or it has no Applied date
+ */
+function getFollowUpDueDate(job, days) {
+  var status = String(job.status || '').trim() || FOLLOW_UP_STATUS;
+  var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(job.applied || ''));
+  if (status !== FOLLOW_UP_STATUS || !match) {
+    return '';
+  }
+  var due = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + days));
+  return due.toISOString().slice(0, 10);
+}
+
+/**
+ * List the jobs due for a follow-up on every job sheet (tabs with a Status column)
+ * @param {Spreadsheet} spreadsheet - Spreadsheet object
+ * @param {number} days - Days a job may wait for an answer
+ * @param {string} today - Today as yyyy-MM-dd (script time zone)
+ * @returns {Array<Object>} [{ sheet, row, company, title, url, applied, due }], longest overdue first
+ */
+function findFollowUps(spreadsheet, days, today) {
+  var followUps = [];
+  spreadsheet.getSheets().forEach(function(sheet) {
+    if (sheet.getName() === SUMMARY_SHEET_NAME) return;
+    readJobsFromSheet(sheet).forEach(function(job) {
+      if (!job.hasOwnProperty('status')) return;
+      var due = getFollowUpDueDate(job, days);
+      if (due && due <= today) {
+        followUps.push({
+          sheet: sheet.getName(),
+          row: job.row,
+          company: job.company || '',
+          title: job.title || '',
+          url: job.url || '',
+          applied: job.applied,
+          due: due
+        });
+      }
     });
+  });
 
-    // Append the data to the sheet
-    sheet.appendRow(rowData);
+  return followUps.sort(function(a, b) {
+    return a.due < b.due ? -1 : a.due > b.due ? 1 : 0;
+  });
+}
 
-    // Auto-resize columns for better readability (all columns)
-    if (headers.length > 0) {
-      sheet.autoResizeColumns(1, headers.length);
-    }
+/**
+ * Time-driven trigger: write the due date of every job due for a follow-up (see FOLLOW-UP REMINDERS)
+ * Jobs that are not due, or no longer are, get an empty Follow up cell. Skipped when a request
+ * holds the script lock for too long; the next day's run catches up.
+ * @returns {Object} { success, days, flagged, sheets, error? } - sheets lists the tabs with jobs due
+ */
+function checkFollowUps() {
+  var config = getConfiguration();
+  if (!config) {
+    return { success: false, flagged: 0, error: 'Configuration not found. Run setupConfiguration() first.' };
+  }
+
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_WAIT_MS)) {
+    console.warn({ message: 'JobSprint: Spreadsheet busy, follow-up check skipped' });
+    return { success: false, flagged: 0, error: 'The spreadsheet is busy with another request.' };
+  }
+
+  try {
+    var spreadsheet = SpreadsheetApp.openById(config.spreadsheetId);
+    var days = getFollowUpDays();
+    var today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    var flagged = 0;
+    var sheets = [];
+
+    spreadsheet.getSheets().forEach(function(sheet) {
+      if (sheet.getName() === SUMMARY_SHEET_NAME) return;
+      var count = flagFollowUpRows(sheet, days, today);
+      if (count > 0) {
+        flagged += count;
+        sheets.push(sheet.getName());
+      }
+    });
 
     console.info({
-      message: 'JobSprint: Job logged to sheet successfully',
-      requestId: requestId,
-      jobTitle: jobData.title || '(No title)',
-      company: jobData.company || '(No company)',
-      newRowNumber: sheet.getLastRow()
+      message: 'JobSprint: Follow-ups checked',
+      days: days,
+      flagged: flagged,
+      sheets: sheets
     });
 
-    return { success: true };
+    return { success: true, days: days, flagged: flagged, sheets: sheets };
 
   } catch (error) {
-    // Detailed error logging for Cloud Logging
-    var errorDetails = {
-      errorMessage: error.toString(),
-      errorName: error.name,
-      hasSpreadsheet: !!spreadsheet,
-      hasSheet: !!sheet
-    };
-
     console.error({
-      message: 'JobSprint: Error writing to spreadsheet',
-      requestId: requestId,
-      error: error.toString(),
-      errorType: error.name,
-      errorDetails: errorDetails
+      message: 'JobSprint: Error checking follow-ups',
+      error: error.toString()
     });
 
-    // Provide user-friendly error message
-    var userError = 'Failed to write to spreadsheet';
-    if (error.toString().indexOf('Authorization') !== -1 || error.toString().indexOf('Permission') !== -1) {
-      userError = 'Authorization error: Please ensure the spreadsheet ID is correct and the script owner has access to the spreadsheet';
-    } else if (error.toString().indexOf('not found') !== -1) {
-      userError = 'Spreadsheet not found: Please verify the spreadsheet ID in your config';
-    }
+    return { success: false, flagged: 0, error: 'Failed to check follow-ups: ' + error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-    return {
-      success: false,
-      error: userError + ': ' + error.toString(),
-      errorDetails: errorDetails
-    };
+/**
+ * Write the follow-up due dates of one sheet
+ * The Follow up column is only added once a job on the sheet is due
+ * @param {Sheet} sheet - Google Sheet object
+ * @param {number} days - Days a job may wait for an answer
+ * @param {string} today - Today as yyyy-MM-dd (script time zone)
+ * @returns {number} Number of jobs due
+ */
+function flagFollowUpRows(sheet, days, today) {
+  var jobs = readJobsFromSheet(sheet);
+  if (jobs.length === 0 || !jobs[0].hasOwnProperty('status')) {
+    return 0;
+  }
+
+  var dueDates = jobs.map(function(job) {
+    var due = getFollowUpDueDate(job, days);
+    return due && due <= today ? due : '';
+  });
+  var flagged = dueDates.filter(function(due) { return due; }).length;
+
+  var layout = getSheetLayout(sheet.getName(), null);
+  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  if (flagged > 0) {
+    headers = getOrCreateHeaders(sheet, { follow_up: '' }, false, layout.aliasIndex, layout.schema);
+  }
+  var column = findHeaderColumn(headers, 'follow_up', layout.aliasIndex);
+  if (column === -1) {
+    return 0;
   }
+
+  // Written as M/d/yyyy like the Applied column, so Sheets shows them as dates
+  sheet.getRange(2, column + 1, jobs.length, 1).setValues(dueDates.map(function(due) {
+    return [due ? Number(due.slice(5, 7)) + '/' + Number(due.slice(8, 10)) + '/' + due.slice(0, 4) : ''];
+  }));
+  applyFollowUpHighlight(sheet, column);
+
+  return flagged;
 }
 
 /**
- * Infer the job board from URL or source
+ * Highlight filled Follow up cells with a conditional format rule
+ * The rule goes first so it wins over the row colors from applyStatusColors(); the one added
+ * by an earlier run is replaced (the column may have moved)
+ * @param {Sheet} sheet - Google Sheet object
+ * @param {number} column - Follow up column index (0-based)
+ */
+function applyFollowUpHighlight(sheet, column) {
+  var rules = sheet.getConditionalFormatRules().filter(function(rule) {
+    return !isFollowUpRule(rule);
+  });
+  var letter = getColumnLetter(column + 1);
+  rules.unshift(SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied('=$' + letter + '2<>""')
+    .setBackground(FOLLOW_UP_COLOR)
+    .setRanges([sheet.getRange(2, column + 1, Math.max(sheet.getMaxRows() - 1, 1), 1)])
+    .build());
+  sheet.setConditionalFormatRules(rules);
+}
+
+/**
+ * Check whether a conditional format rule was added by applyFollowUpHighlight()
+ * @param {ConditionalFormatRule} rule - Rule from the sheet
+ * @returns {boolean} True for =$<column>2<>"" formula rules
+ */
+function isFollowUpRule(rule) {
+  var condition = rule.getBooleanCondition();
+  return !!condition &&
+    condition.getCriteriaType() === SpreadsheetApp.BooleanCriteria.CUSTOM_FORMULA &&
+    /^=\$[A-Z]+2<>""$/.test(String(condition.getCriteriaValues()[0]));
+}
+
+/**
+ * Infer the job board from URL or source (see BOARD AND ATS above)
  * @param {string} url - Job posting URL
  * @param {string} source - Source field from job data
- * @returns {string} Inferred board name
+ * @returns {string} Inferred board name ("Other" if job-boards.js is missing)
  */
 function inferBoard(url, source) {
-  if (!url && !source) return 'Other';
-
-  var urlLower = (url || '').toLowerCase();
-  var sourceLower = (source || '').toLowerCase();
-
-  // Check URL and source for known boards
-  if (urlLower.indexOf('indeed.com') !== -1 || sourceLower.indexOf('indeed') !== -1) {
-    return 'Indeed';
-  } else if (urlLower.indexOf('linkedin.com') !== -1 || sourceLower.indexOf('linkedin') !== -1) {
-    return 'LinkedIn';
-  } else if (urlLower.indexOf('handshake') !== -1 || sourceLower.indexOf('handshake') !== -1) {
-    return 'Handshake';
-  } else if (urlLower.indexOf('symplicity') !== -1 || sourceLower.indexOf('symplicity') !== -1) {
-    return 'Symplicity';
-  } else if (urlLower.indexOf('google.com/about/careers') !== -1 || sourceLower.indexOf('google') !== -1) {
-    return 'Google';
-  } else if (urlLower.indexOf('greenhouse.io') !== -1) {
-    return 'Website';
-  } else if (urlLower.indexOf('lever.co') !== -1) {
-    return 'Website';
-  } else if (urlLower.indexOf('workday.com') !== -1) {
-    return 'Website';
-  } else if (urlLower.indexOf('myworkdayjobs.com') !== -1) {
-    return 'Website';
-  } else if (urlLower.indexOf('taleo') !== -1) {
-    return 'Website';
-  } else if (urlLower.indexOf('icims.com') !== -1) {
-    return 'Website';
-  } else if (urlLower.indexOf('jobs.') !== -1 || urlLower.indexOf('careers.') !== -1) {
-    return 'Website';
-  }
-
-  return 'Other';
+  if (typeof detectJobBoard !== 'function') return 'Other';
+
+  return detectJobBoard(url, source).board;
+}
+
+/**
+ * Infer the applicant tracking system hosting a job from its URL
+ * @param {string} url - Job posting URL
+ * @returns {string} ATS name (Greenhouse, Lever, ...), or empty if unknown or job-boards.js is missing
+ */
+function inferAts(url) {
+  if (typeof detectJobBoard !== 'function') return '';
+
+  return detectJobBoard(url, '').ats;
 }
 
 /**
@@ -625,51 +2760,16 @@ function formatAppliedDate(timestamp) {
 }
 
 /**
- * Infer role category from job title
+ * Infer role category from job title with the role rules (see ROLE RULES above)
  * @param {string} title - Job title
- * @returns {string} Role category (CODE, DSCI, STAT, R&D, or empty)
+ * @param {Array<Object>} rules - Rules from getRoleRules() (read if omitted)
+ * @returns {string} Category of the first matching rule (CODE, DSCI, STAT, R&D with the
+ *   default rules), or empty if none matches or role-rules.js is missing
  */
-function inferRole(title) {
-  if (!title) return '';
-
-  var titleLower = title.toLowerCase();
-
-  // Data Science / Data Analyst / ML Engineer
-  if (titleLower.indexOf('data scien') !== -1 ||
-      titleLower.indexOf('data analy') !== -1 ||
-      titleLower.indexOf('machine learning') !== -1 ||
-      titleLower.indexOf('ml engineer') !== -1 ||
-      titleLower.indexOf('ai engineer') !== -1) {
-    return 'DSCI';
-  }
-
-  // Software Engineer / Developer / Programmer
-  if (titleLower.indexOf('software') !== -1 ||
-      titleLower.indexOf('developer') !== -1 ||
-      titleLower.indexOf('engineer') !== -1 ||
-      titleLower.indexOf('programmer') !== -1 ||
-      titleLower.indexOf('full stack') !== -1 ||
-      titleLower.indexOf('backend') !== -1 ||
-      titleLower.indexOf('frontend') !== -1) {
-    return 'CODE';
-  }
-
-  // Statistician / Quantitative Analyst
-  if (titleLower.indexOf('statistic') !== -1 ||
-      titleLower.indexOf('quantitative') !== -1 ||
-      titleLower.indexOf('quant ') !== -1) {
-    return 'STAT';
-  }
+function inferRole(title, rules) {
+  if (!title || typeof inferRoleFromRules !== 'function') return '';
 
-  // Research & Development / Research Scientist
-  if (titleLower.indexOf('research') !== -1 ||
-      titleLower.indexOf('scientist') !== -1 ||
-      titleLower.indexOf('r&d') !== -1) {
-    return 'R&D';
-  }
-
-  // Default to empty if no match
-  return '';
+  return inferRoleFromRules(title, rules || getRoleRules(null));
 }
 
 /**
@@ -709,6 +2809,7 @@ function testDoPost() {
   }
 
   var testData = {
+    parameter: {},
     postData: {
       contents: JSON.stringify({
         title: 'Software Engineer (TEST)',
@@ -721,6 +2822,13 @@ function testDoPost() {
     }
   };
 
+  // Sign the test request like the extension does when a shared secret is set
+  var sharedSecret = getSharedSecret();
+  if (sharedSecret) {
+    testData.parameter.ts = String(new Date().getTime());
+    testData.parameter.sig = computeRequestSignature(sharedSecret, testData.parameter.ts, testData.postData.contents);
+  }
+
   var response = doPost(testData);
   var responseData = JSON.parse(response.getContent());
 
@@ -749,6 +2857,7 @@ function testDoPost() {
 function runDiagnostics() {
   console.info({
     message: 'JobSprint: Running diagnostics',
+    version: ENDPOINT_VERSION,
     timestamp: new Date().toISOString()
   });
 
@@ -776,6 +2885,17 @@ function runDiagnostics() {
     timezone: Session.getScriptTimeZone()
   });
 
+  // The schema validator is a separate script file in the project
+  if (typeof validateJobAgainstSchema !== 'function') {
+    console.warn('⚠️ job-schema-validator.js is missing: jobs sent with a schema will be rejected. Add it as a second script file.');
+  }
+  if (typeof inferRoleFromRules !== 'function') {
+    console.warn('⚠️ role-rules.js is missing: Role cells will be left empty. Add it as a script file.');
+  }
+  if (typeof detectJobBoard !== 'function') {
+    console.warn('⚠️ job-boards.js is missing: Board cells will say Other and ATS cells stay empty. Add it as a script file.');
+  }
+
   // Try to access the spreadsheet
   try {
     console.log({
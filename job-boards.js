@@ -0,0 +1,205 @@
+/**
+ * JobSprint Job Boards - Tells where a job was found and which ATS hosts its application
+ * A job page's URL is matched against JOB_BOARD_TABLE, which lists two kinds of sites:
+ * - boards, where jobs are found (LinkedIn, Indeed, Handshake, Wellfound, ...) → Board column
+ * - applicant tracking systems, where applications are hosted (Greenhouse, Lever, Workday,
+ *   Ashby, ...) → ATS column
+ * A job on a company's own careers page (including one hosted by an ATS) is found on "Website";
+ * anything else on "Other". Users can map more domains to boards in Settings
+ * (CUSTOM_JOB_BOARDS: [{ domain, board }]); those mappings win over the table.
+ *
+ * Domains match the host and its subdomains; a domain with a path ("google.com/about/careers")
+ * also needs the URL path to start with it. To recognize another site, add it to the table.
+ *
+ * One copy is shared by the content script and Settings page, the service worker
+ * (importScripts()), local-sheet-store.js (require()) and the Apps Script endpoint, where it is
+ * added to the project as another script file. Written in ES5 like google-apps-script-endpoint.js
+ * so it runs unchanged everywhere (Apps Script has no URL class, so URLs are split by pattern).
+ */
+
+// Known sites: type 'board' fills the Board column, type 'ats' the ATS column
+var JOB_BOARD_TABLE = [
+  { name: 'LinkedIn', type: 'board', domains: ['linkedin.com'] },
+  { name: 'Indeed', type: 'board', domains: ['indeed.com'] },
+  { name: 'Glassdoor', type: 'board', domains: ['glassdoor.com'] },
+  { name: 'Handshake', type: 'board', domains: ['joinhandshake.com'] },
+  { name: 'Symplicity', type: 'board', domains: ['symplicity.com'] },
+  { name: 'Google', type: 'board', domains: ['google.com/about/careers', 'careers.google.com'] },
+  { name: 'Wellfound', type: 'board', domains: ['wellfound.com', 'angel.co'] },
+  { name: 'ZipRecruiter', type: 'board', domains: ['ziprecruiter.com'] },
+  { name: 'Dice', type: 'board', domains: ['dice.com'] },
+  { name: 'Monster', type: 'board', domains: ['monster.com'] },
+  { name: 'Built In', type: 'board', domains: ['builtin.com'] },
+  { name: 'Y Combinator', type: 'board', domains: ['workatastartup.com', 'ycombinator.com/jobs'] },
+  { name: 'USAJOBS', type: 'board', domains: ['usajobs.gov'] },
+  { name: 'Greenhouse', type: 'ats', domains: ['greenhouse.io'] },
+  { name: 'Lever', type: 'ats', domains: ['lever.co'] },
+  { name: 'Workday', type: 'ats', domains: ['myworkdayjobs.com', 'myworkdaysite.com', 'workday.com'] },
+  { name: 'Taleo', type: 'ats', domains: ['taleo.net'] },
+  { name: 'iCIMS', type: 'ats', domains: ['icims.com'] },
+  { name: 'Ashby', type: 'ats', domains: ['ashbyhq.com'] },
+  { name: 'SmartRecruiters', type: 'ats', domains: ['smartrecruiters.com'] },
+  { name: 'BambooHR', type: 'ats', domains: ['bamboohr.com'] },
+  { name: 'Jobvite', type: 'ats', domains: ['jobvite.com'] },
+  { name: 'Workable', type: 'ats', domains: ['workable.com'] },
+  { name: 'SuccessFactors', type: 'ats', domains: ['successfactors.com', 'successfactors.eu'] },
+  { name: 'Recruitee', type: 'ats', domains: ['recruitee.com'] },
+  { name: 'JazzHR', type: 'ats', domains: ['applytojob.com'] },
+  { name: 'Breezy HR', type: 'ats', domains: ['breezy.hr'] },
+  { name: 'Teamtailor', type: 'ats', domains: ['teamtailor.com'] }
+];
+
+// Board of a job on a company's own careers page, and of a job from anywhere else
+var COMPANY_SITE_BOARD = 'Website';
+var UNKNOWN_BOARD = 'Other';
+
+// Hosts of company careers pages (jobs.acme.com, careers.acme.com)
+var CAREERS_HOST_PATTERN = /^(?:www\.)?(?:jobs|careers)\./;
+
+/**
+ * Split a URL into its lowercase host (without www.) and path
+ * @param {string} url - Page URL
+ * @returns {Object|null} { host, path }, or null if the text is not an http(s) URL
+ */
+function parseJobBoardUrl(url) {
+  var match = /^https?:\/\/(?:[^@\/?#]*@)?([^\/?#:]+)(?::\d+)?([^?#]*)/i.exec(String(url || '').trim());
+  if (!match) {
+    return null;
+  }
+  return { host: match[1].toLowerCase().replace(/^www\./, ''), path: match[2] || '/' };
+}
+
+/**
+ * Check whether a parsed URL belongs to a domain (subdomains included)
+ * @param {Object} location - { host, path } from parseJobBoardUrl()
+ * @param {string} domain - e.g. "lever.co" or "google.com/about/careers"
+ * @returns {boolean} True on a match
+ */
+function matchesJobBoardDomain(location, domain) {
+  var slash = domain.indexOf('/');
+  var host = slash === -1 ? domain : domain.slice(0, slash);
+  var path = slash === -1 ? '' : domain.slice(slash);
+  var hostMatches = location.host === host ||
+    location.host.slice(-(host.length + 1)) === '.' + host;
+  return hostMatches && location.path.toLowerCase().indexOf(path) === 0;
+}
+
+/**
+ * Clean up the user's domain → board mappings
+ * @param {Array<Object>} mappings - CUSTOM_JOB_BOARDS setting ([{ domain, board }])
+ * @returns {Array<Object>} Mappings with a lowercase domain (no protocol or www) and a board name;
+ *   incomplete entries are dropped
+ */
+function normalizeCustomJobBoards(mappings) {
+  if (!Array.isArray(mappings)) {
+    return [];
+  }
+  var normalized = [];
+  mappings.forEach(function(mapping) {
+    if (!mapping || typeof mapping.domain !== 'string' || typeof mapping.board !== 'string') return;
+    var domain = mapping.domain.trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/[?#].*$/, '')
+      .replace(/\/+$/, '');
+    var board = mapping.board.trim();
+    if (domain && board) {
+      normalized.push({ domain: domain, board: board });
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Find the board the user mapped a URL to
+ * @param {string} url - Job page URL
+ * @param {Array<Object>} customBoards - CUSTOM_JOB_BOARDS setting
+ * @returns {string|null} Board name of the first matching mapping, or null
+ */
+function findCustomJobBoard(url, customBoards) {
+  var location = parseJobBoardUrl(url);
+  if (!location) {
+    return null;
+  }
+  var mappings = normalizeCustomJobBoards(customBoards);
+  for (var i = 0; i < mappings.length; i++) {
+    if (matchesJobBoardDomain(location, mappings[i].domain)) {
+      return mappings[i].board;
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the board a job was found on and the ATS hosting its application
+ * The board comes from the user's mappings, else the table, else a board named in the
+ * source text (e.g. "LinkedIn" typed in by hand); a job on an ATS or careers host without a
+ * board is on "Website", the rest on "Other"
+ * @param {string} url - Job page URL
+ * @param {string} source - Board text sent with the job (optional)
+ * @param {Array<Object>} customBoards - CUSTOM_JOB_BOARDS setting (optional)
+ * @returns {Object} { board, ats } - ats is '' when the URL is not on a known ATS
+ */
+function detectJobBoard(url, source, customBoards) {
+  var location = parseJobBoardUrl(url);
+  var board = location ? findCustomJobBoard(url, customBoards) : null;
+  var ats = '';
+
+  for (var i = 0; i < JOB_BOARD_TABLE.length && location; i++) {
+    var entry = JOB_BOARD_TABLE[i];
+    var matches = entry.domains.some(function(domain) {
+      return matchesJobBoardDomain(location, domain);
+    });
+    if (!matches) continue;
+    if (entry.type === 'ats' && !ats) {
+      ats = entry.name;
+    } else if (entry.type === 'board' && !board) {
+      board = entry.name;
+    }
+  }
+
+  var sourceLower = String(source || '').toLowerCase();
+  for (var j = 0; j < JOB_BOARD_TABLE.length && !board && sourceLower; j++) {
+    if (JOB_BOARD_TABLE[j].type === 'board' && sourceLower.indexOf(JOB_BOARD_TABLE[j].name.toLowerCase()) !== -1) {
+      board = JOB_BOARD_TABLE[j].name;
+    }
+  }
+
+  if (!board) {
+    var onCompanySite = !!ats || !!(location && CAREERS_HOST_PATTERN.test(location.host));
+    board = onCompanySite ? COMPANY_SITE_BOARD : UNKNOWN_BOARD;
+  }
+  return { board: board, ats: ats };
+}
+
+/**
+ * Every board name detection can produce, for Board dropdowns
+ * @param {Array<Object>} customBoards - CUSTOM_JOB_BOARDS setting (optional)
+ * @returns {Array<string>} Table boards, then custom boards, then Website and Other (no duplicates)
+ */
+function getJobBoardNames(customBoards) {
+  var names = [];
+  var add = function(name) {
+    if (names.indexOf(name) === -1) names.push(name);
+  };
+  JOB_BOARD_TABLE.forEach(function(entry) {
+    if (entry.type === 'board') add(entry.name);
+  });
+  normalizeCustomJobBoards(customBoards).forEach(function(mapping) {
+    add(mapping.board);
+  });
+  add(COMPANY_SITE_BOARD);
+  add(UNKNOWN_BOARD);
+  return names;
+}
+
+// Export for use in Node.js (local endpoint and Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    JOB_BOARD_TABLE: JOB_BOARD_TABLE,
+    normalizeCustomJobBoards: normalizeCustomJobBoards,
+    findCustomJobBoard: findCustomJobBoard,
+    detectJobBoard: detectJobBoard,
+    getJobBoardNames: getJobBoardNames
+  };
+}
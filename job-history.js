@@ -0,0 +1,363 @@
+/**
+ * JobSprint History - Local record of jobs that were logged successfully
+ * Stored in IndexedDB with the full payload and endpoint result, so applications can be
+ * reviewed (tracker.html) and recognized on job pages even when the sheet is unreachable.
+ * Used by the service worker (importScripts()) and tracker.js; exported for Jest in Node.
+ */
+
+const HISTORY_DB_NAME = 'jobsprint';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'jobHistory';
+
+// Pipeline stages offered by the popup and tracker until the endpoint reports its own
+// (setupStatusStages() in the sheet; new rows start as "No response")
+const JOB_STATUS_OPTIONS = ['No response', 'Applied', 'Interviewing', 'Offer', 'Rejected', 'Withdrawn'];
+
+// Query parameters that only track how the user got to a posting, never which posting it is
+const TRACKING_PARAM_PATTERN = /^(utm_.*|ref|refid|trk|trackingid|tracking_id|src|source|from|lipi|gclid|fbclid|mc_cid|mc_eid|_ga|si|ebp|fccid|tk|from_?search|original_?referer)$/i;
+
+/**
+ * Canonicalize a job posting URL so the same posting matches across visits
+ * Drops protocol, "www.", fragments, trailing slashes and tracking parameters, sorts the
+ * remaining parameters, and rewrites board-specific search views to the posting's own URL
+ * @param {string} url - Job posting URL
+ * @returns {string} Canonical form (e.g. "linkedin.com/jobs/view/123"), or '' if not a URL
+ */
+function canonicalizeJobUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return '';
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const params = parsed.searchParams;
+
+  // LinkedIn search/collection pages show a posting selected by currentJobId
+  if (host.endsWith('linkedin.com') && params.get('currentJobId')) {
+    return `linkedin.com/jobs/view/${params.get('currentJobId')}`;
+  }
+
+  // Indeed postings are identified by the jk (or vjk) parameter on any page
+  if (host.endsWith('indeed.com') && (params.get('jk') || params.get('vjk'))) {
+    return `indeed.com/viewjob?jk=${params.get('jk') || params.get('vjk')}`;
+  }
+
+  const path = parsed.pathname.replace(/\/+$/, '');
+  const query = [...params.entries()]
+    .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  return host + path + (query ? `?${query}` : '');
+}
+
+/**
+ * Normalize a title or company name for comparison
+ * @param {string} text - Raw text
+ * @returns {string} Lowercased text with punctuation and extra whitespace removed
+ */
+function normalizeHistoryText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the status options for the popup and tracker dropdowns
+ * @param {*} statusStages - Stage names reported by the endpoint (capabilities.statusStages)
+ * @returns {Array<string>} The endpoint's stages in order, or JOB_STATUS_OPTIONS when it reports
+ *   none (an older deployment, another backend, or no answer yet)
+ */
+function getStatusOptions(statusStages) {
+  if (!Array.isArray(statusStages)) return JOB_STATUS_OPTIONS;
+
+  const names = statusStages
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim());
+  return names.length > 0 ? [...new Set(names)] : JOB_STATUS_OPTIONS;
+}
+
+/**
+ * Create a history entry from a logged job payload
+ * @param {Object} payload - Job data that was logged
+ * @param {Object} result - Endpoint result (response data, endpoint URL, attempts)
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @returns {Object} History entry
+ */
+function createHistoryEntry(payload, result = null, now = Date.now()) {
+  return {
+    id: payload.clientRequestId || `${now}-${Math.random().toString(36).substr(2, 9)}`,
+    url: canonicalizeJobUrl(payload.url),
+    title: payload.title || '',
+    company: payload.company || '',
+    appliedAt: payload.timestamp || new Date(now).toISOString(),
+    status: 'No response',
+    decision: '',
+    notes: '',
+    loggedAt: now,
+    payload,
+    result
+  };
+}
+
+/**
+ * Fold a new delivery of a job into its stored history entry
+ * The logged data (payload, result, loggedAt) is replaced; the entry's ID, when it was applied
+ * for and what the user set in the tracker or through Update status (status, decision, notes)
+ * are kept
+ * @param {Object|null} existing - Stored entry for the same job, if any
+ * @param {Object} entry - Entry from createHistoryEntry() for the new delivery
+ * @returns {Object} Entry to store
+ */
+function mergeHistoryEntry(existing, entry) {
+  if (!existing) return entry;
+
+  return {
+    ...existing,
+    url: entry.url || existing.url,
+    title: entry.title || existing.title,
+    company: entry.company || existing.company,
+    payload: entry.payload,
+    result: entry.result,
+    loggedAt: entry.loggedAt
+  };
+}
+
+/**
+ * Find the history entry for a job page
+ * The canonical URL is checked first; title + company is the fallback for the same posting
+ * seen on another site (e.g. LinkedIn vs. the company's career page)
+ * @param {Array<Object>} entries - History entries
+ * @param {Object} job - { url?, title?, company? } from the page
+ * @returns {Object|null} { entry, matchedBy: 'url'|'title' } or null
+ */
+function findHistoryMatch(entries, job) {
+  const url = canonicalizeJobUrl(job.url);
+  if (url) {
+    const byUrl = entries.find(entry => entry.url === url);
+    if (byUrl) return { entry: byUrl, matchedBy: 'url' };
+  }
+
+  const title = normalizeHistoryText(job.title);
+  const company = normalizeHistoryText(job.company);
+  if (!title || !company || title === 'no title' || company === 'no company') {
+    return null;
+  }
+
+  const byTitle = entries.find(entry =>
+    normalizeHistoryText(entry.title) === title && normalizeHistoryText(entry.company) === company
+  );
+  return byTitle ? { entry: byTitle, matchedBy: 'title' } : null;
+}
+
+/**
+ * Filter history entries for the tracker view
+ * @param {Array<Object>} entries - History entries
+ * @param {Object} filters - { search?, status?, from?, to? } (dates as YYYY-MM-DD, inclusive)
+ * @returns {Array<Object>} Matching entries
+ */
+function filterHistory(entries, filters = {}) {
+  const search = normalizeHistoryText(filters.search);
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+
+  return entries.filter(entry => {
+    if (filters.status && entry.status !== filters.status) return false;
+
+    if (search) {
+      const haystack = normalizeHistoryText(`${entry.title} ${entry.company} ${entry.notes} ${entry.url}`);
+      if (!haystack.includes(search)) return false;
+    }
+
+    const applied = new Date(entry.appliedAt).getTime();
+    if (from !== null && !(applied >= from)) return false;
+    if (to !== null && !(applied <= to)) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Sort history entries for the tracker view
+ * @param {Array<Object>} entries - History entries
+ * @param {string} field - Entry field to sort by (appliedAt, title, company, status)
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortHistory(entries, field = 'appliedAt', direction = 'desc') {
+  const factor = direction === 'asc' ? 1 : -1;
+
+  return [...entries].sort((a, b) => {
+    const left = field === 'appliedAt' ? new Date(a.appliedAt).getTime() || 0 : String(a[field] || '').toLowerCase();
+    const right = field === 'appliedAt' ? new Date(b.appliedAt).getTime() || 0 : String(b[field] || '').toLowerCase();
+    if (left < right) return -factor;
+    if (left > right) return factor;
+    return 0;
+  });
+}
+
+// ============ STORAGE (IndexedDB) ============
+
+let historyDbPromise = null;
+
+/**
+ * Open (and create or upgrade) the history database
+ * @returns {Promise<IDBDatabase>} Open database, shared by all callers in this context
+ */
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        store.createIndex('url', 'url', { unique: false });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        historyDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return historyDbPromise;
+}
+
+/**
+ * Run work inside one history transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the object store; its return value resolves the promise
+ * @returns {Promise<*>} Resolves with work()'s result once the transaction completes
+ */
+async function withHistoryStore(mode, work) {
+  const db = await openHistoryDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    result = work(transaction.objectStore(HISTORY_STORE));
+  });
+}
+
+/**
+ * Read all history entries
+ * @returns {Promise<Array<Object>>} History entries
+ */
+function readHistory() {
+  return withHistoryStore('readonly', store => {
+    const entries = [];
+    store.getAll().onsuccess = (event) => entries.push(...event.target.result);
+    return entries;
+  });
+}
+
+/**
+ * Record a successfully logged job
+ * Another delivery of the same job (same clientRequestId, e.g. a queued backend succeeding
+ * later) or a re-log of the same posting merges into its entry instead of adding another
+ * @param {Object} payload - Job data that was logged
+ * @param {Object} result - Endpoint result
+ * @returns {Promise<Object>} The stored entry
+ */
+function recordJobInHistory(payload, result = null) {
+  const entry = createHistoryEntry(payload, result);
+
+  return withHistoryStore('readwrite', store => {
+    const holder = { entry };
+    store.get(entry.id).onsuccess = (event) => {
+      const byId = event.target.result || null;
+      if (!entry.url) {
+        holder.entry = mergeHistoryEntry(byId, entry);
+        store.put(holder.entry);
+        return;
+      }
+
+      store.index('url').getAll(entry.url).onsuccess = (urlEvent) => {
+        const existing = byId || urlEvent.target.result[0] || null;
+        // Older duplicates of the posting are dropped so it keeps a single entry
+        urlEvent.target.result
+          .filter(match => match.id !== existing.id)
+          .forEach(match => store.delete(match.id));
+        holder.entry = mergeHistoryEntry(existing, entry);
+        store.put(holder.entry);
+      };
+    };
+    return holder;
+  }).then(holder => holder.entry);
+}
+
+/**
+ * Apply edits to a history entry (tracker view)
+ * @param {string} id - Entry ID
+ * @param {Object} changes - Fields to change (status, decision, notes, ...)
+ * @returns {Promise<Object|null>} Updated entry, or null if it no longer exists
+ */
+function updateHistoryEntry(id, changes) {
+  return withHistoryStore('readwrite', store => {
+    const holder = { entry: null };
+    store.get(id).onsuccess = (event) => {
+      if (!event.target.result) return;
+      holder.entry = { ...event.target.result, ...changes, id, updatedAt: Date.now() };
+      store.put(holder.entry);
+    };
+    return holder;
+  }).then(holder => holder.entry);
+}
+
+/**
+ * Delete a history entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+function deleteHistoryEntry(id) {
+  return withHistoryStore('readwrite', store => {
+    store.delete(id);
+  });
+}
+
+/**
+ * Update the status of a logged job after a successful status update
+ * @param {string} url - Job posting URL (any form; it is canonicalized)
+ * @param {string} status - New status
+ * @returns {Promise<void>}
+ */
+function updateHistoryStatus(url, status) {
+  const canonical = canonicalizeJobUrl(url);
+  if (!canonical) return Promise.resolve();
+
+  return withHistoryStore('readwrite', store => {
+    store.index('url').getAll(canonical).onsuccess = (event) => {
+      event.target.result.forEach(entry => store.put({ ...entry, status, updatedAt: Date.now() }));
+    };
+  });
+}
+
+// Export for use in Node.js testing environment (Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HISTORY_DB_NAME,
+    HISTORY_STORE,
+    JOB_STATUS_OPTIONS,
+    canonicalizeJobUrl,
+    normalizeHistoryText,
+    getStatusOptions,
+    createHistoryEntry,
+    mergeHistoryEntry,
+    findHistoryMatch,
+    filterHistory,
+    sortHistory,
+    openHistoryDb,
+    readHistory,
+    recordJobInHistory,
+    updateHistoryEntry,
+    deleteHistoryEntry,
+    updateHistoryStatus
+  };
+}
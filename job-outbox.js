@@ -0,0 +1,244 @@
+/**
+ * JobSprint Outbox - Durable queue for job logging
+ * Every logJobData payload is persisted in chrome.storage.local before it is sent,
+ * so jobs extracted on a flaky connection survive failures and service worker restarts.
+ * Each entry targets one logging backend; entries without a backendId are Apps Script entries.
+ * Loaded by the service worker via importScripts(); exported for Jest in Node.
+ */
+
+const OUTBOX_STORAGE_KEY = 'jobOutbox';
+const OUTBOX_ALARM_NAME = 'jobOutboxDrain';
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BASE_DELAY_MS = 60 * 1000;      // First automatic retry after 1 minute
+const OUTBOX_MAX_DELAY_MS = 60 * 60 * 1000;  // Never wait more than 1 hour between retries
+const OUTBOX_SENDING_TIMEOUT_MS = 5 * 60 * 1000; // A send still 'sending' after 5 minutes died with its worker
+
+// Serializes read-modify-write cycles so a drain and a new log can't clobber each other
+let outboxWriteChain = Promise.resolve();
+
+/**
+ * Create a new outbox entry for a job payload
+ * The payload's clientRequestId is shared by every resend of the entry (fetch retries,
+ * alarm drains, manual retries), so the endpoint recognizes them as the same request and
+ * never appends a duplicate row. One job logged to several backends gets one entry per
+ * backend; they share the clientRequestId, and entry IDs are suffixed with the backend ID
+ * (except Apps Script, which keeps the bare ID as before backends existed)
+ * @param {Object} payload - Job data exactly as it will be sent to the backend
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @param {string} backendId - Logging backend that delivers this entry (see logging-backends.js)
+ * @returns {Object} Outbox entry in 'pending' state, due immediately
+ */
+function createOutboxEntry(payload, now = Date.now(), backendId = 'appsScript') {
+  const requestId = payload.clientRequestId || `${now}-${Math.random().toString(36).substr(2, 9)}`;
+
+  return {
+    id: backendId === 'appsScript' ? requestId : `${requestId}@${backendId}`,
+    backendId,
+    payload: { ...payload, clientRequestId: requestId },
+    status: 'pending',
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastError: null
+  };
+}
+
+/**
+ * Exponential backoff delay before the next automatic attempt
+ * @param {number} attempts - Number of attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds: 1m, 2m, 4m, ... capped at 1h
+ */
+function getBackoffDelay(attempts) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, exponent), OUTBOX_MAX_DELAY_MS);
+}
+
+/**
+ * Record a failed delivery attempt on an entry
+ * Non-retriable errors and entries out of attempts become 'failed' and wait for the user
+ * @param {Object} entry - Outbox entry
+ * @param {string} error - User-facing error message
+ * @param {boolean} retriable - Whether the failure is transient (network, timeout, 5xx)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Updated copy of the entry
+ */
+function recordFailedAttempt(entry, error, retriable, now = Date.now()) {
+  const attempts = entry.attempts + 1;
+  const giveUp = !retriable || attempts >= OUTBOX_MAX_ATTEMPTS;
+
+  return {
+    ...entry,
+    attempts,
+    lastError: error,
+    lastAttemptAt: now,
+    status: giveUp ? 'failed' : 'pending',
+    nextAttemptAt: giveUp ? null : now + getBackoffDelay(attempts)
+  };
+}
+
+/**
+ * Mark an entry as in flight
+ * nextAttemptAt moves OUTBOX_SENDING_TIMEOUT_MS ahead, so a send lost with its worker is
+ * picked up again by a later drain
+ * @param {Object} entry - Outbox entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Updated copy of the entry in 'sending' state
+ */
+function markEntrySending(entry, now = Date.now()) {
+  return { ...entry, status: 'sending', nextAttemptAt: now + OUTBOX_SENDING_TIMEOUT_MS };
+}
+
+/**
+ * Check whether an entry is being sent right now (by a drain, a retry or the original log)
+ * @param {Object} entry - Outbox entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True while a 'sending' entry is within its timeout
+ */
+function isEntryInFlight(entry, now = Date.now()) {
+  return entry.status === 'sending' && entry.nextAttemptAt > now;
+}
+
+/**
+ * Get entries whose next attempt is due
+ * Pending entries are due at nextAttemptAt; entries in flight only once their send timed out
+ * @param {Array<Object>} entries - All outbox entries
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} Due entries, oldest first
+ */
+function getDueEntries(entries, now = Date.now()) {
+  return entries
+    .filter(entry => (entry.status === 'pending' || entry.status === 'sending') && entry.nextAttemptAt <= now)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Get the earliest time any pending (or timed-out in-flight) entry should be retried
+ * @param {Array<Object>} entries - All outbox entries
+ * @returns {number|null} Timestamp in milliseconds, or null if nothing is pending
+ */
+function getNextWakeTime(entries) {
+  const pending = entries.filter(entry => entry.status === 'pending' || entry.status === 'sending');
+  if (pending.length === 0) return null;
+  return Math.min(...pending.map(entry => entry.nextAttemptAt));
+}
+
+// ============ STORAGE ============
+
+/**
+ * Read all outbox entries from chrome.storage.local
+ * @returns {Promise<Array<Object>>} Outbox entries
+ */
+async function readOutbox() {
+  const result = await chrome.storage.local.get([OUTBOX_STORAGE_KEY]);
+  return result[OUTBOX_STORAGE_KEY] || [];
+}
+
+/**
+ * Apply a mutation to the stored outbox atomically (relative to other outbox writes)
+ * @param {Function} mutator - Receives the current entries, returns the new entries
+ * @returns {Promise<Array<Object>>} Entries after the mutation
+ */
+function updateOutbox(mutator) {
+  const run = outboxWriteChain.then(async () => {
+    const entries = await readOutbox();
+    const updated = mutator(entries);
+    await chrome.storage.local.set({ [OUTBOX_STORAGE_KEY]: updated });
+    return updated;
+  });
+
+  // Keep the chain alive even if this mutation fails
+  outboxWriteChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Add an entry to the outbox
+ * @param {Object} entry - Entry created by createOutboxEntry()
+ * @returns {Promise<Array<Object>>} Entries after insertion
+ */
+function addOutboxEntry(entry) {
+  return updateOutbox(entries => [...entries, entry]);
+}
+
+/**
+ * Append several entries to the outbox in one write (batch logging)
+ * @param {Array<Object>} newEntries - Entries from createOutboxEntry()
+ * @returns {Promise<Array<Object>>} Entries after insertion
+ */
+function addOutboxEntries(newEntries) {
+  return updateOutbox(entries => [...entries, ...newEntries]);
+}
+
+/**
+ * Replace an entry (matched by ID) in the outbox
+ * @param {Object} entry - Updated entry
+ * @returns {Promise<Array<Object>>} Entries after replacement
+ */
+function saveOutboxEntry(entry) {
+  return updateOutbox(entries => entries.map(existing => (existing.id === entry.id ? entry : existing)));
+}
+
+/**
+ * Mark entries as in flight before sending them, skipping those already in flight
+ * The check and the write happen in one outbox update, so a drain, a popup Retry and the
+ * original log never send the same entry at the same time
+ * @param {Array<string>} ids - Entry IDs to claim
+ * @param {Object} changes - Fields to set on the claimed entries (e.g. attempts: 0 for a retry)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Array<Object>>} Claimed entries in the order of ids (missing or in-flight ones left out)
+ */
+async function claimOutboxEntries(ids, changes = {}, now = Date.now()) {
+  const claimed = new Map();
+  await updateOutbox(entries => entries.map(entry => {
+    if (!ids.includes(entry.id) || isEntryInFlight(entry, now)) return entry;
+    const sending = markEntrySending({ ...entry, ...changes }, now);
+    claimed.set(entry.id, sending);
+    return sending;
+  }));
+  return ids.filter(id => claimed.has(id)).map(id => claimed.get(id));
+}
+
+/**
+ * Return entries left in flight by a previous worker to the queue (on browser startup)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Array<Object>>} Entries after the reset
+ */
+function releaseSendingEntries(now = Date.now()) {
+  return updateOutbox(entries => entries.map(entry => (
+    entry.status === 'sending' ? { ...entry, status: 'pending', nextAttemptAt: now } : entry
+  )));
+}
+
+/**
+ * Remove an entry from the outbox
+ * @param {string} id - Entry ID
+ * @returns {Promise<Array<Object>>} Entries after removal
+ */
+function removeOutboxEntry(id) {
+  return updateOutbox(entries => entries.filter(entry => entry.id !== id));
+}
+
+// Export for use in Node.js testing environment (Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OUTBOX_STORAGE_KEY,
+    OUTBOX_ALARM_NAME,
+    OUTBOX_MAX_ATTEMPTS,
+    OUTBOX_SENDING_TIMEOUT_MS,
+    createOutboxEntry,
+    getBackoffDelay,
+    recordFailedAttempt,
+    markEntrySending,
+    isEntryInFlight,
+    getDueEntries,
+    getNextWakeTime,
+    readOutbox,
+    updateOutbox,
+    addOutboxEntry,
+    addOutboxEntries,
+    saveOutboxEntry,
+    claimOutboxEntries,
+    releaseSendingEntries,
+    removeOutboxEntry
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * JobSprint Job Schema Validator - Checks a job against the active schema
+ * The schema is the Schema Editor's JOB_DATA_SCHEMA or a logging target's own schema:
+ *   { columns: [{ id, label, type, required, options }] }
+ * Required columns must have a value, url columns must hold an http(s) link, select columns
+ * one of their options, and number/date columns a number/date. Fields without a column are
+ * not checked. Every failing column gets its own message in fieldErrors (keyed by column ID)
+ * so forms can point at the fields to fix.
+ *
+ * One copy is shared by the service worker (importScripts()), local-gas-endpoint.js (require())
+ * and the Apps Script endpoint, where it is added to the project as a second script file.
+ * Written in ES5 like google-apps-script-endpoint.js so it runs unchanged in all three.
+ */
+
+// Column types offered by the Schema Editor (unknown types are checked as text)
+var JOB_SCHEMA_COLUMN_TYPES = ['text', 'textarea', 'select', 'url', 'number', 'date'];
+
+// http(s) link with a host; Apps Script has no URL class, so this is a pattern check
+var JOB_SCHEMA_URL_PATTERN = /^https?:\/\/[^\s\/?#]+[^\s]*$/i;
+
+/**
+ * Reduce a schema to the parts that are validated and sent to the endpoint
+ * @param {Object} schema - { columns: [{ id, label, type, required, options, ... }], roleRules? }
+ * @returns {Object|null} { columns: [{ id, label, type, required, options? }], roleRules? }, or null if
+ *   the schema has no columns array or a column has no ID
+ */
+function normalizeJobSchema(schema) {
+  if (!schema || typeof schema !== 'object' || !Array.isArray(schema.columns)) {
+    return null;
+  }
+
+  var columns = [];
+  for (var i = 0; i < schema.columns.length; i++) {
+    var column = schema.columns[i];
+    if (!column || typeof column.id !== 'string' || column.id === '') {
+      return null;
+    }
+
+    var normalized = {
+      id: column.id,
+      label: column.label ? String(column.label) : column.id,
+      type: JOB_SCHEMA_COLUMN_TYPES.indexOf(column.type) !== -1 ? column.type : 'text',
+      required: column.required === true
+    };
+    if (normalized.type === 'select' && Array.isArray(column.options)) {
+      normalized.options = column.options.map(String);
+    }
+    columns.push(normalized);
+  }
+
+  var result = { columns: columns };
+  // Role rules travel with the schema; role-rules.js checks them where they are used
+  if (Array.isArray(schema.roleRules)) {
+    result.roleRules = schema.roleRules;
+  }
+  return result;
+}
+
+/**
+ * Describe what is wrong with one column's value
+ * @param {Object} column - Normalized column
+ * @param {*} value - Value sent for the column
+ * @returns {string|null} Message naming the column, or null if the value is fine
+ */
+function getJobColumnError(column, value) {
+  var isScalar = typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+  if (value !== undefined && value !== null && !isScalar) {
+    return column.label + ' must be text';
+  }
+
+  var text = isScalar ? String(value).trim() : '';
+  if (text === '') {
+    return column.required ? column.label + ' is required' : null;
+  }
+
+  if (column.type === 'url' && !JOB_SCHEMA_URL_PATTERN.test(text)) {
+    return column.label + ' must be a link starting with http:// or https://';
+  }
+  if (column.type === 'select' && column.options && column.options.length > 0 &&
+      column.options.indexOf(text) === -1) {
+    return column.label + ' must be one of: ' + column.options.join(', ');
+  }
+  if (column.type === 'number' && !isFinite(Number(text))) {
+    return column.label + ' must be a number';
+  }
+  if (column.type === 'date' && isNaN(new Date(text).getTime())) {
+    return column.label + ' must be a date';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a job against a schema
+ * @param {Object} data - Job data keyed by column ID
+ * @param {Object} schema - Active schema ({ columns })
+ * @returns {Object} { valid: boolean, error?: string, fieldErrors: { [columnId]: message } }
+ *   error lists every field message, prefixed like the endpoints' other validation errors
+ */
+function validateJobAgainstSchema(data, schema) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, error: 'Invalid job data: data must be an object', fieldErrors: {} };
+  }
+
+  var normalized = normalizeJobSchema(schema);
+  if (!normalized) {
+    return {
+      valid: false,
+      error: 'Invalid schema: expected { columns: [...] } where every column has an id',
+      fieldErrors: {}
+    };
+  }
+
+  var fieldErrors = {};
+  var messages = [];
+  for (var i = 0; i < normalized.columns.length; i++) {
+    var column = normalized.columns[i];
+    var message = getJobColumnError(column, data[column.id]);
+    if (message) {
+      fieldErrors[column.id] = message;
+      messages.push(message);
+    }
+  }
+
+  if (messages.length === 0) {
+    return { valid: true, fieldErrors: fieldErrors };
+  }
+  return { valid: false, error: 'Invalid job data: ' + messages.join('; '), fieldErrors: fieldErrors };
+}
+
+// Export for use in Node.js (local endpoint and Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    JOB_SCHEMA_COLUMN_TYPES: JOB_SCHEMA_COLUMN_TYPES,
+    normalizeJobSchema: normalizeJobSchema,
+    validateJobAgainstSchema: validateJobAgainstSchema
+  };
+}
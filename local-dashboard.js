@@ -0,0 +1,185 @@
+// Local endpoint dashboard JavaScript
+// Renders GET /dashboard/data and reloads it on every "jobs" server-sent event from GET /events
+
+// Sheet shown in the table; IDs already rendered, so new rows can be highlighted
+let dashboardSheet = new URLSearchParams(location.search).get('sheet') || '';
+let dashboardSeenIds = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('dashboardSheet').addEventListener('change', (event) => {
+    dashboardSheet = event.target.value;
+    dashboardSeenIds = null;
+    loadDashboard();
+  });
+
+  loadDashboard();
+  connectDashboardEvents();
+});
+
+/**
+ * Load the jobs and counts of the selected sheet and render them
+ */
+async function loadDashboard() {
+  try {
+    const query = dashboardSheet ? `?sheet=${encodeURIComponent(dashboardSheet)}` : '';
+    const response = await fetch(`/dashboard/data${query}`);
+    const data = await response.json();
+    dashboardSheet = data.sheet;
+
+    renderSheetPicker(data.sheets, data.sheet);
+    renderSummary(data.summary);
+    renderJobs(data.jobs);
+  } catch (error) {
+    console.error('Failed to load dashboard data:', error);
+  }
+}
+
+/**
+ * Listen for sheet writes; EventSource reconnects by itself when the server restarts
+ */
+function connectDashboardEvents() {
+  const live = document.getElementById('dashboardLive');
+  const events = new EventSource('/events');
+
+  events.addEventListener('open', () => {
+    live.textContent = 'Live';
+    live.classList.add('connected');
+    // Jobs may have been logged while the connection was down
+    loadDashboard();
+  });
+
+  events.addEventListener('error', () => {
+    live.textContent = 'Reconnecting…';
+    live.classList.remove('connected');
+  });
+
+  events.addEventListener('jobs', loadDashboard);
+}
+
+/**
+ * Fill the sheet picker
+ * @param {Array<string>} sheets - Sheet names
+ * @param {string} selected - Sheet being shown
+ */
+function renderSheetPicker(sheets, selected) {
+  const select = document.getElementById('dashboardSheet');
+  select.innerHTML = '';
+  sheets.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = selected;
+}
+
+/**
+ * Render the total, the Board and Role counts and the per-day bars
+ * @param {Object} summary - { total, byBoard, byRole, byDay } from the endpoint
+ */
+function renderSummary(summary) {
+  document.getElementById('dashboardTotal').textContent = summary.total;
+  renderCountList('dashboardBoards', summary.byBoard);
+  renderCountList('dashboardRoles', summary.byRole);
+
+  const days = document.getElementById('dashboardDays');
+  days.innerHTML = '';
+  const max = Math.max(1, ...summary.byDay.map(day => day.count));
+  summary.byDay.forEach(day => {
+    const column = document.createElement('div');
+    column.className = 'dashboard-day';
+    column.title = `${day.date}: ${day.count} job${day.count === 1 ? '' : 's'}`;
+
+    const count = document.createElement('span');
+    count.textContent = day.count;
+    const bar = document.createElement('div');
+    bar.className = 'dashboard-bar';
+    bar.style.height = `${Math.round((day.count / max) * 70)}px`;
+    const label = document.createElement('span');
+    label.textContent = day.date.slice(5);
+
+    column.append(count, bar, label);
+    days.appendChild(column);
+  });
+}
+
+/**
+ * Render a list of { name, count } pairs
+ * @param {string} id - List element ID
+ * @param {Array<Object>} counts - Counts, most jobs first
+ */
+function renderCountList(id, counts) {
+  const list = document.getElementById(id);
+  list.innerHTML = '';
+  counts.forEach(({ name, count }) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = name;
+    const value = document.createElement('strong');
+    value.textContent = count;
+    item.append(label, value);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Render the jobs table, newest row first
+ * @param {Array<Object>} jobs - Jobs keyed by field ID, in sheet order
+ */
+function renderJobs(jobs) {
+  const tbody = document.getElementById('dashboardRows');
+  tbody.innerHTML = '';
+
+  if (jobs.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 8;
+    cell.className = 'dashboard-empty';
+    cell.textContent = 'No jobs logged to this sheet yet. They appear here as soon as they are logged.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+  }
+
+  jobs.slice().reverse().forEach(job => {
+    const row = document.createElement('tr');
+    if (dashboardSeenIds && !dashboardSeenIds.has(job.id)) {
+      row.className = 'dashboard-new';
+    }
+
+    appendDashboardCell(row, job.row);
+    appendDashboardCell(row, job.applied);
+
+    const titleCell = document.createElement('td');
+    if (job.url) {
+      const link = document.createElement('a');
+      link.href = job.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = job.title || '(No title)';
+      titleCell.appendChild(link);
+    } else {
+      titleCell.textContent = job.title || '(No title)';
+    }
+    row.appendChild(titleCell);
+
+    appendDashboardCell(row, job.company);
+    appendDashboardCell(row, job.location);
+    appendDashboardCell(row, job.source);
+    appendDashboardCell(row, job.role);
+    appendDashboardCell(row, job.status);
+    tbody.appendChild(row);
+  });
+
+  dashboardSeenIds = new Set(jobs.map(job => job.id));
+}
+
+/**
+ * Append a plain text cell to a row
+ * @param {HTMLTableRowElement} row - Table row
+ * @param {*} value - Cell value (empty when missing)
+ */
+function appendDashboardCell(row, value) {
+  const cell = document.createElement('td');
+  cell.textContent = value === undefined || value === null ? '' : value;
+  row.appendChild(cell);
+}
@@ -8,22 +8,98 @@
  * Features:
  * - POST endpoint that accepts job data
  * - Validates required fields
- * - Stores data in memory (MVP - no database)
+ * - Stores jobs as sheet rows (same columns, system columns and Board/Role inference as
+ *   the GAS script), saved as one CSV file per target sheet (see local-sheet-store.js)
  * - Returns success/error responses matching GAS contract
+ * - Replayed clientRequestIds return the original result (no duplicate entries)
+ * - An array body logs a batch of jobs with one result per job (same contract as GAS)
+ * - operation: 'updateStatus' edits a stored job found by url or row ID
+ * - Jobs sent with a schema, and operation: 'syncSchema', lay the sheet out by the schema
+ *   (columns created, renamed and reordered like the GAS script); role rules sent with the
+ *   schema (role-rules.js) fill empty Role cells like the script's
+ * - GET /jobs lists jobs with the GAS doGet filters and pagination, plus title/source filters
+ *   and sorting; every job has a stable ID for GET/PATCH/DELETE /jobs/:id
+ * - GET ?action=capabilities answers the extension's version handshake like the GAS doGet
+ * - GET ?action=summary returns the sprint statistics of the GAS Summary tab (the tab itself is
+ *   only written in --real-script mode)
+ * - GET ?action=followUps lists the jobs due for a follow-up like the GAS endpoint (after
+ *   JOBSPRINT_FOLLOW_UP_DAYS days, default 7; the Follow up column is only written by the
+ *   script's daily trigger)
+ * - Renamed columns keep working through header aliases (JOBSPRINT_HEADER_ALIASES stands in for
+ *   the HEADER_ALIASES script property); fields that got a new column come back in unmatchedFields
+ * - With a shared secret (JOBSPRINT_SHARED_SECRET), every route that reads or changes jobs must
+ *   carry a valid ts/sig HMAC signature (GETs and DELETEs over an empty body); only
+ *   ?action=capabilities and /health stay open, and the dashboard (which can't sign) only
+ *   serves its data and events to this computer
+ * - With --real-script, POST /log-job and GET /jobs run the real google-apps-script-endpoint.js
+ *   doPost/doGet in the Apps Script emulator (gas-emulator.js) against the same sheets
+ * - A live dashboard at /dashboard: jobs table plus counts by Board, Role and day, updated
+ *   through server-sent events (GET /events) whenever a sheet changes
+ * - Fault injection on POST /log-job (latency, HTTP errors, hung requests, malformed JSON, GAS
+ *   error bodies) set with --fault flags or the /__faults admin route
  * - CORS enabled for local testing
  *
  * Usage:
  *   node local-gas-endpoint.js [port]
- *   Default port: 3000
+ *   node local-gas-endpoint.js [port] --real-script
+ *   node local-gas-endpoint.js [port] --latency=2000 --fault-rate=0.3 --faults=500,hang --fault-script=503,503,ok
+ *   JOBSPRINT_SHARED_SECRET=... node local-gas-endpoint.js [port]
+ *   JOBSPRINT_HEADER_ALIASES='{"company":["Company Name"]}' node local-gas-endpoint.js [port]
+ *   JOBSPRINT_DATA_DIR=./my-sheets node local-gas-endpoint.js [port]
+ *   JOBSPRINT_FOLLOW_UP_DAYS=14 node local-gas-endpoint.js [port]
+ *   Default port: 3000, default data directory: ./local-data
  */
 
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { DEFAULT_SHEET_NAME, SUMMARY_SHEET_NAME, createSheetStore, inferBoard, inferRole } = require('./local-sheet-store');
+const { createGasEmulator } = require('./gas-emulator');
+const { normalizeJobSchema, validateJobAgainstSchema } = require('./job-schema-validator');
+const { DEFAULT_ROLE_RULES, getRoleRuleErrors } = require('./role-rules');
+
+// How far a signed request's timestamp may be from the server clock (same as the GAS endpoint)
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Most jobs accepted in one batch request (same as the GAS endpoint)
+const BATCH_MAX_JOBS = 100;
+
+// Contract version reported by GET ?action=capabilities (same as the GAS endpoint's ENDPOINT_VERSION)
+const ENDPOINT_VERSION = '1.9.0';
+
+// Status stages in funnel order (the GAS endpoint's DEFAULT_STATUS_STAGES)
+const STATUS_STAGES = ['No response', 'Applied', 'Interviewing', 'Offer', 'Rejected', 'Withdrawn'];
+
+// Days a job may stay at "No response" before it is due for a follow-up (the GAS DEFAULT_FOLLOW_UP_DAYS)
+const DEFAULT_FOLLOW_UP_DAYS = 7;
+
+// Statuses that mean the company hasn't answered (same as the GAS endpoint)
+const NO_RESPONSE_STATUSES = ['No response', 'Applied', 'Withdrawn'];
+
+// success:false bodies for gas:<kind> faults, worded like the GAS endpoint's own errors
+const GAS_ERROR_MESSAGES = {
+  config: 'Server configuration not set up. Please run setupConfiguration() in the Apps Script editor.',
+  notFound: 'Spreadsheet not found: Please verify the spreadsheet ID in your config: Exception: Requested entity was not found.',
+  authorization: 'Authorization error: Please ensure the spreadsheet ID is correct and the script owner has access to the spreadsheet: Exception: You do not have permission to access the requested document.',
+  quota: 'Failed to write to spreadsheet: Exception: Service invoked too many times for one day: spreadsheets.',
+  busy: 'The spreadsheet is busy with another request. Please try again in a moment.',
+  internal: 'Internal server error: TypeError: Cannot read properties of undefined (reading \'contents\')'
+};
+
+// Wait suggested with a gas:busy fault (the GAS endpoint's BUSY_RETRY_AFTER_MS)
+const BUSY_RETRY_AFTER_MS = 2000;
+
+// Fault profile with nothing injected
+const NO_FAULTS = { latencyMs: 0, rate: 0, faults: ['500'], script: [], hangMs: 20000 };
 
 /**
- * Validates job data according to the API contract
+ * Validates job data according to the API contract (same rules as the GAS validateJobData)
+ * Without a schema every job field is optional; a job sent with the extension's schema is
+ * checked against it with the shared validateJobAgainstSchema() (job-schema-validator.js)
  * @param {Object} data - Job data to validate
- * @returns {Object} { valid: boolean, error?: string }
+ * @returns {Object} { valid: boolean, error?: string, fieldErrors?: Object } - fieldErrors
+ *   maps each offending field ID to its message
  */
 function validateJobData(data) {
   // Check if data is an object
@@ -31,47 +107,583 @@ function validateJobData(data) {
     return { valid: false, error: 'Invalid job data: data must be an object' };
   }
 
-  // Check all required fields exist and are non-empty strings
-  const requiredFields = ['title', 'company', 'location', 'url', 'timestamp', 'spreadsheetId'];
-  for (const field of requiredFields) {
-    if (!(field in data)) {
-      return { valid: false, error: `Invalid job data: missing required field '${field}'` };
+  // Configuration is set server-side (setupConfiguration() in the script), never in requests
+  if ('spreadsheetId' in data || 'projectId' in data) {
+    return {
+      valid: false,
+      error: 'Invalid request: configuration fields should not be sent in requests. Use setupConfiguration() to configure the server.'
+    };
+  }
+
+  // clientRequestId is optional, but when present it is used as a ledger key
+  if ('clientRequestId' in data &&
+      (typeof data.clientRequestId !== 'string' || data.clientRequestId === '' || data.clientRequestId.length > 128)) {
+    return {
+      valid: false,
+      error: 'Invalid request: clientRequestId must be a non-empty string of at most 128 characters'
+    };
+  }
+
+  if ('schema' in data) {
+    return validateJobAgainstSchema(data, data.schema);
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates an updateStatus request (same rules as the GAS endpoint)
+ * @param {Object} data - Request data
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function validateStatusUpdate(data) {
+  const hasUrl = typeof data.url === 'string' && data.url.trim() !== '';
+  const hasRowId = data.rowId !== undefined && data.rowId !== null && data.rowId !== '';
+  if (!hasUrl && !hasRowId) {
+    return { valid: false, error: 'Invalid status update: provide the job url or rowId to update' };
+  }
+
+  if (hasRowId && !(Number.isInteger(Number(data.rowId)) && Number(data.rowId) >= 2)) {
+    return { valid: false, error: 'Invalid status update: rowId must be a sheet row number (2 or greater)' };
+  }
+
+  if (!data.updates || typeof data.updates !== 'object' || Object.keys(data.updates).length === 0) {
+    return { valid: false, error: 'Invalid status update: updates must be an object with at least one field' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Parse and validate list query parameters (the GAS doGet rules, plus title, source, sort
+ * and order, which only the local endpoint supports)
+ * @param {Object} params - Query parameters
+ * @returns {Object} { status, company, title, source, from, to, sort, order, limit, offset } or { error }
+ */
+function parseListQuery(params) {
+  const query = {
+    status: params.status ? String(params.status).toLowerCase() : null,
+    company: params.company ? String(params.company).toLowerCase() : null,
+    title: params.title ? String(params.title).toLowerCase() : null,
+    source: params.source ? String(params.source).toLowerCase() : null,
+    from: null,
+    to: null,
+    sort: null,
+    order: 'asc',
+    limit: 100,
+    offset: 0
+  };
+
+  if (params.sort) {
+    query.sort = String(params.sort);
+    if (!/^\w+$/.test(query.sort)) {
+      return { error: 'Invalid query: sort must be a field ID such as applied, company or row' };
     }
-    if (typeof data[field] !== 'string' || data[field].trim() === '') {
-      return { valid: false, error: `Invalid job data: '${field}' must be a non-empty string` };
+  }
+
+  if (params.order) {
+    query.order = String(params.order).toLowerCase();
+    if (query.order !== 'asc' && query.order !== 'desc') {
+      return { error: 'Invalid query: order must be asc or desc' };
+    }
+  }
+
+  if (params.limit !== undefined && params.limit !== '') {
+    query.limit = Number(params.limit);
+    if (!(Number.isInteger(query.limit) && query.limit >= 1 && query.limit <= 500)) {
+      return { error: 'Invalid query: limit must be an integer between 1 and 500' };
+    }
+  }
+
+  if (params.offset !== undefined && params.offset !== '') {
+    query.offset = Number(params.offset);
+    if (!(Number.isInteger(query.offset) && query.offset >= 0)) {
+      return { error: 'Invalid query: offset must be a non-negative integer' };
+    }
+  }
+
+  if (params.from) {
+    query.from = parseDateBound(params.from, false);
+    if (query.from === null) return { error: 'Invalid query: from must be a date' };
+  }
+
+  if (params.to) {
+    query.to = parseDateBound(params.to, true);
+    if (query.to === null) return { error: 'Invalid query: to must be a date' };
+  }
+
+  return query;
+}
+
+/**
+ * Parse a date range bound; a bare date (YYYY-MM-DD) covers that whole day
+ * @param {string} value - Date string
+ * @param {boolean} endOfDay - Whether this is the upper bound
+ * @returns {number|null} Timestamp in milliseconds, or null if unparseable
+ */
+function parseDateBound(value, endOfDay) {
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = isDateOnly ? new Date(`${value}T00:00:00`) : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  if (isDateOnly && endOfDay) {
+    date.setDate(date.getDate() + 1);
+    return date.getTime() - 1;
+  }
+  return date.getTime();
+}
+
+/**
+ * Apply status/company/title/source/date filters to jobs
+ * @param {Array<Object>} jobs - Jobs keyed by field ID
+ * @param {Object} query - Parsed query from parseListQuery()
+ * @param {string} dateField - Field holding the job's date
+ * @returns {Array<Object>} Matching jobs, in their original order
+ */
+function filterJobs(jobs, query, dateField) {
+  return jobs.filter(job => {
+    if (query.status && String(job.status || '').toLowerCase() !== query.status) {
+      return false;
+    }
+    if (query.company && !String(job.company || '').toLowerCase().includes(query.company)) {
+      return false;
+    }
+    if (query.title && !String(job.title || '').toLowerCase().includes(query.title)) {
+      return false;
+    }
+    if (query.source && String(job.source || '').toLowerCase() !== query.source) {
+      return false;
+    }
+    if (query.from !== null || query.to !== null) {
+      const time = job[dateField] ? parseDateBound(String(job[dateField]), false) : null;
+      if (time === null) return false;
+      if (query.from !== null && time < query.from) return false;
+      if (query.to !== null && time > query.to) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Sort jobs by one field; jobs without a value come last in either order
+ * @param {Array<Object>} jobs - Jobs keyed by field ID
+ * @param {Object} query - Parsed query from parseListQuery() (no sort = sheet order)
+ * @param {string} dateField - Field holding the job's date (compared as dates)
+ * @returns {Array<Object>} Sorted copy of the jobs
+ */
+function sortJobs(jobs, query, dateField) {
+  if (!query.sort) return jobs;
+
+  const direction = query.order === 'desc' ? -1 : 1;
+  const valueOf = (job) => {
+    const value = job[query.sort];
+    if (value === undefined || value === null || value === '') return null;
+    return query.sort === dateField ? parseDateBound(String(value), false) : value;
+  };
+
+  return jobs.slice().sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === null || right === null) {
+      return (left === null) - (right === null);
+    }
+    if (typeof left === 'number' && typeof right === 'number') {
+      return (left - right) * direction;
+    }
+    return String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' }) * direction;
+  });
+}
+
+/**
+ * Count jobs by Board, by Role and by Applied day for the dashboard
+ * Sheets only get Board/Role columns once a job sends them, so empty cells are inferred
+ * from the link and title the way the script fills them
+ * @param {Array<Object>} jobs - Jobs keyed by field ID (from the sheet store)
+ * @param {Array<Object>} roleRules - Role rules for empty Role cells (the store's getRoleRules())
+ * @returns {Object} { total, byBoard, byRole, byDay } - byBoard/byRole are [{ name, count }],
+ *   most jobs first ("Unknown" when no role can be inferred); byDay is [{ date, count }], oldest day first
+ */
+function summarizeJobs(jobs, roleRules = DEFAULT_ROLE_RULES) {
+  const countBy = (valueOf) => {
+    const counts = new Map();
+    jobs.forEach(job => {
+      const value = valueOf(job);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return Array.from(counts, ([name, count]) => ({ name, count }));
+  };
+  const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+
+  return {
+    total: jobs.length,
+    byBoard: countBy(job => job.source || inferBoard(job.url, '')).sort(byCount),
+    byRole: countBy(job => job.role || inferRole(job.title, roleRules) || 'Unknown').sort(byCount),
+    byDay: countBy(job => job.applied || '')
+      .filter(day => day.name)
+      .map(day => ({ date: day.name, count: day.count }))
+      .sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+/**
+ * Compute the sprint statistics of the Summary tab (port of the GAS summarizeSprint)
+ * @param {Array<Object>} jobs - Jobs keyed by field ID (applied as YYYY-MM-DD)
+ * @param {Array<Object>} roleRules - Role rules for empty Role cells (the store's getRoleRules())
+ * @returns {Object} { total, responded, responseRate, byWeek: [{ week, count }], byBoard, byRole, funnel: [{ status, count }] }
+ *   - byWeek starts on Mondays; funnel lists every status stage in order, then any other status used
+ */
+function summarizeSprint(jobs, roleRules = DEFAULT_ROLE_RULES) {
+  const { byBoard, byRole } = summarizeJobs(jobs, roleRules);
+  const weeks = new Map();
+  const statuses = new Map();
+  let responded = 0;
+
+  jobs.forEach(job => {
+    const match = String(job.applied || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+      const day = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+      day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+      const week = day.toISOString().slice(0, 10);
+      weeks.set(week, (weeks.get(week) || 0) + 1);
     }
+
+    const status = String(job.status || '').trim() || 'No response';
+    statuses.set(status, (statuses.get(status) || 0) + 1);
+    if (!NO_RESPONSE_STATUSES.includes(status)) responded++;
+  });
+
+  const otherStatuses = Array.from(statuses)
+    .filter(([status]) => !STATUS_STAGES.includes(status))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+  return {
+    total: jobs.length,
+    responded,
+    responseRate: jobs.length > 0 ? Math.round(responded / jobs.length * 1000) / 1000 : 0,
+    byWeek: Array.from(weeks.keys()).sort().map(week => ({ week, count: weeks.get(week) })),
+    byBoard,
+    byRole,
+    funnel: [
+      ...STATUS_STAGES.map(status => ({ status, count: statuses.get(status) || 0 })),
+      ...otherStatuses.map(([status, count]) => ({ status, count }))
+    ]
+  };
+}
+
+/**
+ * List the jobs due for a follow-up (port of the GAS findFollowUps)
+ * A job is due `days` days after its Applied date while its status is still "No response"
+ * @param {Array<Object>} sheets - [{ name, jobs }] - jobs keyed by field ID (applied as YYYY-MM-DD)
+ * @param {number} days - Days a job may wait for an answer
+ * @param {string} today - Today as YYYY-MM-DD
+ * @returns {Array<Object>} [{ sheet, row, company, title, url, applied, due }], longest overdue first
+ */
+function findFollowUps(sheets, days, today) {
+  const followUps = [];
+  sheets.forEach(({ name, jobs }) => {
+    jobs.forEach(job => {
+      const status = String(job.status || '').trim() || STATUS_STAGES[0];
+      const match = String(job.applied || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      if (status !== STATUS_STAGES[0] || !match) return;
+
+      const due = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + days))
+        .toISOString().slice(0, 10);
+      if (due <= today) {
+        followUps.push({
+          sheet: name,
+          row: job.row,
+          company: job.company || '',
+          title: job.title || '',
+          url: job.url || '',
+          applied: job.applied,
+          due
+        });
+      }
+    });
+  });
+  return followUps.sort((a, b) => a.due.localeCompare(b.due));
+}
+
+/**
+ * Compute the hex HMAC-SHA256 signature of "timestamp.body" (same scheme as the GAS endpoint)
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Timestamp exactly as sent in the ts parameter
+ * @param {string} body - Raw request body
+ * @returns {string} Lowercase hex signature
+ */
+function computeRequestSignature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+}
+
+/**
+ * Check whether a request came from this computer
+ * @param {string} address - Remote address of the request's socket
+ * @returns {boolean} True for IPv4 and IPv6 loopback addresses
+ */
+function isLoopbackAddress(address) {
+  return /^(::ffff:)?127\./.test(String(address || '')) || address === '::1';
+}
+
+/**
+ * Verify a request's HMAC signature (same rules and messages as the GAS endpoint)
+ * @param {string} secret - Shared secret, or '' to accept unsigned requests
+ * @param {Object} query - Query parameters (ts, sig)
+ * @param {string} rawBody - Raw request body
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function verifyRequestSignature(secret, query, rawBody, now = Date.now()) {
+  if (!secret) {
+    return { valid: true };
   }
 
-  // Validate URL format
-  try {
-    new URL(data.url);
-  } catch (error) {
-    return { valid: false, error: 'Invalid job data: url must be a valid URL' };
+  if (!query.ts || !query.sig) {
+    return { valid: false, error: 'Request is not signed. Enter the shared secret in the extension settings.' };
   }
 
-  // Validate timestamp format (ISO 8601)
-  const date = new Date(data.timestamp);
-  if (!(date instanceof Date) || isNaN(date.getTime())) {
-    return { valid: false, error: 'Invalid job data: timestamp must be a valid ISO 8601 date string' };
+  const timestamp = Number(query.ts);
+  if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > SIGNATURE_MAX_AGE_MS) {
+    return { valid: false, error: 'Request signature expired. Check that your computer\'s clock is correct.' };
+  }
+
+  const expected = Buffer.from(computeRequestSignature(secret, query.ts, rawBody || ''));
+  const received = Buffer.from(String(query.sig).toLowerCase());
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return {
+      valid: false,
+      error: 'Invalid request signature. The shared secret in the extension settings must match the one saved with setupConfiguration().'
+    };
   }
 
   return { valid: true };
 }
 
+/**
+ * Check a fault name
+ * "ok" (no fault), "hang" (no answer for hangMs), "malformed" (200 with a body that isn't
+ * JSON), an HTTP status from 400 to 599, or "gas:<kind>" (200 with a GAS error body)
+ * @param {string} fault - Fault name
+ * @returns {boolean} True for a known fault
+ */
+function isValidFault(fault) {
+  if (['ok', 'hang', 'malformed'].includes(fault)) return true;
+  if (/^[45]\d\d$/.test(fault)) return true;
+  const match = /^gas:(\w+)$/.exec(fault);
+  return !!match && Object.prototype.hasOwnProperty.call(GAS_ERROR_MESSAGES, match[1]);
+}
+
+/**
+ * Validate a fault profile and fill in defaults
+ * @param {Object} input - { latencyMs, rate, faults, script, hangMs } (all optional)
+ *   latencyMs: delay before every /log-job response; rate: chance (0-1) of a random fault
+ *   from `faults`; script: faults used in order, one per request, before the random ones;
+ *   hangMs: how long a hung request waits before giving up with a 504
+ * @returns {Object} { profile } or { error }
+ */
+function normalizeFaultProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Invalid fault profile: must be an object' };
+  }
+
+  const profile = { ...NO_FAULTS, ...input };
+  const isInteger = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+  const toList = (value) => (typeof value === 'string' ? value.split(',').filter(Boolean) : value);
+  profile.faults = toList(profile.faults);
+  profile.script = toList(profile.script);
+
+  if (!isInteger(profile.latencyMs, 60000)) {
+    return { error: 'Invalid fault profile: latencyMs must be an integer from 0 to 60000' };
+  }
+  if (!isInteger(profile.hangMs, 120000)) {
+    return { error: 'Invalid fault profile: hangMs must be an integer from 0 to 120000' };
+  }
+  if (typeof profile.rate !== 'number' || !(profile.rate >= 0 && profile.rate <= 1)) {
+    return { error: 'Invalid fault profile: rate must be a number from 0 to 1' };
+  }
+  for (const key of ['faults', 'script']) {
+    if (!Array.isArray(profile[key]) || (key === 'faults' && profile[key].length === 0)) {
+      return { error: `Invalid fault profile: ${key} must be ${key === 'faults' ? 'a non-empty' : 'an'} array of faults` };
+    }
+    const unknown = profile[key].find(fault => !isValidFault(String(fault)));
+    if (unknown !== undefined) {
+      return { error: `Invalid fault profile: unknown fault "${unknown}" (use ok, hang, malformed, 400-599 or gas:${Object.keys(GAS_ERROR_MESSAGES).join('|')})` };
+    }
+    profile[key] = profile[key].map(String);
+  }
+
+  return {
+    profile: {
+      latencyMs: profile.latencyMs,
+      rate: profile.rate,
+      faults: profile.faults,
+      script: profile.script,
+      hangMs: profile.hangMs
+    }
+  };
+}
+
+/**
+ * Build a fault profile from command line flags
+ * --latency=<ms> --fault-rate=<0-1> --faults=<a,b> --fault-script=<a,b> --hang-ms=<ms>
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { profile } or { error } (profile is null when no fault flag is given)
+ */
+function parseFaultArgs(args) {
+  const flags = {
+    '--latency': ['latencyMs', Number],
+    '--fault-rate': ['rate', Number],
+    '--faults': ['faults', String],
+    '--fault-script': ['script', String],
+    '--hang-ms': ['hangMs', Number]
+  };
+  const input = {};
+
+  for (const arg of args) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    if (!Object.prototype.hasOwnProperty.call(flags, flag)) continue;
+    if (value === undefined || value === '') {
+      return { error: `Missing value for ${flag} (use ${flag}=<value>)` };
+    }
+    const [key, convert] = flags[flag];
+    input[key] = convert(value);
+  }
+
+  return Object.keys(input).length > 0 ? normalizeFaultProfile(input) : { profile: null };
+}
+
 /**
  * Creates and configures the Express app
+ * @param {Object} options - { sharedSecret, headerAliases, followUpDays, dataDir, realScript, faults, random }
+ *   sharedSecret defaults to the JOBSPRINT_SHARED_SECRET environment variable;
+ *   headerAliases ({ fieldId: [labels] }) defaults to the JSON in JOBSPRINT_HEADER_ALIASES;
+ *   followUpDays defaults to JOBSPRINT_FOLLOW_UP_DAYS, else DEFAULT_FOLLOW_UP_DAYS;
+ *   dataDir is where sheets are saved as CSV (omit to keep them in memory, e.g. in tests);
+ *   realScript serves POST /log-job and GET /jobs through the real Apps Script doPost/doGet;
+ *   faults is the starting fault profile (see normalizeFaultProfile);
+ *   random replaces Math.random when picking random faults (for tests)
  * @returns {Object} Express app
  */
-function createApp() {
+function createApp(options = {}) {
   const app = express();
 
-  // In-memory storage for logged jobs (MVP - no database needed)
-  // Create a new storage array for each app instance to ensure test isolation
-  const jobLogs = [];
+  // Requests must be signed only when a secret is configured, like the GAS endpoint
+  const sharedSecret = options.sharedSecret !== undefined
+    ? options.sharedSecret
+    : (process.env.JOBSPRINT_SHARED_SECRET || '');
+
+  // Extra header names per field, like the script's HEADER_ALIASES property
+  const headerAliases = options.headerAliases !== undefined
+    ? options.headerAliases
+    : JSON.parse(process.env.JOBSPRINT_HEADER_ALIASES || '{}');
+
+  // Days before a job is due for a follow-up, like the script's FOLLOW_UP_DAYS property
+  const followUpDays = options.followUpDays !== undefined
+    ? options.followUpDays
+    : (Number(process.env.JOBSPRINT_FOLLOW_UP_DAYS) || DEFAULT_FOLLOW_UP_DAYS);
+
+  // Dashboard pages listening on GET /events; every sheet write is pushed to them
+  const eventClients = new Set();
+
+  /**
+   * Send a server-sent event to every connected dashboard
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload (sent as JSON)
+   */
+  function broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    eventClients.forEach(client => client.write(message));
+  }
+
+  // Sheet rows per target sheet; a new store for each app instance keeps tests isolated.
+  // Writes from the mock handlers and the emulated script both land here
+  const store = createSheetStore({
+    dataDir: options.dataDir,
+    headerAliases,
+    onChange: (sheetName) => {
+      // The emulated script writes a sheet several times per doPost, so writes made while
+      // handling one request go out as one event listing the sheets written
+      if (!changedSheets) {
+        changedSheets = new Set();
+        setImmediate(() => {
+          const sheets = Array.from(changedSheets).filter(name => name !== null && name !== SUMMARY_SHEET_NAME);
+          changedSheets = null;
+          broadcast('jobs', { sheets, total: store.countRows() });
+        });
+      }
+      changedSheets.add(sheetName);
+    }
+  });
+  let changedSheets = null;
+
+  // Results of processed requests keyed by clientRequestId (mirrors the GAS CacheService ledger)
+  const requestLedger = new Map();
+
+  // The real script, configured like setupConfiguration() and writing to the same store
+  const gas = options.realScript
+    ? createGasEmulator({
+      store,
+      properties: {
+        SPREADSHEET_ID: 'local-spreadsheet',
+        PROJECT_ID: 'local-project',
+        HEADER_ALIASES: JSON.stringify(headerAliases),
+        FOLLOW_UP_DAYS: String(followUpDays),
+        ...(sharedSecret ? { SHARED_SECRET: sharedSecret } : {})
+      }
+    })
+    : null;
+
+  // Faults injected into /log-job; the scripted faults are used up one per request
+  let faultProfile = NO_FAULTS;
+  let pendingFaults = [];
+  const random = options.random || Math.random;
+
+  /**
+   * Replace the fault profile
+   * @param {Object} input - Fault profile (see normalizeFaultProfile)
+   * @returns {string|null} Error message, or null when the profile was applied
+   */
+  function setFaultProfile(input) {
+    const { profile, error } = normalizeFaultProfile(input);
+    if (error) return error;
+    faultProfile = profile;
+    pendingFaults = profile.script.slice();
+    return null;
+  }
+
+  if (options.faults) {
+    const error = setFaultProfile(options.faults);
+    if (error) throw new Error(error);
+  }
+
+  /**
+   * Pick the fault for the next /log-job request
+   * @returns {string} Fault name ("ok" for none)
+   */
+  function nextFault() {
+    if (pendingFaults.length > 0) return pendingFaults.shift();
+    if (faultProfile.rate > 0 && random() < faultProfile.rate) {
+      return faultProfile.faults[Math.floor(random() * faultProfile.faults.length)];
+    }
+    return 'ok';
+  }
+
+  /**
+   * Send a doPost/doGet result with the status code the script gave createJsonResponse
+   * @param {Object} res - Express response
+   * @param {Object} result - { status, body } from the emulator
+   */
+  function sendScriptResult(res, result) {
+    res.status(result.status).json(result.body);
+  }
 
   // Middleware
   app.use(cors()); // Enable CORS for all origins (local testing)
-  app.use(express.json()); // Parse JSON bodies
+  app.use(express.json({
+    // Keep the exact bytes that were signed
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  })); // Parse JSON bodies
 
   // Request logging middleware
   app.use((req, res, next) => {
@@ -80,49 +692,396 @@ function createApp() {
     next();
   });
 
+  // Fault injection for jobs POSTed to the extension's endpoint URL (added latency first, then
+  // the fault). GETs on the same URL (version handshake, job lists) never use up a fault
+  app.post('/log-job', (req, res, next) => {
+    const fault = nextFault();
+    const inject = () => {
+      if (fault === 'ok') return next();
+      console.log(`💥 Injected fault: ${fault}`);
+
+      if (fault === 'hang') {
+        // Outlast the extension's 15s timeout; give up quietly if the client goes away first
+        const timer = setTimeout(() => {
+          res.status(504).json({ success: false, error: `Injected fault: request hung for ${faultProfile.hangMs}ms` });
+        }, faultProfile.hangMs);
+        res.on('close', () => clearTimeout(timer));
+      } else if (fault === 'malformed') {
+        // What a misconfigured deployment sends back: an HTML page instead of JSON
+        res.status(200).type('html').send('<!DOCTYPE html><html><head><title>Error</title></head><body>Script function not found: doPost</body></html>');
+      } else if (fault === 'gas:busy') {
+        // What the script answers when another request held its lock for too long
+        res.status(200).json({ success: false, busy: true, retryAfterMs: BUSY_RETRY_AFTER_MS, error: GAS_ERROR_MESSAGES.busy });
+      } else if (fault.startsWith('gas:')) {
+        res.status(200).json({ success: false, error: GAS_ERROR_MESSAGES[fault.slice(4)] });
+      } else {
+        res.status(Number(fault)).json({ success: false, error: `Injected fault: HTTP ${fault}` });
+      }
+    };
+
+    if (faultProfile.latencyMs > 0) {
+      setTimeout(inject, faultProfile.latencyMs);
+    } else {
+      inject();
+    }
+  });
+
+  // GET /__faults - Current fault profile and the scripted faults not used yet
+  app.get('/__faults', (req, res) => {
+    res.json({ success: true, faults: faultProfile, pending: pendingFaults });
+  });
+
+  // PUT /__faults - Replace the fault profile (missing fields get their no-fault defaults)
+  app.put('/__faults', (req, res) => {
+    const error = setFaultProfile(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    console.log(`💥 Fault profile set: ${JSON.stringify(faultProfile)}`);
+    res.json({ success: true, faults: faultProfile, pending: pendingFaults });
+  });
+
+  // DELETE /__faults - Stop injecting faults
+  app.delete('/__faults', (req, res) => {
+    setFaultProfile({});
+    res.json({ success: true, faults: faultProfile, pending: pendingFaults });
+  });
+
   // POST /log-job - Main endpoint for logging job data
   app.post('/log-job', (req, res) => {
+    // The script checks the signature itself and needs the exact body that was signed
+    if (gas) {
+      return sendScriptResult(res, gas.post(req.rawBody || '', req.query));
+    }
+
+    const signature = verifyRequestSignature(sharedSecret, req.query, req.rawBody);
+    if (!signature.valid) {
+      console.error(`Signature error: ${signature.error}`);
+      return res.status(401).json({
+        success: false,
+        error: signature.error
+      });
+    }
+
     const data = req.body;
 
+    // An array of jobs is a batch: one result per job
+    if (Array.isArray(data)) {
+      return handleBatchLog(data, res);
+    }
+
+    if (data && data.operation === 'updateStatus') {
+      return handleStatusUpdate(data, res);
+    } else if (data && data.operation === 'syncSchema') {
+      return handleSchemaSync(data, res);
+    } else if (data && data.operation) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown operation: ${data.operation}`
+      });
+    }
+
     // Validate the job data
     const validation = validateJobData(data);
     if (!validation.valid) {
       console.error(`Validation error: ${validation.error}`);
       return res.status(400).json({
         success: false,
-        error: validation.error
+        error: validation.error,
+        ...(validation.fieldErrors ? { fieldErrors: validation.fieldErrors } : {})
       });
     }
 
-    // Store the job data (MVP - in-memory storage)
-    const jobEntry = {
-      ...data,
-      receivedAt: new Date().toISOString()
-    };
-    jobLogs.push(jobEntry);
+    // Replayed request: return the original result without storing the job again
+    if (data.clientRequestId && requestLedger.has(data.clientRequestId)) {
+      console.log(`↩️  Replayed request ${data.clientRequestId}, returning original result`);
+      return res.json({
+        ...requestLedger.get(data.clientRequestId),
+        replayed: true
+      });
+    }
 
-    console.log(`✅ Job logged successfully: ${data.title} at ${data.company}`);
-    console.log(`   Total jobs logged: ${jobLogs.length}`);
+    // Write the job as a sheet row
+    const sheetName = data.targetSheetName || DEFAULT_SHEET_NAME;
+    const { firstRow, unmatchedFields } = store.appendJobs(sheetName, [data]);
+
+    console.log(`✅ Job logged successfully: ${data.title || '(No title)'} at ${data.company || '(No company)'}`);
+    console.log(`   Row ${firstRow} of "${sheetName}"`);
+    if (unmatchedFields) {
+      console.log(`   New columns for unmatched fields: ${unmatchedFields.map(item => item.column).join(', ')}`);
+    }
 
     // Return success response matching GAS contract
+    const result = {
+      success: true,
+      timestamp: data.timestamp,
+      ...(unmatchedFields ? { unmatchedFields } : {})
+    };
+    if (data.clientRequestId) {
+      requestLedger.set(data.clientRequestId, result);
+    }
+    res.json(result);
+  });
+
+  /**
+   * Log a batch of jobs, validating and de-duplicating each one on its own
+   * Results come back in request order; row numbers mirror the sheet (first job = row 2)
+   * @param {Array<Object>} jobs - Jobs from the request body
+   * @param {Object} res - Express response
+   */
+  function handleBatchLog(jobs, res) {
+    if (jobs.length === 0 || jobs.length > BATCH_MAX_JOBS) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid batch: send between 1 and ${BATCH_MAX_JOBS} jobs`
+      });
+    }
+
+    const results = [];
+    const duplicates = []; // { index, of } - same clientRequestId earlier in this batch
+    const firstIndexById = new Map();
+    const groups = new Map(); // targetSheetName → [{ index, job }]
+
+    jobs.forEach((job, index) => {
+      let validation = Array.isArray(job)
+        ? { valid: false, error: 'Invalid job data: data must be an object' }
+        : validateJobData(job);
+      if (validation.valid && job.operation) {
+        validation = { valid: false, error: `Invalid batch: operations cannot be batched (${job.operation})` };
+      }
+      if (!validation.valid) {
+        results[index] = { index, success: false, error: validation.error };
+        if (validation.fieldErrors) results[index].fieldErrors = validation.fieldErrors;
+        return;
+      }
+
+      // Replays of jobs logged by an earlier request return the original result
+      if (job.clientRequestId && requestLedger.has(job.clientRequestId)) {
+        results[index] = { ...requestLedger.get(job.clientRequestId), index, replayed: true };
+        return;
+      }
+
+      // Repeats within this batch share the first copy's outcome, once it is written
+      if (job.clientRequestId && firstIndexById.has(job.clientRequestId)) {
+        duplicates.push({ index, of: firstIndexById.get(job.clientRequestId) });
+        return;
+      }
+      if (job.clientRequestId) {
+        firstIndexById.set(job.clientRequestId, index);
+      }
+
+      const sheetName = job.targetSheetName || DEFAULT_SHEET_NAME;
+      if (!groups.has(sheetName)) groups.set(sheetName, []);
+      groups.get(sheetName).push({ index, job });
+    });
+
+    // One write per target sheet, like the GAS setValues call. Jobs enter the ledger only once
+    // their sheet was written, so a failed write is retried instead of answered as a replay
+    const unmatchedFields = [];
+    groups.forEach((items, sheetName) => {
+      let written;
+      try {
+        written = store.appendJobs(sheetName, items.map(item => item.job));
+      } catch (error) {
+        console.error(`❌ Failed to write batch to "${sheetName}":`, error.message);
+        items.forEach(item => {
+          results[item.index] = { index: item.index, success: false, error: `Failed to write to spreadsheet: ${error.message}` };
+        });
+        return;
+      }
+
+      unmatchedFields.push(...(written.unmatchedFields || []));
+      items.forEach((item, offset) => {
+        const result = { success: true, timestamp: item.job.timestamp };
+        if (item.job.clientRequestId) {
+          requestLedger.set(item.job.clientRequestId, result);
+        }
+        results[item.index] = { index: item.index, ...result, row: written.firstRow + offset };
+      });
+    });
+
+    duplicates.forEach(duplicate => {
+      const original = results[duplicate.of];
+      results[duplicate.index] = original.success
+        ? { index: duplicate.index, success: true, timestamp: original.timestamp, replayed: true }
+        : { index: duplicate.index, success: false, error: original.error };
+    });
+
+    const logged = results.filter(result => result.success).length;
+    console.log(`📦 Batch of ${jobs.length}: ${logged} logged, ${jobs.length - logged} failed`);
+
+    res.json({
+      success: logged === jobs.length,
+      count: jobs.length,
+      logged,
+      failed: jobs.length - logged,
+      results,
+      ...(unmatchedFields.length > 0 ? { unmatchedFields } : {})
+    });
+  }
+
+  /**
+   * Apply an updateStatus request to a stored job
+   * Row IDs are sheet rows: the first logged job is row 2 (row 1 is the header)
+   * @param {Object} data - { operation, url?, rowId?, updates, targetSheetName? }
+   * @param {Object} res - Express response
+   */
+  function handleStatusUpdate(data, res) {
+    const validation = validateStatusUpdate(data);
+    if (!validation.valid) {
+      console.error(`Validation error: ${validation.error}`);
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const sheetName = data.targetSheetName || DEFAULT_SHEET_NAME;
+    const row = store.findRow(sheetName, data);
+    if (row === -1) {
+      return res.status(404).json({
+        success: false,
+        error: data.rowId ? `No job found at row ${data.rowId}` : `No job found with link ${data.url}`
+      });
+    }
+
+    const updated = store.updateRow(sheetName, row, data.updates);
+    console.log(`✏️  Updated row ${row} of "${sheetName}": ${updated.join(', ')}`);
+
     res.json({
       success: true,
-      timestamp: data.timestamp
+      row,
+      updated
     });
-  });
+  }
+
+  /**
+   * Apply a syncSchema request: lay out the target sheet by the schema (created if missing)
+   * @param {Object} data - { operation, schema, targetSheetName? }
+   * @param {Object} res - Express response
+   */
+  function handleSchemaSync(data, res) {
+    if (!normalizeJobSchema(data.schema)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid schema: expected { columns: [...] } where every column has an id'
+      });
+    }
+
+    const ruleErrors = data.schema.roleRules === undefined ? [] : getRoleRuleErrors(data.schema.roleRules);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role rules: ${ruleErrors.join('; ')}`
+      });
+    }
+
+    const sheetName = data.targetSheetName || DEFAULT_SHEET_NAME;
+    const { columns, added } = store.syncSchema(sheetName, data.schema);
+    console.log(`🧩 Synced "${sheetName}" with the schema: ${columns.join(', ')}`);
 
-  // GET /jobs - Retrieve all logged jobs (for testing/debugging)
-  app.get('/jobs', (req, res) => {
     res.json({
       success: true,
-      count: jobLogs.length,
-      jobs: jobLogs
+      sheet: sheetName,
+      columns,
+      added
+    });
+  }
+
+  /**
+   * Answer an unsigned or forged request for sheet data with a 401, like the GAS doGet/doPost
+   * Every method is signed like a POST, over its raw body (empty for GET and DELETE)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {boolean} True when the 401 was sent
+   */
+  function rejectUnsignedRequest(req, res) {
+    const signature = verifyRequestSignature(sharedSecret, req.query, req.rawBody || '');
+    if (signature.valid) return false;
+
+    console.error(`Signature error: ${signature.error}`);
+    res.status(401).json({
+      success: false,
+      error: signature.error
+    });
+    return true;
+  }
+
+  // GET /jobs - List logged jobs with filters and pagination (mirrors the GAS doGet)
+  // Also served on GET /log-job, since the extension only knows the endpoint URL
+  app.get(['/jobs', '/log-job'], (req, res) => {
+    if (gas) {
+      return sendScriptResult(res, gas.get(req.query));
+    }
+
+    // Version handshake: the extension's Test Connection checks what this endpoint supports
+    if (req.query.action === 'capabilities') {
+      return res.json({
+        success: true,
+        version: ENDPOINT_VERSION,
+        operations: ['logJob', 'logBatch', 'updateStatus', 'listJobs', 'syncSchema', 'summary', 'followUps'],
+        schemaValidation: true,
+        roleRules: true,
+        jobBoards: true,
+        requestSigning: { supported: true, required: !!sharedSecret },
+        statusStages: STATUS_STAGES,
+        idempotentRequests: true,
+        maxBatchSize: BATCH_MAX_JOBS,
+        configured: true
+      });
+    } else if (req.query.action && !['summary', 'followUps'].includes(req.query.action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown action: ${req.query.action}`
+      });
+    }
+
+    if (rejectUnsignedRequest(req, res)) return;
+
+    if (req.query.action === 'summary') {
+      return res.json({ success: true, summary: summarizeSprint(store.readAllJobs(), store.getRoleRules()) });
+    } else if (req.query.action === 'followUps') {
+      // Job sheets like readAllJobs(): every tab with a Status column except the Summary tab
+      const sheets = store.listSheets()
+        .filter(name => name !== SUMMARY_SHEET_NAME)
+        .map(name => ({ name, jobs: store.readJobs(name) }))
+        .filter(({ jobs }) => jobs.length > 0 && Object.prototype.hasOwnProperty.call(jobs[0], 'status'));
+      const now = new Date();
+      const today = [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+        .map(part => String(part).padStart(2, '0')).join('-');
+      const followUps = findFollowUps(sheets, followUpDays, today);
+      return res.json({ success: true, days: followUpDays, count: followUps.length, followUps });
+    }
+
+    const query = parseListQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        error: query.error
+      });
+    }
+
+    // Rows keyed by field ID with their row number like the GAS doGet, plus the job ID
+    const jobs = store.readJobs(req.query.sheet || DEFAULT_SHEET_NAME);
+    const matching = sortJobs(filterJobs(jobs, query, 'applied'), query, 'applied');
+    const page = matching.slice(query.offset, query.offset + query.limit);
+
+    res.json({
+      success: true,
+      count: page.length,
+      total: matching.length,
+      offset: query.offset,
+      limit: query.limit,
+      jobs: page
     });
   });
 
-  // GET /jobs/latest - Get the most recently logged job
+  // GET /jobs/latest - Get the most recently logged job (?sheet, default "Job Applications")
   app.get('/jobs/latest', (req, res) => {
-    if (jobLogs.length === 0) {
+    if (rejectUnsignedRequest(req, res)) return;
+
+    const jobs = store.readJobs(req.query.sheet || DEFAULT_SHEET_NAME);
+    if (jobs.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'No jobs logged yet'
@@ -131,14 +1090,82 @@ function createApp() {
 
     res.json({
       success: true,
-      job: jobLogs[jobLogs.length - 1]
+      job: jobs[jobs.length - 1]
     });
   });
 
-  // DELETE /jobs - Clear all logged jobs (for testing)
+  /**
+   * Look up the job for a /jobs/:id request
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response (a 404 is sent when the ID is unknown)
+   * @returns {Object|null} { sheetName, row, job }, or null when the 404 was sent
+   */
+  function findJobById(req, res) {
+    const location = store.findJob(req.params.id);
+    if (!location) {
+      res.status(404).json({ success: false, error: `No job found with ID ${req.params.id}` });
+      return null;
+    }
+    const job = store.readJobs(location.sheetName).find(item => item.id === req.params.id);
+    return { ...location, job };
+  }
+
+  // GET /jobs/:id - Get one job from any sheet
+  app.get('/jobs/:id', (req, res) => {
+    if (rejectUnsignedRequest(req, res)) return;
+
+    const found = findJobById(req, res);
+    if (!found) return;
+
+    res.json({ success: true, sheet: found.sheetName, job: found.job });
+  });
+
+  // PATCH /jobs/:id - Set fields of one job ({ fieldId: value }, like updateStatus updates)
+  app.patch('/jobs/:id', (req, res) => {
+    if (rejectUnsignedRequest(req, res)) return;
+
+    const updates = req.body;
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid update: send an object with at least one field'
+      });
+    }
+
+    const found = findJobById(req, res);
+    if (!found) return;
+
+    const updated = store.updateRow(found.sheetName, found.row, updates);
+    console.log(`✏️  Updated job ${req.params.id} (row ${found.row} of "${found.sheetName}"): ${updated.join(', ')}`);
+
+    res.json({
+      success: true,
+      sheet: found.sheetName,
+      updated,
+      job: store.readJobs(found.sheetName).find(item => item.id === req.params.id)
+    });
+  });
+
+  // DELETE /jobs/:id - Delete one job; the rows below it move up, like deleting a sheet row
+  app.delete('/jobs/:id', (req, res) => {
+    if (rejectUnsignedRequest(req, res)) return;
+
+    const found = findJobById(req, res);
+    if (!found) return;
+
+    store.deleteRow(found.sheetName, found.row);
+    console.log(`🗑️  Deleted job ${req.params.id} (row ${found.row} of "${found.sheetName}")`);
+
+    res.json({ success: true, sheet: found.sheetName, job: found.job });
+  });
+
+  // DELETE /jobs - Clear all logged jobs in every sheet (for testing; deletes the CSV files)
   app.delete('/jobs', (req, res) => {
-    const count = jobLogs.length;
-    jobLogs.length = 0; // Clear array
+    if (rejectUnsignedRequest(req, res)) return;
+
+    const count = store.clear();
+    requestLedger.clear();
+    if (gas) gas.clearCache();
     console.log(`🗑️  Cleared ${count} job(s) from storage`);
 
     res.json({
@@ -148,12 +1175,70 @@ function createApp() {
     });
   });
 
+  // GET /dashboard - Live dashboard page (local-dashboard.html + local-dashboard.js)
+  app.get('/dashboard', (req, res) => {
+    res.sendFile(path.join(__dirname, 'local-dashboard.html'));
+  });
+
+  app.get('/local-dashboard.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'local-dashboard.js'));
+  });
+
+  /**
+   * Keep the dashboard's data to this computer once requests must be signed
+   * The dashboard page has no shared secret to sign with, so a remote browser is refused instead
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {boolean} True when the 403 was sent
+   */
+  function rejectRemoteDashboard(req, res) {
+    if (!sharedSecret || isLoopbackAddress(req.socket.remoteAddress)) return false;
+
+    res.status(403).json({
+      success: false,
+      error: 'The dashboard is only available on this computer while JOBSPRINT_SHARED_SECRET is set'
+    });
+    return true;
+  }
+
+  // GET /dashboard/data - Jobs of one sheet (?sheet) with counts by Board, Role and day
+  app.get('/dashboard/data', (req, res) => {
+    if (rejectRemoteDashboard(req, res)) return;
+
+    const sheet = req.query.sheet || DEFAULT_SHEET_NAME;
+    const jobs = store.readJobs(sheet);
+    const sheets = store.listSheets().filter(name => name !== SUMMARY_SHEET_NAME);
+
+    res.json({
+      success: true,
+      sheet,
+      sheets: sheets.includes(DEFAULT_SHEET_NAME) ? sheets : [DEFAULT_SHEET_NAME, ...sheets],
+      summary: summarizeJobs(jobs, store.getRoleRules()),
+      jobs
+    });
+  });
+
+  // GET /events - Server-sent events: a "jobs" event ({ sheets, total }) after sheets are written
+  // (sheets is empty after DELETE /jobs)
+  app.get('/events', (req, res) => {
+    if (rejectRemoteDashboard(req, res)) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    eventClients.add(res);
+    req.on('close', () => eventClients.delete(res));
+  });
+
   // GET /health - Health check endpoint
   app.get('/health', (req, res) => {
     res.json({
       status: 'healthy',
       uptime: process.uptime(),
-      jobsLogged: jobLogs.length
+      jobsLogged: store.countRows()
     });
   });
 
@@ -180,10 +1265,16 @@ function createApp() {
 /**
  * Starts the server
  * @param {number} port - Port to listen on
+ * @param {Object} options - { dataDir, realScript, faults }
+ *   dataDir is the directory for the sheet CSV files (default JOBSPRINT_DATA_DIR or ./local-data);
+ *   faults is the starting fault profile (from parseFaultArgs)
  * @returns {Object} Server instance
  */
-function startServer(port = 3000) {
-  const app = createApp();
+function startServer(port = 3000, options = {}) {
+  const dataDir = options.dataDir || process.env.JOBSPRINT_DATA_DIR || path.join(__dirname, 'local-data');
+  const realScript = !!options.realScript;
+  const faults = options.faults || null;
+  const app = createApp({ dataDir, realScript, faults });
 
   const server = app.listen(port, () => {
     console.log('');
@@ -191,13 +1282,21 @@ function startServer(port = 3000) {
     console.log('  📦 Local Google Apps Script Mock Endpoint');
     console.log('═══════════════════════════════════════════════════════════');
     console.log(`  ✅ Server running on http://localhost:${port}`);
+    console.log(`  💾 Sheets saved as CSV in ${dataDir}`);
+    console.log(`  📜 Handlers: ${realScript ? 'real Apps Script doPost/doGet (emulated services)' : 'mock'}`);
+    console.log(`  💥 Faults: ${faults ? JSON.stringify(faults) : 'off'} (change with PUT /__faults)`);
+    console.log(`  🔑 Request signing: ${process.env.JOBSPRINT_SHARED_SECRET ? 'required (JOBSPRINT_SHARED_SECRET)' : 'off'}`);
     console.log('');
     console.log('  Available endpoints:');
-    console.log(`    POST   http://localhost:${port}/log-job     - Log job data`);
-    console.log(`    GET    http://localhost:${port}/jobs        - Get all logged jobs`);
+    console.log(`    POST   http://localhost:${port}/log-job     - Log job data (object, or an array for a batch)`);
+    console.log(`    GET    http://localhost:${port}/jobs        - List jobs (?status, company, title, source, from, to, sort, order, limit, offset)`);
+    console.log(`    GET    http://localhost:${port}/log-job?action=capabilities - Version and supported features`);
     console.log(`    GET    http://localhost:${port}/jobs/latest - Get latest job`);
+    console.log(`    GET/PATCH/DELETE http://localhost:${port}/jobs/:id - Get, update or delete one job`);
     console.log(`    DELETE http://localhost:${port}/jobs        - Clear all jobs`);
     console.log(`    GET    http://localhost:${port}/health      - Health check`);
+    console.log(`    GET    http://localhost:${port}/dashboard   - Live dashboard (open in a browser)`);
+    console.log(`    GET/PUT/DELETE http://localhost:${port}/__faults - Fault injection profile`);
     console.log('');
     console.log('  Press Ctrl+C to stop the server');
     console.log('═══════════════════════════════════════════════════════════');
@@ -211,11 +1310,27 @@ function startServer(port = 3000) {
 module.exports = {
   createApp,
   startServer,
-  validateJobData
+  validateJobData,
+  validateStatusUpdate,
+  parseListQuery,
+  computeRequestSignature,
+  verifyRequestSignature,
+  isLoopbackAddress,
+  normalizeFaultProfile,
+  parseFaultArgs,
+  summarizeJobs,
+  summarizeSprint,
+  findFollowUps
 };
 
 // Start server if running directly (not imported as module)
 if (require.main === module) {
-  const port = parseInt(process.argv[2]) || 3000;
-  startServer(port);
+  const args = process.argv.slice(2);
+  const port = parseInt(args.find(arg => !arg.startsWith('--'))) || 3000;
+  const { profile: faults, error } = parseFaultArgs(args);
+  if (error) {
+    console.error(`❌ ${error}`);
+    process.exit(1);
+  }
+  startServer(port, { realScript: args.includes('--real-script'), faults });
 }
@@ -0,0 +1,862 @@
+/**
+ * Local Sheet Store - File-backed stand-in for the Google Sheet behind the GAS endpoint
+ *
+ * Stores each target sheet as a header row plus data rows, laid out exactly like the
+ * real script lays out the sheet: the same column labels (FIELD_LABEL_MAP), the
+ * Status/Applied/Decision system columns, and Board/Role/Tailor inference for empty
+ * fields. With a data directory, every sheet is saved as <sheet name>.csv and loaded
+ * again on start, so logged jobs survive a restart and can be opened in any spreadsheet app.
+ *
+ * Every row also has a stable job ID that is not a sheet column (row numbers shift when a
+ * row is deleted). IDs are saved next to the CSV files in ids.json.
+ *
+ * Headers match their field ignoring case and whitespace, and through the same header aliases
+ * as the script (DEFAULT_HEADER_ALIASES plus the store's headerAliases option, which stands in
+ * for the HEADER_ALIASES script property), so a column renamed in the CSV keeps being filled.
+ *
+ * Jobs sent with the extension's schema lay the sheet out by it, like the script: schema columns
+ * first, in order and with their labels. The schema is remembered per sheet (schemas.json stands
+ * in for the SHEET_SCHEMAS script property). Role rules sent with a schema (role-rules.js) fill
+ * empty Role cells from then on, and are kept in role-rules.json (the ROLE_RULES script property).
+ *
+ * Like the script, the Portal Link is saved as =HYPERLINK("url", "title") (spreadsheet apps show
+ * the title as a link) and text longer than the 50,000 character cell limit is cut short.
+ * The script's dropdowns and row colors are sheet formatting, which CSV can't hold.
+ *
+ * The column logic is ported from google-apps-script-endpoint.js (getOrCreateHeaders,
+ * applySchemaLayout, createRowData, readJobsFromSheet, findJobRow, buildHeaderAliasIndex,
+ * findHeaderColumn, getSheetLayout, buildPortalLink, readPortalLink, truncateCellValue,
+ * inferBoard, inferAts, inferRole, getRoleRules) - keep them in sync.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeJobSchema } = require('./job-schema-validator');
+const { DEFAULT_ROLE_RULES, normalizeRoleRules, inferRoleFromRules } = require('./role-rules');
+const { detectJobBoard } = require('./job-boards');
+
+const DEFAULT_SHEET_NAME = 'Job Applications';
+
+// Tab the script rebuilds with sprint statistics - kept like any sheet, but it holds no jobs
+const SUMMARY_SHEET_NAME = 'Summary';
+
+// File in the data directory that keeps the job IDs of every sheet
+const IDS_FILE = 'ids.json';
+
+// File in the data directory that keeps the schema of every sheet that received one
+const SCHEMAS_FILE = 'schemas.json';
+
+// File in the data directory that keeps the last role rules sent with a schema
+const ROLE_RULES_FILE = 'role-rules.json';
+
+// Request fields that control how a job is logged - they never become columns.
+// spreadsheetId is also skipped: only the local endpoint accepts it (the GAS endpoint rejects it)
+const RESERVED_REQUEST_FIELDS = ['timestamp', 'targetSheetName', 'clientRequestId', 'operation', 'schema', 'spreadsheetId'];
+
+// Standard column mapping (field ID → display label), same as the GAS endpoint
+const FIELD_LABEL_MAP = {
+  company: 'Employer',
+  title: 'Job Title',
+  location: 'Location',
+  url: 'Portal Link',
+  source: 'Board',
+  ats: 'ATS',
+  role: 'Role',
+  tailor: 'Tailor',
+  description: 'Notes',
+  compensation: 'Compensation',
+  pay: 'Pay'
+};
+
+// System columns added to every new sheet
+const SYSTEM_COLUMNS = ['Status', 'Applied', 'Decision'];
+
+// Longest text Sheets accepts in one cell; longer values end with TRUNCATION_MARKER
+const CELL_CHARACTER_LIMIT = 50000;
+const TRUNCATION_MARKER = '… [truncated]';
+
+// Other header labels accepted for a field (field ID → labels), same as the GAS endpoint
+const DEFAULT_HEADER_ALIASES = {
+  company: ['Company'],
+  title: ['Title'],
+  url: ['URL', 'Job Link'],
+  source: ['Source'],
+  description: ['Description'],
+  applied: ['Date Applied']
+};
+
+/**
+ * Normalize a header label for matching (port of normalizeHeaderLabel)
+ * @param {*} label - Header label
+ * @returns {string} Normalized label (e.g. " Job  Title" → "job title")
+ */
+function normalizeHeaderLabel(label) {
+  return String(label).replace(/[\s_]+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Build the lookup of every header label known to belong to a field (port of buildHeaderAliasIndex)
+ * @param {Object} aliases - Extra aliases ({ fieldId: [labels] })
+ * @param {Array<Object>} schemas - Schemas whose labels name their columns, most recent first
+ * @returns {Object} Normalized label → field ID
+ */
+function buildHeaderAliasIndex(aliases = {}, schemas = []) {
+  const index = {};
+  const add = (label, fieldId) => {
+    const key = normalizeHeaderLabel(label);
+    if (!Object.prototype.hasOwnProperty.call(index, key)) index[key] = fieldId;
+  };
+
+  schemas.filter(Boolean).forEach(schema => schema.columns.forEach(column => add(column.label, column.id)));
+  Object.keys(FIELD_LABEL_MAP).forEach(fieldId => add(FIELD_LABEL_MAP[fieldId], fieldId));
+  SYSTEM_COLUMNS.forEach(label => add(label, label.toLowerCase()));
+  [aliases, DEFAULT_HEADER_ALIASES].forEach(list => {
+    Object.keys(list).forEach(fieldId => {
+      if (Array.isArray(list[fieldId])) list[fieldId].forEach(label => add(label, fieldId));
+    });
+  });
+  return index;
+}
+
+// Lookup used when no aliases are configured
+const DEFAULT_ALIAS_INDEX = buildHeaderAliasIndex();
+
+/**
+ * Get the sheet column label for a field ID
+ * @param {string} fieldId - Field ID (e.g. "url", "team_size", "status")
+ * @param {Object} schema - Sheet schema ({ columns: [{ id, label }] }, optional)
+ * @returns {string} Column label (e.g. "Portal Link", "Team size", "Status")
+ */
+function getColumnLabel(fieldId, schema) {
+  const column = schema ? schema.columns.find(item => item.id === fieldId) : null;
+  if (column) return column.label;
+  if (Object.prototype.hasOwnProperty.call(FIELD_LABEL_MAP, fieldId)) {
+    return FIELD_LABEL_MAP[fieldId];
+  }
+  return fieldId.charAt(0).toUpperCase() + fieldId.slice(1).replace(/_/g, ' ');
+}
+
+/**
+ * Get the field ID for a column label (inverse of getColumnLabel)
+ * @param {string} label - Column label (e.g. "Portal Link", "job title", "Team size")
+ * @param {Object} aliasIndex - Lookup from buildHeaderAliasIndex()
+ * @returns {string} Field ID (e.g. "url", "title", "team_size")
+ */
+function getFieldId(label, aliasIndex = DEFAULT_ALIAS_INDEX) {
+  const key = normalizeHeaderLabel(label);
+  return Object.prototype.hasOwnProperty.call(aliasIndex, key) ? aliasIndex[key] : key.replace(/ /g, '_');
+}
+
+/**
+ * Find the column holding a field, tolerating renamed headers (port of findHeaderColumn)
+ * @param {Array<string>} headers - Sheet headers
+ * @param {string} fieldId - Field ID
+ * @param {Object} aliasIndex - Lookup from buildHeaderAliasIndex()
+ * @returns {number} Zero-based column index, or -1 if no header matches
+ */
+function findHeaderColumn(headers, fieldId, aliasIndex = DEFAULT_ALIAS_INDEX) {
+  const label = normalizeHeaderLabel(getColumnLabel(fieldId));
+  return headers.findIndex(header => {
+    const key = normalizeHeaderLabel(header);
+    return Object.prototype.hasOwnProperty.call(aliasIndex, key) ? aliasIndex[key] === fieldId : key === label;
+  });
+}
+
+/**
+ * Work out the header row after logging a job (port of getOrCreateHeaders)
+ * A new sheet gets the schema's columns (or else the standard columns present in the job, with
+ * Employer and Job Title always), the system columns, then other fields; an existing sheet only
+ * gains missing columns (lay it out with applySchemaLayout() first)
+ * @param {Array<string>} headers - Current headers ([] for a new sheet)
+ * @param {Object} jobData - Job data (or update fields) being written
+ * @param {Object} aliasIndex - Lookup from buildHeaderAliasIndex()
+ * @param {Object} schema - Sheet schema ({ columns: [{ id, label }] }, optional)
+ * @returns {Array<string>} Headers, existing ones first and in their original order
+ */
+function mergeHeaders(headers, jobData, aliasIndex = DEFAULT_ALIAS_INDEX, schema = null) {
+  if (headers.length === 0) {
+    const created = schema
+      ? schema.columns.map(column => column.label)
+      : Object.keys(FIELD_LABEL_MAP)
+        .filter(fieldId => Object.prototype.hasOwnProperty.call(jobData, fieldId) || fieldId === 'company' || fieldId === 'title')
+        .map(fieldId => FIELD_LABEL_MAP[fieldId]);
+
+    SYSTEM_COLUMNS.forEach(label => {
+      if (findHeaderColumn(created, label.toLowerCase(), aliasIndex) === -1) created.push(label);
+    });
+    return created.concat(getMissingColumns(created, jobData, aliasIndex, schema));
+  }
+
+  return headers.concat(getMissingColumns(headers, jobData, aliasIndex, schema));
+}
+
+/**
+ * Labels of the columns a job needs but the headers don't have yet (port of getMissingColumns)
+ * @param {Array<string>} headers - Current headers
+ * @param {Object} jobData - Job data (or update fields)
+ * @param {Object} aliasIndex - Lookup from buildHeaderAliasIndex()
+ * @param {Object} schema - Sheet schema (optional, names the new columns)
+ * @returns {Array<string>} New column labels, standard fields first
+ */
+function getMissingColumns(headers, jobData, aliasIndex, schema) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(jobData, key);
+  const isCustomField = (key) => !Object.prototype.hasOwnProperty.call(FIELD_LABEL_MAP, key) &&
+    !RESERVED_REQUEST_FIELDS.includes(key);
+
+  const newColumns = [];
+  Object.keys(FIELD_LABEL_MAP).filter(has).concat(Object.keys(jobData).filter(isCustomField)).forEach(fieldId => {
+    if (findHeaderColumn(headers.concat(newColumns), fieldId, aliasIndex) === -1) {
+      newColumns.push(getColumnLabel(fieldId, schema));
+    }
+  });
+  return newColumns;
+}
+
+/**
+ * Rename, move and add columns so the schema's columns lead in schema order (port of applySchemaLayout)
+ * @param {Array<string>} headers - Current headers
+ * @param {Object} schema - Sheet schema ({ columns: [{ id, label }] })
+ * @param {Object} aliasIndex - Lookup from buildHeaderAliasIndex()
+ * @returns {Object} { headers, sources } - sources[i] is the old index of column i (-1 for a new column)
+ */
+function applySchemaLayout(headers, schema, aliasIndex = DEFAULT_ALIAS_INDEX) {
+  const labels = headers.slice();
+  const sources = headers.map((label, index) => index);
+
+  schema.columns.forEach((column, position) => {
+    // Columns before this position already belong to earlier schema columns
+    let index = findHeaderColumn(labels.slice(position), column.id, aliasIndex);
+    index = index === -1 ? -1 : index + position;
+
+    if (index === -1) {
+      index = labels.length;
+      labels.push(column.label);
+      sources.push(-1);
+    }
+    labels.splice(position, 0, labels.splice(index, 1)[0]);
+    sources.splice(position, 0, sources.splice(index, 1)[0]);
+    labels[position] = column.label;
+  });
+
+  return { headers: labels, sources };
+}
+
+/**
+ * List the columns added to a header row (port of getAddedColumns)
+ * @param {Array<string>} before - Headers before the change
+ * @param {Array<string>} after - Headers after the change
+ * @param {Object} aliasIndex - Lookup from buildHeaderAliasIndex()
+ * @param {string} sheetName - Sheet name, included in each entry
+ * @returns {Array<Object>} [{ field, column, sheet }] for every field that had no column before
+ */
+function getAddedColumns(before, after, aliasIndex, sheetName) {
+  const existingFields = before.map(label => getFieldId(label, aliasIndex));
+  return after
+    .filter(label => !existingFields.includes(getFieldId(label, aliasIndex)))
+    .map(label => ({ field: getFieldId(label, aliasIndex), column: label, sheet: sheetName }));
+}
+
+/**
+ * Build a row in header order (port of createRowData)
+ * @param {Array<string>} headers - Sheet headers
+ * @param {Object} jobData - Job data
+ * @param {Object} aliasIndex - Lookup from buildHeaderAliasIndex()
+ * @param {Array<Object>} roleRules - Role rules (role-rules.js)
+ * @returns {Array<string>} Row values
+ */
+function createRowData(headers, jobData, aliasIndex = DEFAULT_ALIAS_INDEX, roleRules = DEFAULT_ROLE_RULES) {
+  const appliedDate = formatAppliedDate(jobData.timestamp);
+
+  return headers.map(header => {
+    const fieldId = getFieldId(header, aliasIndex);
+    if (fieldId === 'status') return 'No response';
+    if (fieldId === 'applied') return appliedDate;
+    if (fieldId === 'decision') return '';
+
+    if (Object.prototype.hasOwnProperty.call(FIELD_LABEL_MAP, fieldId)) {
+      let value = jobData[fieldId] || '';
+      if (fieldId === 'source' && !value) {
+        value = inferBoard(jobData.url, jobData.source);
+      } else if (fieldId === 'ats' && !value) {
+        value = inferAts(jobData.url);
+      } else if (fieldId === 'role' && !value) {
+        value = inferRole(jobData.title, roleRules);
+      } else if (fieldId === 'tailor' && !value) {
+        value = jobData.role || inferRole(jobData.title, roleRules);
+      } else if (fieldId === 'url') {
+        value = buildPortalLink(value, jobData.title);
+      }
+      return truncateCellValue(value);
+    }
+    return truncateCellValue(jobData[fieldId] || jobData[header] || '');
+  });
+}
+
+/**
+ * Write a job link as its clickable title (port of buildPortalLink)
+ * @param {string} url - Job posting URL
+ * @param {string} title - Job title
+ * @returns {string} =HYPERLINK("url", "title"), or the URL unchanged when there is no title
+ *   or it isn't an http(s) link
+ */
+function buildPortalLink(url, title) {
+  if (!title || !/^https?:\/\//i.test(url)) return url;
+
+  const quote = (text) => `"${String(text).replace(/"/g, '""')}"`;
+  const formula = `=HYPERLINK(${quote(url)}, ${quote(title)})`;
+  return formula.length <= CELL_CHARACTER_LIMIT ? formula : url;
+}
+
+/**
+ * Get the URL out of a Portal Link cell (port of readPortalLink, reading the stored formula)
+ * @param {string} value - Cell value
+ * @returns {string} The link inside a HYPERLINK formula, else the value unchanged
+ */
+function readPortalLink(value) {
+  const match = /^=HYPERLINK\(\s*"((?:[^"]|"")*)"/i.exec(String(value));
+  return match ? match[1].replace(/""/g, '"') : value;
+}
+
+/**
+ * Cut text down to the cell limit, ending it with TRUNCATION_MARKER (port of truncateCellValue)
+ * @param {*} value - Cell value
+ * @returns {*} The value, shortened if it is text longer than CELL_CHARACTER_LIMIT
+ */
+function truncateCellValue(value) {
+  if (typeof value !== 'string' || value.length <= CELL_CHARACTER_LIMIT) return value;
+
+  let end = CELL_CHARACTER_LIMIT - TRUNCATION_MARKER.length;
+  // Don't split an emoji (or any other surrogate pair) in half
+  const code = value.charCodeAt(end - 1);
+  if (code >= 0xD800 && code <= 0xDBFF) end--;
+  return value.slice(0, end) + TRUNCATION_MARKER;
+}
+
+/**
+ * Infer the job board from URL or source (port of inferBoard)
+ * @param {string} url - Job posting URL
+ * @param {string} source - Source field from job data
+ * @returns {string} Board name
+ */
+function inferBoard(url, source) {
+  return detectJobBoard(url, source).board;
+}
+
+/**
+ * Infer the applicant tracking system hosting a job from its URL (port of inferAts)
+ * @param {string} url - Job posting URL
+ * @returns {string} ATS name, or empty if unknown
+ */
+function inferAts(url) {
+  return detectJobBoard(url, '').ats;
+}
+
+/**
+ * Infer role category from job title (port of inferRole)
+ * @param {string} title - Job title
+ * @param {Array<Object>} rules - Role rules (role-rules.js)
+ * @returns {string} Category of the first matching rule, or empty if none matches
+ */
+function inferRole(title, rules = DEFAULT_ROLE_RULES) {
+  return inferRoleFromRules(title, rules);
+}
+
+/**
+ * Format a timestamp as the Applied date the script writes (M/d/yyyy, local time)
+ * @param {string} timestamp - ISO timestamp (missing or invalid = today)
+ * @returns {string} e.g. "1/15/2025"
+ */
+function formatAppliedDate(timestamp) {
+  let date = timestamp ? new Date(timestamp) : new Date();
+  if (isNaN(date.getTime())) date = new Date();
+  return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+}
+
+/**
+ * Read an Applied cell back the way Sheets returns it (a date, listed as YYYY-MM-DD)
+ * @param {string} value - Cell value
+ * @returns {string} YYYY-MM-DD for M/d/yyyy dates, otherwise the value unchanged
+ */
+function readAppliedDate(value) {
+  const match = String(value).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return value;
+  return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+// ============ CSV ============
+
+/**
+ * Serialize a sheet as CSV (RFC 4180, CRLF line endings)
+ * @param {Array<Array<*>>} values - Header row followed by data rows
+ * @returns {string} CSV text
+ */
+function toCsv(values) {
+  const cell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return values.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV written by toCsv() (quoted cells may contain commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ============ STORE ============
+
+/**
+ * Create a sheet store
+ * @param {Object} options - { dataDir, onChange, headerAliases }
+ *   dataDir is the directory for the CSV files (omit to keep sheets in memory only);
+ *   onChange(sheetName) is called after every write (sheetName is null after clear());
+ *   headerAliases are extra header names per field ({ fieldId: [labels] }, like setupHeaderAliases())
+ * @returns {Object} Store API (row numbers are sheet rows: the header is row 1, the first job row 2)
+ */
+function createSheetStore(options = {}) {
+  const dataDir = options.dataDir || null;
+  const headerAliases = options.headerAliases || {};
+
+  // Sheet name → { headers: Array<string>, rows: Array<Array<string>>, ids: Array<string> }
+  const sheets = new Map();
+
+  // Sheet name → schema the sheet is laid out by ({ columns: [{ id, label }] })
+  let schemas = {};
+
+  // Role rules for empty Role cells, the last ones sent with a schema
+  let roleRules = DEFAULT_ROLE_RULES;
+
+  const fileFor = (sheetName) => path.join(dataDir, `${encodeURIComponent(sheetName)}.csv`);
+
+  const newId = () => crypto.randomBytes(6).toString('hex');
+
+  // Keep one ID per row: rows added outside the store (a spreadsheet app, setSheetValues)
+  // get new IDs at the end, and IDs of rows removed from the end are dropped
+  const matchIds = (ids, rowCount) => ids.slice(0, rowCount)
+    .concat(Array.from({ length: Math.max(0, rowCount - ids.length) }, newId));
+
+  if (dataDir) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const idsPath = path.join(dataDir, IDS_FILE);
+    const savedIds = fs.existsSync(idsPath) ? JSON.parse(fs.readFileSync(idsPath, 'utf8')) : {};
+    const schemasPath = path.join(dataDir, SCHEMAS_FILE);
+    schemas = fs.existsSync(schemasPath) ? JSON.parse(fs.readFileSync(schemasPath, 'utf8')) : {};
+    const roleRulesPath = path.join(dataDir, ROLE_RULES_FILE);
+    if (fs.existsSync(roleRulesPath)) {
+      roleRules = normalizeRoleRules(JSON.parse(fs.readFileSync(roleRulesPath, 'utf8'))) || DEFAULT_ROLE_RULES;
+    }
+
+    fs.readdirSync(dataDir)
+      .filter(file => file.endsWith('.csv'))
+      .forEach(file => {
+        const [headers = [], ...rows] = parseCsv(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        const sheetName = decodeURIComponent(file.slice(0, -4));
+        // Pad short rows so every row has a cell per header, like a sheet range
+        const width = headers.length;
+        sheets.set(sheetName, {
+          headers,
+          rows: rows.map(values => values.concat(Array(Math.max(0, width - values.length)).fill(''))),
+          ids: matchIds(savedIds[sheetName] || [], rows.length)
+        });
+      });
+  }
+
+  const saveIds = () => {
+    const ids = {};
+    sheets.forEach((sheet, name) => {
+      ids[name] = sheet.ids;
+    });
+    fs.writeFileSync(path.join(dataDir, IDS_FILE), JSON.stringify(ids, null, 2), 'utf8');
+  };
+
+  const save = (sheetName) => {
+    if (dataDir) {
+      const sheet = sheets.get(sheetName);
+      // A sheet without a header row (just inserted) is saved as an empty file
+      const text = sheet.headers.length > 0 ? toCsv([sheet.headers, ...sheet.rows]) : '';
+      fs.writeFileSync(fileFor(sheetName), text, 'utf8');
+      saveIds();
+    }
+    if (options.onChange) options.onChange(sheetName);
+  };
+
+  // Schema and header lookup for a sheet (port of getSheetLayout): a sent schema is saved
+  // for the sheet, and the previously saved labels still find their columns
+  const getLayout = (sheetName, sentSchema) => {
+    const saved = Object.prototype.hasOwnProperty.call(schemas, sheetName) ? schemas[sheetName] : null;
+    let schema = saved;
+
+    if (sentSchema) {
+      schema = { columns: normalizeJobSchema(sentSchema).columns.map(({ id, label }) => ({ id, label })) };
+      if (JSON.stringify(schema) !== JSON.stringify(saved)) {
+        schemas[sheetName] = schema;
+        if (dataDir) {
+          fs.writeFileSync(path.join(dataDir, SCHEMAS_FILE), JSON.stringify(schemas, null, 2), 'utf8');
+        }
+      }
+    }
+
+    return { schema, aliasIndex: buildHeaderAliasIndex(headerAliases, [schema, saved]) };
+  };
+
+  // Role rules for a request (port of getRoleRules): valid rules sent with the schema are kept
+  const useRoleRules = (sentSchema) => {
+    const sent = sentSchema && sentSchema.roleRules !== undefined ? normalizeRoleRules(sentSchema.roleRules) : null;
+    if (sent && JSON.stringify(sent) !== JSON.stringify(roleRules)) {
+      roleRules = sent;
+      if (dataDir) {
+        fs.writeFileSync(path.join(dataDir, ROLE_RULES_FILE), JSON.stringify(roleRules, null, 2), 'utf8');
+      }
+    }
+    return roleRules;
+  };
+
+  // Lay out an existing sheet by its schema, moving each row's values with their column
+  const layOut = (sheet, schema, aliasIndex) => {
+    if (!schema || sheet.headers.length === 0) return;
+    const { headers, sources } = applySchemaLayout(sheet.headers, schema, aliasIndex);
+    sheet.headers = headers;
+    sheet.rows = sheet.rows.map(row => sources.map(source => (source === -1 ? '' : row[source])));
+  };
+
+  const setHeaders = (sheet, headers) => {
+    const added = headers.length - sheet.headers.length;
+    sheet.headers = headers;
+    if (added > 0) {
+      sheet.rows = sheet.rows.map(row => row.concat(Array(added).fill('')));
+    }
+  };
+
+  return {
+    /**
+     * Append jobs to a sheet (created on first use) in one write
+     * @param {string} sheetName - Target sheet name
+     * @param {Array<Object>} jobs - Validated job data
+     * @returns {Object} { firstRow, unmatchedFields? } - Sheet row of the first appended job, and
+     *   the fields that got a new column in an existing sheet ({ field, column, sheet })
+     */
+    appendJobs(sheetName, jobs) {
+      const name = sheetName || DEFAULT_SHEET_NAME;
+      if (!sheets.has(name)) {
+        sheets.set(name, { headers: [], rows: [], ids: [] });
+      }
+      const sheet = sheets.get(name);
+
+      // Headers cover the fields of every job, in order of first appearance (like mergeJobFields),
+      // laid out by the schema the jobs were sent with
+      const merged = {};
+      jobs.forEach(job => Object.keys(job).forEach(key => {
+        if (!(key in merged)) merged[key] = job[key];
+      }));
+      const sentSchema = (jobs.find(job => job.schema) || {}).schema;
+      const { schema, aliasIndex } = getLayout(name, sentSchema);
+      const rules = useRoleRules(sentSchema);
+      const existingHeaders = sheet.headers;
+      layOut(sheet, schema, aliasIndex);
+      setHeaders(sheet, mergeHeaders(sheet.headers, merged, aliasIndex, schema));
+      const unmatchedFields = existingHeaders.length === 0 ? [] : getAddedColumns(existingHeaders, sheet.headers, aliasIndex, name);
+
+      const firstRow = sheet.rows.length + 2;
+      jobs.forEach(job => {
+        sheet.rows.push(createRowData(sheet.headers, job, aliasIndex, rules).map(String));
+        sheet.ids.push(newId());
+      });
+      save(name);
+
+      return unmatchedFields.length > 0 ? { firstRow, unmatchedFields } : { firstRow };
+    },
+
+    /**
+     * Create, rename and reorder a sheet's columns to match a schema (port of syncSheetColumns)
+     * @param {string} sheetName - Target sheet name (created if missing)
+     * @param {Object} schema - Valid schema ({ columns: [{ id, label, ... }], roleRules? })
+     * @returns {Object} { columns, added } - Headers after the sync and the labels of new columns
+     */
+    syncSchema(sheetName, schema) {
+      const name = sheetName || DEFAULT_SHEET_NAME;
+      if (!sheets.has(name)) {
+        sheets.set(name, { headers: [], rows: [], ids: [] });
+      }
+      const sheet = sheets.get(name);
+
+      const layout = getLayout(name, schema);
+      useRoleRules(schema);
+      const existingHeaders = sheet.headers;
+      layOut(sheet, layout.schema, layout.aliasIndex);
+      setHeaders(sheet, mergeHeaders(sheet.headers, {}, layout.aliasIndex, layout.schema));
+      save(name);
+
+      return {
+        columns: sheet.headers.slice(),
+        added: getAddedColumns(existingHeaders, sheet.headers, layout.aliasIndex, name).map(item => item.column)
+      };
+    },
+
+    /**
+     * Read every job row of a sheet, keyed by field ID (port of readJobsFromSheet)
+     * @param {string} sheetName - Sheet name
+     * @returns {Array<Object>} Jobs with `id` and `row` properties, [] for an unknown sheet
+     */
+    readJobs(sheetName) {
+      const sheet = sheets.get(sheetName || DEFAULT_SHEET_NAME);
+      if (!sheet) return [];
+
+      const { aliasIndex } = getLayout(sheetName || DEFAULT_SHEET_NAME, null);
+      const fieldIds = sheet.headers.map(label => getFieldId(label, aliasIndex));
+      return sheet.rows.map((values, index) => {
+        const job = { id: sheet.ids[index], row: index + 2 };
+        fieldIds.forEach((fieldId, column) => {
+          if (fieldId === 'applied') {
+            job[fieldId] = readAppliedDate(values[column]);
+          } else if (fieldId === 'url') {
+            job[fieldId] = readPortalLink(values[column]);
+          } else {
+            job[fieldId] = values[column];
+          }
+        });
+        return job;
+      });
+    },
+
+    /**
+     * Read the jobs of every job sheet (port of readAllJobs)
+     * @returns {Array<Object>} Jobs from readJobs() of each sheet with a Status column, except the Summary tab
+     */
+    readAllJobs() {
+      return this.listSheets()
+        .filter(name => name !== SUMMARY_SHEET_NAME)
+        .map(name => this.readJobs(name))
+        .filter(jobs => jobs.length > 0 && Object.prototype.hasOwnProperty.call(jobs[0], 'status'))
+        .reduce((all, jobs) => all.concat(jobs), []);
+    },
+
+    /**
+     * Find a job's row by row number or Portal Link (port of findJobRow)
+     * @param {string} sheetName - Sheet name
+     * @param {Object} query - { rowId?, url? }
+     * @returns {number} Sheet row, or -1 when there is no such job
+     */
+    findRow(sheetName, query) {
+      const sheet = sheets.get(sheetName || DEFAULT_SHEET_NAME);
+      if (!sheet) return -1;
+
+      const lastRow = sheet.rows.length + 1;
+      if (query.rowId) {
+        const rowId = Number(query.rowId);
+        return rowId >= 2 && rowId <= lastRow ? rowId : -1;
+      }
+
+      const { aliasIndex } = getLayout(sheetName || DEFAULT_SHEET_NAME, null);
+      const urlColumn = findHeaderColumn(sheet.headers, 'url', aliasIndex);
+      if (urlColumn === -1) return -1;
+
+      // Bottom-up so the most recently logged copy of a job wins
+      const target = String(query.url).trim();
+      for (let i = sheet.rows.length - 1; i >= 0; i--) {
+        if (String(readPortalLink(sheet.rows[i][urlColumn])).trim() === target) {
+          return i + 2;
+        }
+      }
+      return -1;
+    },
+
+    /**
+     * Set fields on an existing row, adding missing columns (port of updateJobInSheet)
+     * @param {string} sheetName - Sheet name
+     * @param {number} row - Sheet row from findRow()
+     * @param {Object} updates - { fieldId: value }
+     * @returns {Array<string>} Labels of the updated columns
+     */
+    updateRow(sheetName, row, updates) {
+      const name = sheetName || DEFAULT_SHEET_NAME;
+      const sheet = sheets.get(name);
+      const { schema, aliasIndex } = getLayout(name, null);
+      layOut(sheet, schema, aliasIndex);
+      setHeaders(sheet, mergeHeaders(sheet.headers, updates, aliasIndex, schema));
+
+      const values = sheet.rows[row - 2];
+      const updated = [];
+      Object.keys(updates).forEach(key => {
+        const column = findHeaderColumn(sheet.headers, key, aliasIndex);
+        // Reserved fields (e.g. timestamp) never get a column, so they can't be updated
+        if (column !== -1 && !RESERVED_REQUEST_FIELDS.includes(key)) {
+          values[column] = truncateCellValue(String(updates[key]));
+          updated.push(sheet.headers[column]);
+        }
+      });
+      save(name);
+
+      return updated;
+    },
+
+    /**
+     * Find a job by its ID in any sheet
+     * @param {string} id - Job ID from readJobs()
+     * @returns {Object|null} { sheetName, row }, or null when no row has this ID
+     */
+    findJob(id) {
+      for (const [sheetName, sheet] of sheets) {
+        const index = sheet.ids.indexOf(id);
+        if (index !== -1) return { sheetName, row: index + 2 };
+      }
+      return null;
+    },
+
+    /**
+     * Delete a row; the rows below move up (like Sheet.deleteRow)
+     * @param {string} sheetName - Sheet name
+     * @param {number} row - Sheet row from findRow() or findJob()
+     */
+    deleteRow(sheetName, row) {
+      const name = sheetName || DEFAULT_SHEET_NAME;
+      const sheet = sheets.get(name);
+      sheet.rows.splice(row - 2, 1);
+      sheet.ids.splice(row - 2, 1);
+      save(name);
+    },
+
+    /**
+     * Count job rows
+     * @param {string} sheetName - Sheet name (omit to count every sheet except the Summary tab)
+     * @returns {number} Number of job rows
+     */
+    countRows(sheetName) {
+      if (sheetName) {
+        return sheets.has(sheetName) ? sheets.get(sheetName).rows.length : 0;
+      }
+      return Array.from(sheets)
+        .filter(([name]) => name !== SUMMARY_SHEET_NAME)
+        .reduce((total, [, sheet]) => total + sheet.rows.length, 0);
+    },
+
+    /**
+     * Role rules in use: the last valid ones sent with a schema, else DEFAULT_ROLE_RULES
+     * @returns {Array<Object>} Normalized role rules
+     */
+    getRoleRules() {
+      return roleRules;
+    },
+
+    /**
+     * Delete every sheet (and its CSV file) and the schemas and role rules saved for them
+     * @returns {number} Number of job rows removed
+     */
+    clear() {
+      const count = this.countRows();
+      if (dataDir) {
+        sheets.forEach((sheet, name) => fs.rmSync(fileFor(name), { force: true }));
+        fs.rmSync(path.join(dataDir, IDS_FILE), { force: true });
+        fs.rmSync(path.join(dataDir, SCHEMAS_FILE), { force: true });
+        fs.rmSync(path.join(dataDir, ROLE_RULES_FILE), { force: true });
+      }
+      sheets.clear();
+      schemas = {};
+      roleRules = DEFAULT_ROLE_RULES;
+      if (options.onChange) options.onChange(null);
+      return count;
+    },
+
+    /**
+     * Names of the sheets in the store
+     * @returns {Array<string>} Sheet names in creation (or file) order
+     */
+    listSheets() {
+      return Array.from(sheets.keys());
+    },
+
+    /**
+     * Raw cell values of a sheet, header row first (used by gas-emulator.js)
+     * @param {string} sheetName - Sheet name
+     * @returns {Array<Array<string>>|null} Copy of the values, or null for an unknown sheet
+     */
+    getSheetValues(sheetName) {
+      const sheet = sheets.get(sheetName);
+      if (!sheet) return null;
+      const values = [sheet.headers, ...sheet.rows].map(row => row.slice());
+      return sheet.headers.length === 0 && sheet.rows.length === 0 ? [] : values;
+    },
+
+    /**
+     * Replace every cell of a sheet (created if missing) and save it
+     * @param {string} sheetName - Sheet name
+     * @param {Array<Array<*>>} values - Header row followed by data rows ([] for an empty sheet)
+     */
+    setSheetValues(sheetName, values) {
+      const [headers = [], ...rows] = values.map(row => row.map(value =>
+        value === undefined || value === null ? '' : String(value)));
+      const width = Math.max(headers.length, ...rows.map(row => row.length));
+      const pad = (row) => row.concat(Array(width - row.length).fill(''));
+
+      const ids = sheets.has(sheetName) ? sheets.get(sheetName).ids : [];
+      sheets.set(sheetName, {
+        headers: rows.length > 0 ? pad(headers) : headers,
+        rows: rows.map(pad),
+        ids: matchIds(ids, rows.length)
+      });
+      save(sheetName);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SHEET_NAME,
+  SUMMARY_SHEET_NAME,
+  FIELD_LABEL_MAP,
+  createSheetStore,
+  mergeHeaders,
+  applySchemaLayout,
+  createRowData,
+  readPortalLink,
+  truncateCellValue,
+  buildHeaderAliasIndex,
+  findHeaderColumn,
+  getColumnLabel,
+  getFieldId,
+  inferBoard,
+  inferAts,
+  inferRole,
+  formatAppliedDate,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,297 @@
+/**
+ * JobSprint Logging Backends - Adapters that deliver a logged job somewhere
+ * Every adapter has the same shape, so the service worker and outbox can log a job to
+ * any number of active backends without knowing how each one works:
+ *   { id, label, getConfigError(config), send(payload, config) }
+ * send() never throws; it resolves { success, response?, error?, retriable?, target? }.
+ * Adapters may also offer sendBatch(payloads, config), resolving one send()-style result
+ * per payload; backends without it get one send() per job.
+ * Loaded by the service worker (importScripts()) and settings.js; exported for Jest in Node.
+ */
+
+const DEFAULT_LOGGING_BACKENDS = ['appsScript'];
+
+// Most jobs per logJobDataBatch request (same limit as doPost and local-gas-endpoint.js)
+const BATCH_MAX_JOBS = 100;
+
+// Fields that steer the request itself and are not job data
+// (schema is the active schema, sent for the Apps Script endpoint to validate against)
+const BACKEND_RESERVED_FIELDS = ['targetSheetName', 'clientRequestId', 'operation', 'schema'];
+
+// Matches {{field}} placeholders in a webhook body template
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const TEMPLATE_EXACT_PLACEHOLDER_PATTERN = /^\{\{\s*(\w+)\s*\}\}$/;
+
+/**
+ * Parse a webhook body template
+ * @param {string} template - JSON text with {{field}} placeholders (empty = send the job as-is)
+ * @returns {*} Parsed template, or null when the template is empty
+ * @throws {SyntaxError} If the template is not valid JSON
+ */
+function parseWebhookTemplate(template) {
+  if (!template || !String(template).trim()) return null;
+  return JSON.parse(template);
+}
+
+/**
+ * Render a webhook body template for a job
+ * A string that is exactly "{{field}}" becomes the field's raw value (numbers, arrays, ...);
+ * placeholders inside longer strings are interpolated as text. Unknown fields render empty.
+ * @param {string} template - JSON text with {{field}} placeholders
+ * @param {Object} payload - Job data
+ * @returns {*} Request body (the payload itself when the template is empty)
+ */
+function renderWebhookBody(template, payload) {
+  const parsed = parseWebhookTemplate(template);
+  if (parsed === null) return payload;
+
+  const render = (node) => {
+    if (typeof node === 'string') {
+      const exact = node.match(TEMPLATE_EXACT_PLACEHOLDER_PATTERN);
+      if (exact) {
+        return payload[exact[1]] !== undefined ? payload[exact[1]] : '';
+      }
+      return node.replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, field) =>
+        (payload[field] === undefined || payload[field] === null ? '' : String(payload[field]))
+      );
+    }
+    if (Array.isArray(node)) return node.map(render);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, render(value)]));
+    }
+    return node;
+  };
+
+  return render(parsed);
+}
+
+/**
+ * Drop the schema the Apps Script endpoint validates against; other backends get job data only
+ * @param {Object} payload - Job payload
+ * @returns {Object} Payload without the schema field
+ */
+function withoutSchema(payload) {
+  if (!('schema' in payload)) return payload;
+  const { schema, ...job } = payload;
+  return job;
+}
+
+/**
+ * Escape one value for a CSV cell
+ * Values starting with = + - @ are prefixed with ' so spreadsheets don't run them as formulas
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function escapeCsv(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file (header line + one row) for a job
+ * @param {Object} payload - Job data
+ * @returns {string} CSV text
+ */
+function createCsvRow(payload) {
+  const fields = Object.keys(payload).filter(field => !BACKEND_RESERVED_FIELDS.includes(field));
+  return [
+    fields.map(escapeCsv).join(','),
+    fields.map(field => escapeCsv(payload[field])).join(',')
+  ].join('\r\n') + '\r\n';
+}
+
+/**
+ * File name for a downloaded CSV row
+ * @param {Object} payload - Job data
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @returns {string} Path relative to the Downloads folder, e.g. "JobSprint/2025-01-15-acme-analyst.csv"
+ */
+function getCsvFilename(payload, now = Date.now()) {
+  const date = new Date(payload.timestamp || now);
+  const day = isNaN(date.getTime()) ? new Date(now).toISOString().slice(0, 10) : date.toISOString().slice(0, 10);
+  const slug = `${payload.company || ''} ${payload.title || ''}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `JobSprint/${day}-${slug || 'job'}.csv`;
+}
+
+// ============ ADAPTERS ============
+
+const LOGGING_BACKEND_ADAPTERS = {
+  appsScript: {
+    id: 'appsScript',
+    label: 'Google Sheets (Apps Script)',
+
+    getConfigError(config) {
+      const endpoint = config.APPS_SCRIPT_ENDPOINT;
+      if (!endpoint || endpoint === 'YOUR_APPS_SCRIPT_URL_HERE') {
+        return 'Apps Script endpoint not configured. Please set up your Google Apps Script URL.';
+      }
+      return null;
+    },
+
+    // postJobToEndpoint() lives in the service worker (it owns fetchWithRetry)
+    async send(payload, config) {
+      const result = await postJobToEndpoint(config.APPS_SCRIPT_ENDPOINT, payload);
+      return { ...result, target: config.APPS_SCRIPT_ENDPOINT };
+    },
+
+    // doPost accepts an array of jobs and answers with one result per job (by index)
+    async sendBatch(payloads, config) {
+      const target = config.APPS_SCRIPT_ENDPOINT;
+      const result = await postJobToEndpoint(target, payloads);
+      const itemResults = result.response && Array.isArray(result.response.results)
+        ? result.response.results
+        : null;
+
+      if (!itemResults) {
+        const whole = result.success
+          ? {
+            success: false,
+            error: 'Apps Script endpoint does not support batch logging. Redeploy the latest script.',
+            retriable: false
+          }
+          : result;
+        return payloads.map(() => ({ ...whole, target }));
+      }
+
+      return payloads.map((payload, index) => {
+        const item = itemResults.find(candidate => candidate && candidate.index === index);
+        if (!item) {
+          return { success: false, error: 'Apps Script endpoint returned no result for this job.', retriable: true, target };
+        }
+        if (item.success) {
+          return { success: true, response: item, target };
+        }
+        const failure = { success: false, error: item.error || 'Unknown error from Apps Script', retriable: false, target };
+        if (item.fieldErrors) failure.fieldErrors = item.fieldErrors;
+        return failure;
+      });
+    }
+  },
+
+  webhook: {
+    id: 'webhook',
+    label: 'Webhook',
+
+    getConfigError(config) {
+      if (!config.WEBHOOK_URL) {
+        return 'Webhook URL not configured. Please set it in Settings.';
+      }
+      try {
+        parseWebhookTemplate(config.WEBHOOK_TEMPLATE);
+      } catch (error) {
+        return `Webhook body template is not valid JSON: ${error.message}`;
+      }
+      return null;
+    },
+
+    async send(payload, config) {
+      const target = config.WEBHOOK_URL;
+      let response;
+
+      try {
+        response = await fetch(target, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(renderWebhookBody(config.WEBHOOK_TEMPLATE, withoutSchema(payload))),
+          signal: AbortSignal.timeout(15000)
+        });
+      } catch (error) {
+        const timedOut = error.name === 'AbortError' || error.name === 'TimeoutError';
+        return {
+          success: false,
+          error: timedOut ? 'Webhook timed out.' : `Cannot reach webhook: ${error.message}`,
+          retriable: true,
+          target
+        };
+      }
+
+      if (!response.ok) {
+        return {
+          success: false,
+          error: `Webhook returned HTTP ${response.status}.`,
+          retriable: response.status >= 500 || response.status === 429,
+          target
+        };
+      }
+
+      // Webhooks answer with anything from JSON to an empty body
+      const text = await response.text().catch(() => '');
+      let body = text;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch {
+        // Keep the plain-text body
+      }
+      return { success: true, response: { status: response.status, body }, target };
+    }
+  },
+
+  csvDownload: {
+    id: 'csvDownload',
+    label: 'CSV download',
+
+    getConfigError() {
+      return null;
+    },
+
+    // Service workers have no URL.createObjectURL, so the file is passed as a data: URL
+    async send(payload) {
+      const target = getCsvFilename(payload);
+      try {
+        const downloadId = await chrome.downloads.download({
+          url: `data:text/csv;charset=utf-8,${encodeURIComponent(createCsvRow(payload))}`,
+          filename: target,
+          conflictAction: 'uniquify',
+          saveAs: false
+        });
+        return { success: true, response: { downloadId }, target };
+      } catch (error) {
+        return { success: false, error: `CSV download failed: ${error.message}`, retriable: false, target };
+      }
+    }
+  }
+};
+
+/**
+ * Look up a backend adapter
+ * @param {string} id - Backend ID (entries queued before backends existed have none)
+ * @returns {Object|null} Adapter, or null for an unknown ID
+ */
+function getLoggingBackend(id = 'appsScript') {
+  return Object.prototype.hasOwnProperty.call(LOGGING_BACKEND_ADAPTERS, id) ? LOGGING_BACKEND_ADAPTERS[id] : null;
+}
+
+/**
+ * Resolve the active backend IDs from stored settings
+ * @param {Array<string>} ids - LOGGING_BACKENDS setting (missing = Apps Script only)
+ * @returns {Array<string>} Known, de-duplicated backend IDs in registry order
+ */
+function getActiveBackendIds(ids) {
+  const selected = Array.isArray(ids) ? ids : DEFAULT_LOGGING_BACKENDS;
+  return Object.keys(LOGGING_BACKEND_ADAPTERS).filter(id => selected.includes(id));
+}
+
+// Export for use in Node.js testing environment (Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_LOGGING_BACKENDS,
+    BATCH_MAX_JOBS,
+    LOGGING_BACKEND_ADAPTERS,
+    parseWebhookTemplate,
+    renderWebhookBody,
+    escapeCsv,
+    createCsvRow,
+    getCsvFilename,
+    getLoggingBackend,
+    getActiveBackendIds
+  };
+}
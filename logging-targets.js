@@ -0,0 +1,124 @@
+/**
+ * JobSprint Logging Targets - Named sheet tabs a job can be logged to
+ * The default target is the Target Sheet Name setting; LOGGING_TARGETS adds named targets:
+ *   { id, name, sheetName, domains: ['joinhandshake.com'], schema: { columns } | null }
+ * A target whose domains match the job page is picked by default, and a target schema
+ * replaces the Schema Editor columns in the manual entry form.
+ * Loaded by the service worker (importScripts()), popup.html and settings.html; exported for Jest in Node.
+ */
+
+const DEFAULT_LOGGING_TARGET_ID = 'default';
+const DEFAULT_TARGET_SHEET_NAME = 'Job Applications';
+
+/**
+ * Build the full target list from stored settings
+ * @param {Array<Object>} targets - LOGGING_TARGETS setting (missing = none)
+ * @param {string} defaultSheetName - TARGET_SHEET_NAME setting
+ * @returns {Array<Object>} Default target first, then the named targets that have a sheet name
+ */
+function getLoggingTargets(targets, defaultSheetName) {
+  const sheetName = defaultSheetName || DEFAULT_TARGET_SHEET_NAME;
+  const named = (Array.isArray(targets) ? targets : [])
+    .filter(target => target && target.id && target.id !== DEFAULT_LOGGING_TARGET_ID && target.sheetName)
+    .map(target => ({
+      id: String(target.id),
+      name: target.name || target.sheetName,
+      sheetName: target.sheetName,
+      domains: normalizeTargetDomains(target.domains),
+      schema: target.schema && Array.isArray(target.schema.columns) ? target.schema : null
+    }));
+
+  return [
+    { id: DEFAULT_LOGGING_TARGET_ID, name: 'Default', sheetName, domains: [], schema: null },
+    ...named
+  ];
+}
+
+/**
+ * Clean up a target's domain list
+ * @param {Array<string>|string} domains - Domains, or comma/space separated text from Settings
+ * @returns {Array<string>} Lowercase host names without protocol, www or path
+ */
+function normalizeTargetDomains(domains) {
+  const list = Array.isArray(domains) ? domains : String(domains || '').split(/[\s,]+/);
+  return list
+    .map(domain => String(domain).trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/[/?#].*$/, ''))
+    .filter((domain, index, all) => domain && all.indexOf(domain) === index);
+}
+
+/**
+ * Check whether a page URL belongs to one of a target's domains (subdomains included)
+ * @param {Object} target - Logging target
+ * @param {string} url - Job page URL
+ * @returns {boolean} True on a domain match
+ */
+function targetMatchesUrl(target, url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return target.domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Pick the target for a job
+ * An explicitly chosen target wins; otherwise the first target whose domains match the
+ * job URL; otherwise the default target
+ * @param {Array<Object>} targets - Targets from getLoggingTargets()
+ * @param {string} targetId - Target chosen in the popup (optional)
+ * @param {string} url - Job page URL (optional)
+ * @returns {Object} Logging target
+ */
+function resolveLoggingTarget(targets, targetId, url) {
+  if (targetId) {
+    const chosen = targets.find(target => target.id === targetId);
+    if (chosen) return chosen;
+  }
+  if (url) {
+    const matched = targets.find(target => targetMatchesUrl(target, url));
+    if (matched) return matched;
+  }
+  return targets[0];
+}
+
+/**
+ * Check a target from the Settings page before it is saved
+ * @param {Object} target - { name, sheetName, schema }
+ * @returns {string|null} Error message, or null when the target is valid
+ */
+function getLoggingTargetError(target) {
+  const label = target.name || target.sheetName || 'New target';
+  if (!target.name) {
+    return 'Every logging target needs a name';
+  }
+  if (!target.sheetName) {
+    return `Logging target "${label}" needs a sheet name`;
+  }
+  if (target.schema) {
+    if (!Array.isArray(target.schema.columns) || target.schema.columns.length === 0) {
+      return `Schema for logging target "${label}" must have a non-empty "columns" array`;
+    }
+    const invalid = target.schema.columns.find(column => !column || !column.id || !column.label);
+    if (invalid) {
+      return `Every column in the schema for logging target "${label}" needs an id and a label`;
+    }
+  }
+  return null;
+}
+
+// Export for use in Node.js testing environment (Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_LOGGING_TARGET_ID,
+    getLoggingTargets,
+    normalizeTargetDomains,
+    targetMatchesUrl,
+    resolveLoggingTarget,
+    getLoggingTargetError
+  };
+}
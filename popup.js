@@ -1,14 +1,18 @@
 /**
  * JobSprint Popup Script
  * Handles user interactions in the popup UI
- * Features: Clipboard macros, job data extraction, autofill
+ * Features: Clipboard macros, job data extraction, status updates, autofill
  */
 
 // Connection port for detecting popup closure
 let contentScriptPort = null;
 
-// Job data schema (loaded from storage)
+// Job data schema (loaded from storage; a logging target's own schema replaces it)
 let jobDataSchema = null;
+let baseJobDataSchema = null;
+
+// Logging targets from Settings (default target first)
+let loggingTargets = [];
 
 // Initialize all popup features when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
@@ -23,6 +27,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   initializeClipboardMacros();
   initializeExtraction();
+  initializeLoggingTargets();
+  initializeOutbox();
+  initializeStatusUpdate();
+  initializeSprintSummary();
+  initializeFollowUps();
   initializeAutofill();
   initializeSettings();
   initializeManualEntryModal();
@@ -1279,7 +1288,8 @@ async function handleManualEntryClick(button, statusDiv) {
     description: '',
     compensation: '',
     pay: '',
-    source: ''
+    source: '',
+    ats: ''
   };
 
   // Show manual entry modal
@@ -1325,23 +1335,48 @@ function logJobData(button, statusDiv, jobData) {
  */
 function submitJobData(button, statusDiv, jobData, fromModal = false) {
   log('[Extract] Submitting job data to service worker...');
-  showStatus(statusDiv, 'info', 'ℹ Logging to Google Sheets...');
+  showStatus(statusDiv, 'info', 'ℹ Logging job...');
 
   chrome.runtime.sendMessage(
-    { action: 'logJobData', data: jobData },
+    { action: 'logJobData', data: jobData, targetId: getSelectedLoggingTargetId() },
     async (logResponse) => {
-      if (logResponse?.success) {
+      if (logResponse?.results?.length > 1) {
+        // Several backends: report each one, the job is handled if none failed outright
+        const handled = logResponse.results.every(result => result.success || result.queued);
+        const type = logResponse.success ? 'success' : (handled ? 'info' : 'error');
+        log(`[Extract] Logged to ${logResponse.results.filter(result => result.success).length}/${logResponse.results.length} backends`);
+        showStatus(statusDiv, type, formatBackendResults(logResponse.results));
+
+        if (fromModal && handled) {
+          hideManualEntryModal();
+        }
+      } else if (logResponse?.success) {
         log('[Extract] Job data logged successfully');
         showStatus(statusDiv, 'success', '✓ Job data logged successfully!');
 
         // Close modal if submission was from modal
+        if (fromModal) {
+          hideManualEntryModal();
+        }
+      } else if (logResponse?.queued) {
+        // The job is safe in the outbox and will be retried automatically
+        log(`[Extract] Logging failed, job queued in outbox: ${logResponse.error}`);
+        showStatus(statusDiv, 'info', `ℹ Saved to outbox, will retry automatically. ${logResponse.error}`);
+
         if (fromModal) {
           hideManualEntryModal();
         }
       } else {
         const errorMsg = logResponse?.error || 'Unknown error occurred';
+        const fieldErrors = logResponse?.fieldErrors || {};
         logError(`[Extract] Failed to log: ${errorMsg}`);
 
+        // A job refused by the schema opens the modal, so the offending fields can be fixed
+        if (!fromModal && Object.keys(fieldErrors).length > 0) {
+          showManualEntryModal(button, statusDiv, jobData);
+          fromModal = true;
+        }
+
         // If submission failed from modal, keep modal open and show error there
         if (fromModal) {
           const errorContainer = document.getElementById('manualEntryError');
@@ -1349,6 +1384,7 @@ function submitJobData(button, statusDiv, jobData, fromModal = false) {
             errorContainer.innerHTML = await generateModalErrorMessage(errorMsg);
             errorContainer.style.display = 'block';
           }
+          showManualEntryFieldErrors(fieldErrors);
         } else {
           showStatus(statusDiv, 'error', `✗ Failed to log data: ${errorMsg}`);
         }
@@ -1437,6 +1473,561 @@ function resetExtractButton(button) {
   }
 }
 
+// ============ LOGGING TARGETS ============
+
+/**
+ * Initialize the logging target picker
+ * Lists the default target and the named targets from Settings, preselecting the one
+ * whose domains match the source tab. Hidden while only the default target exists.
+ */
+async function initializeLoggingTargets() {
+  const group = document.getElementById('targetPickerGroup');
+  const picker = document.getElementById('targetPicker');
+  if (!group || !picker) return;
+
+  try {
+    const result = await chrome.storage.sync.get(['LOGGING_TARGETS', 'TARGET_SHEET_NAME']);
+    loggingTargets = getLoggingTargets(result.LOGGING_TARGETS, result.TARGET_SHEET_NAME);
+  } catch (error) {
+    logError('[Targets] Error loading logging targets: ' + error.message);
+    return;
+  }
+
+  if (loggingTargets.length < 2) {
+    group.style.display = 'none';
+    return;
+  }
+
+  picker.innerHTML = '';
+  loggingTargets.forEach(target => {
+    const option = document.createElement('option');
+    option.value = target.id;
+    option.textContent = target.name === target.sheetName ? target.name : `${target.name} (${target.sheetName})`;
+    picker.appendChild(option);
+  });
+
+  const sourceTab = await getSourceTab();
+  const target = resolveLoggingTarget(loggingTargets, null, sourceTab?.url);
+  picker.value = target.id;
+  log(`[Targets] Default target for this page: ${target.name} → ${target.sheetName}`);
+
+  picker.addEventListener('change', () => {
+    log(`[Targets] Logging to ${picker.value}`);
+    applyTargetSchema();
+  });
+
+  group.style.display = 'flex';
+  applyTargetSchema();
+}
+
+/**
+ * Get the logging target chosen in the picker
+ * @returns {string|undefined} Target ID, or undefined to let the service worker pick by domain
+ */
+function getSelectedLoggingTargetId() {
+  const picker = document.getElementById('targetPicker');
+  return picker && picker.value ? picker.value : undefined;
+}
+
+/**
+ * Use the selected target's schema (or the Schema Editor's) for the manual entry form
+ */
+function applyTargetSchema() {
+  if (!baseJobDataSchema) return; // Schema not loaded yet; loadJobDataSchema() applies it
+
+  const targetId = getSelectedLoggingTargetId();
+  const target = loggingTargets.find(candidate => candidate.id === targetId);
+  jobDataSchema = target?.schema || baseJobDataSchema;
+  generateDynamicFormFields();
+}
+
+// ============ OUTBOX ============
+
+/**
+ * Describe the outcome of logging one job to several backends
+ * @param {Array<Object>} results - Per-backend results from the service worker
+ * @returns {string} One line per backend
+ */
+function formatBackendResults(results) {
+  return results.map(result => {
+    if (result.success) return `✓ ${result.label}: logged`;
+    if (result.queued) return `ℹ ${result.label}: saved to outbox, will retry automatically. ${result.error}`;
+    return `✗ ${result.label}: ${result.error}`;
+  }).join('\n');
+}
+
+/**
+ * Initialize the outbox panel
+ * Lists job logs that are waiting to be sent (pending) or need attention (failed)
+ * and keeps the list in sync with chrome.storage.local
+ */
+function initializeOutbox() {
+  const itemsContainer = document.getElementById('outboxItems');
+  if (!itemsContainer) return;
+
+  // Event delegation for Retry / Discard buttons
+  itemsContainer.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-outbox-action]');
+    if (!button) return;
+
+    const id = button.getAttribute('data-outbox-id');
+    if (button.getAttribute('data-outbox-action') === 'retry') {
+      retryOutboxItem(id, button);
+    } else {
+      discardOutboxItem(id);
+    }
+  });
+
+  // Re-render whenever the service worker updates the outbox
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.jobOutbox) {
+      renderOutbox(changes.jobOutbox.newValue || []);
+    }
+  });
+
+  refreshOutbox();
+}
+
+/**
+ * Fetch the outbox from the service worker and render it
+ */
+function refreshOutbox() {
+  chrome.runtime.sendMessage({ action: 'getOutbox' }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      logError('[Outbox] Could not load outbox');
+      return;
+    }
+    renderOutbox(response.entries);
+  });
+}
+
+/**
+ * Render outbox entries (panel is hidden when the outbox is empty)
+ * @param {Array<Object>} entries - Outbox entries from the service worker
+ */
+function renderOutbox(entries) {
+  const panel = document.getElementById('outboxPanel');
+  const title = document.getElementById('outboxTitle');
+  const container = document.getElementById('outboxItems');
+  if (!panel || !container) return;
+
+  container.innerHTML = '';
+
+  if (!entries || entries.length === 0) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const failedCount = entries.filter(entry => entry.status === 'failed').length;
+  title.textContent = `Outbox: ${entries.length} queued` + (failedCount ? ` (${failedCount} failed)` : '');
+  panel.style.display = 'block';
+
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'outbox-item';
+
+    const payload = entry.payload || {};
+    const itemTitle = document.createElement('div');
+    itemTitle.className = 'outbox-item-title';
+    const badge = document.createElement('span');
+    badge.className = `outbox-badge ${entry.status}`;
+    badge.textContent = entry.status;
+    itemTitle.appendChild(badge);
+    itemTitle.appendChild(document.createTextNode(
+      `${payload.title || '(No title)'} @ ${payload.company || '(No company)'}`
+    ));
+    item.appendChild(itemTitle);
+
+    const meta = document.createElement('div');
+    meta.className = 'outbox-item-meta';
+    const backendLabel = getLoggingBackend(entry.backendId)?.label || entry.backendId;
+    meta.textContent = `${backendLabel} • ` + (entry.status === 'pending' && entry.nextAttemptAt
+      ? `Attempts: ${entry.attempts} • Next retry ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`
+      : `Attempts: ${entry.attempts}`);
+    item.appendChild(meta);
+
+    if (entry.lastError) {
+      const error = document.createElement('div');
+      error.className = 'outbox-item-error';
+      error.textContent = entry.lastError;
+      item.appendChild(error);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'outbox-item-actions';
+    ['retry', 'discard'].forEach(action => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = capitalizeFirst(action);
+      button.setAttribute('data-outbox-action', action);
+      button.setAttribute('data-outbox-id', entry.id);
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Retry a queued job log now
+ * @param {string} id - Outbox entry ID
+ * @param {HTMLButtonElement} button - Retry button (disabled while sending)
+ */
+function retryOutboxItem(id, button) {
+  const statusDiv = document.getElementById('extractionStatus');
+  setButtonLoading(button, 'Retrying...');
+  log(`[Outbox] Retrying ${id}`);
+
+  chrome.runtime.sendMessage({ action: 'retryOutboxItem', id }, (response) => {
+    if (response?.success) {
+      showStatus(statusDiv, 'success', '✓ Queued job logged successfully!');
+    } else {
+      const errorMsg = response?.error || 'Unknown error occurred';
+      logError(`[Outbox] Retry failed: ${errorMsg}`);
+      showStatus(statusDiv, 'error', `✗ Retry failed: ${errorMsg}`);
+    }
+    refreshOutbox();
+  });
+}
+
+/**
+ * Discard a queued job log without sending it
+ * @param {string} id - Outbox entry ID
+ */
+function discardOutboxItem(id) {
+  if (!confirm('Discard this queued job? It will not be logged.')) {
+    return;
+  }
+
+  log(`[Outbox] Discarding ${id}`);
+  chrome.runtime.sendMessage({ action: 'discardOutboxItem', id }, () => {
+    refreshOutbox();
+  });
+}
+
+// ============ SPRINT SUMMARY ============
+
+/**
+ * Initialize the "Sprint Stats" button
+ * Fetches the numbers behind the sheet's Summary tab; a second click hides them again
+ */
+function initializeSprintSummary() {
+  const button = document.getElementById('sprintStatsBtn');
+  const panel = document.getElementById('sprintStatsPanel');
+  if (!button || !panel) return;
+
+  button.addEventListener('click', () => {
+    if (panel.style.display === 'block') {
+      panel.style.display = 'none';
+      return;
+    }
+    loadSprintSummary(button);
+  });
+}
+
+/**
+ * Ask the service worker for the sprint statistics and show them
+ * @param {HTMLButtonElement} button - Sprint Stats button (disabled while loading)
+ */
+function loadSprintSummary(button) {
+  const statusDiv = document.getElementById('extractionStatus');
+  setButtonLoading(button, 'Loading...');
+  log('[Summary] Loading sprint statistics');
+
+  chrome.runtime.sendMessage({ action: 'getSprintSummary' }, (response) => {
+    button.disabled = false;
+    button.textContent = 'Sprint Stats';
+
+    if (chrome.runtime.lastError || !response?.success) {
+      const errorMsg = response?.error || 'Unknown error occurred';
+      logError(`[Summary] ${errorMsg}`);
+      showStatus(statusDiv, 'error', `✗ Could not load sprint stats: ${errorMsg}`);
+      return;
+    }
+    clearStatus(statusDiv);
+    renderSprintSummary(response.summary);
+  });
+}
+
+/**
+ * Render the sprint statistics: totals, the status funnel, recent weeks and top boards/roles
+ * @param {Object} summary - { total, responded, responseRate, byWeek, byBoard, byRole, funnel }
+ */
+function renderSprintSummary(summary) {
+  const panel = document.getElementById('sprintStatsPanel');
+  const totals = document.getElementById('sprintStatsTotals');
+  const sections = document.getElementById('sprintStatsSections');
+  if (!panel || !sections) return;
+
+  totals.textContent = `${summary.total} application${summary.total === 1 ? '' : 's'} • ` +
+    `${summary.responded} response${summary.responded === 1 ? '' : 's'} (${Math.round(summary.responseRate * 100)}%)`;
+  sections.innerHTML = '';
+
+  const addSection = (title, rows) => {
+    if (rows.length === 0) return;
+    const section = document.createElement('div');
+    section.className = 'sprint-stats-section';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    section.appendChild(heading);
+    rows.forEach(([label, count]) => {
+      const row = document.createElement('div');
+      row.className = 'sprint-stats-row';
+      const name = document.createElement('span');
+      name.textContent = label;
+      const value = document.createElement('span');
+      value.textContent = count;
+      row.appendChild(name);
+      row.appendChild(value);
+      section.appendChild(row);
+    });
+    sections.appendChild(section);
+  };
+
+  addSection('Status', summary.funnel.filter(entry => entry.count > 0).map(entry => [entry.status, entry.count]));
+  addSection('Recent weeks', summary.byWeek.slice(-4).reverse().map(entry => [`Week of ${entry.week}`, entry.count]));
+  addSection('Boards', summary.byBoard.slice(0, 4).map(entry => [entry.name, entry.count]));
+  addSection('Roles', summary.byRole.slice(0, 4).map(entry => [entry.name, entry.count]));
+
+  panel.style.display = 'block';
+}
+
+// ============ FOLLOW-UPS ============
+
+/**
+ * Initialize the "Follow-ups" button
+ * Lists the jobs still at "No response" long enough to be due for a follow-up; a second click hides them again
+ */
+function initializeFollowUps() {
+  const button = document.getElementById('followUpsBtn');
+  const panel = document.getElementById('followUpsPanel');
+  if (!button || !panel) return;
+
+  button.addEventListener('click', () => {
+    if (panel.style.display === 'block') {
+      panel.style.display = 'none';
+      return;
+    }
+    loadFollowUps(button);
+  });
+}
+
+/**
+ * Ask the service worker for the jobs due for a follow-up and show them
+ * @param {HTMLButtonElement} button - Follow-ups button (disabled while loading)
+ */
+function loadFollowUps(button) {
+  const statusDiv = document.getElementById('extractionStatus');
+  setButtonLoading(button, 'Loading...');
+  log('[Follow-ups] Loading jobs due for a follow-up');
+
+  chrome.runtime.sendMessage({ action: 'getFollowUps' }, (response) => {
+    button.disabled = false;
+    button.textContent = 'Follow-ups';
+
+    if (chrome.runtime.lastError || !response?.success) {
+      const errorMsg = response?.error || 'Unknown error occurred';
+      logError(`[Follow-ups] ${errorMsg}`);
+      showStatus(statusDiv, 'error', `✗ Could not load follow-ups: ${errorMsg}`);
+      return;
+    }
+    clearStatus(statusDiv);
+    renderFollowUps(response.followUps, response.days);
+  });
+}
+
+/**
+ * Render the jobs due for a follow-up, each linking to its posting
+ * @param {Array<Object>} followUps - [{ sheet, row, company, title, url, applied, due }], longest overdue first
+ * @param {number} days - Days without an answer before a job is due
+ */
+function renderFollowUps(followUps, days) {
+  const panel = document.getElementById('followUpsPanel');
+  const header = document.getElementById('followUpsHeader');
+  const items = document.getElementById('followUpsItems');
+  if (!panel || !items) return;
+
+  header.textContent = followUps.length > 0
+    ? `${followUps.length} job${followUps.length === 1 ? '' : 's'} without an answer for ${days}+ days`
+    : `No jobs waiting ${days}+ days for an answer`;
+  items.innerHTML = '';
+
+  followUps.forEach(job => {
+    const row = document.createElement('div');
+    row.className = 'sprint-stats-row';
+    const label = `${job.company || '(No company)'} – ${job.title || '(No title)'}`;
+    const name = document.createElement(job.url ? 'a' : 'span');
+    name.textContent = label;
+    name.title = `${label} (${job.sheet}, row ${job.row})`;
+    if (job.url) {
+      name.href = job.url;
+      name.target = '_blank';
+      name.rel = 'noopener noreferrer';
+    }
+    const due = document.createElement('span');
+    due.textContent = `Due ${job.due}`;
+    row.appendChild(name);
+    row.appendChild(due);
+    items.appendChild(row);
+  });
+
+  panel.style.display = 'block';
+}
+
+// ============ STATUS UPDATE ============
+
+/**
+ * Initialize the "Update Status" flow
+ * Lets the user move an already logged job through the pipeline (Status, Decision, any column)
+ */
+function initializeStatusUpdate() {
+  const button = document.getElementById('updateStatusBtn');
+  const modal = document.getElementById('statusUpdateModal');
+  const form = document.getElementById('statusUpdateForm');
+  if (!button || !modal || !form) return;
+
+  // JOB_STATUS_OPTIONS comes from job-history.js; the sheet's own stages replace them once known
+  const statusSelect = document.getElementById('statusUpdateStatus');
+  fillStatusUpdateOptions(statusSelect, JOB_STATUS_OPTIONS);
+  chrome.runtime.sendMessage({ action: 'getStatusStages' }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) return;
+    fillStatusUpdateOptions(statusSelect, response.statuses);
+  });
+
+  button.addEventListener('click', () => {
+    showStatusUpdateModal();
+  });
+
+  document.getElementById('closeStatusModal').addEventListener('click', hideStatusUpdateModal);
+  document.getElementById('cancelStatusModal').addEventListener('click', hideStatusUpdateModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      hideStatusUpdateModal();
+    }
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleStatusUpdateSubmit();
+  });
+}
+
+/**
+ * Fill the Update Status dropdown, "(unchanged)" first, keeping the current choice if still offered
+ * @param {HTMLSelectElement} select - Status dropdown
+ * @param {Array<string>} statuses - Pipeline stages in order
+ */
+function fillStatusUpdateOptions(select, statuses) {
+  const current = select.value;
+  select.innerHTML = '';
+  ['', ...statuses].forEach(status => {
+    const option = document.createElement('option');
+    option.value = status;
+    option.textContent = status || '(unchanged)';
+    select.appendChild(option);
+  });
+  select.value = statuses.includes(current) ? current : '';
+}
+
+/**
+ * Show the status update modal, pre-filled with the source tab's URL
+ */
+async function showStatusUpdateModal() {
+  const modal = document.getElementById('statusUpdateModal');
+  const errorContainer = document.getElementById('statusUpdateError');
+  errorContainer.style.display = 'none';
+  errorContainer.textContent = '';
+
+  // Offer every schema column except the ones with dedicated inputs
+  const fieldSelect = document.getElementById('statusUpdateField');
+  fieldSelect.innerHTML = '';
+  const noneOption = document.createElement('option');
+  noneOption.value = '';
+  noneOption.textContent = '(none)';
+  fieldSelect.appendChild(noneOption);
+  (jobDataSchema?.columns || []).forEach(column => {
+    if (column.id === 'url') return;
+    const option = document.createElement('option');
+    option.value = column.id;
+    option.textContent = column.label;
+    fieldSelect.appendChild(option);
+  });
+
+  const sourceTab = await getSourceTab();
+  if (sourceTab?.url && /^https?:/.test(sourceTab.url)) {
+    document.getElementById('statusUpdateUrl').value = sourceTab.url;
+  }
+
+  modal.style.display = 'flex';
+}
+
+/**
+ * Hide the status update modal and clear its form
+ */
+function hideStatusUpdateModal() {
+  const modal = document.getElementById('statusUpdateModal');
+  if (!modal) return;
+
+  modal.style.display = 'none';
+  document.getElementById('statusUpdateForm').reset();
+}
+
+/**
+ * Build the update from the form and send it to the service worker
+ */
+function handleStatusUpdateSubmit() {
+  const errorContainer = document.getElementById('statusUpdateError');
+  const submitBtn = document.getElementById('submitStatusUpdate');
+  const statusDiv = document.getElementById('extractionStatus');
+
+  const url = document.getElementById('statusUpdateUrl').value.trim();
+  const rowId = document.getElementById('statusUpdateRow').value.trim();
+  const updates = {};
+
+  const status = document.getElementById('statusUpdateStatus').value;
+  const decision = document.getElementById('statusUpdateDecision').value.trim();
+  const extraField = document.getElementById('statusUpdateField').value;
+  const extraValue = document.getElementById('statusUpdateValue').value.trim();
+  if (status) updates.status = status;
+  if (decision) updates.decision = decision;
+  if (extraField && extraValue) updates[extraField] = extraValue;
+
+  const showModalError = (message) => {
+    errorContainer.textContent = `✗ ${message}`;
+    errorContainer.style.display = 'block';
+  };
+
+  if (!url && !rowId) {
+    showModalError('Enter the job link or its row number.');
+    return;
+  }
+  if (Object.keys(updates).length === 0) {
+    showModalError('Choose at least one field to update.');
+    return;
+  }
+
+  const update = rowId ? { rowId: Number(rowId), updates } : { url, updates };
+  update.targetId = getSelectedLoggingTargetId();
+  log(`[StatusUpdate] Updating ${rowId ? `row ${rowId}` : url}: ${Object.keys(updates).join(', ')}`);
+  setButtonLoading(submitBtn, 'Updating...');
+
+  chrome.runtime.sendMessage({ action: 'updateJobStatus', update }, (response) => {
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Update Job';
+
+    if (response?.success) {
+      log(`[StatusUpdate] Row ${response.row} updated`);
+      showStatus(statusDiv, 'success', `✓ Updated row ${response.row}: ${(response.updated || []).join(', ')}`);
+      hideStatusUpdateModal();
+    } else {
+      const errorMsg = response?.error || 'Unknown error occurred';
+      logError(`[StatusUpdate] Failed: ${errorMsg}`);
+      showModalError(errorMsg);
+    }
+  });
+}
+
 // ============ AUTOFILL ============
 
 /**
@@ -1518,10 +2109,18 @@ function resetAutofillButton(button) {
 // ============ SETTINGS ============
 
 /**
- * Initialize settings link
- * Opens the settings page in a new tab
+ * Initialize footer links
+ * Opens the application tracker or the settings page in a new tab
  */
 function initializeSettings() {
+  const trackerLink = document.getElementById('trackerLink');
+  if (trackerLink) {
+    trackerLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.tabs.create({ url: 'tracker.html' });
+    });
+  }
+
   const settingsLink = document.getElementById('settingsLink');
   if (!settingsLink) return;
 
@@ -1566,8 +2165,9 @@ async function loadJobDataSchema() {
       log('[Schema] Using default schema with ' + jobDataSchema.columns.length + ' columns');
     }
 
-    // Generate form fields from schema
-    generateDynamicFormFields();
+    // Generate form fields from schema (or the selected logging target's schema)
+    baseJobDataSchema = jobDataSchema;
+    applyTargetSchema();
   } catch (error) {
     logError('[Schema] Error loading schema: ' + error.message);
     // Use fallback minimal schema
@@ -1591,7 +2191,8 @@ async function getDefaultSchema() {
       { id: 'compensation', label: 'Compensation', type: 'text', placeholder: 'e.g., $65.00 - $75.00 / hour', tooltip: 'Salary range', required: false, readonly: false },
       { id: 'pay', label: 'Pay', type: 'text', placeholder: 'e.g., $70.00', tooltip: 'Specific pay amount', required: false, readonly: false },
       { id: 'url', label: 'Portal Link', type: 'url', placeholder: 'https://...', tooltip: 'Job posting URL', required: false, readonly: true },
-      { id: 'source', label: 'Board', type: 'select', placeholder: 'Auto-detect from URL', tooltip: 'Job board or source', required: false, readonly: false, options: ['Indeed', 'Handshake', 'Symplicity', 'Google', 'LinkedIn', 'Website', 'Other'] }
+      { id: 'source', label: 'Board', type: 'select', placeholder: 'Auto-detect from URL', tooltip: 'Job board or source', required: false, readonly: false, options: getJobBoardNames() },
+      { id: 'ats', label: 'ATS', type: 'text', placeholder: 'Auto-detect from URL', tooltip: 'Applicant tracking system hosting the application (Greenhouse, Workday, ...)', required: false, readonly: false }
     ]
   };
 }
@@ -1676,10 +2277,36 @@ function generateDynamicFormFields() {
 
   log('[Schema] Generated ' + jobDataSchema.columns.length + ' form fields');
 
+  // A Role picked by hand stays; otherwise it follows the Job Title
+  const titleField = document.getElementById('manual_title');
+  const roleField = document.getElementById('manual_role');
+  if (titleField && roleField) {
+    roleField.addEventListener('change', () => {
+      roleField.dataset.rolePicked = 'true';
+    });
+    titleField.addEventListener('input', fillInferredRole);
+  }
+
   // Re-setup mouse tracking for new fields
   setupFieldMouseTracking();
 }
 
+/**
+ * Fill the Role field from the Job Title with the Schema Editor's role rules (role-rules.js)
+ * Skipped once a Role was extracted or picked; a select is only set to categories it offers
+ */
+function fillInferredRole() {
+  const titleField = document.getElementById('manual_title');
+  const roleField = document.getElementById('manual_role');
+  if (!titleField || !roleField || roleField.dataset.rolePicked === 'true') return;
+
+  const role = inferRoleFromRules(titleField.value.trim(), (baseJobDataSchema || {}).roleRules);
+  if (roleField.tagName === 'SELECT' && role && !Array.from(roleField.options).some(option => option.value === role)) {
+    return;
+  }
+  roleField.value = role;
+}
+
 /**
  * Populate dynamic form fields with job data
  * @param {Object} jobData - Job data to populate into form
@@ -1695,6 +2322,12 @@ function populateDynamicFormFields(jobData) {
       field.value = jobData[column.id] || '';
     }
   });
+
+  const roleField = document.getElementById('manual_role');
+  if (roleField) {
+    roleField.dataset.rolePicked = jobData.role ? 'true' : 'false';
+    fillInferredRole();
+  }
 }
 
 /**
@@ -1868,6 +2501,7 @@ function showManualEntryModal(button, statusDiv, jobData) {
     errorContainer.style.display = 'none';
     errorContainer.innerHTML = '';
   }
+  showManualEntryFieldErrors({});
 
   // Store references for later use
   modal.dataset.button = button.id;
@@ -1903,6 +2537,39 @@ function showManualEntryModal(button, statusDiv, jobData) {
   resetExtractButton(button);
 }
 
+/**
+ * Mark the manual entry fields named in a validation response
+ * Each field gets its message below it until it is edited; fields not in the form are
+ * only covered by the error message above the form
+ * @param {Object} fieldErrors - { fieldId: message } from the service worker or endpoint
+ *   ({} clears every mark)
+ */
+function showManualEntryFieldErrors(fieldErrors) {
+  document.querySelectorAll('#dynamicFormFields .form-field.has-error').forEach(fieldDiv => {
+    fieldDiv.classList.remove('has-error');
+    fieldDiv.querySelector('.field-error-message')?.remove();
+  });
+
+  Object.entries(fieldErrors).forEach(([fieldId, message]) => {
+    const input = document.getElementById(`manual_${fieldId}`);
+    const fieldDiv = input?.closest('.form-field');
+    if (!fieldDiv) return;
+
+    fieldDiv.classList.add('has-error');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'field-error-message';
+    messageDiv.textContent = message;
+    fieldDiv.appendChild(messageDiv);
+
+    const clear = () => {
+      fieldDiv.classList.remove('has-error');
+      messageDiv.remove();
+    };
+    input.addEventListener('input', clear, { once: true });
+    input.addEventListener('change', clear, { once: true });
+  });
+}
+
 /**
  * Hide manual entry modal
  */
@@ -1933,6 +2600,7 @@ function handleManualEntrySubmit() {
     errorContainer.style.display = 'none';
     errorContainer.innerHTML = '';
   }
+  showManualEntryFieldErrors({});
 
   // Get form values (dynamic based on schema)
   const manualData = collectDynamicFormValues();
@@ -0,0 +1,58 @@
+/**
+ * JobSprint Request Signing - HMAC-SHA256 signatures for requests to the Apps Script endpoint
+ * Apps Script web apps can't read request headers, so the signature travels in the query
+ * string: ?ts=<milliseconds>&sig=<hex HMAC-SHA256 of "ts.body" keyed by the shared secret>.
+ * doPost and doGet (and local-gas-endpoint.js) recompute it and reject missing, stale or invalid
+ * ones. GETs are signed over an empty body.
+ * Loaded by the service worker via importScripts(); exported for Jest in Node.
+ */
+
+/**
+ * Compute the hex HMAC-SHA256 signature for a request body
+ * @param {string} secret - Shared secret (same value as in setupConfiguration())
+ * @param {number|string} timestamp - Signing time in milliseconds
+ * @param {string} body - Exact request body that will be sent
+ * @returns {Promise<string>} Lowercase hex signature
+ */
+async function computeRequestSignature(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+
+  return Array.from(new Uint8Array(signature))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Add ts/sig query parameters to an endpoint URL
+ * Without a secret the URL is returned unchanged (the endpoint only checks signatures
+ * once a secret is stored on its side)
+ * @param {string} endpoint - Endpoint URL
+ * @param {string} body - Exact request body that will be sent
+ * @param {string} secret - Shared secret, or '' when signing is not set up
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @returns {Promise<string>} URL to POST to
+ */
+async function signRequestUrl(endpoint, body, secret, now = Date.now()) {
+  if (!secret) return endpoint;
+
+  const url = new URL(endpoint);
+  url.searchParams.set('ts', String(now));
+  url.searchParams.set('sig', await computeRequestSignature(secret, now, body));
+  return url.toString();
+}
+
+// Export for use in Node.js testing environment (Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    computeRequestSignature,
+    signRequestUrl
+  };
+}
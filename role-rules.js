@@ -0,0 +1,194 @@
+/**
+ * JobSprint Role Rules - Infers a job's Role category from its title
+ * Rules are saved with the Schema Editor's schema as `roleRules`:
+ *   [{ category, include: [...], exclude: [...], priority }]
+ * include/exclude entries are keywords matched anywhere in the title, or regular expressions
+ * written as /pattern/; both ignore case. A rule matches when an include entry matches and no
+ * exclude entry does. Rules are tried from the highest priority down (equal priorities in list
+ * order) and the first match names the Role; a title no rule matches gets no Role.
+ *
+ * One copy is shared by the popup and Settings page (script tags), the service worker
+ * (importScripts()), local-sheet-store.js (require()) and the Apps Script endpoint, where it is
+ * added to the project as a third script file. Written in ES5 like google-apps-script-endpoint.js
+ * so it runs unchanged everywhere.
+ */
+
+// Rules used until the user saves their own (the categories of the default Role options)
+var DEFAULT_ROLE_RULES = [
+  {
+    category: 'DSCI',
+    include: ['data scien', 'data analy', 'machine learning', 'ml engineer', 'ai engineer'],
+    exclude: [],
+    priority: 40
+  },
+  {
+    category: 'CODE',
+    include: ['software', 'developer', 'engineer', 'programmer', 'full stack', 'backend', 'frontend'],
+    exclude: [],
+    priority: 30
+  },
+  {
+    category: 'STAT',
+    include: ['statistic', 'quantitative', '/\\bquant\\b/'],
+    exclude: [],
+    priority: 20
+  },
+  {
+    category: 'R&D',
+    include: ['research', 'scientist', 'r&d'],
+    exclude: [],
+    priority: 10
+  }
+];
+
+// An include/exclude entry written as /pattern/ is a regular expression
+var ROLE_RULE_REGEX_PATTERN = /^\/(.+)\/$/;
+
+/**
+ * Turn an include/exclude entry into a test function
+ * @param {string} entry - Keyword or /pattern/
+ * @returns {Function|null} title → boolean, or null if the pattern is not a valid regular expression
+ */
+function compileRoleRuleEntry(entry) {
+  var match = ROLE_RULE_REGEX_PATTERN.exec(entry);
+  if (!match) {
+    var keyword = entry.toLowerCase();
+    return function(title) {
+      return title.toLowerCase().indexOf(keyword) !== -1;
+    };
+  }
+
+  try {
+    var pattern = new RegExp(match[1], 'i');
+    return function(title) {
+      return pattern.test(title);
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe everything that is wrong with a list of role rules
+ * @param {Array<Object>} rules - [{ category, include, exclude, priority }]
+ * @returns {Array<string>} One message per problem (empty if the rules are valid)
+ */
+function getRoleRuleErrors(rules) {
+  if (!Array.isArray(rules)) {
+    return ['Role rules must be a list'];
+  }
+
+  var errors = [];
+  for (var i = 0; i < rules.length; i++) {
+    var rule = rules[i] || {};
+    var name = typeof rule.category === 'string' && rule.category.trim() !== ''
+      ? 'Rule "' + rule.category.trim() + '"'
+      : 'Rule ' + (i + 1);
+
+    if (typeof rule.category !== 'string' || rule.category.trim() === '') {
+      errors.push(name + ' needs a category');
+    }
+    if (rule.priority !== undefined && !isFinite(Number(rule.priority))) {
+      errors.push(name + ' needs a number as its priority');
+    }
+
+    var include = Array.isArray(rule.include) ? rule.include : [];
+    var exclude = rule.exclude === undefined ? [] : rule.exclude;
+    if (include.length === 0) {
+      errors.push(name + ' needs at least one include keyword');
+    }
+    if (!Array.isArray(rule.include) || !Array.isArray(exclude)) {
+      errors.push(name + ': include and exclude must be lists');
+      continue;
+    }
+
+    include.concat(exclude).forEach(function(entry) {
+      if (typeof entry !== 'string' || entry.trim() === '') {
+        errors.push(name + ': keywords must be non-empty text');
+      } else if (!compileRoleRuleEntry(entry.trim())) {
+        errors.push(name + ': ' + entry.trim() + ' is not a valid regular expression');
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Clean up role rules for saving and sending: trimmed text, numeric priorities
+ * @param {Array<Object>} rules - Rules as entered
+ * @returns {Array<Object>|null} [{ category, include, exclude, priority }], or null if any rule is invalid
+ */
+function normalizeRoleRules(rules) {
+  if (getRoleRuleErrors(rules).length > 0) {
+    return null;
+  }
+
+  var trim = function(entry) {
+    return entry.trim();
+  };
+  return rules.map(function(rule) {
+    return {
+      category: rule.category.trim(),
+      include: rule.include.map(trim),
+      exclude: (rule.exclude || []).map(trim),
+      priority: rule.priority === undefined ? 0 : Number(rule.priority)
+    };
+  });
+}
+
+/**
+ * Find the rule that decides a title's Role
+ * @param {string} title - Job title
+ * @param {Array<Object>} rules - Normalized rules
+ * @returns {Object|null} { category, rule, matched } - rule is the index in `rules` and matched
+ *   the include entry that matched; null when no rule matches
+ */
+function matchRoleRule(title, rules) {
+  var text = String(title || '');
+  var ordered = rules.map(function(rule, index) {
+    return { rule: rule, index: index };
+  }).sort(function(a, b) {
+    return b.rule.priority - a.rule.priority || a.index - b.index;
+  });
+
+  for (var i = 0; i < ordered.length; i++) {
+    var rule = ordered[i].rule;
+    var excluded = rule.exclude.some(function(entry) {
+      return compileRoleRuleEntry(entry)(text);
+    });
+    if (excluded) continue;
+
+    for (var j = 0; j < rule.include.length; j++) {
+      if (compileRoleRuleEntry(rule.include[j])(text)) {
+        return { category: rule.category, rule: ordered[i].index, matched: rule.include[j] };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Infer a Role category from a job title
+ * @param {string} title - Job title
+ * @param {Array<Object>} rules - Role rules (DEFAULT_ROLE_RULES when missing or invalid)
+ * @returns {string} Category of the first matching rule, or '' if none matches
+ */
+function inferRoleFromRules(title, rules) {
+  if (!title) return '';
+
+  var match = matchRoleRule(title, normalizeRoleRules(rules) || DEFAULT_ROLE_RULES);
+  return match ? match.category : '';
+}
+
+// Export for use in Node.js (local endpoint and Jest)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_ROLE_RULES: DEFAULT_ROLE_RULES,
+    getRoleRuleErrors: getRoleRuleErrors,
+    normalizeRoleRules: normalizeRoleRules,
+    matchRoleRule: matchRoleRule,
+    inferRoleFromRules: inferRoleFromRules
+  };
+}
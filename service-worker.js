@@ -10,20 +10,64 @@ let configCache = {
   SPREADSHEET_ID: '',
   PROJECT_ID: '',
   ENABLE_MANUAL_ENTRY: true,
-  TARGET_SHEET_NAME: 'Job Applications'
+  TARGET_SHEET_NAME: 'Job Applications',
+  LOGGING_TARGETS: [],
+  LOGGING_BACKENDS: ['appsScript'],
+  WEBHOOK_URL: '',
+  WEBHOOK_TEMPLATE: '',
+  SHARED_SECRET: '',
+  JOB_DATA_SCHEMA: null,
+  CUSTOM_JOB_BOARDS: []
 };
 
+// Durable outbox for job logging (persists payloads in chrome.storage.local)
+importScripts('job-outbox.js');
+
+// Local IndexedDB history of logged jobs (tracker page and "already applied" banner)
+importScripts('job-history.js');
+
+// Logging backend adapters (Apps Script, webhook, CSV download)
+importScripts('logging-backends.js');
+
+// Named sheet targets with per-domain defaults
+importScripts('logging-targets.js');
+
+// HMAC request signing for the Apps Script endpoint
+importScripts('request-signing.js');
+
+// Resending requests the Apps Script answers "busy"
+importScripts('busy-retry.js');
+
+// Schema validation shared with both endpoints
+importScripts('job-schema-validator.js');
+
+// Version handshake with the deployed Apps Script endpoint
+importScripts('endpoint-capabilities.js');
+
+// Job board and ATS detection shared with the content script and both endpoints
+importScripts('job-boards.js');
+
 // Initialize storage when extension is installed
 chrome.runtime.onInstalled.addListener(() => {
   console.log('JobSprint Extension installed');
   initializeStorage();
   loadConfiguration();
+  releaseAndDrainOutbox();
 });
 
 // Load configuration on startup
 chrome.runtime.onStartup.addListener(() => {
   console.log('JobSprint Extension starting up');
   loadConfiguration();
+  releaseAndDrainOutbox();
+});
+
+// Retry queued job logs when their backoff alarm fires
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === OUTBOX_ALARM_NAME) {
+    console.log('Outbox alarm fired, draining queued job logs');
+    drainOutbox();
+  }
 });
 
 // Track the popup window ID to avoid creating multiple windows
@@ -91,9 +135,25 @@ async function loadConfiguration() {
       'SPREADSHEET_ID',
       'PROJECT_ID',
       'ENABLE_MANUAL_ENTRY',
-      'TARGET_SHEET_NAME'
+      'TARGET_SHEET_NAME',
+      'LOGGING_TARGETS',
+      'LOGGING_BACKENDS',
+      'WEBHOOK_URL',
+      'WEBHOOK_TEMPLATE',
+      'SHARED_SECRET',
+      'JOB_DATA_SCHEMA',
+      'CUSTOM_JOB_BOARDS'
     ]);
 
+    // Backend and target selection apply whichever source the Apps Script settings come from
+    configCache.LOGGING_TARGETS = Array.isArray(storageConfig.LOGGING_TARGETS) ? storageConfig.LOGGING_TARGETS : [];
+    configCache.LOGGING_BACKENDS = getActiveBackendIds(storageConfig.LOGGING_BACKENDS);
+    configCache.WEBHOOK_URL = storageConfig.WEBHOOK_URL || '';
+    configCache.WEBHOOK_TEMPLATE = storageConfig.WEBHOOK_TEMPLATE || '';
+    configCache.SHARED_SECRET = storageConfig.SHARED_SECRET || '';
+    configCache.JOB_DATA_SCHEMA = storageConfig.JOB_DATA_SCHEMA || null;
+    configCache.CUSTOM_JOB_BOARDS = normalizeCustomJobBoards(storageConfig.CUSTOM_JOB_BOARDS);
+
     // Check if we have values in storage
     const hasStorageConfig = storageConfig.APPS_SCRIPT_ENDPOINT ||
                              storageConfig.SPREADSHEET_ID ||
@@ -274,10 +334,78 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true; // Async: chrome.storage.sync.set
 
     case 'logJobData':
-      // Log job data to Google Sheets via Apps Script
-      handleLogJobData(message.data, sendResponse);
+      // Log job data to every active logging backend
+      handleLogJobData(message.data, sendResponse, message.targetId);
+      return true; // Async: fetch to external endpoint
+
+    case 'logJobDataBatch':
+      // Log several jobs at once (Apps Script gets them all in one request)
+      handleLogJobDataBatch(message.data, sendResponse, message.targetId);
+      return true; // Async: fetch to external endpoint
+
+    case 'updateJobStatus':
+      // Update Status/Decision (or other columns) of an already logged job
+      handleUpdateJobStatus(message.update, sendResponse);
+      return true; // Async: fetch to external endpoint
+
+    case 'schemaUpdated':
+      // Lay out the sheets by the schema just saved in Settings
+      handleSchemaUpdated(sendResponse);
+      return true; // Async: fetch to external endpoint
+
+    case 'getLoggedJobs':
+      // List jobs already in the sheet (filters: status, company, from, to, limit, offset)
+      // of the logging target the job goes to (picked, else matched by the job URL's domain)
+      handleGetLoggedJobs(message.query, sendResponse, message.targetId, message.url);
       return true; // Async: fetch to external endpoint
 
+    case 'getSprintSummary':
+      // Sprint statistics from the sheet's Summary tab (applications per week, funnel, response rate)
+      handleGetSprintSummary(sendResponse);
+      return true; // Async: fetch to external endpoint
+
+    case 'getFollowUps':
+      // Jobs still at "No response" long enough to be due for a follow-up
+      handleGetFollowUps(sendResponse);
+      return true; // Async: fetch to external endpoint
+
+    case 'checkJobHistory':
+      // Look up a job page in the history of logged jobs
+      readHistory().then((entries) => {
+        sendResponse({
+          success: true,
+          match: findHistoryMatch(entries, message.job || {}),
+          historySize: entries.length
+        });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Async: chrome.storage.local.get
+
+    case 'getOutbox':
+      // List queued (pending/sending/failed) job logs for the popup
+      readOutbox().then((entries) => {
+        sendResponse({ success: true, entries });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Async: chrome.storage.local.get
+
+    case 'retryOutboxItem':
+      // Retry a queued job log immediately
+      handleRetryOutboxItem(message.id, sendResponse);
+      return true; // Async: fetch to external endpoint or download
+
+    case 'discardOutboxItem':
+      // Drop a queued job log without sending it
+      removeOutboxEntry(message.id).then(() => {
+        scheduleOutboxDrain();
+        sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Async: chrome.storage.local.set
+
     case 'findSimilarAnswer':
       // Find similar Q&A pair from database for autofill
       handleFindSimilarAnswer(message.question, sendResponse);
@@ -310,6 +438,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       testConnection(sendResponse);
       return true; // Async: fetch to external endpoint
 
+    case 'checkEndpointCapabilities':
+      // Compare the deployed Apps Script version and features with this extension
+      handleCheckEndpointCapabilities(sendResponse);
+      return true; // Async: fetch to external endpoint
+
+    case 'getStatusStages':
+      // Status dropdown options for the popup and tracker (the sheet's stages, or the defaults)
+      handleGetStatusStages(sendResponse);
+      return true; // Async: fetch to external endpoint
+
     default:
       // Unknown action - return error
       sendResponse({ success: false, error: `Unknown action: ${message.action}` });
@@ -407,6 +545,10 @@ async function testConnection(sendResponse) {
     return;
   }
 
+  // Outdated deployments are reported next to the result of the test request
+  const endpointCheck = await getEndpointCheck(endpoint);
+  const warnings = endpointCheck ? endpointCheck.warnings : [];
+
   // Send a test request to the endpoint
   // NOTE: We only send job data fields. Spreadsheet ID and Project ID
   // are configured server-side in Apps Script using Script Properties.
@@ -420,15 +562,23 @@ async function testConnection(sendResponse) {
     source: 'Connection Test'
   };
 
-  fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(testData),
-    signal: AbortSignal.timeout(15000) // 15 second timeout
-  })
-    .then((response) => {
+  const body = JSON.stringify(testData);
+
+  signRequestUrl(endpoint, body, configCache.SHARED_SECRET)
+    .then(signedUrl => fetch(signedUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body,
+      signal: AbortSignal.timeout(15000) // 15 second timeout
+    }))
+    .then(async (response) => {
+      if (response.status === 401) {
+        // The local endpoint answers signature failures with 401 and a JSON error
+        const signatureError = getSignatureError(await response.json().catch(() => null));
+        if (signatureError) throw new Error(signatureError);
+      }
       if (!response.ok) {
         // Provide specific error messages based on status code
         if (response.status === 404) {
@@ -449,13 +599,19 @@ async function testConnection(sendResponse) {
       if (responseData.success) {
         sendResponse({
           success: true,
-          message: 'Connection successful! Your configuration is working correctly.'
+          message: warnings.length > 0
+            ? 'Connection successful, but your Apps Script deployment needs an update.'
+            : 'Connection successful! Your configuration is working correctly.',
+          warnings,
+          endpointVersion: endpointCheck && endpointCheck.version
         });
       } else {
         // Parse error from Apps Script
         let errorMsg = responseData.error || 'Unknown error from Apps Script';
 
-        if (errorMsg.includes('not found') || errorMsg.includes('Spreadsheet not found')) {
+        if (getSignatureError(responseData)) {
+          // Signature errors already say which setting to fix
+        } else if (errorMsg.includes('not found') || errorMsg.includes('Spreadsheet not found')) {
           errorMsg = 'Google Sheet not found. Please verify your Spreadsheet ID.';
         } else if (errorMsg.includes('Authorization') || errorMsg.includes('Permission')) {
           errorMsg = 'Cannot access Google Sheet. Please ensure the Apps Script owner has edit access.';
@@ -465,7 +621,8 @@ async function testConnection(sendResponse) {
 
         sendResponse({
           success: false,
-          error: errorMsg
+          error: errorMsg,
+          warnings
         });
       }
     })
@@ -484,11 +641,105 @@ async function testConnection(sendResponse) {
 
       sendResponse({
         success: false,
-        error: errorMsg
+        error: errorMsg,
+        warnings
       });
     });
 }
 
+/**
+ * Ask the Apps Script endpoint what it supports (GET ?action=capabilities)
+ * The status stages it reports are remembered in chrome.storage.local for the popup and tracker
+ * @param {string} endpoint - Endpoint URL
+ * @returns {Promise<Object|null|undefined>} Parsed answer (null if it wasn't JSON), or undefined
+ *   if the endpoint could not be reached
+ */
+async function fetchEndpointCapabilities(endpoint) {
+  let capabilities;
+  try {
+    const url = new URL(endpoint);
+    url.searchParams.set('action', 'capabilities');
+    const response = await fetch(url.toString(), {
+      method: 'GET',
+      signal: AbortSignal.timeout(15000)
+    });
+    // Old deployments answer with a job list or an HTML error page, both treated as outdated
+    capabilities = await response.json().catch(() => null);
+  } catch (error) {
+    console.error('Capabilities check failed:', error);
+    return undefined;
+  }
+
+  // Deployments from before statusStages drop the remembered list, so the defaults apply again
+  const statusStages = capabilities && Array.isArray(capabilities.statusStages) ? capabilities.statusStages : null;
+  await (statusStages
+    ? chrome.storage.local.set({ statusStages })
+    : chrome.storage.local.remove('statusStages')
+  ).catch(error => console.warn('Could not remember status stages:', error));
+
+  return capabilities;
+}
+
+/**
+ * Ask the Apps Script endpoint what it supports and compare it with this extension
+ * @param {string} endpoint - Endpoint URL
+ * @returns {Promise<Object|null>} { upToDate, version, warnings } from checkEndpointCapabilities(),
+ *   or null if the endpoint could not be reached (the caller reports that on its own)
+ */
+async function getEndpointCheck(endpoint) {
+  const capabilities = await fetchEndpointCapabilities(endpoint);
+  if (capabilities === undefined) return null;
+
+  const targets = getLoggingTargets(configCache.LOGGING_TARGETS, configCache.TARGET_SHEET_NAME);
+  return checkEndpointCapabilities(capabilities, {
+    usesSchema: !!normalizeJobSchema(configCache.JOB_DATA_SCHEMA) || targets.some(target => !!normalizeJobSchema(target.schema)),
+    hasSharedSecret: !!configCache.SHARED_SECRET
+  });
+}
+
+/**
+ * Check the deployed Apps Script endpoint for the Settings page
+ * @param {Function} sendResponse - Response callback: { success, upToDate, version, warnings }
+ */
+async function handleCheckEndpointCapabilities(sendResponse) {
+  await loadConfiguration();
+  const endpoint = getAppsScriptEndpoint();
+
+  if (!endpoint || endpoint === 'YOUR_APPS_SCRIPT_URL_HERE') {
+    sendResponse({
+      success: false,
+      error: 'Apps Script endpoint not configured. Please enter your endpoint URL.'
+    });
+    return;
+  }
+
+  const endpointCheck = await getEndpointCheck(endpoint);
+  if (!endpointCheck) {
+    sendResponse({ success: false, error: 'Cannot reach Apps Script endpoint to check its version.' });
+    return;
+  }
+
+  sendResponse({ success: true, ...endpointCheck });
+}
+
+/**
+ * Get the status stages for the popup and tracker dropdowns
+ * Asks the endpoint for the stages saved with setupStatusStages(); when it can't be reached the
+ * last reported stages are used, and JOB_STATUS_OPTIONS when it never reported any
+ * @param {Function} sendResponse - Response callback: { success, statuses }
+ */
+async function handleGetStatusStages(sendResponse) {
+  await loadConfiguration();
+  const endpoint = getAppsScriptEndpoint();
+
+  if (endpoint && endpoint !== 'YOUR_APPS_SCRIPT_URL_HERE') {
+    await fetchEndpointCapabilities(endpoint);
+  }
+
+  const stored = await chrome.storage.local.get(['statusStages']).catch(() => ({}));
+  sendResponse({ success: true, statuses: getStatusOptions(stored.statusStages) });
+}
+
 /**
  * Fetch with retry logic for transient network failures
  * Retries only on network errors and timeouts, not HTTP errors
@@ -530,18 +781,68 @@ async function fetchWithRetry(url, options, maxRetries = 2) {
 }
 
 /**
- * Log job data to Google Sheets via Apps Script endpoint
- * Includes retry logic for transient network failures
+ * POST a signed request to the Apps Script endpoint, resending it while the script is busy
+ * (see busy-retry.js); every resend is signed again
+ * @param {string} endpoint - Apps Script endpoint URL
+ * @param {string} body - JSON request body
+ * @returns {Promise<Response>} First response that isn't busy, or the last busy one
+ */
+function postToAppsScript(endpoint, body) {
+  return sendWithBusyRetry(async () => fetchWithRetry(await signRequestUrl(endpoint, body, configCache.SHARED_SECRET), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body,
+    signal: AbortSignal.timeout(15000) // 15 second timeout per attempt
+  }));
+}
+
+/**
+ * Pick out an endpoint's request signature rejection
+ * Both endpoints answer missing, stale and invalid signatures with a message that names
+ * the setting to fix, so it is shown to the user as-is
+ * @param {Object|null} responseData - Parsed endpoint response
+ * @returns {string|null} Error message, or null if this is not a signature error
+ */
+function getSignatureError(responseData) {
+  const error = responseData && responseData.error;
+  return typeof error === 'string' && /signature|not signed/i.test(error) ? error : null;
+}
+
+/**
+ * Read an Apps Script answer, checking the HTTP status before trusting the body
+ * Proxies and Google's error pages answer with HTML, and the local endpoint answers errors
+ * with real status codes, so neither may be parsed blindly
+ * @param {Response} response - fetch Response
+ * @returns {Promise<Object>} Parsed answer; HTTP errors and non-JSON bodies come back as
+ *   { success: false, error } (the body's error if it has one, else the HTTP status)
+ */
+async function readAppsScriptResponse(response) {
+  const responseData = await response.json().catch(() => null);
+  if (response.ok && responseData) return responseData;
+
+  console.error('Apps Script returned HTTP error or invalid JSON:', response.status);
+  return {
+    success: false,
+    error: (responseData && responseData.error) || (response.ok
+      ? `Apps Script returned an invalid response (HTTP ${response.status})`
+      : `Apps Script returned error (HTTP ${response.status})`)
+  };
+}
+
+/**
+ * Log job data to every active logging backend (Apps Script, webhook, CSV download)
+ * Each backend gets its own outbox entry, written before sending, so a failed send is
+ * retried later by the outbox alarm instead of being lost - independently per backend
  * @param {Object} data - Job data to log
- * @param {Function} sendResponse - Response callback
+ * @param {Function} sendResponse - Response callback; results holds one item per backend
+ * @param {string} targetId - Logging target picked in the popup (default: by job URL domain)
  */
-async function handleLogJobData(data, sendResponse) {
+async function handleLogJobData(data, sendResponse, targetId) {
   // Ensure configuration is loaded (service worker may have restarted)
   await loadConfiguration();
 
-  // Configuration: Set APPS_SCRIPT_URL in extension settings or replace here
-  const endpoint = getAppsScriptEndpoint();
-
   // Validate data before sending (MVP: just checks it's a valid object)
   if (!validateJobData(data)) {
     console.warn('Invalid job data:', data);
@@ -552,106 +853,757 @@ async function handleLogJobData(data, sendResponse) {
     return;
   }
 
-  // Check if endpoint is configured
-  if (!endpoint || endpoint === 'YOUR_APPS_SCRIPT_URL_HERE') {
-    console.warn('Apps Script endpoint not configured');
+  const backendIds = configCache.LOGGING_BACKENDS;
+  if (backendIds.length === 0) {
     sendResponse({
       success: false,
-      error: 'Apps Script endpoint not configured. Please set up your Google Apps Script URL.'
+      error: 'No logging backend enabled. Please pick at least one in Settings.'
     });
     return;
   }
 
+  // Jobs that break the active schema are refused before anything is queued;
+  // fieldErrors lets the manual entry modal point at the fields to fix
+  const payload = prepareJobPayload(data, targetId);
+  if (payload.schema) {
+    const validation = validateJobAgainstSchema(payload, payload.schema);
+    if (!validation.valid) {
+      sendResponse({ success: false, error: validation.error, fieldErrors: validation.fieldErrors });
+      return;
+    }
+  }
+
+  const results = await Promise.all(backendIds.map(async (backendId) => {
+    const backend = getLoggingBackend(backendId);
+    const configError = backend.getConfigError(configCache);
+    if (configError) {
+      console.warn(`Logging backend ${backendId} not configured:`, configError);
+      return { backendId, label: backend.label, success: false, error: configError, queued: false };
+    }
+
+    // Persist before sending so the job survives a failed request or a worker restart,
+    // already in flight so a drain or Retry running meanwhile leaves it alone
+    const entry = markEntrySending(createOutboxEntry(payload, Date.now(), backendId));
+    try {
+      await addOutboxEntry(entry);
+    } catch (error) {
+      console.warn('Could not write job to outbox, sending without a durable copy:', error);
+    }
+
+    return describeBackendResult(backend, entry, await deliverOutboxEntry(entry));
+  }));
+
+  sendResponse(summarizeBackendResults(results, data.timestamp));
+}
+
+/**
+ * Log several jobs to every active logging backend
+ * Backends with a batch API (Apps Script) get all jobs in one request; the others get
+ * one send per job. Every job still gets its own outbox entry per backend, so failed
+ * jobs are retried individually.
+ * @param {Array<Object>} jobs - Job data objects (at most BATCH_MAX_JOBS)
+ * @param {Function} sendResponse - Response callback; results holds one logJobData-style
+ *   response per job, in request order
+ * @param {string} targetId - Logging target for every job (default: by each job's URL domain)
+ */
+async function handleLogJobDataBatch(jobs, sendResponse, targetId) {
+  await loadConfiguration();
+
+  if (!Array.isArray(jobs) || jobs.length === 0 || jobs.length > BATCH_MAX_JOBS) {
+    sendResponse({
+      success: false,
+      error: `Invalid batch: send between 1 and ${BATCH_MAX_JOBS} jobs`
+    });
+    return;
+  }
+
+  if (!jobs.every(validateJobData)) {
+    sendResponse({
+      success: false,
+      error: 'Invalid job data: every job in the batch must be a valid object'
+    });
+    return;
+  }
+
+  const backendIds = configCache.LOGGING_BACKENDS;
+  if (backendIds.length === 0) {
+    sendResponse({
+      success: false,
+      error: 'No logging backend enabled. Please pick at least one in Settings.'
+    });
+    return;
+  }
+
+  const payloads = jobs.map(job => prepareJobPayload(job, targetId));
+  for (let index = 0; index < payloads.length; index++) {
+    const schema = payloads[index].schema;
+    const validation = schema ? validateJobAgainstSchema(payloads[index], schema) : { valid: true };
+    if (!validation.valid) {
+      sendResponse({
+        success: false,
+        error: `Job ${index + 1} of ${payloads.length}: ${validation.error}`,
+        index,
+        fieldErrors: validation.fieldErrors
+      });
+      return;
+    }
+  }
+
+  const resultsByBackend = await Promise.all(backendIds.map(async (backendId) => {
+    const backend = getLoggingBackend(backendId);
+    const configError = backend.getConfigError(configCache);
+    if (configError) {
+      console.warn(`Logging backend ${backendId} not configured:`, configError);
+      return payloads.map(() => ({ backendId, label: backend.label, success: false, error: configError, queued: false }));
+    }
+
+    const entries = payloads.map(payload => markEntrySending(createOutboxEntry(payload, Date.now(), backendId)));
+    try {
+      await addOutboxEntries(entries);
+    } catch (error) {
+      console.warn('Could not write jobs to outbox, sending without a durable copy:', error);
+    }
+
+    let deliveries;
+    if (backend.sendBatch) {
+      deliveries = await deliverOutboxBatch(entries, backend);
+    } else {
+      deliveries = [];
+      for (const entry of entries) {
+        deliveries.push(await deliverOutboxEntry(entry));
+      }
+    }
+
+    return entries.map((entry, index) => describeBackendResult(backend, entry, deliveries[index]));
+  }));
+
+  const results = payloads.map((payload, index) => ({
+    index,
+    ...summarizeBackendResults(resultsByBackend.map(backendResults => backendResults[index]), payload.timestamp)
+  }));
+  const logged = results.filter(result => result.success).length;
+  console.log(`Batch of ${jobs.length} job(s): ${logged} logged on every backend`);
+
+  sendResponse({
+    success: logged === jobs.length,
+    count: jobs.length,
+    logged,
+    failed: jobs.length - logged,
+    results
+  });
+}
+
+/**
+ * Add the target sheet name, the active schema, board and ATS, and a request ID shared by every backend to a job
+ * The schema is the target's own schema, else the Schema Editor's (none until one is saved);
+ * the Apps Script endpoint validates the job against it again
+ * @param {Object} data - Job data from the popup
+ * @param {string} targetId - Logging target picked in the popup (optional)
+ * @returns {Object} Payload as it is queued and sent
+ */
+function prepareJobPayload(data, targetId) {
   // NOTE: Spreadsheet ID and Project ID are NOT sent in the request.
   // They are configured server-side in Apps Script using Script Properties.
   // This security design ensures sensitive IDs never traverse the network.
   // The extension stores these values locally only for:
   // 1. Settings UI display and "Open Sheet" link
   // 2. User convenience (remembering configuration)
-
-  // Add target sheet name to the data
-  const dataWithSheetName = {
+  const target = getLoggingTarget(targetId, data.url);
+  const schema = getTargetSchema(target);
+  return {
     ...data,
-    targetSheetName: configCache.TARGET_SHEET_NAME || 'Job Applications'
+    ...getJobBoardFields(data),
+    targetSheetName: target.sheetName,
+    ...(schema ? { schema } : {}),
+    clientRequestId: data.clientRequestId || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  };
+}
+
+/**
+ * Board and ATS for a job, from the user's domain mappings and the job board table
+ * A mapped domain replaces the board the content script detected, but not one picked by hand
+ * @param {Object} data - Job data from the popup
+ * @returns {Object} { source?, ats? } - only the fields that change or fill in the job's own
+ */
+function getJobBoardFields(data) {
+  const fields = {};
+  const customBoard = findCustomJobBoard(data.url, configCache.CUSTOM_JOB_BOARDS);
+  if (customBoard && (!data.source || data.source === detectJobBoard(data.url).board)) {
+    fields.source = customBoard;
+  }
+  const ats = data.ats || detectJobBoard(data.url).ats;
+  if (ats) {
+    fields.ats = ats;
+  }
+  return fields;
+}
+
+/**
+ * Schema sent with a target's jobs: the target's own, else the Schema Editor's
+ * The Schema Editor's role rules go with either, since the endpoint keeps one set of rules
+ * @param {Object} target - Logging target
+ * @returns {Object|null} Normalized schema ({ columns, roleRules? }), or null without one
+ */
+function getTargetSchema(target) {
+  const schema = normalizeJobSchema(target.schema || configCache.JOB_DATA_SCHEMA);
+  const roleRules = (configCache.JOB_DATA_SCHEMA || {}).roleRules;
+  return schema && Array.isArray(roleRules) ? { ...schema, roleRules } : schema;
+}
+
+/**
+ * Logging target for a job: the chosen one, else the one matching the URL's domain
+ * @param {string} targetId - Logging target ID (optional)
+ * @param {string} url - Job page URL (optional)
+ * @returns {Object} Logging target ({ id, name, sheetName, domains, schema })
+ */
+function getLoggingTarget(targetId, url) {
+  const targets = getLoggingTargets(configCache.LOGGING_TARGETS, configCache.TARGET_SHEET_NAME);
+  return resolveLoggingTarget(targets, targetId, url);
+}
+
+/**
+ * Describe one backend's delivery of one job for the popup
+ * @param {Object} backend - Logging backend adapter
+ * @param {Object} entry - Outbox entry that was delivered
+ * @param {Object} result - Delivery result (status is set when the entry stays queued)
+ * @returns {Object} { backendId, label, success, error, queued, outboxId, fieldErrors }
+ */
+function describeBackendResult(backend, entry, result) {
+  return {
+    backendId: backend.id,
+    label: backend.label,
+    success: result.success,
+    error: result.error,
+    queued: !result.success && result.status === 'pending',
+    outboxId: result.success ? undefined : entry.id,
+    fieldErrors: result.fieldErrors
+  };
+}
+
+/**
+ * Combine the per-backend results for one job into a logJobData response
+ * @param {Array<Object>} results - Results from describeBackendResult() (or config errors)
+ * @param {string} timestamp - Job timestamp, echoed on success
+ * @returns {Object} { success, timestamp, results } or { success: false, error, queued, outboxId, fieldErrors, results }
+ */
+function summarizeBackendResults(results, timestamp) {
+  const failed = results.filter(result => !result.success);
+  if (failed.length === 0) {
+    return { success: true, timestamp, results };
+  }
+
+  const refused = failed.find(result => result.fieldErrors);
+  return {
+    success: false,
+    error: results.length === 1
+      ? failed[0].error
+      : failed.map(result => `${result.label}: ${result.error}`).join('\n'),
+    queued: failed.every(result => result.queued),
+    outboxId: failed[0].outboxId,
+    fieldErrors: refused ? refused.fieldErrors : undefined,
+    results
   };
+}
+
+/**
+ * POST a job payload to the Apps Script endpoint
+ * Includes retry logic for transient network failures and busy answers (see postToAppsScript)
+ * Never throws - failures are described so the outbox can decide whether to retry
+ * @param {string} endpoint - Apps Script endpoint URL
+ * @param {Object|Array<Object>} payload - Job data (with targetSheetName), or an array of jobs for a batch
+ * @returns {Promise<Object>} { success: boolean, response?: Object, error?: string, retriable?: boolean,
+ *   fieldErrors?: Object } (response is also set when the script answered but refused, e.g. per-job
+ *   batch errors; fieldErrors when it refused a job that breaks the schema)
+ */
+async function postJobToEndpoint(endpoint, payload) {
+  let response;
+  const body = JSON.stringify(payload); // Job data fields with sheet name
 
   // Send data to endpoint with retry logic
   // Note: Apps Script Web Apps support CORS, so we don't need 'no-cors' mode
-  fetchWithRetry(endpoint, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(dataWithSheetName), // Job data fields with sheet name
-    signal: AbortSignal.timeout(15000) // 15 second timeout per attempt
-  })
-    .then((response) => {
-      // Check if the response is ok (status 200-299)
-      if (!response.ok) {
-        // Provide specific error messages based on status code
-        if (response.status === 404) {
-          throw new Error('Apps Script endpoint not found. Please check your endpoint URL in Settings.');
-        } else if (response.status === 403) {
-          throw new Error('Access denied to Apps Script. Please check deployment permissions (should be "Anyone").');
-        } else if (response.status === 401) {
-          throw new Error('Authentication required. Please redeploy your Apps Script as a Web App.');
-        } else if (response.status >= 500) {
-          throw new Error('Apps Script server error. Please check the Apps Script execution log.');
-        } else {
-          throw new Error(`Apps Script returned error (HTTP ${response.status}). Check your deployment settings.`);
-        }
+  try {
+    // Signed on every call, so outbox retries carry a fresh timestamp
+    response = await postToAppsScript(endpoint, body);
+  } catch (error) {
+    console.error('Failed to log job data:', error);
+
+    // Provide user-friendly error messages based on error type
+    let errorMsg = 'Unknown error occurred';
+
+    if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
+      errorMsg = 'Cannot connect to Apps Script endpoint. Please check:\n' +
+                 '1. Your Apps Script URL is correct\n' +
+                 '2. The script is deployed as a Web App\n' +
+                 '3. You have an internet connection';
+    } else if (error.name === 'AbortError' || error.name === 'TimeoutError' || error.message.includes('timeout')) {
+      errorMsg = 'Connection to Apps Script timed out. Please check your internet connection or try again.';
+    } else if (error.message.includes('CORS')) {
+      errorMsg = 'CORS error. Please ensure your Apps Script is deployed with "Anyone" access.';
+    } else if (error.message) {
+      errorMsg = error.message;
+    }
+
+    // Network failures and timeouts are worth retrying later
+    return { success: false, error: errorMsg, retriable: true };
+  }
+
+  // Check if the response is ok (status 200-299)
+  if (!response.ok) {
+    // Provide specific error messages based on status code
+    let errorMsg;
+    // Signature, schema and busy errors come with a JSON body worth showing
+    const errorBody = [400, 401, 503].includes(response.status)
+      ? await response.json().catch(() => null)
+      : null;
+    const signatureError = response.status === 401 ? getSignatureError(errorBody) : null;
+    if (signatureError) {
+      errorMsg = signatureError;
+    } else if (response.status === 503 && errorBody && errorBody.busy) {
+      // The local endpoint answers a busy script with a real 503
+      errorMsg = errorBody.error;
+    } else if (response.status === 400 && errorBody && errorBody.fieldErrors) {
+      // The local endpoint answers schema errors with a real 400
+      return { success: false, error: errorBody.error, retriable: false, fieldErrors: errorBody.fieldErrors };
+    } else if (response.status === 404) {
+      errorMsg = 'Apps Script endpoint not found. Please check your endpoint URL in Settings.';
+    } else if (response.status === 403) {
+      errorMsg = 'Access denied to Apps Script. Please check deployment permissions (should be "Anyone").';
+    } else if (response.status === 401) {
+      errorMsg = 'Authentication required. Please redeploy your Apps Script as a Web App.';
+    } else if (response.status >= 500) {
+      errorMsg = 'Apps Script server error. Please check the Apps Script execution log.';
+    } else {
+      errorMsg = `Apps Script returned error (HTTP ${response.status}). Check your deployment settings.`;
+    }
+
+    console.error('Apps Script returned HTTP error:', response.status);
+
+    // Server errors and rate limiting are transient; other 4xx need user action
+    return {
+      success: false,
+      error: errorMsg,
+      retriable: response.status >= 500 || response.status === 429
+    };
+  }
+
+  let responseData;
+  try {
+    responseData = await response.json();
+  } catch (error) {
+    console.error('Apps Script returned invalid JSON:', error);
+    return {
+      success: false,
+      error: 'Apps Script returned an invalid response. Please check the Apps Script execution log.',
+      retriable: true
+    };
+  }
+
+  if (responseData.success) {
+    console.log('Job data logged successfully');
+    return { success: true, response: responseData };
+  }
+
+  console.error('Apps Script returned error:', responseData.error);
+
+  // Parse and improve error messages from Apps Script
+  let errorMsg = responseData.error || 'Unknown error from Apps Script';
+
+  // Detect common error patterns
+  if (responseData.busy) {
+    // Still busy after every resend - the outbox tries again later
+    return { success: false, error: errorMsg, retriable: true, response: responseData };
+  } else if (getSignatureError(responseData)) {
+    // Signature errors already say which setting to fix
+  } else if (responseData.fieldErrors) {
+    // Schema errors name the fields to fix
+    return { success: false, error: errorMsg, retriable: false, response: responseData, fieldErrors: responseData.fieldErrors };
+  } else if (errorMsg.includes('not found') || errorMsg.includes('Spreadsheet not found')) {
+    errorMsg = 'Google Sheet not found. Please verify your Spreadsheet ID in Settings.';
+  } else if (errorMsg.includes('Authorization') || errorMsg.includes('Permission')) {
+    errorMsg = 'Cannot access Google Sheet. Please ensure the Apps Script owner has edit access to the sheet.';
+  } else if (errorMsg.includes('Invalid') && errorMsg.includes('spreadsheet')) {
+    errorMsg = 'Invalid Spreadsheet ID. Please check your configuration in Settings.';
+  }
+
+  // The script answered but refused the job - retrying the same payload won't help
+  return { success: false, error: errorMsg, retriable: false, response: responseData };
+}
+
+/**
+ * Update an already logged job (Status, Decision or any schema column) via the Apps Script endpoint
+ * Not queued in the outbox: the user is waiting on the result and can simply retry
+ * @param {Object} update - { url?, rowId?, updates: { fieldId: value }, targetId? }
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleUpdateJobStatus(update, sendResponse) {
+  await loadConfiguration();
+  const endpoint = getAppsScriptEndpoint();
+
+  if (!endpoint || endpoint === 'YOUR_APPS_SCRIPT_URL_HERE') {
+    sendResponse({
+      success: false,
+      error: 'Apps Script endpoint not configured. Please set up your Google Apps Script URL.'
+    });
+    return;
+  }
+
+  if (!update || (!update.url && !update.rowId) || !update.updates) {
+    sendResponse({ success: false, error: 'Status update needs a job link or row number and at least one field' });
+    return;
+  }
+
+  const { targetId, ...fields } = update;
+  const payload = {
+    ...fields,
+    operation: 'updateStatus',
+    targetSheetName: getLoggingTarget(targetId, update.url).sheetName
+  };
+
+  try {
+    const response = await postToAppsScript(endpoint, JSON.stringify(payload));
+
+    const responseData = await readAppsScriptResponse(response);
+    if (responseData.success) {
+      console.log(`Job row ${responseData.row} updated:`, responseData.updated);
+      if (update.url && update.updates.status) {
+        await updateHistoryStatus(update.url, update.updates.status).catch(error => {
+          console.warn('Could not update job history status:', error);
+        });
       }
-      return response.json();
-    })
-    .then((responseData) => {
-      if (responseData.success) {
-        console.log('Job data logged successfully');
-        sendResponse({ success: true, timestamp: data.timestamp });
-      } else {
-        console.error('Apps Script returned error:', responseData.error);
+      sendResponse({ success: true, row: responseData.row, updated: responseData.updated });
+    } else {
+      sendResponse({ success: false, error: responseData.error || `Apps Script returned error (HTTP ${response.status})` });
+    }
+  } catch (error) {
+    console.error('Failed to update job status:', error);
+    sendResponse({
+      success: false,
+      error: error.name === 'AbortError' || error.name === 'TimeoutError'
+        ? 'Connection to Apps Script timed out. Please try again.'
+        : `Cannot reach Apps Script endpoint: ${error.message}`
+    });
+  }
+}
 
-        // Parse and improve error messages from Apps Script
-        let errorMsg = responseData.error || 'Unknown error from Apps Script';
+/**
+ * Sync each logging target's sheet with its schema (the target's own, else the Schema Editor's)
+ * The endpoint creates, renames and reorders the sheet's columns to match; targets sharing a
+ * sheet are synced once, with the first target's schema
+ * @param {Function} sendResponse - Response callback: { success, synced: [{ sheet, columns, added }], error?, skipped? }
+ *   (skipped when no endpoint is configured yet)
+ */
+async function handleSchemaUpdated(sendResponse) {
+  await loadConfiguration();
+  const endpoint = getAppsScriptEndpoint();
 
-        // Detect common error patterns
-        if (errorMsg.includes('not found') || errorMsg.includes('Spreadsheet not found')) {
-          errorMsg = 'Google Sheet not found. Please verify your Spreadsheet ID in Settings.';
-        } else if (errorMsg.includes('Authorization') || errorMsg.includes('Permission')) {
-          errorMsg = 'Cannot access Google Sheet. Please ensure the Apps Script owner has edit access to the sheet.';
-        } else if (errorMsg.includes('Invalid') && errorMsg.includes('spreadsheet')) {
-          errorMsg = 'Invalid Spreadsheet ID. Please check your configuration in Settings.';
-        }
+  if (!endpoint || endpoint === 'YOUR_APPS_SCRIPT_URL_HERE') {
+    sendResponse({ success: false, skipped: true, error: 'Apps Script endpoint not configured' });
+    return;
+  }
+
+  const sheets = new Map(); // sheet name → schema
+  getLoggingTargets(configCache.LOGGING_TARGETS, configCache.TARGET_SHEET_NAME).forEach(target => {
+    const schema = getTargetSchema(target);
+    if (schema && !sheets.has(target.sheetName)) sheets.set(target.sheetName, schema);
+  });
+
+  const synced = [];
+  try {
+    for (const [targetSheetName, schema] of sheets) {
+      const response = await postToAppsScript(endpoint, JSON.stringify({ operation: 'syncSchema', targetSheetName, schema }));
 
+      const responseData = await readAppsScriptResponse(response);
+      if (!responseData.success) {
         sendResponse({
           success: false,
-          error: errorMsg
+          synced,
+          error: `${targetSheetName}: ${responseData.error || `Apps Script returned error (HTTP ${response.status})`}`
         });
+        return;
       }
-    })
-    .catch((error) => {
-      console.error('Failed to log job data:', error);
+      synced.push({ sheet: responseData.sheet, columns: responseData.columns, added: responseData.added });
+    }
+    sendResponse({ success: true, synced });
+  } catch (error) {
+    console.error('Failed to sync sheet columns:', error);
+    sendResponse({
+      success: false,
+      synced,
+      error: error.name === 'AbortError' || error.name === 'TimeoutError'
+        ? 'Connection to Apps Script timed out. Please try again.'
+        : `Cannot reach Apps Script endpoint: ${error.message}`
+    });
+  }
+}
 
-      // Provide user-friendly error messages based on error type
-      let errorMsg = 'Unknown error occurred';
+/**
+ * List jobs already logged in the sheet via the endpoint's GET (doGet) API
+ * Reads the sheet tab of the logging target the job is logged to, like handleLogJobData
+ * @param {Object} query - Optional filters: status, company, from, to, limit, offset
+ * @param {Function} sendResponse - Response callback
+ * @param {string} targetId - Logging target picked in the popup (default: by job URL domain)
+ * @param {string} url - Job page URL, used to match a target by domain (optional)
+ */
+async function handleGetLoggedJobs(query, sendResponse, targetId, url) {
+  await loadConfiguration();
+  const endpoint = getAppsScriptEndpoint();
 
-      if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-        errorMsg = 'Cannot connect to Apps Script endpoint. Please check:\n' +
-                   '1. Your Apps Script URL is correct\n' +
-                   '2. The script is deployed as a Web App\n' +
-                   '3. You have an internet connection';
-      } else if (error.name === 'AbortError' || error.message.includes('timeout')) {
-        errorMsg = 'Connection to Apps Script timed out. Please check your internet connection or try again.';
-      } else if (error.message.includes('CORS')) {
-        errorMsg = 'CORS error. Please ensure your Apps Script is deployed with "Anyone" access.';
-      } else if (error.message) {
-        errorMsg = error.message;
+  if (!endpoint || endpoint === 'YOUR_APPS_SCRIPT_URL_HERE') {
+    sendResponse({
+      success: false,
+      error: 'Apps Script endpoint not configured. Please set up your Google Apps Script URL.'
+    });
+    return;
+  }
+
+  try {
+    const listUrl = new URL(endpoint);
+    listUrl.searchParams.set('sheet', getLoggingTarget(targetId, url).sheetName);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        listUrl.searchParams.set(key, value);
       }
+    });
 
-      sendResponse({
-        success: false,
-        error: errorMsg
-      });
+    // Reads are signed over an empty body, so the sheet stays private once a secret is set
+    const response = await fetchWithRetry(await signRequestUrl(listUrl.toString(), '', configCache.SHARED_SECRET), {
+      method: 'GET',
+      signal: AbortSignal.timeout(15000)
+    });
+    const responseData = await readAppsScriptResponse(response);
+
+    if (responseData.success) {
+      sendResponse(responseData);
+    } else {
+      sendResponse({ success: false, error: responseData.error || `Apps Script returned error (HTTP ${response.status})` });
+    }
+  } catch (error) {
+    console.error('Failed to list logged jobs:', error);
+    sendResponse({ success: false, error: `Cannot read jobs from Apps Script: ${error.message}` });
+  }
+}
+
+/**
+ * Fetch the sprint statistics behind the sheet's Summary tab (GET ?action=summary)
+ * @param {Function} sendResponse - Response callback: { success, summary } where summary is
+ *   { total, responded, responseRate, byWeek, byBoard, byRole, funnel }
+ */
+async function handleGetSprintSummary(sendResponse) {
+  await loadConfiguration();
+  const endpoint = getAppsScriptEndpoint();
+
+  if (!endpoint || endpoint === 'YOUR_APPS_SCRIPT_URL_HERE') {
+    sendResponse({
+      success: false,
+      error: 'Apps Script endpoint not configured. Please set up your Google Apps Script URL.'
+    });
+    return;
+  }
+
+  try {
+    const url = new URL(endpoint);
+    url.searchParams.set('action', 'summary');
+
+    const response = await fetchWithRetry(await signRequestUrl(url.toString(), '', configCache.SHARED_SECRET), {
+      method: 'GET',
+      signal: AbortSignal.timeout(15000)
     });
+    const responseData = await readAppsScriptResponse(response);
+
+    if (responseData.success && responseData.summary) {
+      sendResponse({ success: true, summary: responseData.summary });
+    } else {
+      sendResponse({ success: false, error: responseData.error || `Apps Script returned error (HTTP ${response.status})` });
+    }
+  } catch (error) {
+    console.error('Failed to load sprint summary:', error);
+    sendResponse({ success: false, error: `Cannot read the summary from Apps Script: ${error.message}` });
+  }
+}
+
+/**
+ * Fetch the jobs due for a follow-up (GET ?action=followUps)
+ * @param {Function} sendResponse - Response callback: { success, days, followUps } where followUps is
+ *   [{ sheet, row, company, title, url, applied, due }], longest overdue first
+ */
+async function handleGetFollowUps(sendResponse) {
+  await loadConfiguration();
+  const endpoint = getAppsScriptEndpoint();
+
+  if (!endpoint || endpoint === 'YOUR_APPS_SCRIPT_URL_HERE') {
+    sendResponse({
+      success: false,
+      error: 'Apps Script endpoint not configured. Please set up your Google Apps Script URL.'
+    });
+    return;
+  }
+
+  try {
+    const url = new URL(endpoint);
+    url.searchParams.set('action', 'followUps');
+
+    const response = await fetchWithRetry(await signRequestUrl(url.toString(), '', configCache.SHARED_SECRET), {
+      method: 'GET',
+      signal: AbortSignal.timeout(15000)
+    });
+    const responseData = await readAppsScriptResponse(response);
+
+    if (responseData.success && Array.isArray(responseData.followUps)) {
+      sendResponse({ success: true, days: responseData.days, followUps: responseData.followUps });
+    } else {
+      sendResponse({ success: false, error: responseData.error || `Apps Script returned error (HTTP ${response.status})` });
+    }
+  } catch (error) {
+    console.error('Failed to load follow-ups:', error);
+    sendResponse({ success: false, error: `Cannot read follow-ups from Apps Script: ${error.message}` });
+  }
+}
+
+// ============ OUTBOX ============
+
+// Prevents overlapping drains when an alarm fires while a drain is still running
+let outboxDrainInProgress = false;
+
+/**
+ * Attempt to deliver one outbox entry through its logging backend and record the outcome
+ * Delivered entries are removed; failures are rescheduled with backoff or marked failed.
+ * A backend that is no longer configured fails the entry until the user fixes Settings.
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} { success: boolean, error?: string, status?: string }
+ */
+async function deliverOutboxEntry(entry) {
+  const backend = getLoggingBackend(entry.backendId);
+  const configError = backend
+    ? backend.getConfigError(configCache)
+    : `Unknown logging backend: ${entry.backendId}`;
+  const result = configError
+    ? { success: false, error: configError, retriable: false }
+    : await backend.send(entry.payload, configCache);
+
+  await recordDeliveryOutcome(entry, backend, result);
+  await scheduleOutboxDrain().catch(error => console.error('Error scheduling outbox drain:', error));
+
+  return result;
+}
+
+/**
+ * Deliver several outbox entries for the same backend in one batch request
+ * @param {Array<Object>} entries - Outbox entries (all for this backend)
+ * @param {Object} backend - Logging backend adapter with sendBatch()
+ * @returns {Promise<Array<Object>>} One delivery result per entry, in order
+ */
+async function deliverOutboxBatch(entries, backend) {
+  const results = await backend.sendBatch(entries.map(entry => entry.payload), configCache);
+
+  for (let i = 0; i < entries.length; i++) {
+    await recordDeliveryOutcome(entries[i], backend, results[i]);
+  }
+  await scheduleOutboxDrain().catch(error => console.error('Error scheduling outbox drain:', error));
+
+  return results;
+}
+
+/**
+ * Record a delivery result on the outbox (and in the job history on success)
+ * Sets result.status to the entry's new status when it stays queued
+ * @param {Object} entry - Outbox entry
+ * @param {Object|null} backend - Logging backend adapter
+ * @param {Object} result - Delivery result from the adapter
+ */
+async function recordDeliveryOutcome(entry, backend, result) {
+  try {
+    if (result.success) {
+      await removeOutboxEntry(entry.id);
+      await recordJobInHistory(entry.payload, {
+        backendId: backend.id,
+        endpoint: result.target,
+        response: result.response,
+        attempts: entry.attempts + 1
+      }).catch(error => console.warn('Could not record job in history:', error));
+    } else {
+      const updated = recordFailedAttempt(entry, result.error, result.retriable);
+      await saveOutboxEntry(updated);
+      result.status = updated.status;
+      console.warn(`Outbox entry ${entry.id} ${updated.status} after attempt ${updated.attempts}:`, result.error);
+    }
+  } catch (error) {
+    console.error('Error updating outbox:', error);
+  }
+}
+
+/**
+ * Send every due outbox entry, oldest first
+ * Runs on the outbox alarm and on startup so queued jobs survive worker restarts.
+ * Entries are claimed (marked in flight) first, so ones being sent elsewhere are skipped.
+ */
+async function drainOutbox() {
+  if (outboxDrainInProgress) return;
+  outboxDrainInProgress = true;
+
+  try {
+    await loadConfiguration();
+
+    const dueEntries = await claimOutboxEntries(getDueEntries(await readOutbox()).map(entry => entry.id));
+    if (dueEntries.length > 0) {
+      console.log(`Draining ${dueEntries.length} queued job log(s)`);
+    }
+
+    for (const entry of dueEntries) {
+      await deliverOutboxEntry(entry);
+    }
+
+    await scheduleOutboxDrain();
+  } catch (error) {
+    console.error('Error draining outbox:', error);
+  } finally {
+    outboxDrainInProgress = false;
+  }
+}
+
+/**
+ * Put entries left in flight by the previous browser session back in the queue, then drain
+ */
+async function releaseAndDrainOutbox() {
+  await releaseSendingEntries().catch(error => console.error('Error releasing in-flight outbox entries:', error));
+  await drainOutbox();
+}
+
+/**
+ * Point the outbox alarm at the earliest pending retry (or clear it if nothing is pending)
+ */
+async function scheduleOutboxDrain() {
+  const nextWakeTime = getNextWakeTime(await readOutbox());
+
+  if (nextWakeTime === null) {
+    await chrome.alarms.clear(OUTBOX_ALARM_NAME);
+    return;
+  }
+
+  // Chrome enforces a 30 second minimum delay for alarms
+  chrome.alarms.create(OUTBOX_ALARM_NAME, { when: Math.max(nextWakeTime, Date.now() + 30000) });
+}
+
+/**
+ * Retry a queued job log immediately (user-initiated from the popup)
+ * Failed entries get a fresh set of automatic attempts; an entry already in flight is not resent
+ * @param {string} id - Outbox entry ID
+ * @param {Function} sendResponse - Response callback
+ */
+async function handleRetryOutboxItem(id, sendResponse) {
+  await loadConfiguration();
+
+  const [entry] = await claimOutboxEntries([id], { attempts: 0 });
+  if (!entry) {
+    const inFlight = (await readOutbox()).some(item => item.id === id);
+    sendResponse({
+      success: false,
+      error: inFlight ? 'This job is already being sent' : 'Queued job not found (it may already have been sent)'
+    });
+    return;
+  }
+
+  const result = await deliverOutboxEntry(entry);
+  sendResponse({ success: result.success, error: result.error, queued: result.status === 'pending' });
 }
 
 // Try to import config.local.js (will fail silently if not present)
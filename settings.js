@@ -6,8 +6,15 @@ const DEFAULT_CONFIG = {
   SPREADSHEET_ID: '',
   PROJECT_ID: '',
   APPS_SCRIPT_EDITOR_URL: '',
+  SHARED_SECRET: '',
   ENABLE_MANUAL_ENTRY: true,
   TARGET_SHEET_NAME: 'Job Applications',
+  LOGGING_TARGETS: [],             // Named sheet targets (see logging-targets.js)
+  // Logging backends (see logging-backends.js)
+  LOGGING_BACKENDS: ['appsScript'],
+  WEBHOOK_URL: '',
+  WEBHOOK_TEMPLATE: '',
+  CUSTOM_JOB_BOARDS: [],           // Domain → board mappings (see job-boards.js)
   // Mouse tracking settings
   SENTENCE_MODIFIER: 'none',       // Modifier for smart field-aware extraction
   CHAR_MODIFIER: 'ctrl',           // Modifier for character extraction
@@ -113,7 +120,16 @@ const DEFAULT_SCHEMA = {
       tooltip: 'Job board or source',
       required: false,
       readonly: false,
-      options: ['Indeed', 'Handshake', 'Symplicity', 'Google', 'LinkedIn', 'Website', 'Other']
+      options: getJobBoardNames()
+    },
+    {
+      id: 'ats',
+      label: 'ATS',
+      type: 'text',
+      placeholder: 'Auto-detect from URL',
+      tooltip: 'Applicant tracking system hosting the application (Greenhouse, Workday, ...)',
+      required: false,
+      readonly: false
     }
   ]
 };
@@ -197,8 +213,14 @@ async function loadSettings() {
       'SPREADSHEET_ID',
       'PROJECT_ID',
       'APPS_SCRIPT_EDITOR_URL',
+      'SHARED_SECRET',
       'ENABLE_MANUAL_ENTRY',
       'TARGET_SHEET_NAME',
+      'LOGGING_TARGETS',
+      'LOGGING_BACKENDS',
+      'WEBHOOK_URL',
+      'WEBHOOK_TEMPLATE',
+      'CUSTOM_JOB_BOARDS',
       'clipboardMacros',
       'maxSearchResults',
       'debugConsoleEnabled',
@@ -219,10 +241,25 @@ async function loadSettings() {
     document.getElementById('spreadsheetId').value = result.SPREADSHEET_ID || '';
     document.getElementById('projectId').value = result.PROJECT_ID || '';
     document.getElementById('appsScriptEditorUrl').value = result.APPS_SCRIPT_EDITOR_URL || '';
+    document.getElementById('sharedSecret').value = result.SHARED_SECRET || '';
     document.getElementById('targetSheetName').value = result.TARGET_SHEET_NAME || 'Job Applications';
     document.getElementById('enableManualEntry').checked =
       result.ENABLE_MANUAL_ENTRY !== undefined ? result.ENABLE_MANUAL_ENTRY : true;
 
+    // Populate logging targets (the default target is the Target Sheet Name field)
+    renderLoggingTargets(getLoggingTargets(result.LOGGING_TARGETS, result.TARGET_SHEET_NAME).slice(1));
+
+    // Populate logging backends
+    const activeBackends = getActiveBackendIds(result.LOGGING_BACKENDS);
+    document.querySelectorAll('input[data-backend]').forEach(checkbox => {
+      checkbox.checked = activeBackends.includes(checkbox.getAttribute('data-backend'));
+    });
+    document.getElementById('webhookUrl').value = result.WEBHOOK_URL || '';
+    document.getElementById('webhookTemplate').value = result.WEBHOOK_TEMPLATE || '';
+
+    // Populate job board mappings
+    renderJobBoardMappings(normalizeCustomJobBoards(result.CUSTOM_JOB_BOARDS));
+
     // Populate search settings
     document.getElementById('maxSearchResults').value = result.maxSearchResults || 10;
 
@@ -261,6 +298,9 @@ async function loadSettings() {
 
     // Update connection status
     updateConnectionStatus(result);
+    if (result.APPS_SCRIPT_ENDPOINT) {
+      checkEndpointVersion();
+    }
   } catch (error) {
     console.error('Error loading settings:', error);
     showStatus('Error loading settings', 'error');
@@ -277,6 +317,18 @@ function setupEventListeners() {
   const saveClipboardBtn = document.getElementById('saveClipboardMacros');
   if (saveClipboardBtn) saveClipboardBtn.addEventListener('click', saveClipboardMacros);
 
+  // Add logging target button
+  const addTargetBtn = document.getElementById('addLoggingTarget');
+  if (addTargetBtn) addTargetBtn.addEventListener('click', () => addLoggingTarget());
+
+  // Add job board mapping button
+  const addJobBoardBtn = document.getElementById('addJobBoardMapping');
+  if (addJobBoardBtn) addJobBoardBtn.addEventListener('click', () => addJobBoardMapping());
+
+  // Generate shared secret button
+  const generateSecretBtn = document.getElementById('generateSharedSecret');
+  if (generateSecretBtn) generateSecretBtn.addEventListener('click', generateSharedSecret);
+
   // Reset button
   const resetBtn = document.getElementById('resetSettings');
   if (resetBtn) resetBtn.addEventListener('click', resetSettings);
@@ -521,8 +573,14 @@ async function saveSettings() {
     SPREADSHEET_ID: document.getElementById('spreadsheetId').value.trim(),
     PROJECT_ID: document.getElementById('projectId').value.trim(),
     APPS_SCRIPT_EDITOR_URL: document.getElementById('appsScriptEditorUrl').value.trim(),
+    SHARED_SECRET: document.getElementById('sharedSecret').value.trim(),
     ENABLE_MANUAL_ENTRY: document.getElementById('enableManualEntry').checked,
     TARGET_SHEET_NAME: document.getElementById('targetSheetName').value.trim() || 'Job Applications',
+    // Logging backends
+    LOGGING_BACKENDS: Array.from(document.querySelectorAll('input[data-backend]:checked'))
+      .map(checkbox => checkbox.getAttribute('data-backend')),
+    WEBHOOK_URL: document.getElementById('webhookUrl').value.trim(),
+    WEBHOOK_TEMPLATE: document.getElementById('webhookTemplate').value.trim(),
     // Mouse tracking settings
     SENTENCE_MODIFIER: document.getElementById('sentenceModifier').value,
     CHAR_MODIFIER: document.getElementById('charModifier').value,
@@ -575,6 +633,42 @@ async function saveSettings() {
     return;
   }
 
+  // Validate logging targets
+  const { targets, error: targetError } = collectLoggingTargets();
+  if (targetError) {
+    showStatus(targetError, 'error');
+    return;
+  }
+  settings.LOGGING_TARGETS = targets;
+
+  // Validate job board mappings
+  const { mappings, error: mappingError } = collectJobBoardMappings();
+  if (mappingError) {
+    showStatus(mappingError, 'error');
+    return;
+  }
+  settings.CUSTOM_JOB_BOARDS = mappings;
+
+  // Validate logging backends
+  if (settings.LOGGING_BACKENDS.length === 0) {
+    showStatus('Please enable at least one logging backend', 'error');
+    return;
+  }
+
+  // The Apps Script endpoint may still be empty during first-time setup
+  for (const backendId of settings.LOGGING_BACKENDS.filter(id => id !== 'appsScript')) {
+    const configError = getLoggingBackend(backendId).getConfigError(settings);
+    if (configError) {
+      showStatus(configError, 'error');
+      return;
+    }
+  }
+
+  if (settings.WEBHOOK_URL && !isValidUrl(settings.WEBHOOK_URL)) {
+    showStatus('Invalid Webhook URL', 'error');
+    return;
+  }
+
   // Validate mouse tracking keybind settings (check for conflicts)
   const modifiers = [
     { value: settings.SENTENCE_MODIFIER, name: 'Smart' },
@@ -619,6 +713,159 @@ async function saveSettings() {
   }
 }
 
+// ============ LOGGING TARGETS ============
+
+/**
+ * Render the named logging targets
+ * @param {Array<Object>} targets - Targets without the default one
+ */
+function renderLoggingTargets(targets) {
+  const container = document.getElementById('loggingTargets');
+  if (!container) return;
+
+  container.innerHTML = '';
+  targets.forEach(target => addLoggingTarget(target));
+}
+
+/**
+ * Append a target editor to the list
+ * @param {Object} target - Existing target, or omitted for a new empty one
+ */
+function addLoggingTarget(target = {}) {
+  const container = document.getElementById('loggingTargets');
+  const div = document.createElement('div');
+  div.className = 'logging-target';
+  div.dataset.targetId = target.id || `target-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`;
+
+  div.innerHTML = `
+    <div class="logging-target-row">
+      <input type="text" data-field="name" placeholder="Name (e.g., Internships)">
+      <input type="text" data-field="sheetName" placeholder="Sheet tab (e.g., Internships)">
+      <button type="button" class="schema-btn delete">✕ Remove</button>
+    </div>
+    <input type="text" data-field="domains" placeholder="Default on these domains (optional), e.g. joinhandshake.com, symplicity.com">
+    <textarea data-field="schema" placeholder='Schema JSON (optional), e.g. {"columns": [{"id": "title", "label": "Job Title", "type": "text"}]}. Leave empty to use the Schema Editor columns.'></textarea>
+  `;
+
+  // Values are set as properties so names and JSON never end up parsed as HTML
+  div.querySelector('[data-field="name"]').value = target.name || '';
+  div.querySelector('[data-field="sheetName"]').value = target.sheetName || '';
+  div.querySelector('[data-field="domains"]').value = (target.domains || []).join(', ');
+  div.querySelector('[data-field="schema"]').value = target.schema ? JSON.stringify(target.schema, null, 2) : '';
+  div.querySelector('.delete').addEventListener('click', () => div.remove());
+
+  container.appendChild(div);
+}
+
+/**
+ * Read the target editors back into settings
+ * @returns {Object} { targets: Array<Object>, error: string|null }
+ */
+function collectLoggingTargets() {
+  const targets = [];
+
+  for (const element of document.querySelectorAll('#loggingTargets .logging-target')) {
+    const field = (name) => element.querySelector(`[data-field="${name}"]`).value.trim();
+    const target = {
+      id: element.dataset.targetId,
+      name: field('name'),
+      sheetName: field('sheetName'),
+      domains: normalizeTargetDomains(field('domains')),
+      schema: null
+    };
+
+    if (field('schema')) {
+      try {
+        target.schema = JSON.parse(field('schema'));
+      } catch (error) {
+        return { targets, error: `Invalid schema JSON for logging target "${target.name || target.sheetName}": ${error.message}` };
+      }
+    }
+
+    const error = getLoggingTargetError(target);
+    if (error) {
+      return { targets, error };
+    }
+    targets.push(target);
+  }
+
+  return { targets, error: null };
+}
+
+// ============ JOB BOARDS ============
+
+/**
+ * Render the user's domain → board mappings and the sites recognized without one
+ * @param {Array<Object>} mappings - CUSTOM_JOB_BOARDS ([{ domain, board }])
+ */
+function renderJobBoardMappings(mappings) {
+  const container = document.getElementById('jobBoardMappings');
+  if (!container) return;
+
+  container.innerHTML = '';
+  mappings.forEach(mapping => addJobBoardMapping(mapping));
+
+  const known = document.getElementById('knownJobBoards');
+  if (known) {
+    const names = type => JOB_BOARD_TABLE.filter(entry => entry.type === type).map(entry => entry.name).join(', ');
+    known.textContent = `Recognized boards: ${names('board')}. Recognized ATS: ${names('ats')}.`;
+  }
+}
+
+/**
+ * Append a mapping editor to the list
+ * @param {Object} mapping - Existing mapping, or omitted for a new empty one
+ */
+function addJobBoardMapping(mapping = {}) {
+  const container = document.getElementById('jobBoardMappings');
+  const div = document.createElement('div');
+  div.className = 'logging-target-row job-board-mapping';
+
+  div.innerHTML = `
+    <input type="text" data-field="domain" placeholder="Domain (e.g., jobs.mycollege.edu)">
+    <input type="text" data-field="board" placeholder="Board (e.g., Career Center)">
+    <button type="button" class="schema-btn delete">✕ Remove</button>
+  `;
+
+  div.querySelector('[data-field="domain"]').value = mapping.domain || '';
+  div.querySelector('[data-field="board"]').value = mapping.board || '';
+  div.querySelector('.delete').addEventListener('click', () => div.remove());
+
+  container.appendChild(div);
+}
+
+/**
+ * Read the mapping editors back into settings (rows left empty are skipped)
+ * @returns {Object} { mappings: Array<Object>, error: string|null }
+ */
+function collectJobBoardMappings() {
+  const mappings = [];
+
+  for (const element of document.querySelectorAll('#jobBoardMappings .job-board-mapping')) {
+    const domain = element.querySelector('[data-field="domain"]').value.trim();
+    const board = element.querySelector('[data-field="board"]').value.trim();
+    if (!domain && !board) continue;
+
+    if (!domain || !board) {
+      return { mappings, error: `Job board mapping "${domain || board}" needs both a domain and a board` };
+    }
+    mappings.push({ domain, board });
+  }
+
+  return { mappings: normalizeCustomJobBoards(mappings), error: null };
+}
+
+// Fill the shared secret field with a random 256-bit value and show it so it can be copied
+// into setupConfiguration()
+function generateSharedSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const input = document.getElementById('sharedSecret');
+  input.value = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  input.type = 'text';
+  input.select();
+  showStatus('Secret generated. Copy it into setupConfiguration(), run it, then save these settings.', 'info');
+}
+
 // Reset settings to defaults
 async function resetSettings() {
   if (!confirm('Are you sure you want to reset all settings to defaults?')) {
@@ -796,6 +1043,7 @@ async function testConnection() {
       APPS_SCRIPT_ENDPOINT: document.getElementById('appsScriptEndpoint').value.trim(),
       SPREADSHEET_ID: document.getElementById('spreadsheetId').value.trim(),
       PROJECT_ID: document.getElementById('projectId').value.trim(),
+      SHARED_SECRET: document.getElementById('sharedSecret').value.trim(),
       ENABLE_MANUAL_ENTRY: document.getElementById('enableManualEntry').checked,
       TARGET_SHEET_NAME: document.getElementById('targetSheetName').value.trim() || 'Job Applications'
     };
@@ -814,6 +1062,7 @@ async function testConnection() {
     } else {
       showStatus(response.error || 'Connection test failed', 'error');
     }
+    renderEndpointWarnings(response.warnings || []);
   } catch (error) {
     console.error('Error testing connection:', error);
     showStatus('Error testing connection: ' + error.message, 'error');
@@ -824,6 +1073,38 @@ async function testConnection() {
   }
 }
 
+// Check the deployed Apps Script version against this extension (no test row is written)
+async function checkEndpointVersion() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'checkEndpointCapabilities' });
+    if (response && response.success) {
+      renderEndpointWarnings(response.warnings);
+    }
+  } catch (error) {
+    console.error('Error checking endpoint version:', error);
+  }
+}
+
+// Show upgrade guidance for an outdated Apps Script deployment (hidden when there is none)
+function renderEndpointWarnings(warnings) {
+  const box = document.getElementById('endpointCheck');
+  if (!box) return;
+
+  box.innerHTML = '';
+  box.classList.toggle('visible', warnings.length > 0);
+  if (warnings.length === 0) return;
+
+  const title = document.createElement('strong');
+  title.textContent = '⚠️ Your Apps Script deployment needs an update';
+  const list = document.createElement('ul');
+  warnings.forEach(warning => {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    list.appendChild(item);
+  });
+  box.append(title, list);
+}
+
 // Download config.local.js file
 function downloadConfig() {
   const endpoint = document.getElementById('appsScriptEndpoint').value.trim();
@@ -1088,10 +1369,12 @@ async function loadSchema() {
     const result = await chrome.storage.sync.get(['JOB_DATA_SCHEMA']);
     currentSchema = result.JOB_DATA_SCHEMA || DEFAULT_SCHEMA;
     renderSchemaEditor();
+    renderRoleRules(currentSchema.roleRules || DEFAULT_ROLE_RULES);
   } catch (error) {
     console.error('Error loading schema:', error);
     currentSchema = DEFAULT_SCHEMA;
     renderSchemaEditor();
+    renderRoleRules(DEFAULT_ROLE_RULES);
   }
 }
 
@@ -1122,7 +1405,15 @@ async function saveSchema() {
       columns.push(column);
     });
 
-    const schema = { columns };
+    const { rules: roleRules, errors } = collectRoleRules();
+    if (errors.length > 0) {
+      const statusDiv = document.getElementById('schemaSaveStatus');
+      statusDiv.className = 'status-message error';
+      statusDiv.textContent = `Role rules not saved: ${errors.join('; ')}`;
+      return;
+    }
+
+    const schema = { columns, roleRules };
 
     // Save to storage
     await chrome.storage.sync.set({ JOB_DATA_SCHEMA: schema });
@@ -1131,15 +1422,24 @@ async function saveSchema() {
     // Show success message
     const statusDiv = document.getElementById('schemaSaveStatus');
     statusDiv.className = 'status-message success';
-    statusDiv.textContent = 'Schema saved successfully!';
+    statusDiv.textContent = 'Schema saved successfully! Updating sheet columns...';
+
+    // The service worker lays out the logging targets' sheets by the new schema
+    const sync = await chrome.runtime.sendMessage({ action: 'schemaUpdated', schema });
+    if (sync && sync.success) {
+      statusDiv.textContent = `Schema saved successfully! Sheet columns updated in ${sync.synced.map(item => item.sheet).join(', ')}.`;
+    } else if (sync && !sync.skipped) {
+      statusDiv.className = 'status-message error';
+      statusDiv.textContent = `Schema saved, but the sheet columns could not be updated: ${sync.error}`;
+      return;
+    } else {
+      statusDiv.textContent = 'Schema saved successfully!';
+    }
     setTimeout(() => {
       statusDiv.className = 'status-message';
       statusDiv.textContent = '';
     }, 3000);
 
-    // Notify other parts of the extension
-    chrome.runtime.sendMessage({ action: 'schemaUpdated', schema });
-
   } catch (error) {
     console.error('Error saving schema:', error);
     const statusDiv = document.getElementById('schemaSaveStatus');
@@ -1150,12 +1450,13 @@ async function saveSchema() {
 
 // Reset schema to default
 async function resetSchema() {
-  if (!confirm('Reset schema to default? This will remove all custom columns.')) {
+  if (!confirm('Reset schema to default? This will remove all custom columns and role rules.')) {
     return;
   }
 
   currentSchema = JSON.parse(JSON.stringify(DEFAULT_SCHEMA));
   renderSchemaEditor();
+  renderRoleRules(DEFAULT_ROLE_RULES);
 
   const statusDiv = document.getElementById('schemaSaveStatus');
   statusDiv.className = 'status-message info';
@@ -1368,15 +1669,142 @@ function setupDragAndDrop(element) {
   });
 }
 
+// ============ ROLE RULES ============
+
+/**
+ * Render the role rule editors
+ * @param {Array<Object>} rules - Saved rules (role-rules.js format)
+ */
+function renderRoleRules(rules) {
+  const container = document.getElementById('roleRules');
+  if (!container) return;
+
+  container.innerHTML = '';
+  rules.forEach(rule => addRoleRule(rule));
+  updateRoleRulePreview();
+}
+
+/**
+ * Append a role rule editor to the list
+ * @param {Object} rule - Existing rule, or omitted for a new empty one
+ */
+function addRoleRule(rule = {}) {
+  const container = document.getElementById('roleRules');
+  const div = document.createElement('div');
+  div.className = 'role-rule';
+
+  div.innerHTML = `
+    <div class="role-rule-row">
+      <input type="text" data-field="category" placeholder="Category (e.g., DSCI)">
+      <input type="number" data-field="priority" placeholder="Priority" title="Higher priorities are tried first">
+      <button type="button" class="schema-btn delete">✕ Remove</button>
+    </div>
+    <div class="role-rule-row">
+      <input type="text" data-field="include" placeholder="Include keywords, comma-separated (e.g., data scien, /\\bml\\b/)">
+    </div>
+    <div class="role-rule-row">
+      <input type="text" data-field="exclude" placeholder="Exclude keywords (optional), e.g. intern, sales">
+    </div>
+  `;
+
+  // Values are set as properties so keywords never end up parsed as HTML
+  div.querySelector('[data-field="category"]').value = rule.category || '';
+  div.querySelector('[data-field="priority"]').value = rule.priority !== undefined ? rule.priority : 0;
+  div.querySelector('[data-field="include"]').value = (rule.include || []).join(', ');
+  div.querySelector('[data-field="exclude"]').value = (rule.exclude || []).join(', ');
+  div.querySelector('.delete').addEventListener('click', () => {
+    div.remove();
+    updateRoleRulePreview();
+  });
+  div.addEventListener('input', updateRoleRulePreview);
+
+  container.appendChild(div);
+}
+
+/**
+ * Split a comma-separated keyword list, keeping commas inside /pattern/ entries
+ * @param {string} text - e.g. "data scien, /\bml{1,2}\b/"
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function splitRoleRuleKeywords(text) {
+  return (text.match(/\s*\/(?:\\.|[^\\])*?\/(?=\s*(?:,|$))|[^,]+/g) || [])
+    .map(entry => entry.trim())
+    .filter(entry => entry);
+}
+
+/**
+ * Read the role rule editors back into rules
+ * @returns {Object} { rules: Array<Object>, errors: Array<string> } - rules are normalized when there are no errors
+ */
+function collectRoleRules() {
+  const rules = Array.from(document.querySelectorAll('#roleRules .role-rule')).map(element => {
+    const field = (name) => element.querySelector(`[data-field="${name}"]`).value.trim();
+    return {
+      category: field('category'),
+      include: splitRoleRuleKeywords(field('include')),
+      exclude: splitRoleRuleKeywords(field('exclude')),
+      priority: field('priority') === '' ? 0 : Number(field('priority'))
+    };
+  });
+
+  const errors = getRoleRuleErrors(rules);
+  return { rules: errors.length > 0 ? rules : normalizeRoleRules(rules), errors };
+}
+
+/**
+ * Show which category each sample title gets with the rules as edited
+ * Also points out categories the Role column's dropdown doesn't offer
+ */
+function updateRoleRulePreview() {
+  const preview = document.getElementById('roleRulePreview');
+  const titlesInput = document.getElementById('roleRulePreviewTitles');
+  if (!preview || !titlesInput) return;
+
+  preview.innerHTML = '';
+  const addLine = (text, color) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    if (color) line.style.color = color;
+    preview.appendChild(line);
+  };
+
+  const { rules, errors } = collectRoleRules();
+  if (errors.length > 0) {
+    errors.forEach(error => addLine(`⚠️ ${error}`, '#c0392b'));
+    return;
+  }
+
+  const roleColumn = Array.from(document.querySelectorAll('.schema-column'))
+    .find(element => element.querySelector('[data-field="id"]').value.trim() === 'role');
+  if (roleColumn && roleColumn.querySelector('[data-field="type"]').value === 'select') {
+    const options = roleColumn.querySelector('[data-field="options"]').value.split('\n').map(option => option.trim());
+    const unknown = [...new Set(rules.map(rule => rule.category))].filter(category => !options.includes(category));
+    if (unknown.length > 0) {
+      addLine(`⚠️ Not among the Role options: ${unknown.join(', ')}. Add them to the Role column's options so the manual entry form can pick them.`, '#b9770e');
+    }
+  }
+
+  titlesInput.value.split('\n').map(title => title.trim()).filter(title => title).forEach(title => {
+    const match = matchRoleRule(title, rules);
+    addLine(match
+      ? `${title} → ${match.category} (matched "${match.matched}")`
+      : `${title} → no role`, match ? null : '#7f8c8d');
+  });
+}
+
 // Setup schema editor event listeners
 function setupSchemaEditor() {
   const addBtn = document.getElementById('addSchemaColumn');
   const resetBtn = document.getElementById('resetSchema');
   const saveBtn = document.getElementById('saveSchema');
+  const addRuleBtn = document.getElementById('addRoleRule');
+  const previewInput = document.getElementById('roleRulePreviewTitles');
 
   if (addBtn) addBtn.addEventListener('click', addSchemaColumn);
   if (resetBtn) resetBtn.addEventListener('click', resetSchema);
   if (saveBtn) saveBtn.addEventListener('click', saveSchema);
+  if (addRuleBtn) addRuleBtn.addEventListener('click', () => addRoleRule());
+  if (previewInput) previewInput.addEventListener('input', updateRoleRulePreview);
 
   // Load schema when page loads
   loadSchema();
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for resending busy Apps Script requests (busy-retry.js)
+ * The endpoint half of the contract (answering busy under the script lock) is covered in
+ * google-apps-script-endpoint.test.js
+ */
+
+const {
+  BUSY_RETRY_LIMIT,
+  BUSY_RETRY_MAX_WAIT_MS,
+  getBusyRetryDelay,
+  sendWithBusyRetry
+} = require('../busy-retry');
+const { signRequestUrl } = require('../request-signing');
+const { verifyRequestSignature } = require('../local-gas-endpoint');
+
+const busyBody = (retryAfterMs) => JSON.stringify({
+  success: false,
+  busy: true,
+  retryAfterMs,
+  error: 'The spreadsheet is busy with another request. Please try again in a moment.'
+});
+
+/**
+ * Build a sendOnce() that answers with the given bodies in order
+ * @param {Array<string>} bodies - Response bodies
+ * @returns {Function} jest mock resolving with a Response per call
+ */
+function scriptedSend(bodies) {
+  let index = 0;
+  return jest.fn(async () => new Response(bodies[Math.min(index++, bodies.length - 1)], { status: 200 }));
+}
+
+describe('Busy Retry', () => {
+  let wait;
+
+  beforeEach(() => {
+    wait = jest.fn(async () => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getBusyRetryDelay', () => {
+    test('should use the wait the script suggests', () => {
+      expect(getBusyRetryDelay({ retryAfterMs: 2500 })).toBe(2500);
+    });
+
+    test('should cap the wait at BUSY_RETRY_MAX_WAIT_MS', () => {
+      expect(getBusyRetryDelay({ retryAfterMs: 60000 })).toBe(BUSY_RETRY_MAX_WAIT_MS);
+    });
+
+    test('should fall back to one second without a usable suggestion', () => {
+      expect(getBusyRetryDelay({})).toBe(1000);
+      expect(getBusyRetryDelay({ retryAfterMs: 'soon' })).toBe(1000);
+      expect(getBusyRetryDelay({ retryAfterMs: -5 })).toBe(1000);
+    });
+  });
+
+  describe('sendWithBusyRetry', () => {
+    test('should return the first answer when the script is not busy', async () => {
+      const send = scriptedSend([JSON.stringify({ success: true, row: 2 })]);
+
+      const response = await sendWithBusyRetry(send, wait);
+
+      expect(await response.json()).toEqual({ success: true, row: 2 });
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+
+    test('should resend after the suggested wait until the script answers', async () => {
+      const send = scriptedSend([busyBody(1500), busyBody(30000), JSON.stringify({ success: true, row: 2 })]);
+
+      const response = await sendWithBusyRetry(send, wait);
+
+      expect(await response.json()).toEqual({ success: true, row: 2 });
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(wait.mock.calls).toEqual([[1500], [BUSY_RETRY_MAX_WAIT_MS]]);
+    });
+
+    test('should give up after BUSY_RETRY_LIMIT resends and return the busy answer', async () => {
+      const send = scriptedSend([busyBody(1000)]);
+
+      const response = await sendWithBusyRetry(send, wait);
+
+      expect(await response.json()).toMatchObject({ success: false, busy: true });
+      expect(send).toHaveBeenCalledTimes(BUSY_RETRY_LIMIT + 1);
+      expect(wait).toHaveBeenCalledTimes(BUSY_RETRY_LIMIT);
+    });
+
+    test('should return non-JSON answers unread so the caller can report them', async () => {
+      const send = jest.fn(async () => new Response('<html>Service unavailable</html>', { status: 503 }));
+
+      const response = await sendWithBusyRetry(send, wait);
+
+      expect(response.status).toBe(503);
+      expect(await response.text()).toBe('<html>Service unavailable</html>');
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+
+    test('should sign every resend afresh', async () => {
+      const secret = 'test-shared-secret';
+      const body = JSON.stringify({ title: 'Data Scientist' });
+      const bodies = [busyBody(1000), busyBody(1000), JSON.stringify({ success: true })];
+      let now = 1736937000000;
+      const urls = [];
+
+      await sendWithBusyRetry(async () => {
+        urls.push(await signRequestUrl('https://script.google.com/macros/s/abc/exec', body, secret, now));
+        return new Response(bodies[urls.length - 1]);
+      }, async (ms) => { now += ms; });
+
+      expect(new Set(urls).size).toBe(3);
+      const lastQuery = Object.fromEntries(new URL(urls[2]).searchParams);
+      expect(lastQuery.ts).toBe(String(1736937000000 + 2000));
+      expect(verifyRequestSignature(secret, lastQuery, body, now)).toEqual({ valid: true });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the endpoint version handshake (endpoint-capabilities.js)
+ * Covers how capabilities responses from current, outdated and pre-handshake deployments are judged
+ */
+
+const {
+  MIN_ENDPOINT_VERSION,
+  compareVersions,
+  checkEndpointCapabilities
+} = require('../endpoint-capabilities');
+
+describe('Endpoint Capabilities', () => {
+  const current = {
+    success: true,
+    version: MIN_ENDPOINT_VERSION,
+    operations: ['logJob', 'logBatch', 'updateStatus', 'listJobs', 'syncSchema', 'summary', 'followUps'],
+    schemaValidation: true,
+    roleRules: true,
+    jobBoards: true,
+    requestSigning: { supported: true, required: true }
+  };
+
+  describe('compareVersions', () => {
+    test('should compare each part numerically', () => {
+      expect(compareVersions('1.10.0', '1.9.3')).toBeGreaterThan(0);
+      expect(compareVersions('1.1', '1.1.0')).toBe(0);
+      expect(compareVersions('0.9.9', '1.0.0')).toBeLessThan(0);
+    });
+  });
+
+  describe('checkEndpointCapabilities', () => {
+    test('should accept a current deployment', () => {
+      expect(checkEndpointCapabilities(current, { usesSchema: true, hasSharedSecret: true })).toEqual({
+        upToDate: true,
+        version: MIN_ENDPOINT_VERSION,
+        warnings: []
+      });
+    });
+
+    test('should treat job lists and error pages from old deployments as outdated', () => {
+      const jobList = { success: true, count: 0, total: 0, jobs: [] };
+
+      for (const response of [jobList, null]) {
+        const result = checkEndpointCapabilities(response);
+        expect(result.upToDate).toBe(false);
+        expect(result.warnings[0]).toContain('does not report its version');
+        expect(result.warnings[0]).toContain('New version');
+      }
+    });
+
+    test('should name the features an old version is missing', () => {
+      const result = checkEndpointCapabilities({ ...current, version: '1.0.0', operations: ['logJob', 'listJobs'] });
+
+      expect(result.upToDate).toBe(false);
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toContain(`version 1.0.0; this extension expects ${MIN_ENDPOINT_VERSION} or later`);
+      expect(result.warnings[0]).toContain('sending queued jobs in one request, status updates from the popup');
+    });
+
+    test('should only ask for the schema validator when a schema is in use', () => {
+      const withoutValidator = { ...current, schemaValidation: false };
+
+      expect(checkEndpointCapabilities(withoutValidator, { usesSchema: false }).warnings).toEqual([]);
+      expect(checkEndpointCapabilities(withoutValidator, { usesSchema: true }).warnings[0])
+        .toContain('job-schema-validator.js is missing');
+    });
+
+    test('should ask for role-rules.js when the deployment lacks it', () => {
+      const result = checkEndpointCapabilities({ ...current, roleRules: undefined });
+
+      expect(result.upToDate).toBe(false);
+      expect(result.warnings).toEqual([expect.stringContaining('role-rules.js is missing')]);
+    });
+
+    test('should ask for job-boards.js when the deployment lacks it', () => {
+      const result = checkEndpointCapabilities({ ...current, jobBoards: false });
+
+      expect(result.upToDate).toBe(false);
+      expect(result.warnings).toEqual([expect.stringContaining('job-boards.js is missing')]);
+    });
+
+    test('should warn when a shared secret is set here but not checked there', () => {
+      const unsigned = checkEndpointCapabilities(
+        { ...current, requestSigning: { supported: true, required: false } },
+        { hasSharedSecret: true }
+      );
+      expect(unsigned.upToDate).toBe(true);
+      expect(unsigned.warnings[0]).toContain('setupConfiguration()');
+
+      const unsupported = checkEndpointCapabilities({ ...current, requestSigning: undefined }, { hasSharedSecret: true });
+      expect(unsupported.upToDate).toBe(false);
+      expect(unsupported.warnings[0]).toContain('cannot check request signatures');
+    });
+  });
+});
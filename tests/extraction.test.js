@@ -412,6 +412,18 @@ describe('Feature 2: Extraction - Service Worker Integration', () => {
   });
 });
 
+describe('Feature 2: Extraction - Board and ATS', () => {
+  test('should name the board and ATS from the shared job board table', () => {
+    const { extractSource, extractAts } = require('../content-script-testable');
+
+    expect(extractSource('https://www.linkedin.com/jobs/view/123')).toBe('LinkedIn');
+    expect(extractSource('https://jobs.lever.co/acme/1')).toBe('Website');
+    expect(extractAts('https://jobs.lever.co/acme/1')).toBe('Lever');
+    expect(extractSource('https://example.com/jobs/1')).toBe('Other');
+    expect(extractAts('not a url')).toBe('');
+  });
+});
+
 describe('Feature 2: Extraction - Integration Tests', () => {
   test('should complete full extraction workflow', () => {
     document.body.innerHTML = `
@@ -0,0 +1,890 @@
+/**
+ * Tests for the Google Apps Script endpoint (google-apps-script-endpoint.js)
+ *
+ * The real script runs in the Apps Script emulator (gas-emulator.js), so doPost/doGet,
+ * the sheet layout and the helper functions are checked exactly as deployed.
+ */
+
+const path = require('path');
+const { createGasEmulator } = require('../gas-emulator');
+const { computeRequestSignature } = require('../local-gas-endpoint');
+const { checkEndpointCapabilities } = require('../endpoint-capabilities');
+
+describe('Google Apps Script Endpoint', () => {
+  const job = {
+    title: 'Data Scientist',
+    company: 'Tech Corp',
+    location: 'San Francisco, CA',
+    url: 'https://www.linkedin.com/jobs/view/123',
+    timestamp: '2025-01-15T10:30:00.000Z',
+    team_size: '12'
+  };
+  let gas;
+
+  beforeEach(() => {
+    gas = createGasEmulator({ timeZone: 'America/New_York' });
+  });
+
+  const sheetValues = (name = 'Job Applications') =>
+    gas.spreadsheet.getSheetByName(name).getDataRange().getValues();
+
+  describe('inferRole and inferBoard', () => {
+    test.each([
+      ['Senior Data Scientist', 'DSCI'],
+      ['Machine Learning Engineer', 'DSCI'],
+      ['Backend Developer', 'CODE'],
+      ['Quantitative Analyst', 'STAT'],
+      ['Research Scientist', 'R&D'],
+      ['Product Manager', ''],
+      ['', '']
+    ])('inferRole(%p) should be %p', (title, role) => {
+      expect(gas.script.inferRole(title)).toBe(role);
+    });
+
+    test('should infer the board from the URL or source', () => {
+      expect(gas.script.inferBoard('https://www.indeed.com/viewjob?jk=1', '')).toBe('Indeed');
+      expect(gas.script.inferBoard('https://example.com/apply', 'LinkedIn')).toBe('LinkedIn');
+      expect(gas.script.inferBoard('https://boards.greenhouse.io/acme/jobs/1', '')).toBe('Website');
+      expect(gas.script.inferBoard('https://example.com/apply', '')).toBe('Other');
+      expect(gas.script.inferBoard('', '')).toBe('Other');
+    });
+
+    test('should infer the ATS from the URL', () => {
+      expect(gas.script.inferAts('https://jobs.ashbyhq.com/acme/123')).toBe('Ashby');
+      expect(gas.script.inferAts('https://acme.wd5.myworkdayjobs.com/en-US/careers/job/1')).toBe('Workday');
+      expect(gas.script.inferAts('https://www.linkedin.com/jobs/view/123')).toBe('');
+    });
+  });
+
+  describe('getOrCreateHeaders', () => {
+    test('should lay out a new sheet with standard, system and custom columns in bold blue', () => {
+      const sheet = gas.spreadsheet.insertSheet('Job Applications');
+      const headers = gas.script.getOrCreateHeaders(sheet, { ...job, clientRequestId: 'req-1' }, true);
+
+      expect(headers).toEqual([
+        'Employer', 'Job Title', 'Location', 'Portal Link', 'Status', 'Applied', 'Decision', 'Team size'
+      ]);
+      expect(sheetValues()).toEqual([headers]);
+      expect(sheet.getFrozenRows()).toBe(1);
+      expect(sheet.getRange(1, 8).getFontWeight()).toBe('bold');
+      expect(sheet.getRange(1, 1).getBackground()).toBe('#4285f4');
+    });
+
+    test('should only append columns an existing sheet is missing', () => {
+      const sheet = gas.spreadsheet.insertSheet('Job Applications');
+      gas.script.getOrCreateHeaders(sheet, { title: 'A', company: 'B' }, true);
+
+      const headers = gas.script.getOrCreateHeaders(sheet, { title: 'C', source: 'Indeed', recruiter: 'Sam' }, false);
+
+      expect(headers).toEqual(['Employer', 'Job Title', 'Status', 'Applied', 'Decision', 'Board', 'Recruiter']);
+      expect(sheetValues()[0]).toEqual(headers);
+    });
+  });
+
+  describe('createRowData', () => {
+    test('should follow the header order and fill system and inferred columns', () => {
+      const headers = ['Job Title', 'Board', 'Role', 'Tailor', 'Status', 'Applied', 'Decision', 'Team size', 'Employer'];
+      const row = gas.script.createRowData(headers, job);
+
+      expect(row).toEqual(['Data Scientist', 'LinkedIn', 'DSCI', 'DSCI', 'No response', '1/15/2025', '', '12', 'Tech Corp']);
+    });
+  });
+
+  describe('doPost', () => {
+    test('should log a job to a new sheet', () => {
+      const response = gas.post(job);
+
+      expect(response).toMatchObject({ status: 200, body: { success: true, timestamp: job.timestamp } });
+      const [headers, row] = sheetValues();
+      expect(headers).toEqual(['Employer', 'Job Title', 'Location', 'Portal Link', 'Status', 'Applied', 'Decision', 'Team size']);
+      // The Portal Link shows the job title and links to the posting
+      expect(row.slice(0, 5)).toEqual(['Tech Corp', 'Data Scientist', 'San Francisco, CA', 'Data Scientist', 'No response']);
+      // Sheets turns the written M/d/yyyy text into a date
+      expect(Object.prototype.toString.call(row[5])).toBe('[object Date]');
+    });
+
+    test('should log to the target sheet and add columns for new fields', () => {
+      gas.post({ ...job, targetSheetName: 'Internships' });
+      gas.post({ ...job, targetSheetName: 'Internships', compensation: '$40/hr' });
+
+      const values = sheetValues('Internships');
+      expect(values).toHaveLength(3);
+      expect(values[0][8]).toBe('Compensation');
+      expect(values[2][8]).toBe('$40/hr');
+      expect(gas.spreadsheet.getSheetByName('Job Applications')).toBeNull();
+    });
+
+    test('should reject configuration fields and unknown operations', () => {
+      expect(gas.post({ ...job, spreadsheetId: 'abc' })).toMatchObject({ status: 400, body: { success: false } });
+      expect(gas.post({ operation: 'deleteAll' }).body.error).toBe('Unknown operation: deleteAll');
+      expect(gas.spreadsheet.getSheets()).toEqual([]);
+    });
+
+    test('should enforce the schema sent with a job and report field errors', () => {
+      const schema = {
+        columns: [
+          { id: 'company', label: 'Employer', type: 'text', required: true },
+          { id: 'url', label: 'Portal Link', type: 'url' },
+          { id: 'role', label: 'Role', type: 'select', options: ['CODE', 'DSCI'] }
+        ]
+      };
+
+      const refused = gas.post({ ...job, company: '', role: 'Design', schema });
+      expect(refused.status).toBe(400);
+      expect(refused.body).toEqual({
+        success: false,
+        error: 'Invalid job data: Employer is required; Role must be one of: CODE, DSCI',
+        fieldErrors: { company: 'Employer is required', role: 'Role must be one of: CODE, DSCI' }
+      });
+      expect(gas.spreadsheet.getSheets()).toEqual([]);
+
+      const batch = gas.post([{ ...job, schema }, { ...job, url: 'linkedin.com/jobs/1', schema }]);
+      expect(batch.body.results[1]).toEqual({
+        index: 1,
+        success: false,
+        error: 'Invalid job data: Portal Link must be a link starting with http:// or https://',
+        fieldErrors: { url: 'Portal Link must be a link starting with http:// or https://' }
+      });
+
+      // The schema steers validation only - it never becomes a column
+      expect(sheetValues()[0]).not.toContain('Schema');
+    });
+
+    test('should ask for job-schema-validator.js when a schema is sent without it', () => {
+      const withoutValidator = createGasEmulator({ files: [path.join(__dirname, '..', 'google-apps-script-endpoint.js')] });
+
+      const response = withoutValidator.post({ ...job, schema: { columns: [] } });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('job-schema-validator.js');
+      expect(withoutValidator.post(job).status).toBe(200);
+    });
+
+    test('should report a body that is not JSON', () => {
+      const response = gas.post('not json');
+      expect(response.status).toBe(500);
+      expect(response.body.error).toContain('Internal server error');
+    });
+
+    test('should ask for setupConfiguration() when the script is not configured', () => {
+      const unconfigured = createGasEmulator({ properties: {} });
+      const response = unconfigured.post(job);
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toContain('setupConfiguration()');
+    });
+
+    test('should explain a spreadsheet it cannot open', () => {
+      const wrongSheet = createGasEmulator({ spreadsheetId: 'some-other-id' });
+      const response = wrongSheet.post(job);
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toContain('Failed to write to spreadsheet');
+    });
+
+    test('should return the original result for a replayed clientRequestId', () => {
+      const first = gas.post({ ...job, clientRequestId: 'req-1' });
+      const replay = gas.post({ ...job, clientRequestId: 'req-1' });
+
+      expect(replay.body).toEqual({ ...first.body, replayed: true });
+      expect(sheetValues()).toHaveLength(2);
+    });
+
+    test('should log a batch with one result per job', () => {
+      const response = gas.post([
+        { ...job, clientRequestId: 'a' },
+        { ...job, projectId: 'nope' },
+        { ...job, clientRequestId: 'a' },
+        { ...job, title: 'Software Engineer', targetSheetName: 'Contract' }
+      ]);
+
+      expect(response.body).toMatchObject({ success: false, count: 4, logged: 3, failed: 1 });
+      expect(response.body.results).toEqual([
+        { index: 0, success: true, timestamp: job.timestamp, row: 2 },
+        { index: 1, success: false, error: expect.stringContaining('configuration fields') },
+        { index: 2, success: true, timestamp: job.timestamp, replayed: true },
+        { index: 3, success: true, timestamp: job.timestamp, row: 2 }
+      ]);
+      expect(gas.post([]).status).toBe(400);
+    });
+
+    test('should update a job by link or row ID', () => {
+      gas.post(job);
+      gas.post({ ...job, title: 'Senior Data Scientist' });
+
+      const byUrl = gas.post({ operation: 'updateStatus', url: ` ${job.url} `, updates: { status: 'Interviewing', recruiter: 'Sam' } });
+      expect(byUrl.body).toEqual({ success: true, row: 3, updated: ['Status', 'Recruiter'] });
+
+      const byRow = gas.post({ operation: 'updateStatus', rowId: 2, updates: { decision: 'Declined' } });
+      expect(byRow.body).toEqual({ success: true, row: 2, updated: ['Decision'] });
+
+      const jobs = gas.get().body.jobs;
+      expect(jobs.map(item => [item.status, item.decision, item.recruiter])).toEqual([
+        ['No response', 'Declined', ''],
+        ['Interviewing', '', 'Sam']
+      ]);
+    });
+
+    test('should answer 404 for an unknown job and 400 for an invalid update', () => {
+      gas.post(job);
+
+      expect(gas.post({ operation: 'updateStatus', rowId: 9, updates: { status: 'Offer' } }).status).toBe(404);
+      expect(gas.post({ operation: 'updateStatus', url: 'https://nowhere.example', updates: { status: 'Offer' } }).status).toBe(404);
+      expect(gas.post({ operation: 'updateStatus', url: job.url, updates: {} }).status).toBe(400);
+    });
+  });
+
+  describe('renamed columns', () => {
+    const renamedSheet = (headers) => {
+      const sheet = gas.spreadsheet.insertSheet('Job Applications');
+      sheet.appendRow(headers);
+      return sheet;
+    };
+
+    test('should match headers ignoring case, whitespace and built-in aliases', () => {
+      const sheet = renamedSheet(['company', ' JOB  title ', 'URL', 'status', 'Applied', 'Decision']);
+      const headers = gas.script.getOrCreateHeaders(sheet, { company: 'A', title: 'B', url: job.url, location: 'C' }, false);
+
+      expect(headers).toEqual(['company', ' JOB  title ', 'URL', 'status', 'Applied', 'Decision', 'Location']);
+    });
+
+    test('should fill renamed columns and report fields that got a new column', () => {
+      gas.properties.setProperty('HEADER_ALIASES', JSON.stringify({ status: ['Stage'], team_size: ['Headcount'] }));
+      renamedSheet(['Company', 'Job title', 'Stage', 'Applied', 'Headcount']);
+
+      const response = gas.post({ ...job, recruiter: 'Sam' });
+
+      expect(response.body).toEqual({
+        success: true,
+        timestamp: job.timestamp,
+        unmatchedFields: [
+          { field: 'location', column: 'Location', sheet: 'Job Applications' },
+          { field: 'url', column: 'Portal Link', sheet: 'Job Applications' },
+          { field: 'recruiter', column: 'Recruiter', sheet: 'Job Applications' }
+        ]
+      });
+      const [headers, row] = sheetValues();
+      expect(headers).toEqual(['Company', 'Job title', 'Stage', 'Applied', 'Headcount', 'Location', 'Portal Link', 'Recruiter']);
+      expect([row[0], row[1], row[2], row[4], row[7]]).toEqual(['Tech Corp', 'Data Scientist', 'No response', '12', 'Sam']);
+
+      // Matching jobs are reported nowhere, and renamed columns read back under their field IDs
+      expect(gas.post(job).body.unmatchedFields).toBeUndefined();
+      expect(gas.get().body.jobs[0]).toMatchObject({ company: 'Tech Corp', title: 'Data Scientist', status: 'No response', team_size: '12' });
+    });
+
+    test('should update renamed columns and report unmatched fields in batches', () => {
+      gas.properties.setProperty('HEADER_ALIASES', JSON.stringify({ status: ['Stage'] }));
+      renamedSheet(['Employer', 'Job Title', 'Portal Link', 'Stage']);
+
+      const batch = gas.post([{ ...job, team_size: undefined }, { ...job, pay: '$40/hr', team_size: undefined }]);
+      expect(batch.body.unmatchedFields).toEqual([
+        { field: 'location', column: 'Location', sheet: 'Job Applications' },
+        { field: 'pay', column: 'Pay', sheet: 'Job Applications' }
+      ]);
+
+      const update = gas.post({ operation: 'updateStatus', rowId: 2, updates: { status: 'Interviewing' } });
+      expect(update.body).toEqual({ success: true, row: 2, updated: ['Stage'] });
+      expect(sheetValues()[1][3]).toBe('Interviewing');
+    });
+
+    test('setupHeaderAliases should save the list and refuse names of other columns', () => {
+      expect(gas.script.setupHeaderAliases()).toMatchObject({ success: true, aliases: {} });
+      expect(gas.properties.getProperty('HEADER_ALIASES')).toBe('{}');
+
+      expect(gas.script.getHeaderAliasesError({ title: ['Employer'] })).toBe('"Employer" already names the company column');
+      expect(gas.script.getHeaderAliasesError({ url: 'Link' })).toContain('must be a list');
+      expect(gas.script.getHeaderAliasesError({ url: ['Posting'], company: ['Org'] })).toBeNull();
+    });
+  });
+
+  describe('schema-driven columns', () => {
+    const schema = {
+      columns: [
+        { id: 'title', label: 'Position', type: 'text', required: true },
+        { id: 'company', label: 'Company Name', type: 'text', required: false },
+        { id: 'url', label: 'Portal Link', type: 'url', required: false },
+        { id: 'team_size', label: 'Team Size', type: 'number', required: false }
+      ]
+    };
+
+    test('should lay out a new sheet in schema order and keep using the schema labels', () => {
+      expect(gas.post({ ...job, schema }).status).toBe(200);
+
+      const [headers, row] = sheetValues();
+      expect(headers).toEqual(['Position', 'Company Name', 'Portal Link', 'Team Size', 'Status', 'Applied', 'Decision', 'Location']);
+      expect(row.slice(0, 5)).toEqual(['Data Scientist', 'Tech Corp', 'Data Scientist', '12', 'No response']);
+      expect(JSON.parse(gas.properties.getProperty('SHEET_SCHEMAS'))['Job Applications'].columns[0])
+        .toEqual({ id: 'title', label: 'Position' });
+
+      // Jobs sent without a schema (older extensions) use the saved one
+      expect(gas.post({ ...job, recruiter: 'Sam' }).body.unmatchedFields)
+        .toEqual([{ field: 'recruiter', column: 'Recruiter', sheet: 'Job Applications' }]);
+      expect(gas.get().body.jobs[1]).toMatchObject({ title: 'Data Scientist', company: 'Tech Corp', team_size: '12', recruiter: 'Sam' });
+    });
+
+    test('should rename and move existing columns with their values', () => {
+      gas.post(job);
+      gas.post({ ...job, title: 'ML Engineer', schema });
+
+      const values = sheetValues();
+      expect(values[0]).toEqual(['Position', 'Company Name', 'Portal Link', 'Team Size', 'Location', 'Status', 'Applied', 'Decision']);
+      expect(values[1].slice(0, 6)).toEqual(['Data Scientist', 'Tech Corp', 'Data Scientist', '12', 'San Francisco, CA', 'No response']);
+      expect(values[2][0]).toBe('ML Engineer');
+      expect(gas.spreadsheet.getSheetByName('Job Applications').getRange(1, 1).getFontWeight()).toBe('bold');
+
+      const update = gas.post({ operation: 'updateStatus', rowId: 2, updates: { company: 'Tech Corp Inc.' } });
+      expect(update.body.updated).toEqual(['Company Name']);
+    });
+
+    test('syncSchema should update the columns without logging a job', () => {
+      gas.post({ ...job, schema });
+      const response = gas.post({
+        operation: 'syncSchema',
+        schema: {
+          columns: [
+            { id: 'company', label: 'Org' },
+            { id: 'title', label: 'Position' },
+            { id: 'deadline', label: 'Deadline', type: 'date' }
+          ]
+        }
+      });
+
+      // "Company Name" is still found through the previously saved schema
+      expect(response.body).toEqual({
+        success: true,
+        sheet: 'Job Applications',
+        columns: ['Org', 'Position', 'Deadline', 'Portal Link', 'Team Size', 'Status', 'Applied', 'Decision', 'Location'],
+        added: ['Deadline']
+      });
+      expect(sheetValues()[1].slice(0, 4)).toEqual(['Tech Corp', 'Data Scientist', '', 'Data Scientist']);
+      expect(gas.get().body.jobs[0]).toMatchObject({ company: 'Tech Corp', title: 'Data Scientist', team_size: '12' });
+
+      const created = gas.post({ operation: 'syncSchema', targetSheetName: 'Internships', schema });
+      expect(created.body.columns).toEqual(['Position', 'Company Name', 'Portal Link', 'Team Size', 'Status', 'Applied', 'Decision']);
+      expect(sheetValues('Internships')).toHaveLength(1);
+
+      expect(gas.post({ operation: 'syncSchema', schema: { columns: 'company' } }).status).toBe(400);
+    });
+  });
+
+  describe('sheet formatting', () => {
+    const colorRules = (sheet) => sheet.getConditionalFormatRules().map(rule => [
+      rule.getBooleanCondition().getCriteriaValues()[0],
+      rule.getBooleanCondition().getBackground()
+    ]);
+
+    test('should add status dropdowns, row colors and a clickable Portal Link', () => {
+      gas.post({ ...job, title: 'Engineer, 27" displays' });
+      const sheet = gas.spreadsheet.getSheetByName('Job Applications');
+
+      const validation = sheet.getRange(2, 5).getDataValidation();
+      expect(validation.getCriteriaValues()[0]).toEqual(['No response', 'Applied', 'Interviewing', 'Offer', 'Rejected', 'Withdrawn']);
+      expect(validation.getAllowInvalid()).toBe(true);
+      expect(sheet.getRange(2, 7).getDataValidation().getCriteriaValues()[0]).toEqual(['Pending', 'Accepted', 'Declined']);
+      expect(colorRules(sheet)).toHaveLength(6);
+      expect(colorRules(sheet)[3]).toEqual(['=$E2="Offer"', '#e6f4ea']);
+
+      expect(sheet.getRange(2, 4).getFormulas()).toEqual([[`=HYPERLINK("${job.url}", "Engineer, 27"" displays")`]]);
+      expect(sheet.getRange(2, 4).getValue()).toBe('Engineer, 27" displays');
+      expect(gas.get().body.jobs[0].url).toBe(job.url);
+
+      // Lookups use the link inside the formula, and updates keep the formula
+      expect(gas.post({ operation: 'updateStatus', url: job.url, updates: { status: 'Offer' } }).body.row).toBe(2);
+      expect(sheet.getRange(2, 4).getFormulas()[0][0]).toContain('=HYPERLINK(');
+    });
+
+    test('should move the row colors with the Status column and keep other rules', () => {
+      gas.post(job);
+      const sheet = gas.spreadsheet.getSheetByName('Job Applications');
+      const ownRule = gas.script.SpreadsheetApp.newConditionalFormatRule()
+        .whenFormulaSatisfied('=$H2>10').setBackground('#000000').setRanges([sheet.getRange(2, 8)]).build();
+      sheet.setConditionalFormatRules([ownRule, ...sheet.getConditionalFormatRules()]);
+
+      gas.post({
+        operation: 'syncSchema',
+        schema: { columns: [{ id: 'title', label: 'Job Title' }, { id: 'status', label: 'Status' }] }
+      });
+
+      expect(colorRules(sheet)).toHaveLength(7);
+      expect(colorRules(sheet)[0]).toEqual(['=$H2>10', '#000000']);
+      expect(colorRules(sheet)[1][0]).toBe('=$B2="No response"');
+    });
+
+    test('setupStatusStages should validate the lists and format existing sheets', () => {
+      gas.post(job);
+
+      expect(gas.script.getStatusStagesError([{ name: 'Applied', color: 'green' }], [])).toContain('#e6f4ea');
+      expect(gas.script.getStatusStagesError([{ name: 'Applied' }, { name: 'Applied' }], [])).toContain('twice');
+      expect(gas.script.setupStatusStages()).toMatchObject({ success: true, formattedSheets: ['Job Applications'] });
+      expect(JSON.parse(gas.properties.getProperty('STATUS_STAGES')).decisions).toEqual(['Pending', 'Accepted', 'Declined']);
+      expect(gas.spreadsheet.getSheetByName('Job Applications').getConditionalFormatRules()).toHaveLength(6);
+    });
+
+    test('should cut values over the cell limit short without splitting characters', () => {
+      const description = 'x'.repeat(49986) + '🚀'.repeat(10000);
+      expect(gas.post({ ...job, description }).status).toBe(200);
+
+      const saved = gas.get().body.jobs[0].description;
+      // The limit falls inside the first emoji, so it is left out whole
+      expect(saved.length).toBe(49999);
+      expect(saved.endsWith('x… [truncated]')).toBe(true);
+
+      const update = gas.post({ operation: 'updateStatus', rowId: 2, updates: { description: description + description } });
+      expect(update.status).toBe(200);
+      expect(gas.get().body.jobs[0].description).toBe(saved);
+    });
+  });
+
+  describe('summary tab', () => {
+    test('should rebuild the Summary tab after appends and status updates', () => {
+      gas.post(job);
+      gas.post({ ...job, url: 'https://www.indeed.com/viewjob?jk=2', title: 'Backend Developer', timestamp: '2025-01-21T15:00:00.000Z' });
+      gas.post({ operation: 'updateStatus', rowId: 3, updates: { status: 'Interviewing' } });
+
+      const summary = sheetValues('Summary');
+      expect(summary[0][0]).toBe('JobSprint Summary');
+      expect(summary.slice(1, 4)).toEqual([['Applications', '2'], ['Responses', '1'], ['Response rate', '0.5']]);
+      expect(summary.slice(5, 8)).toEqual([['Status', 'Jobs'], ['No response', '1'], ['Applied', '0']]);
+      expect(summary).toContainEqual(['Week of', 'Applications']);
+      expect(summary).toContainEqual(['Indeed', '1']);
+      const sheet = gas.spreadsheet.getSheetByName('Summary');
+      expect(sheet.getRange(4, 2).getNumberFormat()).toBe('0%');
+      expect(sheet.getRange(6, 1).getFontWeight()).toBe('bold');
+    });
+
+    test('GET ?action=summary should return the numbers of every job sheet', () => {
+      gas.post(job);
+      gas.post({ ...job, targetSheetName: 'Internships', timestamp: '2025-01-21T15:00:00.000Z', status: 'Offer' });
+      gas.spreadsheet.insertSheet('Notes').getRange(1, 1, 2, 1).setValues([['Idea'], ['Follow up with Sam']]);
+
+      const { status, body } = gas.get({ action: 'summary' });
+      expect(status).toBe(200);
+      expect(body.summary).toMatchObject({
+        total: 2,
+        responded: 0,
+        responseRate: 0,
+        byWeek: [{ week: '2025-01-13', count: 1 }, { week: '2025-01-20', count: 1 }],
+        byBoard: [{ name: 'LinkedIn', count: 2 }],
+        byRole: [{ name: 'DSCI', count: 2 }]
+      });
+      expect(body.summary.funnel[0]).toEqual({ status: 'No response', count: 2 });
+    });
+
+    test('should still report jobs as logged when the Summary tab cannot be written', () => {
+      gas.spreadsheet.insertSheet('Summary');
+      gas.spreadsheet.getSheetByName('Summary').clear = () => {
+        throw new Error('Exception: You can\'t remove all the rows on the sheet.');
+      };
+
+      expect(gas.post(job).body.success).toBe(true);
+      expect(gas.logs).toContainEqual({ level: 'warn', args: [expect.objectContaining({ message: 'JobSprint: Could not refresh the Summary tab' })] });
+    });
+  });
+
+  describe('follow-up reminders', () => {
+    const logJobs = () => {
+      gas.post(job);
+      gas.post({ ...job, url: 'https://www.linkedin.com/jobs/view/456', timestamp: new Date().toISOString() });
+      gas.post({ ...job, url: 'https://www.linkedin.com/jobs/view/789' });
+      gas.post({ operation: 'updateStatus', rowId: 4, updates: { status: 'Rejected' } });
+    };
+    const dueDates = () => gas.get().body.jobs.sort((a, b) => a.row - b.row).map(saved => saved.follow_up);
+
+    test('checkFollowUps should date and highlight only jobs waiting too long for an answer', () => {
+      logJobs();
+
+      expect(gas.script.checkFollowUps()).toEqual({ success: true, days: 7, flagged: 1, sheets: ['Job Applications'] });
+      expect(dueDates()).toEqual(['2025-01-22', '', '']);
+      const sheet = gas.spreadsheet.getSheetByName('Job Applications');
+      const letter = String.fromCharCode(64 + sheetValues()[0].indexOf('Follow up') + 1);
+      const rules = sheet.getConditionalFormatRules();
+      expect(rules[0].getBooleanCondition().getCriteriaValues()).toEqual([`=$${letter}2<>""`]);
+      expect(rules[0].getBooleanCondition().getBackground()).toBe('#fbbc04');
+
+      // Checking again replaces the highlight instead of adding another one
+      gas.script.checkFollowUps();
+      expect(sheet.getConditionalFormatRules()).toHaveLength(rules.length);
+
+      // An answer clears the due date
+      gas.post({ operation: 'updateStatus', rowId: 2, updates: { status: 'Interviewing' } });
+      expect(dueDates()[0]).toBe('');
+      expect(gas.script.checkFollowUps().flagged).toBe(0);
+    });
+
+    test('should not add the column while no job is due', () => {
+      gas.post({ ...job, timestamp: new Date().toISOString() });
+
+      expect(gas.script.checkFollowUps().flagged).toBe(0);
+      expect(sheetValues()[0]).not.toContain('Follow up');
+    });
+
+    test('GET ?action=followUps should list the jobs due on every job sheet', () => {
+      logJobs();
+      gas.post({ ...job, targetSheetName: 'Internships', timestamp: '2025-01-10T15:00:00.000Z' });
+      gas.spreadsheet.insertSheet('Notes').getRange(1, 1, 2, 1).setValues([['Idea'], ['Follow up with Sam']]);
+
+      const { status, body } = gas.get({ action: 'followUps' });
+      expect(status).toBe(200);
+      expect(body).toEqual({
+        success: true,
+        days: 7,
+        count: 2,
+        followUps: [
+          { sheet: 'Internships', row: 2, company: 'Tech Corp', title: 'Data Scientist', url: job.url, applied: '2025-01-10', due: '2025-01-17' },
+          { sheet: 'Job Applications', row: 2, company: 'Tech Corp', title: 'Data Scientist', url: job.url, applied: '2025-01-15', due: '2025-01-22' }
+        ]
+      });
+    });
+
+    test('setupFollowUpReminders should install one daily trigger however often it runs', () => {
+      logJobs();
+
+      expect(gas.script.setupFollowUpReminders()).toMatchObject({ success: true, days: 7, flagged: 1 });
+      gas.script.setupFollowUpReminders();
+
+      expect(gas.triggers).toEqual([expect.objectContaining({ handler: 'checkFollowUps', everyDays: 1, atHour: 9 })]);
+      expect(gas.properties.getProperty('FOLLOW_UP_DAYS')).toBe('7');
+      expect(gas.script.removeFollowUpReminders()).toBe(1);
+      expect(gas.triggers).toEqual([]);
+    });
+
+    test('should use the saved number of days', () => {
+      logJobs();
+      gas.properties.setProperty('FOLLOW_UP_DAYS', '10000');
+
+      expect(gas.get({ action: 'followUps' }).body).toMatchObject({ days: 10000, count: 0 });
+      expect(gas.script.checkFollowUps().flagged).toBe(0);
+    });
+
+    test('checkFollowUps should skip a run while the spreadsheet is busy or unconfigured', () => {
+      logJobs();
+      gas.lock.hold();
+
+      expect(gas.script.checkFollowUps()).toMatchObject({ success: false, flagged: 0 });
+      expect(sheetValues()[0]).not.toContain('Follow up');
+      expect(gas.lock.attempts.slice(-1)).toEqual([10000]);
+
+      const unconfigured = createGasEmulator({ properties: {} });
+      expect(unconfigured.script.checkFollowUps().error).toContain('setupConfiguration()');
+    });
+  });
+
+  describe('role rules', () => {
+    const schema = {
+      columns: [
+        { id: 'title', label: 'Job Title', type: 'text' },
+        { id: 'role', label: 'Role', type: 'select', options: ['PM', 'CODE'] }
+      ],
+      roleRules: [
+        { category: 'PM', include: ['product manager', '/\\bpm\\b/'], exclude: ['intern'], priority: 5 },
+        { category: 'CODE', include: ['engineer'], priority: 1 }
+      ]
+    };
+
+    test('should fill Role with the rules sent with the schema and keep them for later jobs', () => {
+      gas.post({ ...job, title: 'Senior Product Manager', schema });
+      gas.post({ ...job, title: 'PM, Platform Engineering' });
+      gas.post({ ...job, title: 'Product Manager Intern' });
+
+      expect(gas.get().body.jobs.map(saved => saved.role)).toEqual(['PM', 'PM', '']);
+      expect(JSON.parse(gas.properties.getProperty('ROLE_RULES'))[1]).toEqual({
+        category: 'CODE', include: ['engineer'], exclude: [], priority: 1
+      });
+      expect(gas.get({ action: 'summary' }).body.summary.byRole).toEqual([
+        { name: 'PM', count: 2 },
+        { name: 'Unknown', count: 1 }
+      ]);
+    });
+
+    test('syncSchema should save valid rules and reject invalid ones', () => {
+      expect(gas.post({ operation: 'syncSchema', schema }).status).toBe(200);
+      expect(gas.script.inferRole('Backend Engineer')).toBe('CODE');
+      expect(gas.script.inferRole('Data Scientist')).toBe('');
+
+      const response = gas.post({
+        operation: 'syncSchema',
+        schema: { ...schema, roleRules: [{ category: 'PM', include: ['/(product/'] }] }
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid role rules: Rule "PM": /(product/ is not a valid regular expression');
+      expect(JSON.parse(gas.properties.getProperty('ROLE_RULES'))[0].category).toBe('PM');
+    });
+
+    test('should leave Role empty without role-rules.js', () => {
+      const withoutRules = createGasEmulator({
+        files: ['job-schema-validator.js', 'google-apps-script-endpoint.js'].map(file => path.join(__dirname, '..', file))
+      });
+
+      expect(withoutRules.post({ ...job, schema }).status).toBe(200);
+      expect(withoutRules.get().body.jobs[0].role).toBe('');
+      expect(withoutRules.get({ action: 'capabilities' }).body.roleRules).toBe(false);
+    });
+  });
+
+  describe('job boards', () => {
+    test('should fill an ATS column sent empty and keep one sent with the job', () => {
+      gas.post({ ...job, url: 'https://jobs.lever.co/acme/1', source: '', ats: '' });
+      gas.post({ ...job, url: 'https://careers.acme.com/1', clientRequestId: 'req-2', ats: 'Phenom' });
+
+      const [headers, ...rows] = sheetValues();
+      const board = headers.indexOf('Board');
+      const ats = headers.indexOf('ATS');
+      expect(rows.map(row => [row[board], row[ats]])).toEqual([['Website', 'Lever'], ['Website', 'Phenom']]);
+    });
+
+    test('should say Other and leave ATS empty without job-boards.js', () => {
+      const withoutBoards = createGasEmulator({
+        files: ['job-schema-validator.js', 'role-rules.js', 'google-apps-script-endpoint.js'].map(file => path.join(__dirname, '..', file))
+      });
+
+      expect(withoutBoards.script.inferBoard('https://www.indeed.com/viewjob?jk=1', '')).toBe('Other');
+      expect(withoutBoards.script.inferAts('https://jobs.lever.co/acme/1')).toBe('');
+      expect(withoutBoards.get({ action: 'capabilities' }).body.jobBoards).toBe(false);
+    });
+  });
+
+  describe('script lock', () => {
+    test('should hold the lock while writing and release it afterwards', () => {
+      expect(gas.post(job).status).toBe(200);
+      expect(gas.post({ operation: 'updateStatus', url: job.url, updates: { status: 'Applied' } }).status).toBe(200);
+
+      expect(gas.lock.attempts).toEqual([10000, 10000]);
+      expect(gas.lock.isHeld()).toBe(false);
+    });
+
+    test('should answer busy without writing when another request holds the lock', () => {
+      gas.lock.hold();
+
+      const response = gas.post([job]);
+      expect(response).toEqual(expect.objectContaining({
+        status: 503,
+        body: {
+          success: false,
+          busy: true,
+          retryAfterMs: 2000,
+          error: 'The spreadsheet is busy with another request. Please try again in a moment.'
+        }
+      }));
+      expect(gas.spreadsheet.getSheetByName('Job Applications')).toBeNull();
+
+      gas.lock.release();
+      expect(gas.post([job]).body.logged).toBe(1);
+    });
+
+    test('should release the lock when a write fails', () => {
+      const broken = createGasEmulator({ spreadsheetId: 'another-spreadsheet' });
+
+      expect(broken.post(job).status).toBe(500);
+      expect(broken.lock.isHeld()).toBe(false);
+      expect(broken.post({ operation: 'syncSchema', schema: { columns: [{ id: 'title', label: 'Job Title' }] } }).body.success).toBe(false);
+      expect(broken.lock.attempts).toHaveLength(2);
+    });
+
+    test('should not take the lock for rejected or read-only requests', () => {
+      gas.post('not json');
+      gas.get();
+
+      expect(gas.lock.attempts).toEqual([]);
+    });
+  });
+
+  describe('doPost - signed requests', () => {
+    const secret = 'test-shared-secret';
+    const body = JSON.stringify(job);
+
+    beforeEach(() => {
+      gas = createGasEmulator({
+        properties: { SPREADSHEET_ID: 'test-spreadsheet-id', PROJECT_ID: 'test-project-id', SHARED_SECRET: secret }
+      });
+    });
+
+    test('should accept signatures made like the extension makes them', () => {
+      const ts = String(Date.now());
+      expect(gas.post(body, { ts, sig: computeRequestSignature(secret, ts, body) }).body.success).toBe(true);
+    });
+
+    test('should reject unsigned, stale and forged requests with 401', () => {
+      const ts = String(Date.now());
+      const stale = String(Date.now() - 10 * 60 * 1000);
+
+      expect(gas.post(body).body.error).toContain('not signed');
+      expect(gas.post(body, { ts: stale, sig: computeRequestSignature(secret, stale, body) }).body.error).toContain('expired');
+      expect(gas.post(body, { ts, sig: computeRequestSignature('other-secret', ts, body) })).toMatchObject({
+        status: 401,
+        body: { success: false, error: expect.stringContaining('Invalid request signature') }
+      });
+      expect(gas.spreadsheet.getSheets()).toEqual([]);
+    });
+
+    test('doGet should only answer signed reads once a secret is set', () => {
+      const ts = String(Date.now());
+      gas.post(body, { ts, sig: computeRequestSignature(secret, ts, body) });
+
+      for (const action of [undefined, 'summary', 'followUps']) {
+        const parameter = action ? { action } : {};
+        expect(gas.get(parameter)).toMatchObject({ status: 401, body: { success: false, error: expect.stringContaining('not signed') } });
+        expect(gas.get({ ...parameter, ts, sig: computeRequestSignature('other-secret', ts, '') }).status).toBe(401);
+        expect(gas.get({ ...parameter, ts, sig: computeRequestSignature(secret, ts, '') })).toMatchObject({ status: 200, body: { success: true } });
+      }
+      expect(gas.get({ ts, sig: computeRequestSignature(secret, ts, '') }).body.jobs).toHaveLength(1);
+
+      // The version handshake stays open so Test Connection can report a missing secret
+      expect(gas.get({ action: 'capabilities' }).body.requestSigning).toEqual({ supported: true, required: true });
+    });
+  });
+
+  describe('doGet', () => {
+    beforeEach(() => {
+      gas.post(job);
+      gas.post({ ...job, company: 'Other Co', timestamp: '2025-02-01T15:00:00.000Z' });
+    });
+
+    test('should list rows keyed by field ID with plain Applied dates', () => {
+      const response = gas.get();
+
+      expect(response.body).toMatchObject({ success: true, count: 2, total: 2, offset: 0, limit: 100 });
+      expect(response.body.jobs[0]).toEqual({
+        row: 2,
+        company: 'Tech Corp',
+        title: 'Data Scientist',
+        location: 'San Francisco, CA',
+        url: job.url,
+        status: 'No response',
+        applied: '2025-01-15',
+        decision: '',
+        team_size: '12'
+      });
+    });
+
+    test('should filter and paginate', () => {
+      expect(gas.get({ company: 'other' }).body.jobs.map(item => item.row)).toEqual([3]);
+      expect(gas.get({ from: '2025-02-01', to: '2025-02-01' }).body.total).toBe(1);
+      expect(gas.get({ limit: '1', offset: '1' }).body.jobs[0].row).toBe(3);
+      expect(gas.get({ limit: '0' }).status).toBe(400);
+      expect(gas.get({ sheet: 'Missing' }).body.jobs).toEqual([]);
+    });
+  });
+
+  describe('doGet - capabilities', () => {
+    test('should report a version and features this extension accepts', () => {
+      const response = gas.get({ action: 'capabilities' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        version: expect.stringMatching(/^\d+\.\d+\.\d+$/),
+        schemaValidation: true,
+        roleRules: true,
+        jobBoards: true,
+        requestSigning: { supported: true, required: false },
+        maxBatchSize: 100,
+        configured: true
+      });
+      expect(checkEndpointCapabilities(response.body, { usesSchema: true })).toEqual({
+        upToDate: true,
+        version: response.body.version,
+        warnings: []
+      });
+    });
+
+    test('should report the stages saved with setupStatusStages()', () => {
+      expect(gas.get({ action: 'capabilities' }).body.statusStages)
+        .toEqual(['No response', 'Applied', 'Interviewing', 'Offer', 'Rejected', 'Withdrawn']);
+
+      gas.properties.setProperty('STATUS_STAGES', JSON.stringify({
+        stages: [{ name: 'No response', color: '#f1f3f4' }, { name: 'Phone screen', color: '#fff4e5' }],
+        decisions: ['Pending']
+      }));
+      expect(gas.get({ action: 'capabilities' }).body.statusStages).toEqual(['No response', 'Phone screen']);
+    });
+
+    test('should report a missing validator, a shared secret and missing setup', () => {
+      const partial = createGasEmulator({
+        files: [path.join(__dirname, '..', 'google-apps-script-endpoint.js')],
+        properties: { SHARED_SECRET: 'test-shared-secret' }
+      });
+      const capabilities = partial.get({ action: 'capabilities' }).body;
+
+      expect(capabilities).toMatchObject({
+        success: true,
+        schemaValidation: false,
+        requestSigning: { supported: true, required: true },
+        configured: false
+      });
+      expect(checkEndpointCapabilities(capabilities, { usesSchema: true, hasSharedSecret: true }).upToDate).toBe(false);
+    });
+
+    test('should reject unknown actions', () => {
+      expect(gas.get({ action: 'deleteEverything' })).toMatchObject({
+        status: 400,
+        body: { success: false, error: 'Unknown action: deleteEverything' }
+      });
+    });
+  });
+
+  describe('setup and diagnostics', () => {
+    test('runDiagnostics should report spreadsheet access', () => {
+      expect(gas.script.runDiagnostics()).toEqual({
+        success: true,
+        message: 'All permissions OK',
+        spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/test-spreadsheet-id/edit',
+        spreadsheetName: 'JobSprint (emulated)'
+      });
+    });
+
+    test('runDiagnostics should fail without configuration or access', () => {
+      expect(createGasEmulator({ properties: {} }).script.runDiagnostics().success).toBe(false);
+
+      const result = createGasEmulator({ spreadsheetId: 'some-other-id' }).script.runDiagnostics();
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('openById');
+    });
+
+    test('setupConfiguration should refuse the placeholder IDs', () => {
+      expect(gas.script.setupConfiguration()).toEqual({
+        success: false,
+        error: 'Configuration not updated - placeholder values detected'
+      });
+    });
+
+    test('testDoPost should log a test job', () => {
+      expect(gas.script.testDoPost().success).toBe(true);
+      expect(sheetValues()[1][1]).toBe('Software Engineer (TEST)');
+    });
+  });
+
+  describe('emulated services', () => {
+    test('should reject setValues data that does not fit the range, like Sheets', () => {
+      const sheet = gas.spreadsheet.insertSheet('Scratch');
+
+      expect(() => sheet.getRange(1, 1, 2, 2).setValues([['a', 'b']])).toThrow(/number of rows/);
+      expect(() => gas.spreadsheet.insertSheet('Scratch')).toThrow(/already exists/);
+    });
+
+    test('should refuse cells over 50,000 characters and show links by their label, like Sheets', () => {
+      const sheet = gas.spreadsheet.insertSheet('Scratch');
+
+      expect(() => sheet.getRange(1, 1).setValue('a'.repeat(50001))).toThrow(/maximum of 50000 characters/);
+      sheet.getRange(1, 1, 1, 2).setValues([['=HYPERLINK("https://example.com/a")', '=HYPERLINK("https://example.com/b"; "B")']]);
+      expect(sheet.getDataRange().getValues()).toEqual([['https://example.com/a', 'B']]);
+    });
+
+    test('should move columns with their values and formatting, like Sheet.moveColumns', () => {
+      const sheet = gas.spreadsheet.insertSheet('Scratch');
+      sheet.getRange(1, 1, 2, 3).setValues([['a', 'b', 'c'], ['1', '2', '3']]);
+      sheet.getRange(1, 1).setFontWeight('bold');
+
+      sheet.moveColumns(sheet.getRange(1, 1), 3);
+      expect(sheet.getDataRange().getValues()).toEqual([['b', 'a', 'c'], ['2', '1', '3']]);
+      expect(sheet.getRange(1, 2).getFontWeight()).toBe('bold');
+
+      sheet.moveColumns(sheet.getRange(1, 3), 1);
+      expect(sheet.getDataRange().getValues()).toEqual([['c', 'b', 'a'], ['3', '2', '1']]);
+    });
+
+    test('should share sheets with the local sheet store', () => {
+      gas.post(job);
+
+      expect(gas.store.readJobs()[0]).toMatchObject({ company: 'Tech Corp', applied: '2025-01-15', team_size: '12' });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the shared job board and ATS detection (job-boards.js)
+ * Covers the board/ATS split, company careers pages, hand-typed sources and the user's domain mappings
+ */
+
+const {
+  JOB_BOARD_TABLE,
+  normalizeCustomJobBoards,
+  findCustomJobBoard,
+  detectJobBoard,
+  getJobBoardNames
+} = require('../job-boards');
+
+describe('Job Boards', () => {
+  describe('detectJobBoard', () => {
+    test.each([
+      ['https://www.linkedin.com/jobs/view/123', 'LinkedIn', ''],
+      ['https://app.joinhandshake.com/jobs/42', 'Handshake', ''],
+      ['https://wellfound.com/jobs/99-ml-engineer', 'Wellfound', ''],
+      ['https://www.google.com/about/careers/applications/jobs/results/1', 'Google', ''],
+      ['https://jobs.ashbyhq.com/acme/123', 'Website', 'Ashby'],
+      ['https://jobs.smartrecruiters.com/Acme/1', 'Website', 'SmartRecruiters'],
+      ['https://acme.bamboohr.com/careers/7', 'Website', 'BambooHR'],
+      ['https://jobs.jobvite.com/acme/job/o1', 'Website', 'Jobvite'],
+      ['https://apply.workable.com/acme/j/ABC/', 'Website', 'Workable'],
+      ['https://acme.wd5.myworkdayjobs.com/en-US/careers/job/1', 'Website', 'Workday'],
+      ['https://careers.acme.com/openings/1', 'Website', ''],
+      ['https://example.com/apply', 'Other', '']
+    ])('%s should be on %p with ATS %p', (url, board, ats) => {
+      expect(detectJobBoard(url)).toEqual({ board, ats });
+    });
+
+    test('should not match a domain inside another name or a path it does not start', () => {
+      expect(detectJobBoard('https://notlinkedin.com/jobs/1').board).toBe('Other');
+      expect(detectJobBoard('https://www.google.com/search?q=jobs').board).toBe('Other');
+    });
+
+    test('should fall back to a board named in the source text', () => {
+      expect(detectJobBoard('https://example.com/apply', 'Found on LinkedIn')).toEqual({ board: 'LinkedIn', ats: '' });
+      expect(detectJobBoard('', 'Indeed')).toEqual({ board: 'Indeed', ats: '' });
+      expect(detectJobBoard('', '')).toEqual({ board: 'Other', ats: '' });
+    });
+
+    test('should prefer the user\'s mappings over the table', () => {
+      const customBoards = [
+        { domain: 'https://www.jobs.mycollege.edu/', board: 'Career Center' },
+        { domain: 'greenhouse.io/acme', board: 'Acme Referrals' }
+      ];
+
+      expect(detectJobBoard('https://jobs.mycollege.edu/postings/1', '', customBoards))
+        .toEqual({ board: 'Career Center', ats: '' });
+      expect(detectJobBoard('https://boards.greenhouse.io/acme/jobs/1', '', customBoards))
+        .toEqual({ board: 'Acme Referrals', ats: 'Greenhouse' });
+      expect(detectJobBoard('https://boards.greenhouse.io/other/jobs/1', '', customBoards))
+        .toEqual({ board: 'Website', ats: 'Greenhouse' });
+    });
+  });
+
+  describe('custom job boards', () => {
+    test('should clean up domains and drop incomplete mappings', () => {
+      expect(normalizeCustomJobBoards([
+        { domain: ' HTTPS://WWW.Example.edu/Careers/?page=2 ', board: ' Campus ' },
+        { domain: 'example.org', board: '' },
+        { domain: 'example.net' },
+        null
+      ])).toEqual([{ domain: 'example.edu/careers', board: 'Campus' }]);
+      expect(normalizeCustomJobBoards('example.edu')).toEqual([]);
+    });
+
+    test('should find the first mapping for a URL', () => {
+      const customBoards = [{ domain: 'example.edu', board: 'Campus' }, { domain: 'jobs.example.edu', board: 'Jobs' }];
+
+      expect(findCustomJobBoard('https://jobs.example.edu/1', customBoards)).toBe('Campus');
+      expect(findCustomJobBoard('https://example.com/1', customBoards)).toBeNull();
+      expect(findCustomJobBoard('not a url', customBoards)).toBeNull();
+    });
+  });
+
+  describe('getJobBoardNames', () => {
+    test('should list table boards, then custom boards, then Website and Other', () => {
+      const names = getJobBoardNames([{ domain: 'example.edu', board: 'Campus' }, { domain: 'indeed.co.uk', board: 'Indeed' }]);
+      const boards = JOB_BOARD_TABLE.filter(entry => entry.type === 'board').map(entry => entry.name);
+
+      expect(names).toEqual([...boards, 'Campus', 'Website', 'Other']);
+      expect(names).not.toContain('Greenhouse');
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for the logged job history (job-history.js)
+ * Covers URL canonicalization, matching, merging re-logged jobs, and the tracker's filtering and sorting
+ * (IndexedDB storage needs a browser and is not exercised here)
+ */
+
+const {
+  JOB_STATUS_OPTIONS,
+  canonicalizeJobUrl,
+  getStatusOptions,
+  createHistoryEntry,
+  mergeHistoryEntry,
+  findHistoryMatch,
+  filterHistory,
+  sortHistory
+} = require('../job-history');
+
+describe('Job History', () => {
+  describe('canonicalizeJobUrl', () => {
+    test('should drop protocol, www, fragment and trailing slash', () => {
+      expect(canonicalizeJobUrl('https://www.Example.com/careers/123/#apply')).toBe('example.com/careers/123');
+    });
+
+    test('should strip tracking parameters and sort the rest', () => {
+      expect(canonicalizeJobUrl('https://boards.greenhouse.io/acme/jobs/42?utm_source=x&gh_src=a&b=2&a=1&ref=feed'))
+        .toBe('boards.greenhouse.io/acme/jobs/42?a=1&b=2&gh_src=a');
+    });
+
+    test('should map LinkedIn search views to the posting URL', () => {
+      expect(canonicalizeJobUrl('https://www.linkedin.com/jobs/search/?currentJobId=3901&keywords=engineer'))
+        .toBe('linkedin.com/jobs/view/3901');
+      expect(canonicalizeJobUrl('https://www.linkedin.com/jobs/view/3901/?trk=abc'))
+        .toBe('linkedin.com/jobs/view/3901');
+    });
+
+    test('should map Indeed pages to the jk parameter', () => {
+      expect(canonicalizeJobUrl('https://www.indeed.com/jobs?q=data&vjk=abc123')).toBe('indeed.com/viewjob?jk=abc123');
+      expect(canonicalizeJobUrl('https://indeed.com/viewjob?jk=abc123&from=serp')).toBe('indeed.com/viewjob?jk=abc123');
+    });
+
+    test('should return an empty string for invalid URLs', () => {
+      expect(canonicalizeJobUrl('not a url')).toBe('');
+      expect(canonicalizeJobUrl(undefined)).toBe('');
+    });
+  });
+
+  describe('findHistoryMatch', () => {
+    const entries = [
+      createHistoryEntry({ url: 'https://www.linkedin.com/jobs/view/111/', title: 'Data Scientist', company: 'Acme, Inc.' }),
+      createHistoryEntry({ url: 'https://jobs.lever.co/other/222', title: 'Engineer', company: 'Other Co' })
+    ];
+
+    test('should match by canonical URL first', () => {
+      const match = findHistoryMatch(entries, { url: 'https://linkedin.com/jobs/search/?currentJobId=111' });
+      expect(match.matchedBy).toBe('url');
+      expect(match.entry.title).toBe('Data Scientist');
+    });
+
+    test('should fall back to normalized title and company', () => {
+      const match = findHistoryMatch(entries, {
+        url: 'https://acme.com/careers/data-scientist',
+        title: 'data scientist',
+        company: 'Acme Inc'
+      });
+      expect(match.matchedBy).toBe('title');
+    });
+
+    test('should not match on placeholder or partial data', () => {
+      expect(findHistoryMatch(entries, { url: 'https://acme.com/x', title: 'Data Scientist' })).toBeNull();
+      expect(findHistoryMatch(entries, { title: '(No title)', company: '(No company)' })).toBeNull();
+    });
+  });
+
+  describe('getStatusOptions', () => {
+    test('should offer the stages the endpoint reports', () => {
+      expect(getStatusOptions(['No response', ' Phone screen ', 'Offer', 'Offer'])).toEqual(['No response', 'Phone screen', 'Offer']);
+    });
+
+    test('should fall back to JOB_STATUS_OPTIONS without a usable list', () => {
+      expect(getStatusOptions(undefined)).toBe(JOB_STATUS_OPTIONS);
+      expect(getStatusOptions('Applied')).toBe(JOB_STATUS_OPTIONS);
+      expect(getStatusOptions(['', null, 3])).toBe(JOB_STATUS_OPTIONS);
+    });
+  });
+
+  describe('createHistoryEntry', () => {
+    test('should keep the full payload and endpoint result', () => {
+      const payload = {
+        url: 'https://jobs.lever.co/acme/1?utm_source=email',
+        title: 'Analyst',
+        company: 'Acme',
+        timestamp: '2025-01-15T10:30:00.000Z',
+        clientRequestId: 'req-1'
+      };
+      const result = { endpoint: 'https://script.google.com/macros/s/abc/exec', response: { success: true }, attempts: 1 };
+      const entry = createHistoryEntry(payload, result, 1000);
+
+      expect(entry).toMatchObject({
+        id: 'req-1',
+        url: 'jobs.lever.co/acme/1',
+        appliedAt: '2025-01-15T10:30:00.000Z',
+        status: 'No response',
+        loggedAt: 1000,
+        payload,
+        result
+      });
+    });
+
+    test('should generate an ID when the payload has no clientRequestId', () => {
+      expect(createHistoryEntry({ title: 'Analyst' }, null, 1000).id).toMatch(/^1000-/);
+    });
+  });
+
+  describe('mergeHistoryEntry', () => {
+    const payload = {
+      url: 'https://jobs.lever.co/acme/1',
+      title: 'Analyst',
+      company: 'Acme',
+      timestamp: '2025-01-15T10:30:00.000Z',
+      clientRequestId: 'req-1'
+    };
+    const existing = {
+      ...createHistoryEntry(payload, { backendId: 'appsScript', attempts: 1 }, 1000),
+      status: 'Interviewing',
+      decision: 'Follow up Friday',
+      notes: 'Referred by Sam',
+      updatedAt: 1500
+    };
+
+    test('should store the new entry when there is nothing to merge into', () => {
+      const entry = createHistoryEntry(payload, null, 2000);
+      expect(mergeHistoryEntry(null, entry)).toBe(entry);
+    });
+
+    test('should take the logged data and keep what the user edited', () => {
+      const relogged = { ...payload, clientRequestId: 'req-2', timestamp: '2025-02-01T09:00:00.000Z', title: 'Senior Analyst' };
+      const result = { backendId: 'webhook', attempts: 3 };
+      const merged = mergeHistoryEntry(existing, createHistoryEntry(relogged, result, 2000));
+
+      expect(merged).toEqual({
+        ...existing,
+        title: 'Senior Analyst',
+        payload: relogged,
+        result,
+        loggedAt: 2000
+      });
+      expect(merged.id).toBe('req-1');
+      expect(merged.appliedAt).toBe('2025-01-15T10:30:00.000Z');
+    });
+
+    test('should not blank out fields the new payload lacks', () => {
+      const merged = mergeHistoryEntry(existing, createHistoryEntry({ clientRequestId: 'req-1' }, null, 2000));
+      expect(merged).toMatchObject({ url: existing.url, title: 'Analyst', company: 'Acme', status: 'Interviewing' });
+    });
+  });
+
+  describe('filterHistory', () => {
+    const entries = [
+      { id: 'a', title: 'Data Scientist', company: 'Acme', notes: 'referral', url: 'acme.com/1', status: 'Interviewing', appliedAt: '2025-01-10T12:00:00' },
+      { id: 'b', title: 'Engineer', company: 'Globex', notes: '', url: 'globex.com/2', status: 'No response', appliedAt: '2025-01-15T12:00:00' },
+      { id: 'c', title: 'Analyst', company: 'Initech', notes: '', url: 'initech.com/3', status: 'Rejected', appliedAt: '2025-01-20T12:00:00' }
+    ];
+
+    test('should return everything without filters', () => {
+      expect(filterHistory(entries)).toHaveLength(3);
+    });
+
+    test('should search title, company, notes and link', () => {
+      expect(filterHistory(entries, { search: 'globex' }).map(e => e.id)).toEqual(['b']);
+      expect(filterHistory(entries, { search: 'Referral' }).map(e => e.id)).toEqual(['a']);
+    });
+
+    test('should filter by status', () => {
+      expect(filterHistory(entries, { status: 'Rejected' }).map(e => e.id)).toEqual(['c']);
+    });
+
+    test('should filter by inclusive applied date range', () => {
+      expect(filterHistory(entries, { from: '2025-01-15', to: '2025-01-20' }).map(e => e.id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('sortHistory', () => {
+    const entries = [
+      { id: 'a', company: 'beta', appliedAt: '2025-01-10T00:00:00Z' },
+      { id: 'b', company: 'Alpha', appliedAt: '2025-01-20T00:00:00Z' },
+      { id: 'c', company: 'gamma', appliedAt: '2025-01-15T00:00:00Z' }
+    ];
+
+    test('should sort newest first by default', () => {
+      expect(sortHistory(entries).map(e => e.id)).toEqual(['b', 'c', 'a']);
+    });
+
+    test('should sort text fields case-insensitively', () => {
+      expect(sortHistory(entries, 'company', 'asc').map(e => e.id)).toEqual(['b', 'a', 'c']);
+    });
+
+    test('should not mutate the input', () => {
+      sortHistory(entries, 'company', 'asc');
+      expect(entries.map(e => e.id)).toEqual(['a', 'b', 'c']);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Unit tests for the job logging outbox (job-outbox.js)
+ * Covers backoff scheduling, in-flight claims and chrome.storage.local persistence
+ */
+
+// Mock chrome.storage.local (promise-based API, as used by the service worker)
+let mockStorage = {};
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (keys) => {
+        const result = {};
+        keys.forEach(key => {
+          if (mockStorage[key] !== undefined) result[key] = mockStorage[key];
+        });
+        return result;
+      }),
+      set: jest.fn(async (items) => {
+        Object.assign(mockStorage, items);
+      })
+    }
+  }
+};
+
+const {
+  OUTBOX_STORAGE_KEY,
+  OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_SENDING_TIMEOUT_MS,
+  createOutboxEntry,
+  getBackoffDelay,
+  recordFailedAttempt,
+  markEntrySending,
+  isEntryInFlight,
+  getDueEntries,
+  getNextWakeTime,
+  readOutbox,
+  addOutboxEntry,
+  addOutboxEntries,
+  saveOutboxEntry,
+  claimOutboxEntries,
+  releaseSendingEntries,
+  removeOutboxEntry
+} = require('../job-outbox');
+
+describe('Job Outbox', () => {
+  beforeEach(() => {
+    mockStorage = {};
+    jest.clearAllMocks();
+  });
+
+  describe('createOutboxEntry', () => {
+    test('should create a pending entry that is due immediately', () => {
+      const payload = { title: 'Software Engineer', company: 'Tech Corp' };
+      const entry = createOutboxEntry(payload, 1000);
+
+      expect(entry.id).toMatch(/^1000-/);
+      expect(entry.payload).toEqual({ ...payload, clientRequestId: entry.id });
+      expect(entry.status).toBe('pending');
+      expect(entry.attempts).toBe(0);
+      expect(entry.createdAt).toBe(1000);
+      expect(entry.nextAttemptAt).toBe(1000);
+      expect(entry.lastError).toBeNull();
+    });
+
+    test('should reuse an existing clientRequestId as the entry ID', () => {
+      const entry = createOutboxEntry({ title: 'Analyst', clientRequestId: 'abc-123' }, 1000);
+
+      expect(entry.id).toBe('abc-123');
+      expect(entry.payload.clientRequestId).toBe('abc-123');
+    });
+
+    test('should default to the Apps Script backend', () => {
+      expect(createOutboxEntry({}, 1000).backendId).toBe('appsScript');
+    });
+
+    test('should give each backend its own entry ID with a shared clientRequestId', () => {
+      const sheet = createOutboxEntry({ clientRequestId: 'abc-123' }, 1000, 'appsScript');
+      const webhook = createOutboxEntry({ clientRequestId: 'abc-123' }, 1000, 'webhook');
+
+      expect(webhook.id).toBe('abc-123@webhook');
+      expect(webhook.backendId).toBe('webhook');
+      expect(webhook.payload.clientRequestId).toBe('abc-123');
+      expect(webhook.id).not.toBe(sheet.id);
+    });
+
+    test('should generate unique IDs', () => {
+      const a = createOutboxEntry({}, 1000);
+      const b = createOutboxEntry({}, 1000);
+      expect(a.id).not.toBe(b.id);
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    test('should double the delay after each attempt', () => {
+      expect(getBackoffDelay(1)).toBe(60 * 1000);
+      expect(getBackoffDelay(2)).toBe(120 * 1000);
+      expect(getBackoffDelay(3)).toBe(240 * 1000);
+    });
+
+    test('should cap the delay at one hour', () => {
+      expect(getBackoffDelay(20)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('recordFailedAttempt', () => {
+    test('should reschedule retriable failures with backoff', () => {
+      const entry = createOutboxEntry({}, 0);
+      const updated = recordFailedAttempt(entry, 'Connection timed out', true, 5000);
+
+      expect(updated.status).toBe('pending');
+      expect(updated.attempts).toBe(1);
+      expect(updated.lastError).toBe('Connection timed out');
+      expect(updated.nextAttemptAt).toBe(5000 + 60 * 1000);
+      expect(entry.attempts).toBe(0); // original is not mutated
+    });
+
+    test('should mark non-retriable failures as failed', () => {
+      const entry = createOutboxEntry({}, 0);
+      const updated = recordFailedAttempt(entry, 'Google Sheet not found', false, 5000);
+
+      expect(updated.status).toBe('failed');
+      expect(updated.nextAttemptAt).toBeNull();
+    });
+
+    test('should give up after the maximum number of attempts', () => {
+      const entry = { ...createOutboxEntry({}, 0), attempts: OUTBOX_MAX_ATTEMPTS - 1 };
+      const updated = recordFailedAttempt(entry, 'Connection timed out', true, 5000);
+
+      expect(updated.status).toBe('failed');
+      expect(updated.attempts).toBe(OUTBOX_MAX_ATTEMPTS);
+    });
+  });
+
+  describe('getDueEntries', () => {
+    test('should return only pending entries that are due, oldest first', () => {
+      const entries = [
+        { id: 'late', status: 'pending', createdAt: 2, nextAttemptAt: 500 },
+        { id: 'future', status: 'pending', createdAt: 1, nextAttemptAt: 5000 },
+        { id: 'failed', status: 'failed', createdAt: 0, nextAttemptAt: null },
+        { id: 'early', status: 'pending', createdAt: 1, nextAttemptAt: 100 }
+      ];
+
+      expect(getDueEntries(entries, 1000).map(e => e.id)).toEqual(['early', 'late']);
+    });
+
+    test('should skip entries in flight until their send times out', () => {
+      const entries = [
+        { id: 'sending', status: 'sending', createdAt: 1, nextAttemptAt: 1000 + OUTBOX_SENDING_TIMEOUT_MS },
+        { id: 'stale', status: 'sending', createdAt: 2, nextAttemptAt: 900 }
+      ];
+
+      expect(getDueEntries(entries, 1000).map(e => e.id)).toEqual(['stale']);
+    });
+  });
+
+  describe('markEntrySending and isEntryInFlight', () => {
+    test('should hold the entry back for the sending timeout', () => {
+      const entry = markEntrySending(createOutboxEntry({ title: 'Analyst' }, 1000), 1000);
+
+      expect(entry).toMatchObject({ status: 'sending', nextAttemptAt: 1000 + OUTBOX_SENDING_TIMEOUT_MS });
+      expect(isEntryInFlight(entry, 1000)).toBe(true);
+      expect(isEntryInFlight(entry, 1000 + OUTBOX_SENDING_TIMEOUT_MS)).toBe(false);
+      expect(isEntryInFlight(createOutboxEntry({}, 1000), 1000)).toBe(false);
+    });
+
+    test('should go back to pending or failed once the attempt fails', () => {
+      const entry = markEntrySending(createOutboxEntry({ title: 'Analyst' }, 1000), 1000);
+
+      expect(recordFailedAttempt(entry, 'Network error', true, 2000).status).toBe('pending');
+      expect(recordFailedAttempt(entry, 'Bad URL', false, 2000).status).toBe('failed');
+    });
+  });
+
+  describe('getNextWakeTime', () => {
+    test('should return the earliest pending retry time', () => {
+      const entries = [
+        { status: 'pending', nextAttemptAt: 3000 },
+        { status: 'pending', nextAttemptAt: 2000 },
+        { status: 'failed', nextAttemptAt: null }
+      ];
+      expect(getNextWakeTime(entries)).toBe(2000);
+    });
+
+    test('should wake up when an in-flight send times out', () => {
+      expect(getNextWakeTime([{ status: 'sending', nextAttemptAt: 4000 }])).toBe(4000);
+    });
+
+    test('should return null when nothing is pending', () => {
+      expect(getNextWakeTime([])).toBeNull();
+      expect(getNextWakeTime([{ status: 'failed', nextAttemptAt: null }])).toBeNull();
+    });
+  });
+
+  describe('storage', () => {
+    test('should return an empty outbox when nothing is stored', async () => {
+      expect(await readOutbox()).toEqual([]);
+    });
+
+    test('should persist added entries in chrome.storage.local', async () => {
+      const entry = createOutboxEntry({ title: 'Data Scientist' });
+      await addOutboxEntry(entry);
+
+      expect(mockStorage[OUTBOX_STORAGE_KEY]).toEqual([entry]);
+      expect(await readOutbox()).toEqual([entry]);
+    });
+
+    test('should replace and remove entries by ID', async () => {
+      const first = createOutboxEntry({ title: 'First' });
+      const second = createOutboxEntry({ title: 'Second' });
+      await addOutboxEntry(first);
+      await addOutboxEntry(second);
+
+      await saveOutboxEntry({ ...first, status: 'failed' });
+      let entries = await readOutbox();
+      expect(entries[0].status).toBe('failed');
+      expect(entries[1]).toEqual(second);
+
+      await removeOutboxEntry(first.id);
+      entries = await readOutbox();
+      expect(entries).toEqual([second]);
+    });
+
+    test('should append a batch of entries in one write', async () => {
+      const existing = createOutboxEntry({ title: 'Existing' });
+      const batch = [1, 2, 3].map(n => createOutboxEntry({ title: `Job ${n}` }));
+      await addOutboxEntry(existing);
+      await addOutboxEntries(batch);
+
+      expect(await readOutbox()).toEqual([existing, ...batch]);
+    });
+
+    test('should claim an entry only once while it is in flight', async () => {
+      const first = createOutboxEntry({ title: 'First' }, 1000);
+      const second = createOutboxEntry({ title: 'Second' }, 1000);
+      await addOutboxEntries([first, second]);
+
+      // A drain and a popup Retry racing for the same entry
+      const [drain, retry] = await Promise.all([
+        claimOutboxEntries([second.id, first.id], {}, 2000),
+        claimOutboxEntries([first.id], { attempts: 0 }, 2000)
+      ]);
+
+      expect(drain.map(entry => entry.id)).toEqual([second.id, first.id]);
+      expect(drain[0]).toEqual({ ...second, status: 'sending', nextAttemptAt: 2000 + OUTBOX_SENDING_TIMEOUT_MS });
+      expect(retry).toEqual([]);
+      expect((await readOutbox()).every(entry => entry.status === 'sending')).toBe(true);
+    });
+
+    test('should let a timed-out send be claimed again', async () => {
+      const entry = markEntrySending(createOutboxEntry({ title: 'Analyst' }, 1000), 1000);
+      await addOutboxEntry(entry);
+
+      expect(await claimOutboxEntries([entry.id], { attempts: 0 }, 2000)).toEqual([]);
+      const [claimed] = await claimOutboxEntries([entry.id], { attempts: 0 }, 1000 + OUTBOX_SENDING_TIMEOUT_MS);
+      expect(claimed).toMatchObject({ id: entry.id, status: 'sending', attempts: 0 });
+      expect(await claimOutboxEntries(['missing'], {}, 2000)).toEqual([]);
+    });
+
+    test('should put in-flight entries back in the queue on startup', async () => {
+      const sending = markEntrySending(createOutboxEntry({ title: 'Sending' }, 1000), 1000);
+      const failed = { ...createOutboxEntry({ title: 'Failed' }, 1000), status: 'failed', nextAttemptAt: null };
+      await addOutboxEntries([sending, failed]);
+
+      await releaseSendingEntries(2000);
+
+      expect(await readOutbox()).toEqual([{ ...sending, status: 'pending', nextAttemptAt: 2000 }, failed]);
+      expect(getDueEntries(await readOutbox(), 2000).map(entry => entry.id)).toEqual([sending.id]);
+    });
+
+    test('should not lose entries when writes overlap', async () => {
+      const entries = [1, 2, 3, 4, 5].map(n => createOutboxEntry({ title: `Job ${n}` }));
+      await Promise.all(entries.map(entry => addOutboxEntry(entry)));
+
+      expect(await readOutbox()).toHaveLength(5);
+    });
+  });
+});
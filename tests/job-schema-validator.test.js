@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the shared job schema validator (job-schema-validator.js)
+ * Covers schema normalization and the per-field checks every validator relies on
+ */
+
+const {
+  normalizeJobSchema,
+  validateJobAgainstSchema
+} = require('../job-schema-validator');
+
+describe('Job Schema Validator', () => {
+  const schema = {
+    columns: [
+      { id: 'company', label: 'Employer', type: 'text', placeholder: 'e.g., Google', required: true, readonly: false },
+      { id: 'url', label: 'Portal Link', type: 'url', required: false, readonly: true },
+      { id: 'role', label: 'Role', type: 'select', required: false, options: ['CODE', 'DSCI'] },
+      { id: 'pay', label: 'Pay', type: 'number', required: false },
+      { id: 'deadline', label: 'Deadline', type: 'date', required: false }
+    ]
+  };
+
+  describe('normalizeJobSchema', () => {
+    test('should keep only the validated parts of each column', () => {
+      expect(normalizeJobSchema(schema).columns.slice(0, 3)).toEqual([
+        { id: 'company', label: 'Employer', type: 'text', required: true },
+        { id: 'url', label: 'Portal Link', type: 'url', required: false },
+        { id: 'role', label: 'Role', type: 'select', required: false, options: ['CODE', 'DSCI'] }
+      ]);
+    });
+
+    test('should default the label and type', () => {
+      expect(normalizeJobSchema({ columns: [{ id: 'team_size', type: 'spreadsheet' }] })).toEqual({
+        columns: [{ id: 'team_size', label: 'team_size', type: 'text', required: false }]
+      });
+    });
+
+    test('should pass role rules along for role-rules.js to check', () => {
+      const roleRules = [{ category: 'PM', include: ['product'] }];
+      expect(normalizeJobSchema({ ...schema, roleRules }).roleRules).toBe(roleRules);
+      expect(normalizeJobSchema({ ...schema, roleRules: 'PM' })).not.toHaveProperty('roleRules');
+    });
+
+    test('should reject schemas without columns or column IDs', () => {
+      expect(normalizeJobSchema(null)).toBeNull();
+      expect(normalizeJobSchema({ fields: [] })).toBeNull();
+      expect(normalizeJobSchema({ columns: [{ label: 'No ID' }] })).toBeNull();
+    });
+  });
+
+  describe('validateJobAgainstSchema', () => {
+    test('should accept a job that fits the schema, ignoring fields without a column', () => {
+      const result = validateJobAgainstSchema({
+        company: 'Acme',
+        url: 'https://jobs.example.com/1',
+        role: 'DSCI',
+        pay: '70.5',
+        deadline: '2025-02-01',
+        team_size: 12
+      }, schema);
+
+      expect(result).toEqual({ valid: true, fieldErrors: {} });
+    });
+
+    test('should treat empty optional fields as fine', () => {
+      expect(validateJobAgainstSchema({ company: 'Acme', url: '', role: '', pay: '  ' }, schema).valid).toBe(true);
+    });
+
+    test('should return a message for every offending field', () => {
+      const result = validateJobAgainstSchema({
+        company: '   ',
+        url: 'jobs.example.com/1',
+        role: 'STAT',
+        pay: '$70',
+        deadline: 'soon'
+      }, schema);
+
+      expect(result.valid).toBe(false);
+      expect(result.fieldErrors).toEqual({
+        company: 'Employer is required',
+        url: 'Portal Link must be a link starting with http:// or https://',
+        role: 'Role must be one of: CODE, DSCI',
+        pay: 'Pay must be a number',
+        deadline: 'Deadline must be a date'
+      });
+      expect(result.error).toBe(`Invalid job data: ${Object.values(result.fieldErrors).join('; ')}`);
+    });
+
+    test('should reject objects and arrays as field values', () => {
+      expect(validateJobAgainstSchema({ company: { name: 'Acme' } }, schema).fieldErrors)
+        .toEqual({ company: 'Employer must be text' });
+    });
+
+    test('should only check select options when the column has some', () => {
+      const open = { columns: [{ id: 'source', label: 'Board', type: 'select', options: [] }] };
+      expect(validateJobAgainstSchema({ source: 'Glassdoor' }, open).valid).toBe(true);
+    });
+
+    test('should reject invalid data and schemas without field errors', () => {
+      expect(validateJobAgainstSchema(null, schema)).toEqual({
+        valid: false,
+        error: 'Invalid job data: data must be an object',
+        fieldErrors: {}
+      });
+      expect(validateJobAgainstSchema({ company: 'Acme' }, { columns: 'company' }).error).toMatch(/^Invalid schema/);
+    });
+  });
+});
@@ -5,22 +5,36 @@
  * and matches the API contract expected by the Job Detail Extraction feature.
  */
 
-const { createApp, validateJobData } = require('../local-gas-endpoint');
+const {
+  createApp,
+  validateJobData,
+  validateStatusUpdate,
+  computeRequestSignature,
+  verifyRequestSignature,
+  isLoopbackAddress,
+  normalizeFaultProfile,
+  parseFaultArgs,
+  summarizeJobs
+} = require('../local-gas-endpoint');
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 
 describe('Local GAS Endpoint - Validation', () => {
   describe('validateJobData', () => {
-    test('should validate correct job data', () => {
-      const validData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        source: 'LinkedIn',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
+    const validData = {
+      title: 'Software Engineer',
+      company: 'Tech Corp',
+      location: 'San Francisco, CA',
+      url: 'https://linkedin.com/jobs/123',
+      timestamp: '2025-01-15T10:30:00.000Z',
+      source: 'LinkedIn'
+    };
 
+    test('should validate correct job data', () => {
       const result = validateJobData(validData);
       expect(result.valid).toBe(true);
       expect(result.error).toBeUndefined();
@@ -38,177 +52,70 @@ describe('Local GAS Endpoint - Validation', () => {
       expect(result.error).toContain('must be an object');
     });
 
-    test('should reject data missing title', () => {
-      const invalidData = {
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(invalidData);
-      expect(result.valid).toBe(false);
-      expect(result.error).toContain('title');
-    });
-
-    test('should reject data missing company', () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(invalidData);
-      expect(result.valid).toBe(false);
-      expect(result.error).toContain('company');
+    test('should accept partial job data without a schema, like the GAS endpoint', () => {
+      expect(validateJobData({ title: 'Software Engineer' }).valid).toBe(true);
+      expect(validateJobData({ ...validData, title: '', location: undefined, url: 'not-a-valid-url' }).valid).toBe(true);
+      expect(validateJobData({}).valid).toBe(true);
     });
 
-    test('should reject data missing location', () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(invalidData);
-      expect(result.valid).toBe(false);
-      expect(result.error).toContain('location');
+    test('should reject configuration fields', () => {
+      for (const field of ['spreadsheetId', 'projectId']) {
+        const result = validateJobData({ ...validData, [field]: 'test-spreadsheet-id-123' });
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('configuration fields should not be sent');
+      }
     });
 
-    test('should reject data missing url', () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(invalidData);
-      expect(result.valid).toBe(false);
-      expect(result.error).toContain('url');
+    test('should reject an invalid clientRequestId', () => {
+      expect(validateJobData({ ...validData, clientRequestId: 'req-1' }).valid).toBe(true);
+      for (const clientRequestId of ['', 42, 'x'.repeat(129)]) {
+        expect(validateJobData({ ...validData, clientRequestId }).error).toContain('clientRequestId');
+      }
     });
 
-    test('should reject data missing timestamp', () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        spreadsheetId: 'test-spreadsheet-id-123'
+    test('should only require the fields the schema requires', () => {
+      const schema = {
+        columns: [
+          { id: 'title', label: 'Job Title', type: 'text', required: true },
+          { id: 'location', label: 'Location', type: 'text' }
+        ]
       };
 
-      const result = validateJobData(invalidData);
+      expect(validateJobData({ title: 'Engineer', schema }).valid).toBe(true);
+      const result = validateJobData({ location: 'Remote', schema });
       expect(result.valid).toBe(false);
-      expect(result.error).toContain('timestamp');
+      expect(Object.keys(result.fieldErrors)).toEqual(['title']);
     });
+  });
 
-    test('should reject data missing spreadsheetId', () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
+  describe('validateStatusUpdate', () => {
+    test('should accept an update by url', () => {
+      const result = validateStatusUpdate({
         url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z'
-      };
-
-      const result = validateJobData(invalidData);
-      expect(result.valid).toBe(false);
-      expect(result.error).toContain('spreadsheetId');
+        updates: { status: 'Interviewing' }
+      });
+      expect(result.valid).toBe(true);
     });
 
-    test('should reject empty string fields', () => {
-      const invalidData = {
-        title: '',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(invalidData);
-      expect(result.valid).toBe(false);
-      expect(result.error).toContain('title');
+    test('should accept an update by row ID', () => {
+      expect(validateStatusUpdate({ rowId: 5, updates: { decision: 'Accepted' } }).valid).toBe(true);
     });
 
-    test('should reject whitespace-only fields', () => {
-      const invalidData = {
-        title: '   ',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(invalidData);
+    test('should require a url or row ID', () => {
+      const result = validateStatusUpdate({ updates: { status: 'Rejected' } });
       expect(result.valid).toBe(false);
-      expect(result.error).toContain('title');
+      expect(result.error).toContain('url or rowId');
     });
 
-    test('should reject invalid URL format', () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'not-a-valid-url',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(invalidData);
-      expect(result.valid).toBe(false);
-      expect(result.error).toContain('url');
+    test('should reject the header row and non-integer row IDs', () => {
+      expect(validateStatusUpdate({ rowId: 1, updates: { status: 'Offer' } }).valid).toBe(false);
+      expect(validateStatusUpdate({ rowId: 2.5, updates: { status: 'Offer' } }).valid).toBe(false);
     });
 
-    test('should reject invalid timestamp format', () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: 'not-a-valid-timestamp',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(invalidData);
+    test('should reject empty updates', () => {
+      const result = validateStatusUpdate({ url: 'https://linkedin.com/jobs/123', updates: {} });
       expect(result.valid).toBe(false);
-      expect(result.error).toContain('timestamp');
-    });
-
-    test('should accept optional source field', () => {
-      const validData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        source: 'LinkedIn',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(validData);
-      expect(result.valid).toBe(true);
-    });
-
-    test('should accept data without optional source field', () => {
-      const validData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
-      const result = validateJobData(validData);
-      expect(result.valid).toBe(true);
+      expect(result.error).toContain('updates');
     });
   });
 });
@@ -228,8 +135,7 @@ describe('Local GAS Endpoint - API', () => {
         location: 'San Francisco, CA',
         url: 'https://linkedin.com/jobs/123',
         timestamp: '2025-01-15T10:30:00.000Z',
-        source: 'LinkedIn',
-        spreadsheetId: 'test-spreadsheet-id-123'
+        source: 'LinkedIn'
       };
 
       const response = await request(app)
@@ -244,62 +150,25 @@ describe('Local GAS Endpoint - API', () => {
       });
     });
 
-    test('should reject job data with missing fields', async () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp'
-        // Missing location, url, timestamp
-      };
-
-      const response = await request(app)
-        .post('/log-job')
-        .send(invalidData)
-        .expect(400)
-        .expect('Content-Type', /json/);
-
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeDefined();
-      expect(response.body.error).toContain('location');
-    });
-
-    test('should reject job data with invalid URL', async () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'invalid-url',
-        timestamp: '2025-01-15T10:30:00.000Z',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
+    test('should accept partial job data like the GAS endpoint', async () => {
       const response = await request(app)
         .post('/log-job')
-        .send(invalidData)
-        .expect(400)
-        .expect('Content-Type', /json/);
+        .send({ title: 'Software Engineer', company: 'Tech Corp' })
+        .expect(200);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('url');
+      expect(response.body.success).toBe(true);
+      expect((await request(app).get('/jobs')).body.jobs[0]).toMatchObject({ title: 'Software Engineer', company: 'Tech Corp' });
     });
 
-    test('should reject job data with invalid timestamp', async () => {
-      const invalidData = {
-        title: 'Software Engineer',
-        company: 'Tech Corp',
-        location: 'San Francisco, CA',
-        url: 'https://linkedin.com/jobs/123',
-        timestamp: 'invalid-timestamp',
-        spreadsheetId: 'test-spreadsheet-id-123'
-      };
-
+    test('should reject configuration fields like the GAS endpoint', async () => {
       const response = await request(app)
         .post('/log-job')
-        .send(invalidData)
+        .send({ title: 'Software Engineer', spreadsheetId: 'test-spreadsheet-id-123' })
         .expect(400)
         .expect('Content-Type', /json/);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toContain('timestamp');
+      expect(response.body.error).toContain('configuration fields should not be sent');
     });
 
     test('should handle multiple job submissions', async () => {
@@ -310,8 +179,7 @@ describe('Local GAS Endpoint - API', () => {
           location: 'San Francisco, CA',
           url: 'https://linkedin.com/jobs/123',
           timestamp: '2025-01-15T10:30:00.000Z',
-          source: 'LinkedIn',
-          spreadsheetId: 'test-spreadsheet-id-123'
+          source: 'LinkedIn'
         },
         {
           title: 'Product Manager',
@@ -319,8 +187,7 @@ describe('Local GAS Endpoint - API', () => {
           location: 'New York, NY',
           url: 'https://indeed.com/jobs/456',
           timestamp: '2025-01-15T11:00:00.000Z',
-          source: 'Indeed',
-          spreadsheetId: 'test-spreadsheet-id-123'
+          source: 'Indeed'
         }
       ];
 
@@ -335,6 +202,50 @@ describe('Local GAS Endpoint - API', () => {
       }
     });
 
+    test('should enforce the schema sent with a job and return field errors', async () => {
+      const jobData = {
+        title: 'Software Engineer',
+        company: 'Tech Corp',
+        location: 'San Francisco, CA',
+        url: 'https://linkedin.com/jobs/123',
+        timestamp: '2025-01-15T10:30:00.000Z',
+        schema: {
+          columns: [
+            { id: 'company', label: 'Employer', type: 'text', required: true },
+            { id: 'source', label: 'Board', type: 'select', options: ['LinkedIn', 'Indeed'] },
+            { id: 'pay', label: 'Pay', type: 'number', required: true }
+          ]
+        }
+      };
+
+      const refused = await request(app).post('/log-job').send({ ...jobData, source: 'Glassdoor' }).expect(400);
+      expect(refused.body).toEqual({
+        success: false,
+        error: 'Invalid job data: Board must be one of: LinkedIn, Indeed; Pay is required',
+        fieldErrors: { source: 'Board must be one of: LinkedIn, Indeed', pay: 'Pay is required' }
+      });
+
+      const batch = await request(app).post('/log-job').send([{ ...jobData, pay: '70' }, { ...jobData, pay: 'lots' }]).expect(200);
+      expect(batch.body.results[1]).toMatchObject({ success: false, fieldErrors: { pay: 'Pay must be a number' } });
+
+      const jobs = (await request(app).get('/jobs')).body.jobs;
+      expect(jobs).toHaveLength(1);
+      expect(jobs[0]).not.toHaveProperty('schema');
+    });
+
+    test('should only flag the fields the schema requires', async () => {
+      const schema = {
+        columns: [
+          { id: 'title', label: 'Job Title', type: 'text', required: true },
+          { id: 'location', label: 'Location', type: 'text' }
+        ]
+      };
+
+      await request(app).post('/log-job').send({ title: 'Engineer', schema }).expect(200);
+      const response = await request(app).post('/log-job').send({ location: 'Remote', schema }).expect(400);
+      expect(response.body.fieldErrors).toEqual({ title: 'Job Title is required' });
+    });
+
     test('should handle special characters in fields', async () => {
       const jobData = {
         title: 'Senior Engineer (C++ & Python)',
@@ -342,8 +253,7 @@ describe('Local GAS Endpoint - API', () => {
         location: 'São Paulo, Brazil',
         url: 'https://example.com/jobs/123?ref=test&source=linkedin',
         timestamp: '2025-01-15T10:30:00.000Z',
-        source: 'LinkedIn',
-        spreadsheetId: 'test-spreadsheet-id-123'
+        source: 'LinkedIn'
       };
 
       const response = await request(app)
@@ -355,6 +265,349 @@ describe('Local GAS Endpoint - API', () => {
     });
   });
 
+  describe('POST /log-job - idempotency', () => {
+    const jobData = {
+      title: 'Software Engineer',
+      company: 'Tech Corp',
+      location: 'San Francisco, CA',
+      url: 'https://linkedin.com/jobs/123',
+      timestamp: '2025-01-15T10:30:00.000Z',
+      source: 'LinkedIn',
+      clientRequestId: '1736937000000-abc123xyz'
+    };
+
+    test('should return the original result for a replayed clientRequestId', async () => {
+      const first = await request(app).post('/log-job').send(jobData).expect(200);
+      const replay = await request(app).post('/log-job').send(jobData).expect(200);
+
+      expect(first.body).toEqual({ success: true, timestamp: jobData.timestamp });
+      expect(replay.body).toEqual({ success: true, timestamp: jobData.timestamp, replayed: true });
+
+      const jobs = await request(app).get('/jobs');
+      expect(jobs.body.count).toBe(1);
+    });
+
+    test('should store jobs with different clientRequestIds separately', async () => {
+      await request(app).post('/log-job').send(jobData).expect(200);
+      await request(app)
+        .post('/log-job')
+        .send({ ...jobData, clientRequestId: '1736937000001-def456uvw' })
+        .expect(200);
+
+      const jobs = await request(app).get('/jobs');
+      expect(jobs.body.count).toBe(2);
+    });
+
+    test('should forget clientRequestIds when jobs are cleared', async () => {
+      await request(app).post('/log-job').send(jobData).expect(200);
+      await request(app).delete('/jobs').expect(200);
+
+      const response = await request(app).post('/log-job').send(jobData).expect(200);
+      expect(response.body.replayed).toBeUndefined();
+    });
+  });
+
+  describe('POST /log-job - batch', () => {
+    const job = (n) => ({
+      title: `Engineer ${n}`,
+      company: 'Tech Corp',
+      location: 'Remote',
+      url: `https://linkedin.com/jobs/${n}`,
+      timestamp: '2025-01-15T10:30:00.000Z',
+      clientRequestId: `req-${n}`
+    });
+
+    test('should log every job and return one result per job', async () => {
+      const response = await request(app).post('/log-job').send([job(1), job(2), job(3)]).expect(200);
+
+      expect(response.body).toMatchObject({ success: true, count: 3, logged: 3, failed: 0 });
+      expect(response.body.results.map(result => [result.index, result.row])).toEqual([[0, 2], [1, 3], [2, 4]]);
+
+      const jobs = await request(app).get('/jobs');
+      expect(jobs.body.count).toBe(3);
+    });
+
+    test('should report invalid jobs without dropping the valid ones', async () => {
+      const response = await request(app)
+        .post('/log-job')
+        .send([job(1), 'not a job', { ...job(2), operation: 'updateStatus' }, job(3)])
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: false, count: 4, logged: 2, failed: 2 });
+      expect(response.body.results[1]).toEqual({ index: 1, success: false, error: expect.any(String) });
+      expect(response.body.results[2].error).toContain('operations cannot be batched');
+      expect(response.body.results[3]).toMatchObject({ index: 3, success: true, row: 3 });
+    });
+
+    test('should replay jobs that were already logged, including repeats within the batch', async () => {
+      await request(app).post('/log-job').send(job(1)).expect(200);
+      const response = await request(app).post('/log-job').send([job(1), job(2), job(2)]).expect(200);
+
+      expect(response.body.logged).toBe(3);
+      expect(response.body.results[0]).toMatchObject({ index: 0, success: true, replayed: true });
+      expect(response.body.results[1].replayed).toBeUndefined();
+      expect(response.body.results[2]).toMatchObject({ index: 2, success: true, replayed: true });
+
+      const jobs = await request(app).get('/jobs');
+      expect(jobs.body.count).toBe(2);
+    });
+
+    test('should only remember jobs whose sheet was written, so a failed write can be retried', async () => {
+      const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobsprint-batch-'));
+      const saving = createApp({ sharedSecret: '', dataDir });
+      // A directory where the sheet's CSV belongs makes saving that sheet fail
+      const blocked = path.join(dataDir, 'Contract%20Gigs.csv');
+      fs.mkdirSync(blocked);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const batch = [job(1), { ...job(2), targetSheetName: 'Contract Gigs' }, { ...job(2), targetSheetName: 'Contract Gigs' }];
+        const failed = await request(saving).post('/log-job').send(batch).expect(200);
+
+        expect(failed.body).toMatchObject({ success: false, logged: 1, failed: 2 });
+        expect(failed.body.results[1]).toEqual({ index: 1, success: false, error: expect.stringContaining('Failed to write') });
+        expect(failed.body.results[2]).toEqual({ index: 2, success: false, error: failed.body.results[1].error });
+
+        fs.rmdirSync(blocked);
+        const retried = await request(saving).post('/log-job').send(batch).expect(200);
+
+        expect(retried.body).toMatchObject({ success: true, logged: 3 });
+        expect(retried.body.results[0]).toMatchObject({ success: true, replayed: true });
+        expect(retried.body.results[1].replayed).toBeUndefined();
+        expect(retried.body.results[2]).toMatchObject({ success: true, replayed: true });
+      } finally {
+        console.error.mockRestore();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should reject empty and oversized batches', async () => {
+      await request(app).post('/log-job').send([]).expect(400);
+
+      const tooMany = Array.from({ length: 101 }, (_, n) => job(n));
+      const response = await request(app).post('/log-job').send(tooMany).expect(400);
+      expect(response.body.error).toContain('between 1 and 100');
+    });
+  });
+
+  describe('POST /log-job - signed requests', () => {
+    const secret = 'test-shared-secret';
+    const jobData = {
+      title: 'Software Engineer',
+      company: 'Tech Corp',
+      location: 'San Francisco, CA',
+      url: 'https://linkedin.com/jobs/123',
+      timestamp: '2025-01-15T10:30:00.000Z',
+      source: 'LinkedIn'
+    };
+    const body = JSON.stringify(jobData);
+    let signedApp;
+
+    beforeEach(() => {
+      signedApp = createApp({ sharedSecret: secret });
+    });
+
+    const postSigned = (query) => request(signedApp)
+      .post('/log-job')
+      .query(query)
+      .set('Content-Type', 'application/json')
+      .send(body);
+
+    // GETs are signed over an empty body
+    const getSigned = (path, query = {}) => {
+      const ts = String(Date.now());
+      return request(signedApp).get(path).query({ ...query, ts, sig: computeRequestSignature(secret, ts, '') });
+    };
+
+    test('should accept a valid signature', async () => {
+      const ts = String(Date.now());
+      const response = await postSigned({ ts, sig: computeRequestSignature(secret, ts, body) }).expect(200);
+      expect(response.body.success).toBe(true);
+    });
+
+    test('should reject unsigned requests', async () => {
+      const response = await postSigned({}).expect(401);
+      expect(response.body).toEqual({
+        success: false,
+        error: expect.stringContaining('not signed')
+      });
+    });
+
+    test('should reject stale signatures', async () => {
+      const ts = String(Date.now() - 10 * 60 * 1000);
+      const response = await postSigned({ ts, sig: computeRequestSignature(secret, ts, body) }).expect(401);
+      expect(response.body.error).toContain('expired');
+    });
+
+    test('should reject a signature made with another secret or body', async () => {
+      const ts = String(Date.now());
+      const wrongSecret = await postSigned({ ts, sig: computeRequestSignature('other-secret', ts, body) }).expect(401);
+      expect(wrongSecret.body.error).toContain('Invalid request signature');
+
+      const tampered = await postSigned({ ts, sig: computeRequestSignature(secret, ts, body.replace('Tech Corp', 'Evil Corp')) })
+        .expect(401);
+      expect(tampered.body.error).toContain('Invalid request signature');
+
+      const jobs = await getSigned('/jobs');
+      expect(jobs.body.count).toBe(0);
+    });
+
+    test('should verify the signature of a batch body', async () => {
+      const batchBody = JSON.stringify([jobData, { ...jobData, url: 'https://linkedin.com/jobs/456' }]);
+      const ts = String(Date.now());
+      const response = await request(signedApp)
+        .post('/log-job')
+        .query({ ts, sig: computeRequestSignature(secret, ts, batchBody) })
+        .set('Content-Type', 'application/json')
+        .send(batchBody)
+        .expect(200);
+      expect(response.body.logged).toBe(2);
+    });
+
+    test('should only answer signed reads of sheet data', async () => {
+      const ts = String(Date.now());
+      await postSigned({ ts, sig: computeRequestSignature(secret, ts, body) }).expect(200);
+      const { id } = (await getSigned('/jobs').expect(200)).body.jobs[0];
+
+      for (const path of ['/jobs', '/log-job?action=summary', '/log-job?action=followUps', '/jobs/latest', `/jobs/${id}`]) {
+        const unsigned = await request(signedApp).get(path).expect(401);
+        expect(unsigned.body).toEqual({ success: false, error: expect.stringContaining('not signed') });
+        await request(signedApp).get(path).query({ ts, sig: computeRequestSignature(secret, ts, body) }).expect(401);
+        expect((await getSigned(path).expect(200)).body.success).toBe(true);
+      }
+
+      // The version handshake stays open so Test Connection can report a missing secret
+      await request(signedApp).get('/log-job?action=capabilities').expect(200);
+      await request(signedApp).get('/log-job?action=nope').expect(400);
+    });
+
+    test('should only change or delete jobs for signed requests', async () => {
+      const ts = String(Date.now());
+      await postSigned({ ts, sig: computeRequestSignature(secret, ts, body) }).expect(200);
+      const { id } = (await getSigned('/jobs').expect(200)).body.jobs[0];
+      const updateBody = JSON.stringify({ status: 'Offer' });
+      const patch = (query) => request(signedApp)
+        .patch(`/jobs/${id}`)
+        .query(query)
+        .set('Content-Type', 'application/json')
+        .send(updateBody);
+
+      const unsignedPatch = await patch({}).expect(401);
+      expect(unsignedPatch.body).toEqual({ success: false, error: expect.stringContaining('not signed') });
+      // A signature over another body doesn't cover this update
+      await patch({ ts, sig: computeRequestSignature(secret, ts, '') }).expect(401);
+      await request(signedApp).delete(`/jobs/${id}`).expect(401);
+      expect((await getSigned(`/jobs/${id}`).expect(200)).body.job.status).toBe('No response');
+
+      await patch({ ts, sig: computeRequestSignature(secret, ts, updateBody) }).expect(200);
+      expect((await getSigned(`/jobs/${id}`).expect(200)).body.job.status).toBe('Offer');
+      await request(signedApp).delete(`/jobs/${id}`).query({ ts, sig: computeRequestSignature(secret, ts, '') }).expect(200);
+      expect((await getSigned('/jobs').expect(200)).body.count).toBe(0);
+    });
+
+    test('should only clear every sheet for a signed request', async () => {
+      const ts = String(Date.now());
+      await postSigned({ ts, sig: computeRequestSignature(secret, ts, body) }).expect(200);
+
+      await request(signedApp).delete('/jobs').expect(401);
+      expect((await getSigned('/jobs').expect(200)).body.count).toBe(1);
+      await request(signedApp).delete('/jobs').query({ ts, sig: computeRequestSignature(secret, ts, '') }).expect(200);
+      expect((await getSigned('/jobs').expect(200)).body.count).toBe(0);
+    });
+
+    test('should accept unsigned requests when no secret is configured', async () => {
+      await request(createApp({ sharedSecret: '' })).post('/log-job').send(jobData).expect(200);
+    });
+
+    test('verifyRequestSignature should allow five minutes of clock skew either way', () => {
+      const now = 1736937000000;
+      const sign = (ts) => ({ ts: String(ts), sig: computeRequestSignature(secret, String(ts), body) });
+
+      expect(verifyRequestSignature(secret, sign(now + 4 * 60 * 1000), body, now).valid).toBe(true);
+      expect(verifyRequestSignature(secret, sign(now - 4 * 60 * 1000), body, now).valid).toBe(true);
+      expect(verifyRequestSignature(secret, sign(now + 6 * 60 * 1000), body, now).valid).toBe(false);
+      expect(verifyRequestSignature(secret, { ts: 'soon', sig: 'abc' }, body, now).valid).toBe(false);
+    });
+  });
+
+  describe('POST /log-job - updateStatus operation', () => {
+    const jobData = {
+      title: 'Software Engineer',
+      company: 'Tech Corp',
+      location: 'San Francisco, CA',
+      url: 'https://linkedin.com/jobs/123',
+      timestamp: '2025-01-15T10:30:00.000Z'
+    };
+
+    beforeEach(async () => {
+      await request(app).post('/log-job').send(jobData).expect(200);
+      await request(app)
+        .post('/log-job')
+        .send({ ...jobData, title: 'Data Scientist', url: 'https://linkedin.com/jobs/456' })
+        .expect(200);
+    });
+
+    test('should update a job found by url', async () => {
+      const response = await request(app)
+        .post('/log-job')
+        .send({
+          operation: 'updateStatus',
+          url: 'https://linkedin.com/jobs/456',
+          updates: { status: 'Interviewing', decision: 'Pending' }
+        })
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, row: 3, updated: ['Status', 'Decision'] });
+
+      const jobs = await request(app).get('/jobs');
+      expect(jobs.body.count).toBe(2);
+      expect(jobs.body.jobs[1].status).toBe('Interviewing');
+      expect(jobs.body.jobs[1].decision).toBe('Pending');
+      expect(jobs.body.jobs[0].status).toBe('No response');
+    });
+
+    test('should update a job found by row ID, including custom columns', async () => {
+      const response = await request(app)
+        .post('/log-job')
+        .send({ operation: 'updateStatus', rowId: 2, updates: { status: 'Offer', recruiter: 'Sam' } })
+        .expect(200);
+
+      expect(response.body.row).toBe(2);
+
+      const latest = await request(app).get('/jobs');
+      expect(latest.body.jobs[0].status).toBe('Offer');
+      expect(latest.body.jobs[0].recruiter).toBe('Sam');
+    });
+
+    test('should return 404 when no job matches', async () => {
+      const response = await request(app)
+        .post('/log-job')
+        .send({ operation: 'updateStatus', url: 'https://linkedin.com/jobs/999', updates: { status: 'Rejected' } })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('No job found');
+    });
+
+    test('should return 400 for an invalid update', async () => {
+      const response = await request(app)
+        .post('/log-job')
+        .send({ operation: 'updateStatus', url: 'https://linkedin.com/jobs/123' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should reject unknown operations', async () => {
+      const response = await request(app)
+        .post('/log-job')
+        .send({ operation: 'deleteEverything' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Unknown operation');
+    });
+  });
+
   describe('GET /jobs', () => {
     test('should return empty list when no jobs logged', async () => {
       const response = await request(app)
@@ -365,6 +618,9 @@ describe('Local GAS Endpoint - API', () => {
       expect(response.body).toEqual({
         success: true,
         count: 0,
+        total: 0,
+        offset: 0,
+        limit: 100,
         jobs: []
       });
     });
@@ -377,8 +633,7 @@ describe('Local GAS Endpoint - API', () => {
         location: 'San Francisco, CA',
         url: 'https://linkedin.com/jobs/123',
         timestamp: '2025-01-15T10:30:00.000Z',
-        source: 'LinkedIn',
-        spreadsheetId: 'test-spreadsheet-id-123'
+        source: 'LinkedIn'
       };
 
       const job2 = {
@@ -387,8 +642,7 @@ describe('Local GAS Endpoint - API', () => {
         location: 'New York, NY',
         url: 'https://indeed.com/jobs/456',
         timestamp: '2025-01-15T11:00:00.000Z',
-        source: 'Indeed',
-        spreadsheetId: 'test-spreadsheet-id-123'
+        source: 'Indeed'
       };
 
       await request(app).post('/log-job').send(job1);
@@ -407,6 +661,234 @@ describe('Local GAS Endpoint - API', () => {
     });
   });
 
+  describe('GET /jobs - filters and pagination', () => {
+    const baseJob = {
+      location: 'Remote',
+      timestamp: '2025-01-15T10:30:00.000Z'
+    };
+
+    beforeEach(async () => {
+      const jobs = [
+        { title: 'Engineer', company: 'Tech Corp', url: 'https://example.com/1', timestamp: '2025-01-10T12:00:00.000Z' },
+        { title: 'Analyst', company: 'Startup Inc', url: 'https://example.com/2', timestamp: '2025-01-15T12:00:00.000Z' },
+        { title: 'Scientist', company: 'Big Tech Corp', url: 'https://example.com/3', timestamp: '2025-01-20T12:00:00.000Z' }
+      ];
+      for (const job of jobs) {
+        await request(app).post('/log-job').send({ ...baseJob, ...job }).expect(200);
+      }
+      await request(app)
+        .post('/log-job')
+        .send({ operation: 'updateStatus', rowId: 3, updates: { status: 'Interviewing' } })
+        .expect(200);
+    });
+
+    test('should include row numbers and a default status', async () => {
+      const response = await request(app).get('/jobs').expect(200);
+
+      expect(response.body.jobs.map(job => job.row)).toEqual([2, 3, 4]);
+      expect(response.body.jobs.map(job => job.status)).toEqual(['No response', 'Interviewing', 'No response']);
+    });
+
+    test('should filter by status (case-insensitive)', async () => {
+      const response = await request(app).get('/jobs?status=interviewing').expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.jobs[0].title).toBe('Analyst');
+    });
+
+    test('should filter by company substring', async () => {
+      const response = await request(app).get('/jobs?company=tech').expect(200);
+
+      expect(response.body.jobs.map(job => job.title)).toEqual(['Engineer', 'Scientist']);
+    });
+
+    test('should filter by inclusive date range', async () => {
+      const response = await request(app).get('/jobs?from=2025-01-12&to=2025-01-20').expect(200);
+
+      expect(response.body.jobs.map(job => job.title)).toEqual(['Analyst', 'Scientist']);
+    });
+
+    test('should paginate with limit and offset', async () => {
+      const response = await request(app).get('/jobs?limit=1&offset=1').expect(200);
+
+      expect(response.body).toMatchObject({ count: 1, total: 3, offset: 1, limit: 1 });
+      expect(response.body.jobs[0].title).toBe('Analyst');
+    });
+
+    test('should filter by title substring and source', async () => {
+      await request(app)
+        .post('/log-job')
+        .send({ ...baseJob, title: 'Data Scientist', company: 'Acme', url: 'https://example.com/4', source: 'LinkedIn' })
+        .expect(200);
+
+      const byTitle = await request(app).get('/jobs?title=SCIENTIST').expect(200);
+      expect(byTitle.body.jobs.map(job => job.title)).toEqual(['Scientist', 'Data Scientist']);
+
+      const bySource = await request(app).get('/jobs?source=linkedin').expect(200);
+      expect(bySource.body.jobs.map(job => job.title)).toEqual(['Data Scientist']);
+    });
+
+    test('should sort by a field in either order', async () => {
+      const byDate = await request(app).get('/jobs?sort=applied&order=desc').expect(200);
+      expect(byDate.body.jobs.map(job => job.title)).toEqual(['Scientist', 'Analyst', 'Engineer']);
+
+      const byCompany = await request(app).get('/jobs?sort=company&limit=2').expect(200);
+      expect(byCompany.body.jobs.map(job => job.company)).toEqual(['Big Tech Corp', 'Startup Inc']);
+
+      await request(app).get('/jobs?sort=no-such-field!').expect(400);
+      await request(app).get('/jobs?sort=company&order=up').expect(400);
+    });
+
+    test('should serve the same listing on GET /log-job', async () => {
+      const response = await request(app).get('/log-job?company=startup').expect(200);
+
+      expect(response.body.total).toBe(1);
+    });
+
+    test('should reject invalid query parameters', async () => {
+      await request(app).get('/jobs?limit=0').expect(400);
+      await request(app).get('/jobs?offset=-1').expect(400);
+
+      const response = await request(app).get('/jobs?from=not-a-date').expect(400);
+      expect(response.body.error).toContain('from');
+    });
+  });
+
+  describe('GET, PATCH and DELETE /jobs/:id', () => {
+    const baseJob = {
+      company: 'Tech Corp',
+      location: 'Remote',
+      timestamp: '2025-01-15T10:30:00.000Z'
+    };
+    let ids;
+
+    beforeEach(async () => {
+      await request(app).post('/log-job').send({ ...baseJob, title: 'Engineer', url: 'https://example.com/1' }).expect(200);
+      await request(app).post('/log-job').send({ ...baseJob, title: 'Analyst', url: 'https://example.com/2' }).expect(200);
+      await request(app)
+        .post('/log-job')
+        .send({ ...baseJob, title: 'Intern', url: 'https://example.com/3', targetSheetName: 'Internships' })
+        .expect(200);
+
+      ids = (await request(app).get('/jobs')).body.jobs.map(job => job.id);
+    });
+
+    test('should get a job by ID from any sheet', async () => {
+      const response = await request(app).get(`/jobs/${ids[1]}`).expect(200);
+      expect(response.body).toMatchObject({ success: true, sheet: 'Job Applications', job: { id: ids[1], row: 3, title: 'Analyst' } });
+
+      const internId = (await request(app).get('/jobs?sheet=Internships')).body.jobs[0].id;
+      const intern = await request(app).get(`/jobs/${internId}`).expect(200);
+      expect(intern.body.sheet).toBe('Internships');
+    });
+
+    test('should update fields of a job', async () => {
+      const response = await request(app)
+        .patch(`/jobs/${ids[0]}`)
+        .send({ status: 'Offer', recruiter: 'Sam' })
+        .expect(200);
+
+      expect(response.body.updated).toEqual(['Status', 'Recruiter']);
+      expect(response.body.job).toMatchObject({ id: ids[0], status: 'Offer', recruiter: 'Sam' });
+
+      await request(app).patch(`/jobs/${ids[0]}`).send({}).expect(400);
+      await request(app).patch(`/jobs/${ids[0]}`).send([{ status: 'Offer' }]).expect(400);
+    });
+
+    test('should delete a job and keep the IDs of the rows below it', async () => {
+      const response = await request(app).delete(`/jobs/${ids[0]}`).expect(200);
+      expect(response.body.job.title).toBe('Engineer');
+
+      const jobs = (await request(app).get('/jobs')).body.jobs;
+      expect(jobs.map(job => [job.id, job.row])).toEqual([[ids[1], 2]]);
+      await request(app).get(`/jobs/${ids[0]}`).expect(404);
+    });
+
+    test('should answer 404 for an unknown ID', async () => {
+      const response = await request(app).patch('/jobs/nope').send({ status: 'Offer' }).expect(404);
+      expect(response.body).toEqual({ success: false, error: 'No job found with ID nope' });
+      await request(app).delete('/jobs/nope').expect(404);
+    });
+  });
+
+  describe('GET ?action=capabilities', () => {
+    test('should answer the version handshake on the endpoint URL and /jobs', async () => {
+      const response = await request(app).get('/log-job').query({ action: 'capabilities' }).expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        version: '1.9.0',
+        operations: ['logJob', 'logBatch', 'updateStatus', 'listJobs', 'syncSchema', 'summary', 'followUps'],
+        schemaValidation: true,
+        roleRules: true,
+        jobBoards: true,
+        requestSigning: { supported: true, required: false },
+        statusStages: ['No response', 'Applied', 'Interviewing', 'Offer', 'Rejected', 'Withdrawn']
+      });
+      await request(app).get('/jobs?action=capabilities').expect(200);
+    });
+
+    test('should report when requests must be signed', async () => {
+      const signedApp = createApp({ sharedSecret: 'test-shared-secret' });
+      const response = await request(signedApp).get('/log-job?action=capabilities').expect(200);
+      expect(response.body.requestSigning).toEqual({ supported: true, required: true });
+    });
+
+    test('should reject unknown actions', async () => {
+      const response = await request(app).get('/jobs?action=nope').expect(400);
+      expect(response.body).toEqual({ success: false, error: 'Unknown action: nope' });
+    });
+  });
+
+  describe('GET ?action=summary', () => {
+    test('should summarize the jobs of every sheet', async () => {
+      const job = { title: 'Data Scientist', company: 'Tech Corp', location: 'Remote', url: 'https://linkedin.com/jobs/1', timestamp: '2025-01-15T12:00:00.000Z' };
+      await request(app).post('/log-job').send(job).expect(200);
+      await request(app).post('/log-job').send({ ...job, url: 'https://example.com/2', timestamp: '2025-01-20T12:00:00.000Z', targetSheetName: 'Internships' }).expect(200);
+      await request(app).post('/log-job').send({ operation: 'updateStatus', rowId: 2, updates: { status: 'Interviewing' } }).expect(200);
+
+      const response = await request(app).get('/log-job?action=summary').expect(200);
+      expect(response.body.summary).toEqual({
+        total: 2,
+        responded: 1,
+        responseRate: 0.5,
+        byWeek: [{ week: '2025-01-13', count: 1 }, { week: '2025-01-20', count: 1 }],
+        byBoard: [{ name: 'LinkedIn', count: 1 }, { name: 'Other', count: 1 }],
+        byRole: [{ name: 'DSCI', count: 2 }],
+        funnel: [
+          { status: 'No response', count: 1 },
+          { status: 'Applied', count: 0 },
+          { status: 'Interviewing', count: 1 },
+          { status: 'Offer', count: 0 },
+          { status: 'Rejected', count: 0 },
+          { status: 'Withdrawn', count: 0 }
+        ]
+      });
+    });
+  });
+
+  describe('GET ?action=followUps', () => {
+    test('should list jobs still at No response past the follow-up days', async () => {
+      const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const job = { title: 'Data Scientist', company: 'Tech Corp', location: 'Remote', url: 'https://linkedin.com/jobs/1' };
+      await request(app).post('/log-job').send({ ...job, timestamp: daysAgo(30) }).expect(200);
+      await request(app).post('/log-job').send({ ...job, url: 'https://linkedin.com/jobs/2', timestamp: daysAgo(30) }).expect(200);
+      await request(app).post('/log-job').send({ ...job, url: 'https://linkedin.com/jobs/3', timestamp: daysAgo(1) }).expect(200);
+      await request(app).post('/log-job').send({ operation: 'updateStatus', rowId: 3, updates: { status: 'Rejected' } }).expect(200);
+
+      const response = await request(app).get('/log-job?action=followUps').expect(200);
+      expect(response.body).toMatchObject({ success: true, days: 7, count: 1 });
+      const [followUp] = response.body.followUps;
+      expect(followUp).toMatchObject({ sheet: 'Job Applications', row: 2, company: 'Tech Corp', url: 'https://linkedin.com/jobs/1' });
+      const applied = new Date(`${followUp.applied}T00:00:00Z`);
+      expect(followUp.due).toBe(new Date(applied.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+
+      const patient = createApp({ sharedSecret: '', followUpDays: 60 });
+      await request(patient).post('/log-job').send({ ...job, timestamp: daysAgo(30) }).expect(200);
+      expect((await request(patient).get('/jobs?action=followUps').expect(200)).body).toMatchObject({ days: 60, count: 0, followUps: [] });
+    });
+  });
+
   describe('GET /jobs/latest', () => {
     test('should return 404 when no jobs logged', async () => {
       const response = await request(app)
@@ -425,8 +907,7 @@ describe('Local GAS Endpoint - API', () => {
         location: 'San Francisco, CA',
         url: 'https://linkedin.com/jobs/123',
         timestamp: '2025-01-15T10:30:00.000Z',
-        source: 'LinkedIn',
-        spreadsheetId: 'test-spreadsheet-id-123'
+        source: 'LinkedIn'
       };
 
       const job2 = {
@@ -435,8 +916,7 @@ describe('Local GAS Endpoint - API', () => {
         location: 'New York, NY',
         url: 'https://indeed.com/jobs/456',
         timestamp: '2025-01-15T11:00:00.000Z',
-        source: 'Indeed',
-        spreadsheetId: 'test-spreadsheet-id-123'
+        source: 'Indeed'
       };
 
       await request(app).post('/log-job').send(job1);
@@ -461,8 +941,7 @@ describe('Local GAS Endpoint - API', () => {
         location: 'San Francisco, CA',
         url: 'https://linkedin.com/jobs/123',
         timestamp: '2025-01-15T10:30:00.000Z',
-        source: 'LinkedIn',
-        spreadsheetId: 'test-spreadsheet-id-123'
+        source: 'LinkedIn'
       };
 
       await request(app).post('/log-job').send(job);
@@ -547,8 +1026,7 @@ describe('Local GAS Endpoint - Integration', () => {
       location: 'San Francisco, CA',
       url: 'https://linkedin.com/jobs/123',
       timestamp: '2025-01-15T10:30:00.000Z',
-      source: 'LinkedIn',
-      spreadsheetId: 'test-spreadsheet-id-123'
+      source: 'LinkedIn'
     };
 
     const response = await request(app)
@@ -573,8 +1051,7 @@ describe('Local GAS Endpoint - Integration', () => {
       location: 'Mountain View, CA',
       url: 'https://careers.google.com/jobs/123',
       timestamp: new Date().toISOString(),
-      source: 'Google Careers',
-      spreadsheetId: 'test-spreadsheet-id-123'
+      source: 'Google Careers'
     };
 
     // Step 2: Log to endpoint
@@ -594,3 +1071,399 @@ describe('Local GAS Endpoint - Integration', () => {
     expect(jobsResponse.body.job.company).toBe(extractedData.company);
   });
 });
+
+describe('Local GAS Endpoint - real script', () => {
+  const jobData = {
+    title: 'Software Engineer',
+    company: 'Tech Corp',
+    location: 'San Francisco, CA',
+    url: 'https://linkedin.com/jobs/123',
+    timestamp: '2025-01-15T10:30:00.000Z'
+  };
+  let app;
+
+  beforeEach(() => {
+    app = createApp({ realScript: true, sharedSecret: '' });
+  });
+
+  test('should log through the Apps Script doPost and list through doGet', async () => {
+    const response = await request(app).post('/log-job').send(jobData).expect(200);
+    expect(response.body).toEqual({ success: true, timestamp: jobData.timestamp });
+
+    const jobs = await request(app).get('/jobs').expect(200);
+    expect(jobs.body.jobs[0]).toMatchObject({ row: 2, company: 'Tech Corp', status: 'No response' });
+
+    const latest = await request(app).get('/jobs/latest').expect(200);
+    expect(latest.body.job.title).toBe('Software Engineer');
+  });
+
+  test('should report the same capabilities as the mock', async () => {
+    const script = await request(app).get('/log-job?action=capabilities').expect(200);
+    const mock = await request(createApp({ sharedSecret: '' })).get('/log-job?action=capabilities').expect(200);
+    expect(script.body).toEqual(mock.body);
+  });
+
+  test('should compute the same summary as the mock and keep the Summary tab out of the job sheets', async () => {
+    const summaries = [];
+    for (const target of [app, createApp({ sharedSecret: '' })]) {
+      await request(target).post('/log-job').send(jobData).expect(200);
+      await request(target).post('/log-job').send({ ...jobData, url: 'https://example.com/2', status: 'Phone screen' }).expect(200);
+      await request(target).post('/log-job').send({ operation: 'updateStatus', rowId: 3, updates: { status: 'Phone screen' } }).expect(200);
+      summaries.push((await request(target).get('/log-job?action=summary').expect(200)).body);
+    }
+
+    expect(summaries[0]).toEqual(summaries[1]);
+    expect(summaries[0].summary.funnel.slice(-1)).toEqual([{ status: 'Phone screen', count: 1 }]);
+
+    const dashboard = await request(app).get('/dashboard/data').expect(200);
+    expect(dashboard.body.sheets).toEqual(['Job Applications']);
+    expect((await request(app).get('/health').expect(200)).body.jobsLogged).toBe(2);
+  });
+
+  test('should apply header aliases and report unmatched fields like the mock', async () => {
+    const headerAliases = { team_size: ['Headcount'] };
+    const apps = [
+      createApp({ realScript: true, sharedSecret: '', headerAliases }),
+      createApp({ sharedSecret: '', headerAliases })
+    ];
+
+    const responses = [];
+    for (const target of apps) {
+      await request(target).post('/log-job').send({ ...jobData, headcount: '10' }).expect(200);
+      const response = await request(target).post('/log-job').send({ ...jobData, team_size: '12', recruiter: 'Sam' });
+      responses.push(response.body);
+    }
+
+    expect(responses[0]).toEqual(responses[1]);
+    expect(responses[0].unmatchedFields).toEqual([{ field: 'recruiter', column: 'Recruiter', sheet: 'Job Applications' }]);
+  });
+
+  test('should lay out sheets by the schema like the mock', async () => {
+    const schema = { columns: [{ id: 'title', label: 'Position', type: 'text' }, { id: 'deadline', label: 'Deadline', type: 'date' }] };
+    const apps = [createApp({ realScript: true, sharedSecret: '' }), createApp({ sharedSecret: '' })];
+
+    const responses = [];
+    for (const target of apps) {
+      await request(target).post('/log-job').send(jobData).expect(200);
+      const sync = await request(target).post('/log-job').send({ operation: 'syncSchema', schema }).expect(200);
+      const logged = await request(target).post('/log-job').send({ ...jobData, deadline: '2025-02-01', schema });
+      await request(target).post('/log-job').send({ operation: 'syncSchema', schema: {} }).expect(400);
+      responses.push([sync.body, logged.body]);
+    }
+
+    expect(responses[0]).toEqual(responses[1]);
+    expect(responses[0][0]).toMatchObject({ success: true, added: ['Deadline'] });
+    expect(responses[0][0].columns.slice(0, 3)).toEqual(['Position', 'Deadline', 'Employer']);
+  });
+
+  test('should fill Role from the role rules sent with the schema like the mock', async () => {
+    const schema = {
+      columns: [{ id: 'title', label: 'Job Title', type: 'text' }, { id: 'role', label: 'Role', type: 'select', options: ['PM'] }],
+      roleRules: [{ category: 'PM', include: ['product manager'], exclude: ['intern'], priority: 1 }]
+    };
+    const apps = [createApp({ realScript: true, sharedSecret: '' }), createApp({ sharedSecret: '' })];
+
+    const results = [];
+    for (const target of apps) {
+      await request(target).post('/log-job').send({ ...jobData, title: 'Product Manager', schema }).expect(200);
+      // Later jobs sent without the rules still use them
+      await request(target).post('/log-job').send({ ...jobData, title: 'Product Manager Intern' }).expect(200);
+      const invalid = { ...schema, roleRules: [{ category: '', include: ['lead'] }] };
+      const rejected = await request(target).post('/log-job').send({ operation: 'syncSchema', schema: invalid }).expect(400);
+      const jobs = await request(target).get('/jobs').expect(200);
+      results.push([jobs.body.jobs.map(job => job.role), rejected.body.error]);
+    }
+
+    expect(results[0]).toEqual(results[1]);
+    expect(results[0]).toEqual([['PM', ''], 'Invalid role rules: Rule 1 needs a category']);
+  });
+
+  test('should pass on the script status codes', async () => {
+    await request(app).post('/log-job').send({ ...jobData, spreadsheetId: 'abc' }).expect(400);
+    await request(app).post('/log-job').send({ operation: 'updateStatus', rowId: 5, updates: { status: 'Offer' } }).expect(404);
+  });
+
+  test('should let the script check signatures and clear its ledger on DELETE /jobs', async () => {
+    const secret = 'test-shared-secret';
+    const signedApp = createApp({ realScript: true, sharedSecret: secret });
+    const body = JSON.stringify({ ...jobData, clientRequestId: 'req-1' });
+    const ts = String(Date.now());
+    const send = () => request(signedApp)
+      .post('/log-job')
+      .query({ ts, sig: computeRequestSignature(secret, ts, body) })
+      .set('Content-Type', 'application/json')
+      .send(body);
+
+    await request(signedApp).post('/log-job').send(jobData).expect(401);
+    expect((await send().expect(200)).body.replayed).toBeUndefined();
+    expect((await send().expect(200)).body.replayed).toBe(true);
+
+    await request(signedApp).delete('/jobs').expect(401);
+    await request(signedApp).delete('/jobs').query({ ts, sig: computeRequestSignature(secret, ts, '') }).expect(200);
+    expect((await send().expect(200)).body.replayed).toBeUndefined();
+  });
+});
+
+describe('Local GAS Endpoint - fault injection', () => {
+  const jobData = {
+    title: 'Software Engineer',
+    company: 'Tech Corp',
+    location: 'San Francisco, CA',
+    url: 'https://linkedin.com/jobs/123',
+    timestamp: '2025-01-15T10:30:00.000Z'
+  };
+
+  describe('normalizeFaultProfile and parseFaultArgs', () => {
+    test('should fill in no-fault defaults', () => {
+      expect(normalizeFaultProfile({ script: '503,ok' })).toEqual({
+        profile: { latencyMs: 0, rate: 0, faults: ['500'], script: ['503', 'ok'], hangMs: 20000 }
+      });
+    });
+
+    test('should reject unknown faults and out-of-range numbers', () => {
+      expect(normalizeFaultProfile({ script: ['302'] }).error).toContain('unknown fault "302"');
+      expect(normalizeFaultProfile({ faults: ['gas:nope'] }).error).toContain('unknown fault');
+      expect(normalizeFaultProfile({ faults: [] }).error).toContain('non-empty');
+      expect(normalizeFaultProfile({ rate: 2 }).error).toContain('rate');
+      expect(normalizeFaultProfile({ latencyMs: -1 }).error).toContain('latencyMs');
+      expect(normalizeFaultProfile([]).error).toContain('must be an object');
+    });
+
+    test('should read command line flags', () => {
+      expect(parseFaultArgs(['8080', '--real-script'])).toEqual({ profile: null });
+      expect(parseFaultArgs(['--latency=250', '--fault-rate=0.5', '--faults=500,hang', '--fault-script=gas:quota', '--hang-ms=16000']))
+        .toEqual({ profile: { latencyMs: 250, rate: 0.5, faults: ['500', 'hang'], script: ['gas:quota'], hangMs: 16000 } });
+      expect(parseFaultArgs(['--latency']).error).toContain('Missing value');
+      expect(parseFaultArgs(['--fault-rate=often']).error).toContain('rate');
+    });
+  });
+
+  test('should play scripted faults in order, then behave normally', async () => {
+    const app = createApp();
+    await request(app).put('/__faults').send({ script: ['503', 'gas:notFound', 'malformed'] }).expect(200);
+
+    const unavailable = await request(app).post('/log-job').send(jobData).expect(503);
+    expect(unavailable.body).toEqual({ success: false, error: 'Injected fault: HTTP 503' });
+
+    const gasError = await request(app).post('/log-job').send(jobData).expect(200);
+    expect(gasError.body.success).toBe(false);
+    expect(gasError.body.error).toMatch(/^Spreadsheet not found/);
+
+    const malformed = await request(app).post('/log-job').send(jobData).expect(200);
+    expect(malformed.headers['content-type']).toMatch(/html/);
+    expect(() => JSON.parse(malformed.text)).toThrow();
+
+    const faults = await request(app).get('/__faults').expect(200);
+    expect(faults.body.pending).toEqual([]);
+
+    await request(app).post('/log-job').send(jobData).expect(200);
+    expect((await request(app).get('/jobs')).body.count).toBe(1);
+  });
+
+  test('should keep scripted faults for POSTs when the handshake and job list are read first', async () => {
+    const app = createApp({ faults: { script: ['500'] } });
+
+    await request(app).get('/log-job?action=capabilities').expect(200);
+    await request(app).get('/log-job').expect(200);
+    await request(app).post('/log-job').send(jobData).expect(500);
+    await request(app).post('/log-job').send(jobData).expect(200);
+  });
+
+  test('should answer a gas:busy fault like a script that could not get its lock', async () => {
+    const app = createApp({ faults: { script: ['gas:busy'] } });
+
+    const busy = await request(app).post('/log-job').send(jobData).expect(200);
+    expect(busy.body).toEqual({
+      success: false,
+      busy: true,
+      retryAfterMs: 2000,
+      error: 'The spreadsheet is busy with another request. Please try again in a moment.'
+    });
+    expect((await request(app).get('/jobs')).body.count).toBe(0);
+  });
+
+  test('should pick random faults at the configured rate', async () => {
+    const rolls = [0.1, 0.9, 0.6];
+    const app = createApp({ faults: { rate: 0.5, faults: ['429', '500'] }, random: () => rolls.shift() });
+
+    await request(app).post('/log-job').send(jobData).expect(500);
+    await request(app).post('/log-job').send(jobData).expect(200);
+  });
+
+  test('should add latency before responding', async () => {
+    const app = createApp({ faults: { latencyMs: 60 } });
+    const started = Date.now();
+
+    await request(app).post('/log-job').send(jobData).expect(200);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(55);
+  });
+
+  test('should hang a request until the client gives up', async () => {
+    const app = createApp({ faults: { script: ['hang'], hangMs: 5000 } });
+
+    await expect(request(app).post('/log-job').send(jobData).timeout(100)).rejects.toMatchObject({ timeout: 100 });
+    await request(app).post('/log-job').send(jobData).expect(200);
+  });
+
+  test('should answer a hung request with a 504 after hangMs', async () => {
+    const app = createApp({ faults: { script: ['hang'], hangMs: 20 } });
+
+    const response = await request(app).post('/log-job').send(jobData).expect(504);
+    expect(response.body.error).toContain('hung for 20ms');
+  });
+
+  test('should validate, reset and scope the fault profile', async () => {
+    const app = createApp({ faults: { rate: 1, faults: ['500'] } });
+
+    const invalid = await request(app).put('/__faults').send({ rate: 'always' }).expect(400);
+    expect(invalid.body.error).toContain('rate');
+
+    // Only jobs POSTed to the extension's endpoint URL are faulted
+    await request(app).get('/health').expect(200);
+    await request(app).get('/jobs').expect(200);
+    await request(app).get('/log-job').expect(200);
+    await request(app).post('/log-job').send(jobData).expect(500);
+
+    const reset = await request(app).delete('/__faults').expect(200);
+    expect(reset.body.faults.rate).toBe(0);
+    await request(app).post('/log-job').send(jobData).expect(200);
+  });
+});
+
+describe('Local GAS Endpoint - dashboard', () => {
+  const jobData = {
+    title: 'Machine Learning Engineer',
+    company: 'Tech Corp',
+    location: 'Remote',
+    url: 'https://linkedin.com/jobs/123',
+    timestamp: '2025-01-15T10:30:00.000Z',
+    source: 'LinkedIn'
+  };
+
+  /**
+   * Connect to GET /events on a listening server
+   * @returns {Promise<Object>} { events, close } - events() resolves with the next event block
+   */
+  function openEvents(server) {
+    return new Promise((resolve, reject) => {
+      const req = http.get(`http://127.0.0.1:${server.address().port}/events`, (res) => {
+        res.setEncoding('utf8');
+        let buffer = '';
+        const waiting = [];
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            if (block.startsWith('event:') && waiting.length > 0) waiting.shift()(block);
+          }
+        });
+        resolve({
+          contentType: res.headers['content-type'],
+          events: () => new Promise(next => waiting.push(next)),
+          close: () => req.destroy()
+        });
+      });
+      req.on('error', reject);
+    });
+  }
+
+  test('should count jobs by Board, Role and day, inferring empty Board and Role cells', () => {
+    const summary = summarizeJobs([
+      { source: 'LinkedIn', role: 'DSCI', applied: '2025-01-15' },
+      { url: 'https://www.indeed.com/viewjob?jk=1', title: 'Backend Developer', applied: '2025-01-14' },
+      { source: 'LinkedIn', role: '', title: 'Office Manager', applied: '2025-01-15' },
+      { role: 'DSCI', applied: '' }
+    ]);
+
+    expect(summary).toEqual({
+      total: 4,
+      byBoard: [{ name: 'LinkedIn', count: 2 }, { name: 'Indeed', count: 1 }, { name: 'Other', count: 1 }],
+      byRole: [{ name: 'DSCI', count: 2 }, { name: 'CODE', count: 1 }, { name: 'Unknown', count: 1 }],
+      byDay: [{ date: '2025-01-14', count: 1 }, { date: '2025-01-15', count: 2 }]
+    });
+  });
+
+  test('should serve the dashboard page and its script', async () => {
+    const app = createApp();
+    const page = await request(app).get('/dashboard').expect(200);
+    expect(page.headers['content-type']).toMatch(/text\/html/);
+    expect(page.text).toContain('<script src="/local-dashboard.js"></script>');
+
+    const script = await request(app).get('/local-dashboard.js').expect(200);
+    expect(script.text).toContain("new EventSource('/events')");
+  });
+
+  test('should return the jobs and counts of a sheet', async () => {
+    const app = createApp();
+    await request(app).post('/log-job').send(jobData).expect(200);
+    await request(app).post('/log-job').send({ ...jobData, url: 'https://example.com/2', targetSheetName: 'Internships' }).expect(200);
+
+    const response = await request(app).get('/dashboard/data').expect(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      sheet: 'Job Applications',
+      sheets: ['Job Applications', 'Internships'],
+      summary: { total: 1, byBoard: [{ name: 'LinkedIn', count: 1 }], byRole: [{ name: 'DSCI', count: 1 }] }
+    });
+    expect(response.body.jobs[0]).toMatchObject({ row: 2, company: 'Tech Corp' });
+
+    const empty = await request(createApp()).get('/dashboard/data?sheet=Internships').expect(200);
+    expect(empty.body).toMatchObject({ sheet: 'Internships', sheets: ['Job Applications'], jobs: [] });
+  });
+
+  test('isLoopbackAddress should only accept this computer', () => {
+    ['127.0.0.1', '127.1.2.3', '::1', '::ffff:127.0.0.1'].forEach(address => expect(isLoopbackAddress(address)).toBe(true));
+    ['192.168.1.20', '::ffff:10.0.0.5', '2001:db8::1', '', undefined].forEach(address => expect(isLoopbackAddress(address)).toBe(false));
+  });
+
+  /**
+   * Serve an app as if every request came from another machine on the network
+   * @param {Object} app - App from createApp()
+   * @returns {Object} Wrapping Express app
+   */
+  function fromRemoteAddress(app) {
+    const remote = express();
+    remote.use((req, res, next) => {
+      Object.defineProperty(req.socket, 'remoteAddress', { value: '192.168.1.20', configurable: true });
+      next();
+    });
+    remote.use(app);
+    return remote;
+  }
+
+  test('should keep the dashboard data to this computer once requests must be signed', async () => {
+    const signedApp = createApp({ sharedSecret: 'test-shared-secret' });
+
+    await request(signedApp).get('/dashboard/data').expect(200);
+    const refused = await request(fromRemoteAddress(signedApp)).get('/dashboard/data').expect(403);
+    expect(refused.body).toEqual({ success: false, error: expect.stringContaining('only available on this computer') });
+    await request(fromRemoteAddress(signedApp)).get('/events').expect(403);
+
+    // Without a secret the mock stays open, as before
+    await request(fromRemoteAddress(createApp({ sharedSecret: '' }))).get('/dashboard/data').expect(200);
+  });
+
+  test.each([false, true])('should push one event per request that writes a sheet (real script: %s)', async (realScript) => {
+    const app = createApp({ realScript, sharedSecret: '' });
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const stream = await openEvents(server);
+
+    try {
+      expect(stream.contentType).toBe('text/event-stream');
+
+      let event = stream.events();
+      await request(app).post('/log-job').send(jobData).expect(200);
+      expect(await event).toBe('event: jobs\ndata: {"sheets":["Job Applications"],"total":1}');
+
+      event = stream.events();
+      await request(app).delete('/jobs').expect(200);
+      expect(await event).toBe('event: jobs\ndata: {"sheets":[],"total":0}');
+    } finally {
+      stream.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
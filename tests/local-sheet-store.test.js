@@ -0,0 +1,308 @@
+/**
+ * Unit tests for the local sheet store (local-sheet-store.js)
+ * Covers the sheet layout shared with the GAS script, CSV round-trips and persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_SHEET_NAME,
+  createSheetStore,
+  mergeHeaders,
+  applySchemaLayout,
+  createRowData,
+  readPortalLink,
+  buildHeaderAliasIndex,
+  inferBoard,
+  inferAts,
+  inferRole,
+  toCsv,
+  parseCsv
+} = require('../local-sheet-store');
+
+describe('Local Sheet Store', () => {
+  const job = {
+    title: 'Data Scientist',
+    company: 'Acme, Inc.',
+    location: 'Remote',
+    url: 'https://www.linkedin.com/jobs/view/42',
+    timestamp: '2025-01-15T10:30:00.000Z',
+    spreadsheetId: 'test-spreadsheet-id-123',
+    clientRequestId: 'req-1',
+    team_size: '12'
+  };
+
+  describe('mergeHeaders', () => {
+    test('should lay out a new sheet like the script: standard, system, then custom columns', () => {
+      expect(mergeHeaders([], job)).toEqual([
+        'Employer', 'Job Title', 'Location', 'Portal Link', 'Status', 'Applied', 'Decision', 'Team size'
+      ]);
+    });
+
+    test('should only append missing columns to an existing sheet', () => {
+      const headers = ['Employer', 'Job Title', 'Status', 'Applied', 'Decision'];
+      expect(mergeHeaders(headers, { title: 'X', company: 'Y', source: 'Indeed', recruiter: 'Sam' }))
+        .toEqual([...headers, 'Board', 'Recruiter']);
+    });
+  });
+
+  describe('renamed columns', () => {
+    test('should match headers ignoring case, whitespace and aliases like the script', () => {
+      const headers = ['company', ' JOB  title ', 'URL', 'Stage'];
+      const aliasIndex = buildHeaderAliasIndex({ status: ['Stage'] });
+
+      expect(mergeHeaders(headers, { company: 'A', title: 'B', url: 'C', location: 'D' }, aliasIndex))
+        .toEqual([...headers, 'Location']);
+      expect(createRowData(headers, job, aliasIndex)).toEqual(['Acme, Inc.', 'Data Scientist', expect.stringContaining(job.url), 'No response']);
+    });
+
+    test('should report fields that got a new column in an existing sheet', () => {
+      const store = createSheetStore({ headerAliases: { team_size: ['Headcount'] } });
+      store.setSheetValues(DEFAULT_SHEET_NAME, [['Company', 'Job Title', 'Headcount']]);
+
+      expect(store.appendJobs(undefined, [job])).toEqual({
+        firstRow: 2,
+        unmatchedFields: [
+          { field: 'location', column: 'Location', sheet: DEFAULT_SHEET_NAME },
+          { field: 'url', column: 'Portal Link', sheet: DEFAULT_SHEET_NAME }
+        ]
+      });
+      expect(store.readJobs()[0]).toMatchObject({ company: 'Acme, Inc.', team_size: '12', url: job.url });
+      expect(store.findRow(undefined, { url: job.url })).toBe(2);
+    });
+  });
+
+  describe('schema-driven columns', () => {
+    const schema = {
+      columns: [
+        { id: 'title', label: 'Position', type: 'text', required: true },
+        { id: 'company', label: 'Company Name', type: 'text' },
+        { id: 'team_size', label: 'Team Size', type: 'number' }
+      ]
+    };
+
+    test('should rename and move columns like the script, reporting where each came from', () => {
+      expect(applySchemaLayout(['Employer', 'Job Title', 'Location', 'Team size'], schema)).toEqual({
+        headers: ['Position', 'Company Name', 'Team Size', 'Location'],
+        sources: [1, 0, 3, 2]
+      });
+      expect(mergeHeaders([], { company: 'A', location: 'B' }, buildHeaderAliasIndex({}, [schema]), schema))
+        .toEqual(['Position', 'Company Name', 'Team Size', 'Status', 'Applied', 'Decision', 'Location']);
+    });
+
+    test('should lay out existing sheets by the schema jobs are sent with and by syncSchema', () => {
+      const store = createSheetStore();
+      store.appendJobs(undefined, [job]);
+      expect(store.appendJobs(undefined, [{ ...job, title: 'ML Engineer', schema }])).toEqual({ firstRow: 3 });
+
+      const values = store.getSheetValues(DEFAULT_SHEET_NAME);
+      expect(values[0].slice(0, 4)).toEqual(['Position', 'Company Name', 'Team Size', 'Location']);
+      expect(values[1].slice(0, 4)).toEqual(['Data Scientist', 'Acme, Inc.', '12', 'Remote']);
+
+      expect(store.syncSchema(undefined, { columns: [{ id: 'company', label: 'Org' }, { id: 'deadline', label: 'Deadline' }] }))
+        .toEqual({
+          columns: ['Org', 'Deadline', 'Position', 'Team Size', 'Location', 'Portal Link', 'Status', 'Applied', 'Decision'],
+          added: ['Deadline']
+        });
+      expect(store.readJobs()[1]).toMatchObject({ company: 'Acme, Inc.', deadline: '', team_size: '12' });
+    });
+  });
+
+  describe('createRowData', () => {
+    test('should fill system columns and infer Board, Role and Tailor', () => {
+      const headers = ['Employer', 'Job Title', 'Board', 'Role', 'Tailor', 'Status', 'Applied', 'Decision'];
+      const row = createRowData(headers, { ...job, title: 'Machine Learning Engineer' });
+
+      expect(row.slice(0, 6)).toEqual(['Acme, Inc.', 'Machine Learning Engineer', 'LinkedIn', 'DSCI', 'DSCI', 'No response']);
+      expect(row[6]).toMatch(/^1\/1[45]\/2025$/);
+      expect(row[7]).toBe('');
+    });
+
+    test('should keep explicit values over inferred ones', () => {
+      expect(inferBoard('https://boards.greenhouse.io/acme/jobs/1', '')).toBe('Website');
+      expect(inferRole('Senior Software Engineer')).toBe('CODE');
+      expect(createRowData(['Board'], { url: job.url, source: 'Referral' })).toEqual(['Referral']);
+      expect(createRowData(['Role'], { title: 'Software Engineer', role: 'R&D' })).toEqual(['R&D']);
+      expect(createRowData(['Role'], { title: 'Software Engineer' }, undefined, [{ category: 'SWE', include: ['software'] }]))
+        .toEqual(['SWE']);
+    });
+
+    test('should fill the ATS column from the URL, like the script', () => {
+      const greenhouse = { ...job, url: 'https://boards.greenhouse.io/acme/jobs/1' };
+
+      expect(inferAts(greenhouse.url)).toBe('Greenhouse');
+      expect(createRowData(['Board', 'ATS'], greenhouse)).toEqual(['Website', 'Greenhouse']);
+      expect(createRowData(['ATS'], { ...greenhouse, ats: 'Phenom' })).toEqual(['Phenom']);
+      expect(createRowData(['ATS'], job)).toEqual(['']);
+    });
+
+    test('should write the Portal Link as a link titled with the job, like the script', () => {
+      const [link] = createRowData(['Portal Link'], { ...job, title: 'Engineer, 27" displays' });
+
+      expect(link).toBe(`=HYPERLINK("${job.url}", "Engineer, 27"" displays")`);
+      expect(readPortalLink(link)).toBe(job.url);
+      expect(createRowData(['Portal Link'], { url: job.url })).toEqual([job.url]);
+      expect(createRowData(['Portal Link'], { url: 'mailto:jobs@example.com', title: 'Engineer' })).toEqual(['mailto:jobs@example.com']);
+    });
+
+    test('should cut values over the cell limit short', () => {
+      const [description] = createRowData(['Notes'], { description: 'x'.repeat(60000) });
+
+      expect(description.length).toBe(50000);
+      expect(description.endsWith('x… [truncated]')).toBe(true);
+    });
+  });
+
+  describe('CSV', () => {
+    test('should round-trip commas, quotes and line breaks', () => {
+      const values = [['Employer', 'Notes'], ['Acme, Inc.', 'Said "hi"\nthen left'], ['', 'plain']];
+      const csv = toCsv(values);
+
+      expect(csv.split('\r\n')[0]).toBe('Employer,Notes');
+      expect(parseCsv(csv)).toEqual(values);
+    });
+  });
+
+  describe('createSheetStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createSheetStore();
+    });
+
+    test('should append rows starting at sheet row 2 and read them back by field ID', () => {
+      expect(store.appendJobs(undefined, [job])).toEqual({ firstRow: 2 });
+      expect(store.appendJobs(DEFAULT_SHEET_NAME, [{ ...job, url: 'https://example.com/2' }])).toEqual({ firstRow: 3 });
+
+      const jobs = store.readJobs();
+      expect(jobs).toHaveLength(2);
+      expect(jobs[0]).toMatchObject({
+        row: 2,
+        company: 'Acme, Inc.',
+        url: job.url,
+        status: 'No response',
+        applied: expect.stringMatching(/^2025-01-1[45]$/),
+        team_size: '12'
+      });
+      // Request-only fields never become columns
+      expect(jobs[0]).not.toHaveProperty('spreadsheetid');
+      expect(jobs[0]).not.toHaveProperty('clientrequestid');
+    });
+
+    test('should keep sheets apart', () => {
+      store.appendJobs('Internships', [job]);
+
+      expect(store.readJobs()).toEqual([]);
+      expect(store.countRows('Internships')).toBe(1);
+      expect(store.listSheets()).toEqual(['Internships']);
+    });
+
+    test('should find rows by row ID or the most recent matching link', () => {
+      store.appendJobs(undefined, [job, { ...job, title: 'Other' }, { ...job, url: 'https://example.com/3' }]);
+
+      expect(store.findRow(undefined, { url: ` ${job.url} ` })).toBe(3);
+      expect(store.findRow(undefined, { rowId: 4 })).toBe(4);
+      expect(store.findRow(undefined, { rowId: 5 })).toBe(-1);
+      expect(store.findRow(undefined, { url: 'https://nowhere.example' })).toBe(-1);
+      expect(store.findRow('Missing', { rowId: 2 })).toBe(-1);
+    });
+
+    test('should give every row a stable ID that survives deleting rows above it', () => {
+      store.appendJobs(undefined, [job, { ...job, title: 'Second' }, { ...job, title: 'Third' }]);
+      const [first, second, third] = store.readJobs();
+
+      expect(first.id).toMatch(/^[0-9a-f]{12}$/);
+      expect(new Set([first.id, second.id, third.id]).size).toBe(3);
+      expect(store.findJob(third.id)).toEqual({ sheetName: DEFAULT_SHEET_NAME, row: 4 });
+
+      store.deleteRow(undefined, 2);
+
+      expect(store.readJobs().map(item => [item.id, item.row, item.title])).toEqual([
+        [second.id, 2, 'Second'],
+        [third.id, 3, 'Third']
+      ]);
+      expect(store.findJob(first.id)).toBeNull();
+    });
+
+    test('should update a row and add missing columns', () => {
+      store.appendJobs(undefined, [job]);
+
+      expect(store.updateRow(undefined, 2, { status: 'Interviewing', recruiter: 'Sam' }))
+        .toEqual(['Status', 'Recruiter']);
+      expect(store.readJobs()[0]).toMatchObject({ status: 'Interviewing', recruiter: 'Sam' });
+    });
+  });
+
+  describe('persistence', () => {
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobsprint-store-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('should save one CSV per sheet and load it in a new store', () => {
+      const first = createSheetStore({ dataDir });
+      first.appendJobs(undefined, [job]);
+      first.appendJobs('Contract / Gigs', [{ ...job, description: 'Line one\nLine "two"' }]);
+      first.updateRow(undefined, 2, { decision: 'Pending' });
+
+      expect(fs.readdirSync(dataDir).sort()).toEqual(['Contract%20%2F%20Gigs.csv', 'Job%20Applications.csv', 'ids.json']);
+
+      const second = createSheetStore({ dataDir });
+      expect(second.readJobs()).toEqual(first.readJobs());
+      expect(second.readJobs('Contract / Gigs')[0].description).toBe('Line one\nLine "two"');
+      expect(second.appendJobs(undefined, [job])).toEqual({ firstRow: 3 });
+    });
+
+    test('should give rows added in a spreadsheet app new IDs on load', () => {
+      const first = createSheetStore({ dataDir });
+      first.appendJobs(undefined, [job]);
+      const file = path.join(dataDir, 'Job%20Applications.csv');
+      fs.appendFileSync(file, 'Added,By hand,,,No response,1/16/2025,\r\n');
+
+      const jobs = createSheetStore({ dataDir }).readJobs();
+      expect(jobs[0].id).toBe(first.readJobs()[0].id);
+      expect(jobs[1]).toMatchObject({ company: 'Added', id: expect.stringMatching(/^[0-9a-f]{12}$/) });
+    });
+
+    test('should remember sheet schemas across restarts', () => {
+      const first = createSheetStore({ dataDir });
+      first.syncSchema(undefined, { columns: [{ id: 'company', label: 'Org' }] });
+      first.appendJobs(undefined, [job]);
+
+      const second = createSheetStore({ dataDir });
+      expect(second.readJobs()[0]).toMatchObject({ company: 'Acme, Inc.', title: 'Data Scientist' });
+      expect(second.updateRow(undefined, 2, { company: 'Acme' })).toEqual(['Org']);
+
+      second.clear();
+      expect(fs.existsSync(path.join(dataDir, 'schemas.json'))).toBe(false);
+    });
+
+    test('should remember role rules sent with a schema across restarts', () => {
+      const roleRules = [{ category: 'Science', include: ['scientist'], exclude: [], priority: 0 }];
+      createSheetStore({ dataDir }).syncSchema(undefined, { columns: [{ id: 'role', label: 'Role' }], roleRules });
+
+      const second = createSheetStore({ dataDir });
+      second.appendJobs(undefined, [job]);
+      expect(second.getRoleRules()).toEqual(roleRules);
+      expect(second.readJobs()[0].role).toBe('Science');
+
+      second.clear();
+      expect(fs.existsSync(path.join(dataDir, 'role-rules.json'))).toBe(false);
+    });
+
+    test('should delete the CSV files on clear', () => {
+      const store = createSheetStore({ dataDir });
+      store.appendJobs(undefined, [job, job]);
+
+      expect(store.clear()).toBe(2);
+      expect(fs.readdirSync(dataDir)).toEqual([]);
+      expect(createSheetStore({ dataDir }).countRows()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for the logging backend adapters (logging-backends.js)
+ * Covers webhook body templates, CSV rows and backend selection
+ * (sending needs fetch/chrome.downloads in the extension and is not exercised here; the
+ * Apps Script batch mapping runs against a stubbed postJobToEndpoint)
+ */
+
+const {
+  LOGGING_BACKEND_ADAPTERS,
+  renderWebhookBody,
+  escapeCsv,
+  createCsvRow,
+  getCsvFilename,
+  getLoggingBackend,
+  getActiveBackendIds
+} = require('../logging-backends');
+
+describe('Logging Backends', () => {
+  const payload = {
+    title: 'Data Scientist',
+    company: 'Acme, Inc.',
+    url: 'https://jobs.example.com/42',
+    salary: 120000,
+    timestamp: '2025-01-15T10:30:00.000Z',
+    targetSheetName: 'Job Applications',
+    clientRequestId: 'req-1'
+  };
+
+  describe('renderWebhookBody', () => {
+    test('should send the payload unchanged without a template', () => {
+      expect(renderWebhookBody('', payload)).toBe(payload);
+      expect(renderWebhookBody('   ', payload)).toBe(payload);
+    });
+
+    test('should interpolate placeholders inside text', () => {
+      const body = renderWebhookBody('{"text": "Applied to {{title}} at {{ company }}"}', payload);
+      expect(body).toEqual({ text: 'Applied to Data Scientist at Acme, Inc.' });
+    });
+
+    test('should keep the raw value for a placeholder-only string', () => {
+      const body = renderWebhookBody('{"job": {"pay": "{{salary}}", "tags": ["{{company}}", "fixed"]}}', payload);
+      expect(body).toEqual({ job: { pay: 120000, tags: ['Acme, Inc.', 'fixed'] } });
+    });
+
+    test('should render unknown fields as empty text', () => {
+      expect(renderWebhookBody('{"a": "{{missing}}", "b": "x{{missing}}y"}', payload)).toEqual({ a: '', b: 'xy' });
+    });
+
+    test('should throw on a template that is not JSON', () => {
+      expect(() => renderWebhookBody('{text: {{title}}}', payload)).toThrow(SyntaxError);
+    });
+  });
+
+  describe('escapeCsv', () => {
+    test('should quote cells with commas, quotes and line breaks', () => {
+      expect(escapeCsv('plain')).toBe('plain');
+      expect(escapeCsv('Acme, Inc.')).toBe('"Acme, Inc."');
+      expect(escapeCsv('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsv('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    test('should neutralize spreadsheet formulas', () => {
+      expect(escapeCsv('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsv('@SUM(A1)')).toBe("'@SUM(A1)");
+    });
+
+    test('should render empty values as empty cells', () => {
+      expect(escapeCsv(null)).toBe('');
+      expect(escapeCsv(undefined)).toBe('');
+      expect(escapeCsv(0)).toBe('0');
+    });
+  });
+
+  describe('createCsvRow', () => {
+    test('should write a header and one row without request-only fields', () => {
+      expect(createCsvRow({ ...payload, schema: { columns: [{ id: 'title', label: 'Job Title' }] } })).toBe(
+        'title,company,url,salary,timestamp\r\n' +
+        'Data Scientist,"Acme, Inc.",https://jobs.example.com/42,120000,2025-01-15T10:30:00.000Z\r\n'
+      );
+    });
+  });
+
+  describe('getCsvFilename', () => {
+    test('should name the file after the date, company and title', () => {
+      expect(getCsvFilename(payload)).toBe('JobSprint/2025-01-15-acme-inc-data-scientist.csv');
+    });
+
+    test('should fall back to the current date and a generic name', () => {
+      expect(getCsvFilename({}, Date.UTC(2025, 1, 3))).toBe('JobSprint/2025-02-03-job.csv');
+    });
+  });
+
+  describe('Apps Script sendBatch', () => {
+    const config = { APPS_SCRIPT_ENDPOINT: 'https://script.google.com/macros/s/abc/exec' };
+    const payloads = [{ title: 'A' }, { title: 'B' }];
+    const appsScript = LOGGING_BACKEND_ADAPTERS.appsScript;
+
+    afterEach(() => {
+      delete global.postJobToEndpoint;
+    });
+
+    test('should map per-job results by index', async () => {
+      global.postJobToEndpoint = jest.fn().mockResolvedValue({
+        success: false,
+        error: 'Invalid job data',
+        retriable: false,
+        response: {
+          success: false,
+          results: [
+            { index: 1, success: false, error: 'Invalid job data: Job Title is required', fieldErrors: { title: 'Job Title is required' } },
+            { index: 0, success: true, timestamp: 't', row: 7 }
+          ]
+        }
+      });
+
+      const results = await appsScript.sendBatch(payloads, config);
+
+      expect(global.postJobToEndpoint).toHaveBeenCalledWith(config.APPS_SCRIPT_ENDPOINT, payloads);
+      expect(results[0]).toMatchObject({ success: true, response: { row: 7 }, target: config.APPS_SCRIPT_ENDPOINT });
+      expect(results[1]).toMatchObject({
+        success: false,
+        error: 'Invalid job data: Job Title is required',
+        retriable: false,
+        fieldErrors: { title: 'Job Title is required' }
+      });
+      expect(results[0]).not.toHaveProperty('fieldErrors');
+    });
+
+    test('should give every job the request error when the whole batch failed', async () => {
+      global.postJobToEndpoint = jest.fn().mockResolvedValue({ success: false, error: 'timed out', retriable: true });
+
+      const results = await appsScript.sendBatch(payloads, config);
+      expect(results).toHaveLength(2);
+      results.forEach(result => expect(result).toMatchObject({ success: false, error: 'timed out', retriable: true }));
+    });
+
+    test('should ask for a redeploy when the script answers without per-job results', async () => {
+      global.postJobToEndpoint = jest.fn().mockResolvedValue({ success: true, response: { success: true } });
+
+      const results = await appsScript.sendBatch(payloads, config);
+      results.forEach(result => expect(result).toMatchObject({ success: false, retriable: false }));
+      expect(results[0].error).toContain('Redeploy');
+    });
+  });
+
+  describe('webhook send', () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('should leave the Apps Script schema out of the webhook body', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, text: () => Promise.resolve('') });
+
+      await LOGGING_BACKEND_ADAPTERS.webhook.send({ ...payload, schema: { columns: [] } }, { WEBHOOK_URL: 'https://hooks.example.com/1' });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual(payload);
+    });
+  });
+
+  describe('backend selection', () => {
+    test('should expose every adapter with the common interface', () => {
+      Object.values(LOGGING_BACKEND_ADAPTERS).forEach(adapter => {
+        expect(typeof adapter.id).toBe('string');
+        expect(typeof adapter.label).toBe('string');
+        expect(typeof adapter.getConfigError).toBe('function');
+        expect(typeof adapter.send).toBe('function');
+      });
+    });
+
+    test('should default missing backend IDs to Apps Script', () => {
+      expect(getLoggingBackend().id).toBe('appsScript');
+      expect(getLoggingBackend('nope')).toBeNull();
+      expect(getLoggingBackend('toString')).toBeNull();
+    });
+
+    test('should default to Apps Script only and drop unknown IDs', () => {
+      expect(getActiveBackendIds(undefined)).toEqual(['appsScript']);
+      expect(getActiveBackendIds(['csvDownload', 'webhook', 'csvDownload', 'ftp'])).toEqual(['webhook', 'csvDownload']);
+      expect(getActiveBackendIds([])).toEqual([]);
+    });
+
+    test('should report missing configuration per backend', () => {
+      expect(getLoggingBackend('appsScript').getConfigError({ APPS_SCRIPT_ENDPOINT: 'YOUR_APPS_SCRIPT_URL_HERE' }))
+        .toMatch(/not configured/);
+      expect(getLoggingBackend('webhook').getConfigError({ WEBHOOK_URL: '' })).toMatch(/Webhook URL/);
+      expect(getLoggingBackend('webhook').getConfigError({ WEBHOOK_URL: 'https://hooks.example.com', WEBHOOK_TEMPLATE: '{' }))
+        .toMatch(/not valid JSON/);
+      expect(getLoggingBackend('webhook').getConfigError({ WEBHOOK_URL: 'https://hooks.example.com' })).toBeNull();
+      expect(getLoggingBackend('csvDownload').getConfigError({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for logging targets (logging-targets.js)
+ * Covers the target list, domain defaults and Settings validation
+ */
+
+const {
+  DEFAULT_LOGGING_TARGET_ID,
+  getLoggingTargets,
+  normalizeTargetDomains,
+  targetMatchesUrl,
+  resolveLoggingTarget,
+  getLoggingTargetError
+} = require('../logging-targets');
+
+describe('Logging Targets', () => {
+  const stored = [
+    { id: 'interns', name: 'Internships', sheetName: 'Internships', domains: ['joinhandshake.com'] },
+    { id: 'contract', name: 'Contract', sheetName: 'Contract Gigs', domains: ['upwork.com', 'toptal.com'], schema: { columns: [{ id: 'rate', label: 'Rate' }] } }
+  ];
+
+  describe('getLoggingTargets', () => {
+    test('should put the default target first', () => {
+      const targets = getLoggingTargets(stored, 'Full-time');
+
+      expect(targets.map(target => target.id)).toEqual([DEFAULT_LOGGING_TARGET_ID, 'interns', 'contract']);
+      expect(targets[0]).toEqual({ id: 'default', name: 'Default', sheetName: 'Full-time', domains: [], schema: null });
+    });
+
+    test('should fall back to the default sheet name without settings', () => {
+      expect(getLoggingTargets(undefined, '')).toEqual([
+        { id: 'default', name: 'Default', sheetName: 'Job Applications', domains: [], schema: null }
+      ]);
+    });
+
+    test('should skip targets without an ID or sheet name and ignore invalid schemas', () => {
+      const targets = getLoggingTargets([
+        { name: 'No ID', sheetName: 'X' },
+        { id: 'empty', name: 'Empty' },
+        { id: 'default', name: 'Shadow', sheetName: 'Y' },
+        { id: 'bad', sheetName: 'Bad Schema', schema: { fields: [] } }
+      ], 'Jobs');
+
+      expect(targets.map(target => target.id)).toEqual(['default', 'bad']);
+      expect(targets[1]).toMatchObject({ name: 'Bad Schema', schema: null });
+    });
+  });
+
+  describe('normalizeTargetDomains', () => {
+    test('should parse comma separated text into host names', () => {
+      expect(normalizeTargetDomains('https://www.Upwork.com/jobs, toptal.com  upwork.com'))
+        .toEqual(['upwork.com', 'toptal.com']);
+      expect(normalizeTargetDomains('')).toEqual([]);
+    });
+  });
+
+  describe('resolveLoggingTarget', () => {
+    const targets = getLoggingTargets(stored, 'Full-time');
+
+    test('should prefer the target chosen in the popup', () => {
+      expect(resolveLoggingTarget(targets, 'contract', 'https://app.joinhandshake.com/jobs/1').id).toBe('contract');
+    });
+
+    test('should pick the target matching the job domain, including subdomains', () => {
+      expect(resolveLoggingTarget(targets, null, 'https://app.joinhandshake.com/jobs/1').id).toBe('interns');
+      expect(resolveLoggingTarget(targets, undefined, 'https://www.upwork.com/jobs/2').id).toBe('contract');
+    });
+
+    test('should not match look-alike domains', () => {
+      expect(targetMatchesUrl(targets[2], 'https://notupwork.com/jobs/2')).toBe(false);
+      expect(targetMatchesUrl(targets[2], 'not a url')).toBe(false);
+    });
+
+    test('should fall back to the default target', () => {
+      expect(resolveLoggingTarget(targets, 'deleted-target', 'https://linkedin.com/jobs/view/3').id).toBe('default');
+      expect(resolveLoggingTarget(targets).id).toBe('default');
+    });
+  });
+
+  describe('getLoggingTargetError', () => {
+    test('should require a name and a sheet name', () => {
+      expect(getLoggingTargetError({ name: '', sheetName: 'X' })).toMatch(/needs a name/);
+      expect(getLoggingTargetError({ name: 'Interns', sheetName: '' })).toMatch(/needs a sheet name/);
+      expect(getLoggingTargetError({ name: 'Interns', sheetName: 'Internships', schema: null })).toBeNull();
+    });
+
+    test('should check the optional schema columns', () => {
+      expect(getLoggingTargetError({ name: 'A', sheetName: 'A', schema: { columns: [] } })).toMatch(/non-empty "columns"/);
+      expect(getLoggingTargetError({ name: 'A', sheetName: 'A', schema: { columns: [{ id: 'rate' }] } })).toMatch(/id and a label/);
+      expect(getLoggingTargetError({ name: 'A', sheetName: 'A', schema: stored[1].schema })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Unit tests for request signing (request-signing.js)
+ * Signatures made in the extension (Web Crypto) must match what the endpoints
+ * recompute (Utilities.computeHmacSha256Signature in GAS, Node crypto locally)
+ */
+
+const crypto = require('crypto');
+const { computeRequestSignature, signRequestUrl } = require('../request-signing');
+const { verifyRequestSignature } = require('../local-gas-endpoint');
+
+describe('Request Signing', () => {
+  const secret = 'test-shared-secret';
+  const body = JSON.stringify({ title: 'Data Scientist', company: 'Acme – Café' });
+
+  describe('computeRequestSignature', () => {
+    test('should be the hex HMAC-SHA256 of "timestamp.body"', async () => {
+      const expected = crypto.createHmac('sha256', secret).update(`1736937000000.${body}`, 'utf8').digest('hex');
+      await expect(computeRequestSignature(secret, 1736937000000, body)).resolves.toBe(expected);
+    });
+  });
+
+  describe('signRequestUrl', () => {
+    test('should leave the URL unchanged without a secret', async () => {
+      const endpoint = 'https://script.google.com/macros/s/abc/exec';
+      await expect(signRequestUrl(endpoint, body, '')).resolves.toBe(endpoint);
+    });
+
+    test('should add ts and sig parameters the endpoint accepts', async () => {
+      const now = 1736937000000;
+      const signed = new URL(await signRequestUrl('http://localhost:3000/log-job?x=1', body, secret, now));
+
+      expect(signed.searchParams.get('x')).toBe('1');
+      expect(signed.searchParams.get('ts')).toBe(String(now));
+
+      const query = Object.fromEntries(signed.searchParams);
+      expect(verifyRequestSignature(secret, query, body, now)).toEqual({ valid: true });
+      expect(verifyRequestSignature('other-secret', query, body, now).valid).toBe(false);
+    });
+  });
+});
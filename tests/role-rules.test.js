@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the shared role inference rules (role-rules.js)
+ * Covers rule validation, priorities, exclude keywords and regular expression entries
+ */
+
+const {
+  DEFAULT_ROLE_RULES,
+  getRoleRuleErrors,
+  normalizeRoleRules,
+  matchRoleRule,
+  inferRoleFromRules
+} = require('../role-rules');
+
+describe('Role Rules', () => {
+  const rules = [
+    { category: 'CODE', include: ['engineer'], exclude: ['sales'], priority: 1 },
+    { category: 'DSCI', include: ['/\\bml\\b/', 'machine learning'], priority: 5 },
+    { category: 'OPS', include: ['engineer'], priority: 1 }
+  ];
+
+  describe('getRoleRuleErrors', () => {
+    test('should accept valid rules', () => {
+      expect(getRoleRuleErrors(rules)).toEqual([]);
+      expect(getRoleRuleErrors(DEFAULT_ROLE_RULES)).toEqual([]);
+    });
+
+    test('should name every problem', () => {
+      expect(getRoleRuleErrors([
+        { category: ' ', include: ['lead'] },
+        { category: 'PM', include: [], priority: 'high' },
+        { category: 'QA', include: ['/[qa/', ''], exclude: 'manual' }
+      ])).toEqual([
+        'Rule 1 needs a category',
+        'Rule "PM" needs a number as its priority',
+        'Rule "PM" needs at least one include keyword',
+        'Rule "QA": include and exclude must be lists'
+      ]);
+      expect(getRoleRuleErrors([{ category: 'QA', include: ['/[qa/', ''] }])).toEqual([
+        'Rule "QA": /[qa/ is not a valid regular expression',
+        'Rule "QA": keywords must be non-empty text'
+      ]);
+      expect(getRoleRuleErrors({ category: 'QA' })).toEqual(['Role rules must be a list']);
+    });
+  });
+
+  describe('normalizeRoleRules', () => {
+    test('should trim entries and default exclude and priority', () => {
+      expect(normalizeRoleRules([{ category: ' PM ', include: [' product '], priority: '3' }])).toEqual([
+        { category: 'PM', include: ['product'], exclude: [], priority: 3 }
+      ]);
+      expect(normalizeRoleRules([{ category: 'PM' }])).toBeNull();
+    });
+  });
+
+  describe('matchRoleRule', () => {
+    test('should try higher priorities first, then list order', () => {
+      const normalized = normalizeRoleRules(rules);
+
+      expect(matchRoleRule('ML Engineer', normalized)).toEqual({ category: 'DSCI', rule: 1, matched: '/\\bml\\b/' });
+      expect(matchRoleRule('Site Reliability Engineer', normalized)).toEqual({ category: 'CODE', rule: 0, matched: 'engineer' });
+      expect(matchRoleRule('HTML Developer', normalized)).toBeNull();
+    });
+
+    test('should skip a rule when an exclude keyword matches', () => {
+      expect(matchRoleRule('Sales Engineer', normalizeRoleRules(rules)).category).toBe('OPS');
+    });
+  });
+
+  describe('inferRoleFromRules', () => {
+    test.each([
+      ['Senior Data Scientist', 'DSCI'],
+      ['Backend Developer', 'CODE'],
+      ['Quant Researcher', 'STAT'],
+      ['Research Scientist', 'R&D'],
+      ['Product Manager', ''],
+      ['', '']
+    ])('should infer %p as %p with the default rules', (title, role) => {
+      expect(inferRoleFromRules(title, undefined)).toBe(role);
+    });
+
+    test('should fall back to the default rules when the rules are invalid', () => {
+      expect(inferRoleFromRules('Software Engineer', [{ category: 'PM' }])).toBe('CODE');
+      expect(inferRoleFromRules('Software Engineer', [{ category: 'PM', include: ['product'] }])).toBe('');
+    });
+  });
+});
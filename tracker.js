@@ -0,0 +1,251 @@
+// Application tracker page JavaScript
+// Lists, filters, sorts and edits the local job history (IndexedDB via job-history.js)
+
+// All history entries, loaded once and re-rendered on every filter/sort change
+let trackerEntries = [];
+let trackerSort = { field: 'appliedAt', direction: 'desc' };
+// Pipeline stages for the dropdowns: the defaults from job-history.js until the sheet's own arrive
+let trackerStatuses = JOB_STATUS_OPTIONS;
+
+document.addEventListener('DOMContentLoaded', () => {
+  populateStatusFilter();
+
+  ['trackerSearch', 'trackerStatus', 'trackerFrom', 'trackerTo'].forEach(id => {
+    document.getElementById(id).addEventListener('input', renderTracker);
+  });
+
+  document.getElementById('trackerThisWeek').addEventListener('click', () => {
+    const weekAgo = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000);
+    document.getElementById('trackerFrom').value = toDateInputValue(weekAgo);
+    document.getElementById('trackerTo').value = toDateInputValue(new Date());
+    renderTracker();
+  });
+
+  document.getElementById('trackerRefresh').addEventListener('click', loadTracker);
+
+  document.querySelectorAll('.tracker-table th[data-sort]').forEach(header => {
+    header.addEventListener('click', () => {
+      const field = header.getAttribute('data-sort');
+      trackerSort = {
+        field,
+        direction: trackerSort.field === field && trackerSort.direction === 'desc' ? 'asc' : 'desc'
+      };
+      renderTracker();
+    });
+  });
+
+  loadTracker();
+  loadStatusStages();
+});
+
+/**
+ * Fill the status filter with the known pipeline stages, keeping the current filter
+ */
+function populateStatusFilter() {
+  const select = document.getElementById('trackerStatus');
+  const current = select.value;
+  select.innerHTML = '';
+  ['', ...trackerStatuses].forEach(status => {
+    const option = document.createElement('option');
+    option.value = status;
+    option.textContent = status || 'All';
+    select.appendChild(option);
+  });
+  select.value = trackerStatuses.includes(current) ? current : '';
+}
+
+/**
+ * Ask the service worker for the sheet's pipeline stages and offer them in the dropdowns
+ */
+function loadStatusStages() {
+  chrome.runtime.sendMessage({ action: 'getStatusStages' }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) return;
+    trackerStatuses = response.statuses;
+    populateStatusFilter();
+    renderTracker();
+  });
+}
+
+/**
+ * Load every history entry and render the table
+ */
+async function loadTracker() {
+  try {
+    trackerEntries = await readHistory();
+    renderTracker();
+  } catch (error) {
+    console.error('Failed to load job history:', error);
+    showTrackerMessage('error', `✗ Could not load history: ${error.message}`);
+  }
+}
+
+/**
+ * Render the table for the current filters and sort order
+ */
+function renderTracker() {
+  const filters = {
+    search: document.getElementById('trackerSearch').value,
+    status: document.getElementById('trackerStatus').value,
+    from: document.getElementById('trackerFrom').value,
+    to: document.getElementById('trackerTo').value
+  };
+  const visible = sortHistory(filterHistory(trackerEntries, filters), trackerSort.field, trackerSort.direction);
+
+  document.getElementById('trackerSummary').textContent =
+    `Showing ${visible.length} of ${trackerEntries.length} logged job${trackerEntries.length === 1 ? '' : 's'}`;
+
+  document.querySelectorAll('.tracker-table th[data-sort]').forEach(header => {
+    const label = header.textContent.replace(/ [▲▼]$/, '');
+    header.textContent = header.getAttribute('data-sort') === trackerSort.field
+      ? `${label} ${trackerSort.direction === 'asc' ? '▲' : '▼'}`
+      : label;
+  });
+
+  const tbody = document.getElementById('trackerRows');
+  tbody.innerHTML = '';
+
+  if (visible.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 7;
+    cell.className = 'tracker-empty';
+    cell.textContent = trackerEntries.length === 0
+      ? 'No jobs logged yet. Jobs appear here after they are logged successfully.'
+      : 'No jobs match these filters.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+
+  visible.forEach(entry => tbody.appendChild(createTrackerRow(entry)));
+}
+
+/**
+ * Build the table row for one entry
+ * @param {Object} entry - History entry
+ * @returns {HTMLTableRowElement} Row with editable status, decision and notes
+ */
+function createTrackerRow(entry) {
+  const row = document.createElement('tr');
+  if (entry.result?.endpoint) {
+    row.title = `Logged to ${entry.result.endpoint} (attempt ${entry.result.attempts || 1})`;
+  }
+
+  const applied = new Date(entry.appliedAt);
+  appendTextCell(row, isNaN(applied.getTime()) ? '' : applied.toLocaleDateString());
+
+  const titleCell = document.createElement('td');
+  const link = document.createElement('a');
+  link.href = entry.payload?.url || `https://${entry.url}`;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = entry.title || '(No title)';
+  titleCell.appendChild(link);
+  row.appendChild(titleCell);
+
+  appendTextCell(row, entry.company || '(No company)');
+
+  const statusCell = document.createElement('td');
+  const statusSelect = document.createElement('select');
+  const statuses = trackerStatuses.includes(entry.status) ? trackerStatuses : [entry.status, ...trackerStatuses];
+  statuses.forEach(status => {
+    const option = document.createElement('option');
+    option.value = status;
+    option.textContent = status;
+    statusSelect.appendChild(option);
+  });
+  statusSelect.value = entry.status;
+  statusSelect.addEventListener('change', () => saveTrackerEdit(entry, { status: statusSelect.value }));
+  statusCell.appendChild(statusSelect);
+  row.appendChild(statusCell);
+
+  ['decision', 'notes'].forEach(field => {
+    const cell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = entry[field] || '';
+    input.addEventListener('change', () => saveTrackerEdit(entry, { [field]: input.value.trim() }));
+    cell.appendChild(input);
+    row.appendChild(cell);
+  });
+
+  const actionsCell = document.createElement('td');
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.className = 'tracker-delete';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', () => deleteTrackerEntry(entry));
+  actionsCell.appendChild(deleteBtn);
+  row.appendChild(actionsCell);
+
+  return row;
+}
+
+/**
+ * Append a plain text cell to a row
+ * @param {HTMLTableRowElement} row - Table row
+ * @param {string} text - Cell text
+ */
+function appendTextCell(row, text) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  row.appendChild(cell);
+}
+
+/**
+ * Save an inline edit to IndexedDB
+ * @param {Object} entry - History entry being edited
+ * @param {Object} changes - Changed fields
+ */
+async function saveTrackerEdit(entry, changes) {
+  try {
+    const updated = await updateHistoryEntry(entry.id, changes);
+    if (updated) {
+      Object.assign(entry, updated);
+      showTrackerMessage('success', '✓ Saved');
+    } else {
+      showTrackerMessage('error', '✗ This entry no longer exists. Refresh to see the latest history.');
+    }
+  } catch (error) {
+    showTrackerMessage('error', `✗ Could not save: ${error.message}`);
+  }
+}
+
+/**
+ * Delete an entry after confirmation
+ * @param {Object} entry - History entry
+ */
+async function deleteTrackerEntry(entry) {
+  if (!confirm(`Remove "${entry.title || '(No title)'}" from your local history? Your Google Sheet is not changed.`)) {
+    return;
+  }
+
+  try {
+    await deleteHistoryEntry(entry.id);
+    trackerEntries = trackerEntries.filter(existing => existing.id !== entry.id);
+    renderTracker();
+  } catch (error) {
+    showTrackerMessage('error', `✗ Could not delete: ${error.message}`);
+  }
+}
+
+/**
+ * Display a status message with type-based styling
+ * @param {string} type - 'success', 'error' or 'info'
+ * @param {string} message - Message text
+ */
+function showTrackerMessage(type, message) {
+  const element = document.getElementById('trackerStatusMessage');
+  element.className = `status-message ${type}`;
+  element.textContent = message;
+}
+
+/**
+ * Format a date for an <input type="date">
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD in local time
+ */
+function toDateInputValue(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}